@@ -17,6 +17,7 @@ var async = require('async');
 
 var File = require('../../spi/file');
 var SMBError = require('../../smberror');
+var ntstatus = require('../../ntstatus');
 const { readFile , closeFile } = require('./utils')
 
 class FSFile extends File {
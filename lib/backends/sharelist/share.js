@@ -26,6 +26,16 @@ class FSShare extends Share {
     return false
   }
 
+  // sharelist 后端不支持写操作
+  isReadOnly(){
+    return true
+  }
+
+  // sharelist 的 ls 结果不标识快捷方式，快捷方式条目按其返回的类型列出，不作为符号链接
+  supportsSymbolicLinks(){
+    return false
+  }
+
   /**
    *
    * @param {Session} session
@@ -17,6 +17,7 @@ var async = require('async');
 var Tree = require('../../spi/tree');
 var FSFile = require('./file');
 var SMBError = require('../../smberror');
+var ntstatus = require('../../ntstatus');
 var utils = require('../../utils');
 var mkdirp = require('mkdirp');
 
@@ -28,7 +29,26 @@ class FSTree extends Tree {
 
 
   /**
-   * 打开一个已知文件.
+   * 判断文件是否存在.
+   *
+   * @param {String} name file name
+   * @param {Function} cb callback called with the result
+   * @param {SMBError} cb.error error (non-null if an error occurred)
+   * @param {Boolean} cb.exists true if the file exists; false otherwise
+   */
+  exists(name, cb) {
+    let basePath = (name.match(/\/[^\/]+/) || [''])[0]
+    this.config.instance.setRuntime({ origin:'smb://sharelist' , path: basePath})
+
+    Promise.resolve(this.config.instance.command('ls',name)).then( resp => {
+      cb(null, !!resp && !resp.body)
+    }).catch(() => {
+      cb(null, false)
+    })
+  }
+
+  /**
+   * 打开一个已知文件或目录.
    *
    * @param {String} name file name
    * @param {Function} cb callback called with the opened file
@@ -43,15 +63,15 @@ class FSTree extends Tree {
     Promise.resolve(this.config.instance.command('ls',name)).then( resp => {
       // console.log(name,'OPEN')
       
-      if(resp.type != 'folder' && !resp.body){
+      if(resp && !resp.body){
         let k = new FSFile(name,resp,this)
         cb(null,k)
       }else{
-        cb(SMBError.fromSystemError('SHARELIST', 'it is NOT a file '));
+        cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_NOT_FOUND, 'unable to open ' + name));
       }
     }).catch((err) => {
-      console.log(err)
-      cb(SMBError.fromSystemError('SHARELIST', err+'open file error '));
+      logger.debug('[sharelist] tree.open %s failed', name, err)
+      cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_NOT_FOUND, 'unable to open ' + name));
     })
 
   }
@@ -75,9 +95,13 @@ class FSTree extends Tree {
     if(pattern.endsWith('/*')){
       let parentPath = pattern.replace(/\/\*$/,'')
       let instance = this.config.instance
-      Promise.resolve(instance.command('ls',parentPath)).then( resp => {
-        let k = resp.children.map(i => new FSFile(i.name,i,this))
+      //根目录与 open 保持一致使用 '/'
+      Promise.resolve(instance.command('ls',parentPath || '/')).then( resp => {
+        let k = (resp.children || []).map(i => new FSFile(parentPath + '/' + i.name,i,this))
         cb(null,k)
+      }).catch((err) => {
+        logger.debug('[sharelist] tree.list %s failed', pattern, err)
+        cb(new SMBError(ntstatus.STATUS_OBJECT_PATH_NOT_FOUND, 'cannot list pattern ' + pattern))
       })
     }else{
       cb(null, []);
@@ -20,6 +20,8 @@ class Rectifier extends EventEmitter {
     this.size = size
     this.buffers = []
     this.position = offset
+    //缓冲区头部对应的文件位置
+    this.consumed = offset
     this.tasks = []
     this.loaded = false
     this.running = false
@@ -70,14 +72,9 @@ class Rectifier extends EventEmitter {
     let undone = []
     for(let i of tasks){
       let [p , cb] = i
-      if( p <= position ){
+      //已下载到目标位置，或流已结束（文件末尾 / 请求失败）
+      if( p <= position || this.loaded ){
         cb(this)
-      }else if( p > size ){
-        if( this.loaded ){
-          cb(this)
-        }else{
-          undone.push(i)
-        }
       }else{
         undone.push(i)
       }
@@ -85,38 +82,72 @@ class Rectifier extends EventEmitter {
 
     this.tasks = undone
 
+    if( this.retired && !this.tasks.length ){
+      this.close(() => {})
+    }
+  }
+
+  /**
+   * 停止使用此流，待未完成的读取结束后关闭
+   */
+  retire(){
+    this.retired = true
+    if( !this.tasks.length ){
+      this.close(() => {})
+    }
+  }
+
+  /**
+   * 判断 position 处的数据是否可由当前流提供（只能向后读取）
+   *
+   * @param {number} position: 文件位置
+   */
+  covers(position){
+    return !this.closed && !this.retired && position >= this.consumed && position <= this.position + this.cacheSize
+  }
+
+  /**
+   * 从缓冲区头部取出 length 字节
+   *
+   * @param {number} length: 大小
+   * @param {Buffer} buffer: 目标缓冲区（为空时丢弃数据）
+   * @param {number} offset: 目标缓冲区的起始位置
+   */
+  shift(length, buffer, offset){
+    let index = 0
+    while( index < length && this.buffers.length ){
+      let b = this.buffers.shift()
+      let n = Math.min(b.length, length - index)
+      if( buffer ) b.copy(buffer, offset + index, 0, n)
+      if( n < b.length ) this.buffers.unshift(b.slice(n))
+      index += n
+    }
+    this.length -= index
+    this.consumed += index
+    return index
   }
 
   /**
    * 从缓冲区读取指定大小的块
-   * 要求 SMB Reader 必须顺序读取（实测属实）
+   * 要求 SMB Reader 顺序读取，position 之前的数据将被丢弃
    *
-   * @param {number} size: 大小
-   * @param {number} offset: 起始位置
+   * @param {Buffer} buffer: 目标缓冲区
+   * @param {number} offset: 目标缓冲区的起始位置
+   * @param {number} length: 大小
+   * @param {number} position: 文件位置
    */
   read(buffer, offset, length, position, cb){
-    // //末尾不足size
-    if( length > this.length ) length = this.length
-
-    let b
-    let index = offset
-    let flag = false
-
-    while (null != (b = this.buffers.shift())) {
-      for (let i = 0; i < b.length; i++) {
-        buffer[index++] = b[i]
-        if (index == length) {//填充完毕
-          this.length -= length
-          b = b.slice(i + 1)
-          this.buffers.unshift(b)
-          flag = true
-          break
-        }
-      }
-      if( flag ) break
+    //position 之前的数据已被丢弃
+    if( position < this.consumed ){
+      cb(new Error('data at position ' + position + ' has already been consumed'))
+      return
     }
+    //跳过 position 之前的数据
+    if( position > this.consumed ) this.shift(position - this.consumed)
+
+    let bytesRead = this.shift(length, buffer, offset)
 
-    cb(null, length , buffer)
+    cb(null, bytesRead , buffer)
   }
 
   //  从start处 开始获取流
@@ -128,6 +159,7 @@ class Rectifier extends EventEmitter {
       if( response.statusCode != 206 ){
         this.offset = 0
         this.position = 0
+        this.consumed = 0
       }
 
       response.on('data', (chunk) => {
@@ -150,6 +182,12 @@ class Rectifier extends EventEmitter {
       })
     })
 
+    //请求失败时结束等待中的读取
+    req.on('error', () => {
+      this.loaded = true
+      this.updateTask()
+    })
+
     this.req = req
   }
 
@@ -159,8 +197,8 @@ class Rectifier extends EventEmitter {
     this.closed = true
     if(this.req) {
       this.req.abort()
-      cb()
     }
+    cb()
   }
 }
 
@@ -173,6 +211,9 @@ const closeFile = (file , cb) => {
       file.fd = undefined;
       cb(err)
     });
+  }else{
+    //未读取过的文件及目录
+    process.nextTick(cb)
   }
 }
 
@@ -180,7 +221,9 @@ const readFile = (file, buffer, offset, length, position, cb) => {
   let data = file.stats
   let { outputType = 'url', size } = data
   if (outputType === 'url') {
-    if (!file.fd) {
+    if (!file.rectifier || !file.rectifier.covers(position)) {
+      //非顺序读取，重新建立请求
+      if (file.rectifier) file.rectifier.retire()
 
       let extra = data.proxy_options || {}
       let headers = {}
@@ -197,6 +240,11 @@ const readFile = (file, buffer, offset, length, position, cb) => {
     }
     //要读取的block末端位置
     file.rectifier.when(position + length, (rectifier) => {
+      //乱序或并发读取时，position 处的数据可能已被其它读取取走，重新请求
+      if( position < rectifier.consumed ){
+        readFile(file, buffer, offset, length, position, cb)
+        return
+      }
       // console.log('READ: '+length,position+'-'+(position+length),'\r\n')
       rectifier.read(buffer, offset, length, position, cb)
     })
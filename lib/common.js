@@ -40,6 +40,7 @@ consts.ATTR_DIRECTORY = 0x010;
 consts.ATTR_ARCHIVE = 0x020;
 consts.ATTR_NORMAL = 0x080;
 consts.ATTR_TEMPORARY = 0x100;
+consts.ATTR_REPARSE_POINT = 0x400;
 consts.ATTR_COMPRESSED = 0x800;
 
 /**
@@ -67,6 +68,22 @@ consts.FILE_ACTION_TO_STRING = _.reduce(
   {}
 );
 
+/**
+ * change notification completion filter flags (MS-SMB2 2.2.35, MS-CIFS 2.2.7.4.1)
+ */
+consts.FILE_NOTIFY_CHANGE_FILE_NAME = 0x00000001;
+consts.FILE_NOTIFY_CHANGE_DIR_NAME = 0x00000002;
+consts.FILE_NOTIFY_CHANGE_ATTRIBUTES = 0x00000004;
+consts.FILE_NOTIFY_CHANGE_SIZE = 0x00000008;
+consts.FILE_NOTIFY_CHANGE_LAST_WRITE = 0x00000010;
+consts.FILE_NOTIFY_CHANGE_LAST_ACCESS = 0x00000020;
+consts.FILE_NOTIFY_CHANGE_CREATION = 0x00000040;
+consts.FILE_NOTIFY_CHANGE_EA = 0x00000080;
+consts.FILE_NOTIFY_CHANGE_SECURITY = 0x00000100;
+consts.FILE_NOTIFY_CHANGE_STREAM_NAME = 0x00000200;
+consts.FILE_NOTIFY_CHANGE_STREAM_SIZE = 0x00000400;
+consts.FILE_NOTIFY_CHANGE_STREAM_WRITE = 0x00000800;
+
 /**
  * Create Disposition
  */
@@ -105,6 +122,7 @@ consts.FILE_OPEN_BY_FILE_ID = 0x00002000;
 consts.FILE_OPEN_FOR_BACKUP_INTENT = 0x00004000;
 consts.FILE_NO_COMPRESSION = 0x00008000;
 consts.FILE_RESERVE_OPFILTER = 0x00100000;
+consts.FILE_OPEN_REPARSE_POINT = 0x00200000; // Open a reparse point (e.g. a symbolic link) itself rather than the file it refers to.
 consts.FILE_OPEN_NO_RECALL = 0x00400000;
 consts.FILE_OPEN_FOR_FREE_SPACE_QUERY = 0x00800000;
 
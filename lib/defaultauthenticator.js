@@ -27,17 +27,21 @@ var Session = require('./spi/session');
  * @constructor
  * @this {DefaultSession}
  */
-var DefaultSession = function (accountName, domainName) {
+var DefaultSession = function (accountName, domainName, sessionKey) {
   if (!(this instanceof DefaultSession)) {
-    return new DefaultSession(accountName, domainName);
+    return new DefaultSession(accountName, domainName, sessionKey);
   }
 
   this.accountName = accountName;
   this.domainName = domainName;
+  this.sessionKey = sessionKey;
 
   Session.call(this);
 };
 
+// the DefaultSession prototype inherits from Session
+util.inherits(DefaultSession, Session);
+
 DefaultSession.prototype.logoff = function () {
   // nothing to do here
   var account = this.domainName && this.domainName !== '' ? this.domainName + '\'' + this.accountName : this.accountName;
@@ -104,7 +108,10 @@ DefaultAuthenticator.prototype.authenticate = function (challenge, caseInsensiti
     return;
   }
 
-  cb(null, new DefaultSession(accountName, domainName));
+  // LM/LMv2 authentication doesn't establish a usable session key
+  var sessionKey = caseSensitivePassword.length ? ntlm.calculateSessionBaseKey(caseSensitivePassword, ntlmHash, accountName, domainName) : null;
+
+  cb(null, new DefaultSession(accountName, domainName, sessionKey));
 };
 
 module.exports = DefaultAuthenticator;
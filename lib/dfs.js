@@ -0,0 +1,297 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var _ = require('lodash');
+
+var ntstatus = require('./ntstatus');
+var utils = require('./utils');
+
+/**
+ * Standalone DFS namespaces (see MS-DFSC).
+ *
+ * A share becomes the root of a namespace by configuring links (share option <code>dfsLinks</code>) which map
+ * paths relative to the share to one or more targets on this or other servers, e.g.
+ * <pre>
+ *   ROOT: {
+ *     backend: 'sharelist',
+ *     dfsLinks: {
+ *       'docs': '\\\\server2\\docs',
+ *       'media\\photos': [ '\\\\server3\\photos', '\\\\server4\\archive\\photos' ]
+ *     }
+ *   }
+ * </pre>
+ * DFS aware clients accessing a path at or below a link are told to ask for a referral
+ * (<code>STATUS_PATH_NOT_COVERED</code>) and are then redirected to the link's targets.
+ * Links are not listed unless the backend contains directories of the same names.
+ */
+
+// referral entries (DFS_REFERRAL_V3/DFS_REFERRAL_V4, see MS-DFSC 2.2.5.3 and 2.2.5.4)
+var REFERRAL_ENTRY_SIZE = 34;
+var MIN_REFERRAL_VERSION = 3;
+var MAX_REFERRAL_VERSION = 4;
+
+// ServerType
+var DFS_SERVER_NON_ROOT = 0x0000;
+var DFS_SERVER_ROOT = 0x0001;
+
+// ReferralHeaderFlags
+var DFS_REFERRAL_SERVERS = 0x00000001;
+var DFS_STORAGE_SERVERS = 0x00000002;
+
+// ReferralEntryFlags
+var DFS_TARGET_SET_BOUNDARY = 0x0004;
+
+// time in seconds clients may cache referrals
+var ROOT_REFERRAL_TTL = 300;
+var LINK_REFERRAL_TTL = 1800;
+
+// UNC path of a target, e.g. \\server\share[\path]
+var TARGET_REGEX = /^\\\\[^\\]+\\[^\\]+(\\[^\\]+)*$/;
+
+/**
+ * Splits a path into its (non-empty) components.
+ *
+ * @param {String} path path using backslashes and/or slashes as separators
+ * @return {String[]}
+ */
+function splitPath(path) {
+  return path.split(/[\\\/]/).filter(function (component) {
+    return component.length > 0;
+  });
+}
+
+/**
+ * Parses the <code>dfsLinks</code> option of a share.
+ *
+ * @param {Object} [config] link paths mapped to a target or an array of targets
+ * @return {Object[]} links, each with the (lower case) path components and the targets
+ * @throws {Error} if a link is invalid
+ */
+function parseLinks(config) {
+  return _.map(config || {}, function (targets, linkPath) {
+    var components = splitPath(linkPath);
+    targets = _.isArray(targets) ? targets : [ targets ];
+    if (!components.length || !targets.length) {
+      throw new Error('invalid DFS link: ' + linkPath);
+    }
+    return {
+      components: components.map(function (component) {
+        return component.toLowerCase();
+      }),
+      targets: targets.map(function (target) {
+        target = String(target).replace(/\//g, '\\');
+        if (!TARGET_REGEX.test(target)) {
+          throw new Error('invalid target of DFS link ' + linkPath + ': ' + target);
+        }
+        // referrals specify targets with a single leading backslash
+        return target.substr(1);
+      })
+    };
+  });
+}
+
+/**
+ * Returns the link a path is located at or below.
+ *
+ * @param {Object[]} links links of a DFS root (see <code>parseLinks</code>)
+ * @param {String[]} components path components relative to the root
+ * @return {Object} link or null if the path is not located below a link
+ */
+function findLink(links, components) {
+  var lowerComponents = components.map(function (component) {
+    return component.toLowerCase();
+  });
+  return _.find(links, function (link) {
+    return link.components.length <= lowerComponents.length
+      && _.isEqual(link.components, lowerComponents.slice(0, link.components.length));
+  }) || null;
+}
+
+/**
+ * Resolves a path name sent by a client to a path relative to the share. DFS path names
+ * (<code>FLAGS2_DFS_PATHNAMES</code>, <code>SMB2_FLAGS_DFS_OPERATIONS</code>) are prefixed with the server
+ * and share names (<code>[\]server\share\path</code>); paths at or below a link of a DFS root are not
+ * covered by this server.
+ *
+ * @param {SMBShare} share the share of the tree the path is used on
+ * @param {String} name path name sent by the client
+ * @param {Boolean} isDfsPath true if the client flagged the path name as DFS path name
+ * @return {Object} an object with the status (<code>STATUS_PATH_NOT_COVERED</code> if the client has to ask
+ *                  for a referral) and the path relative to the share
+ */
+function resolvePath(share, name, isDfsPath) {
+  if (!isDfsPath || !share.isDfsRoot()) {
+    return { status: ntstatus.STATUS_SUCCESS, path: name };
+  }
+  var components = splitPath(name);
+  if (components.length < 2 || components[1].toUpperCase() !== share.getName()) {
+    // not prefixed after all (e.g. relative path names of some clients)
+    return { status: ntstatus.STATUS_SUCCESS, path: name };
+  }
+  components = components.slice(2);
+  if (findLink(share.getDfsLinks(), components)) {
+    return { status: ntstatus.STATUS_PATH_NOT_COVERED, path: null };
+  }
+  return { status: ntstatus.STATUS_SUCCESS, path: components.join('\\') };
+}
+
+/**
+ * Resolves the DFS path names contained in a request buffer (see <code>resolvePath</code>). Each path name
+ * is a null-terminated unicode string, aligned on a word boundary, which is preceded by a number of fixed bytes;
+ * the resolved path names replace the original ones in a copy of the buffer.
+ *
+ * @param {SMBShare} share the share of the tree the path names are used on
+ * @param {Buffer} buf the buffer containing the path names
+ * @param {Number} bufOffset offset of the buffer within the message (path names are aligned relative to the message)
+ * @param {Number[]} fixedLengths number of fixed bytes preceding each path name
+ * @return {Object} an object with the status (<code>STATUS_PATH_NOT_COVERED</code> if the client has to ask
+ *                  for a referral) and the buffer with the resolved path names
+ */
+function resolvePathNames(share, buf, bufOffset, fixedLengths) {
+  var chunks = [];
+  var start = 0;
+  var off = 0;
+  for (var i = 0; i < fixedLengths.length; i++) {
+    off += fixedLengths[i];
+    off += utils.calculatePadLength(bufOffset + off, 2);
+    var bytes = utils.extractUnicodeBytes(buf, off);
+    var dfsPath = resolvePath(share, bytes.toString('utf16le'), true);
+    if (dfsPath.status !== ntstatus.STATUS_SUCCESS) {
+      return { status: dfsPath.status, buf: null };
+    }
+    // the length of a unicode string is even, i.e. the alignment of subsequent path names is retained
+    chunks.push(buf.slice(start, off), new Buffer(dfsPath.path, 'utf16le'));
+    off += bytes.length;
+    // continue with the null terminator
+    start = off;
+    off += 2;
+  }
+  chunks.push(buf.slice(start));
+  return { status: ntstatus.STATUS_SUCCESS, buf: Buffer.concat(chunks) };
+}
+
+/**
+ * Decodes a referral request (REQ_GET_DFS_REFERRAL, see MS-DFSC 2.2.2).
+ *
+ * @param {Buffer} buf
+ * @return {Object} an object with the maximum referral version and the requested path or null if the request is malformed
+ */
+function decodeReferralRequest(buf) {
+  if (buf.length < 2) {
+    return null;
+  }
+  // RequestFileName (null-terminated, the terminator may be missing)
+  var end = 2;
+  while (end + 1 < buf.length && buf.readUInt16LE(end)) {
+    end += 2;
+  }
+  return {
+    maxReferralLevel: buf.readUInt16LE(0),
+    requestFileName: buf.slice(2, end).toString('utf16le')
+  };
+}
+
+/**
+ * Encodes a referral response (RESP_GET_DFS_REFERRAL, see MS-DFSC 2.2.4).
+ *
+ * @param {Number} version referral version (3 or 4)
+ * @param {String} dfsPath the prefix of the requested path which is covered by the referral
+ * @param {Number} serverType <code>DFS_SERVER_ROOT</code> or <code>DFS_SERVER_NON_ROOT</code>
+ * @param {Number} headerFlags ReferralHeaderFlags
+ * @param {Number} ttl time in seconds the client may cache the referral
+ * @param {String[]} targets target paths with a single leading backslash
+ * @return {Buffer}
+ */
+function encodeReferralResponse(version, dfsPath, serverType, headerFlags, ttl, targets) {
+  var entriesLength = targets.length * REFERRAL_ENTRY_SIZE;
+  var dfsPathBytes = new Buffer(dfsPath + '\u0000', 'utf16le');
+  var targetBytes = targets.map(function (target) {
+    return new Buffer(target + '\u0000', 'utf16le');
+  });
+
+  var out = put();
+  out.word16le(dfsPath.length * 2) // PathConsumed
+    .word16le(targets.length)  // NumberOfReferrals
+    .word32le(headerFlags); // ReferralHeaderFlags
+  // the strings follow the entries: the path (shared by all entries) and the targets
+  var targetOffset = entriesLength + dfsPathBytes.length;
+  targets.forEach(function (target, i) {
+    var entryOffset = i * REFERRAL_ENTRY_SIZE;
+    out.word16le(version) // VersionNumber
+      .word16le(REFERRAL_ENTRY_SIZE)  // Size
+      .word16le(serverType) // ServerType
+      .word16le(version === 4 && i === 0 ? DFS_TARGET_SET_BOUNDARY : 0) // ReferralEntryFlags
+      .word32le(ttl)  // TimeToLive
+      .word16le(entriesLength - entryOffset)  // DFSPathOffset
+      .word16le(entriesLength - entryOffset)  // DFSAlternatePathOffset
+      .word16le(targetOffset - entryOffset) // NetworkAddressOffset
+      .pad(16); // ServiceSiteGuid
+    targetOffset += targetBytes[i].length;
+  });
+  out.put(dfsPathBytes);
+  targetBytes.forEach(function (bytes) {
+    out.put(bytes);
+  });
+  return out.buffer();
+}
+
+/**
+ * Answers a referral request for a path within a DFS namespace rooted on this server.
+ *
+ * @param {SMBServer} server
+ * @param {Object} request decoded referral request (see <code>decodeReferralRequest</code>)
+ * @return {Object} an object with the status and the encoded referral response (RESP_GET_DFS_REFERRAL)
+ */
+function getReferral(server, request) {
+  if (request.maxReferralLevel < MIN_REFERRAL_VERSION) {
+    return { status: ntstatus.STATUS_INVALID_PARAMETER, data: null };
+  }
+  var version = Math.min(request.maxReferralLevel, MAX_REFERRAL_VERSION);
+
+  var name = request.requestFileName;
+  // \server\share[\path]; domain and DC referrals are not supported
+  var components = splitPath(name);
+  var share = components.length >= 2 && server.getShare(components[1].toUpperCase());
+  if (!share || !share.isDfsRoot()) {
+    return { status: ntstatus.STATUS_NOT_FOUND, data: null };
+  }
+
+  // the prefix of the requested path (including its leading backslashes) consisting of the specified number of components
+  function getPrefix(count) {
+    var prefixLength = name.match(/^[\\\/]*/)[0].length + components.slice(0, count).join('\\').length;
+    return name.substr(0, prefixLength);
+  }
+
+  var link = findLink(share.getDfsLinks(), components.slice(2));
+  if (link) {
+    return {
+      status: ntstatus.STATUS_SUCCESS,
+      data: encodeReferralResponse(version, getPrefix(2 + link.components.length), DFS_SERVER_NON_ROOT,
+        DFS_STORAGE_SERVERS, LINK_REFERRAL_TTL, link.targets)
+    };
+  }
+  // the root itself (or a path below the root not covered by a link)
+  return {
+    status: ntstatus.STATUS_SUCCESS,
+    data: encodeReferralResponse(version, getPrefix(2), DFS_SERVER_ROOT,
+      DFS_REFERRAL_SERVERS | DFS_STORAGE_SERVERS, ROOT_REFERRAL_TTL, [ '\\' + components[0] + '\\' + components[1] ])
+  };
+}
+
+module.exports.parseLinks = parseLinks;
+module.exports.resolvePath = resolvePath;
+module.exports.resolvePathNames = resolvePathNames;
+module.exports.decodeReferralRequest = decodeReferralRequest;
+module.exports.getReferral = getReferral;
@@ -0,0 +1,394 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var Long = require('long');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('./ntstatus');
+var utils = require('./utils');
+
+/**
+ * Byte-range locking (LOCKING_ANDX and SMB2 LOCK) shared by the SMB1 and SMB2 handlers
+ * (see MS-FSA 2.1.5.7 and MS-SMB2 3.3.5.14).
+ */
+
+// wait indefinitely for a conflicting lock to be released
+var WAIT_INFINITE = 0xffffffff;
+
+/**
+ * Returns the key identifying a file across opens, trees and connections.
+ *
+ * @param {SMBFile} file
+ * @return {String}
+ */
+function getFileKey(file) {
+  // the backend might be case-insensitive: rather conflict too often than too seldom
+  return file.getTree().getShare().getName() + ':' + utils.normalizeSMBFileName(file.getPath()).toLowerCase();
+}
+
+/**
+ * Converts an offset or length to an unsigned Long.
+ *
+ * @param {Number|Long} val
+ * @return {Long}
+ */
+function toLong(val) {
+  return Long.isLong(val) ? val.toUnsigned() : Long.fromNumber(val, true);
+}
+
+/**
+ * Returns true if the range doesn't wrap around the end of the 64-bit offset space.
+ *
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @return {Boolean}
+ */
+function isValidRange(offset, length) {
+  offset = toLong(offset);
+  length = toLong(length);
+  return length.isZero() || offset.add(length.subtract(1)).greaterThanOrEqual(offset);
+}
+
+/**
+ * Returns true if two ranges overlap. Zero-length ranges never overlap.
+ */
+function overlaps(a, b) {
+  if (a.length.isZero() || b.length.isZero()) {
+    return false;
+  }
+  return a.offset.lessThanOrEqual(b.last) && b.offset.lessThanOrEqual(a.last);
+}
+
+/**
+ * Creates a range (offsets are inclusive).
+ *
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @return {Object}
+ */
+function createRange(offset, length) {
+  offset = toLong(offset);
+  length = toLong(length);
+  return {
+    offset: offset,
+    length: length,
+    last: length.isZero() ? offset : offset.add(length.subtract(1))
+  };
+}
+
+/**
+ * Keeps track of the byte-range locks held on files, across all opens, trees and connections.
+ *
+ * Locks are owned by an open (fid) and, for SMB1, the process id of the requester.
+ * Exclusive locks conflict with any other overlapping lock, shared locks conflict with
+ * overlapping exclusive locks of other owners. Lock requests which can't be granted
+ * immediately are queued until the conflicting locks are released, the request times out
+ * or it is cancelled.
+ *
+ * @param {SMBServer} server - an SMBServer instance
+ * @constructor
+ */
+function LockManager(server) {
+  this.server = server;
+  // granted locks, keyed by file
+  this.locks = {};
+  // queued lock requests (in order of arrival)
+  this.waiting = [];
+}
+
+/**
+ * Requests a set of byte-range locks. The locks are acquired in order; if one of them can't be
+ * granted the locks already acquired by this request are released again.
+ *
+ * @param {SMBFile} file - the open requesting the locks
+ * @param {Number} pid - process id of the requester (SMB1) or 0 (SMB2: locks are owned by the open)
+ * @param {Object[]} ranges - requested locks (<code>{offset, length, exclusive}</code>)
+ * @param {Number} timeout - time in ms to wait for conflicting locks to be released
+ *                           (0: fail immediately, <code>WAIT_INFINITE</code>: wait indefinitely)
+ * @param {SMBConnection} connection - the connection the request was received on
+ * @param {Function} cb callback called with the completion status if the request had to be queued
+ * @param {Number} cb.status
+ * @return {Object} the lock request; its <code>status</code> is <code>STATUS_PENDING</code>
+ *                  if the request has been queued
+ */
+LockManager.prototype.lock = function (file, pid, ranges, timeout, connection, cb) {
+  var request = {
+    key: getFileKey(file),
+    fid: file.getId(),
+    pid: pid,
+    connection: connection,
+    ranges: _.map(ranges, function (range) {
+      return _.assign(createRange(range.offset, range.length), { exclusive: !!range.exclusive });
+    }),
+    // number of locks acquired so far
+    acquired: 0,
+    timeout: timeout,
+    timer: null,
+    status: ntstatus.STATUS_PENDING,
+    cb: cb
+  };
+  if (!_.every(request.ranges, function (range) { return isValidRange(range.offset, range.length); })) {
+    request.status = ntstatus.STATUS_INVALID_LOCK_RANGE;
+    return request;
+  }
+  this.process(request);
+  return request;
+};
+
+/**
+ * Tries to acquire the outstanding locks of a request.
+ *
+ * @param {Object} request
+ * @return {Boolean} true if the request has been completed
+ */
+LockManager.prototype.process = function (request) {
+  var self = this;
+  var locks = this.locks[request.key] || [];
+  while (request.acquired < request.ranges.length) {
+    var range = request.ranges[request.acquired];
+    var conflict = _.some(locks, function (lock) {
+      return overlaps(lock, range) && (range.exclusive || (lock.exclusive && !isSameOwner(lock, request)));
+    });
+    if (conflict) {
+      if (!request.timeout) {
+        this.complete(request, ntstatus.STATUS_LOCK_NOT_GRANTED);
+        return true;
+      }
+      if (!_.includes(this.waiting, request)) {
+        logger.debug('queueing lock request on fid %d (timeout: %d)', request.fid, request.timeout);
+        this.waiting.push(request);
+        if (request.timeout !== WAIT_INFINITE) {
+          request.timer = setTimeout(function () {
+            self.complete(request, ntstatus.STATUS_FILE_LOCK_CONFLICT);
+          }, request.timeout);
+        }
+      }
+      return false;
+    }
+    locks.push({
+      fid: request.fid,
+      pid: request.pid,
+      connection: request.connection,
+      offset: range.offset,
+      length: range.length,
+      last: range.last,
+      exclusive: range.exclusive
+    });
+    this.locks[request.key] = locks;
+    request.acquired++;
+  }
+  this.complete(request, ntstatus.STATUS_SUCCESS);
+  return true;
+};
+
+/**
+ * Completes a lock request. If the request failed the locks it acquired are released.
+ *
+ * @param {Object} request
+ * @param {Number} status - completion status or null if no response should be sent
+ */
+LockManager.prototype.complete = function (request, status) {
+  if (request.status !== ntstatus.STATUS_PENDING) {
+    // already completed
+    return;
+  }
+  var queued = _.includes(this.waiting, request);
+  _.pull(this.waiting, request);
+  clearTimeout(request.timer);
+  request.status = status === null ? ntstatus.STATUS_CANCELLED : status;
+  if (request.status !== ntstatus.STATUS_SUCCESS) {
+    var acquired = request.ranges.slice(0, request.acquired);
+    var self = this;
+    _.forEach(acquired, function (range) {
+      self.removeLock(request.key, request.fid, request.pid, range.offset, range.length);
+    });
+    if (acquired.length) {
+      this.retry(request.key);
+    }
+  }
+  if (queued) {
+    logger.debug('completed queued lock request on fid %d: %s', request.fid, ntstatus.STATUS_TO_STRING[request.status]);
+    request.cb(status);
+  }
+};
+
+/**
+ * Cancels a queued lock request.
+ *
+ * @param {Object} request - a lock request returned by <code>lock</code>
+ * @param {Number} status - completion status or null if no response should be sent
+ */
+LockManager.prototype.cancel = function (request, status) {
+  this.complete(request, status);
+};
+
+/**
+ * Cancels the queued lock requests matching the specified criteria, e.g. on LOCKING_ANDX_CANCEL_LOCK or NT_CANCEL.
+ *
+ * @param {Object|Function} predicate - matched against the lock requests (<code>{fid, pid, connection, ...}</code>)
+ * @param {Number} status - completion status or null if no response should be sent
+ * @return {Number} number of cancelled requests
+ */
+LockManager.prototype.cancelWaiting = function (predicate, status) {
+  var self = this;
+  var requests = _.filter(this.waiting, predicate);
+  _.forEach(requests, function (request) {
+    self.complete(request, status);
+  });
+  return requests.length;
+};
+
+/**
+ * Releases a byte-range lock.
+ *
+ * @param {SMBFile} file - the open holding the lock
+ * @param {Number} pid - process id of the requester (SMB1) or 0 (SMB2)
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @return {Number} status (<code>STATUS_RANGE_NOT_LOCKED</code> if there's no matching lock)
+ */
+LockManager.prototype.unlock = function (file, pid, offset, length) {
+  var key = getFileKey(file);
+  if (!this.removeLock(key, file.getId(), pid, toLong(offset), toLong(length))) {
+    return ntstatus.STATUS_RANGE_NOT_LOCKED;
+  }
+  this.retry(key);
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Removes a single lock exactly matching the specified owner and range.
+ *
+ * @return {Boolean} true if a lock has been removed
+ */
+LockManager.prototype.removeLock = function (key, fid, pid, offset, length) {
+  var locks = this.locks[key];
+  var idx = _.findIndex(locks, function (lock) {
+    return lock.fid === fid && lock.pid === pid && lock.offset.equals(offset) && lock.length.equals(length);
+  });
+  if (idx === -1) {
+    return false;
+  }
+  locks.splice(idx, 1);
+  if (!locks.length) {
+    delete this.locks[key];
+  }
+  return true;
+};
+
+/**
+ * Retries the queued lock requests on a file (e.g. after locks have been released).
+ *
+ * @param {String} key
+ */
+LockManager.prototype.retry = function (key) {
+  var self = this;
+  _.forEach(_.filter(this.waiting, { key: key }), function (request) {
+    if (request.status === ntstatus.STATUS_PENDING) {
+      self.process(request);
+    }
+  });
+};
+
+/**
+ * Checks whether a read conflicts with an exclusive lock held by a different owner.
+ *
+ * @param {SMBFile} file - the open reading the file
+ * @param {Number} pid - process id of the requester (SMB1) or 0 (SMB2)
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @return {Boolean} true if the read is allowed
+ */
+LockManager.prototype.checkRead = function (file, pid, offset, length) {
+  var range = createRange(offset, length);
+  var owner = { fid: file.getId(), pid: pid };
+  return !_.some(this.locks[getFileKey(file)], function (lock) {
+    return lock.exclusive && overlaps(lock, range) && !isSameOwner(lock, owner);
+  });
+};
+
+/**
+ * Checks whether a write conflicts with a shared lock or an exclusive lock held by a different owner.
+ *
+ * @param {SMBFile} file - the open writing the file
+ * @param {Number} pid - process id of the requester (SMB1) or 0 (SMB2)
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @return {Boolean} true if the write is allowed
+ */
+LockManager.prototype.checkWrite = function (file, pid, offset, length) {
+  var range = createRange(offset, length);
+  var owner = { fid: file.getId(), pid: pid };
+  return !_.some(this.locks[getFileKey(file)], function (lock) {
+    return overlaps(lock, range) && (!lock.exclusive || !isSameOwner(lock, owner));
+  });
+};
+
+/**
+ * Reassigns the locks of an open to a different connection (e.g. when a durable open is
+ * preserved or reclaimed).
+ *
+ * @param {Number} fid
+ * @param {SMBConnection} connection - new connection or null if the open is disconnected
+ */
+LockManager.prototype.reassign = function (fid, connection) {
+  _.forEach(this.locks, function (locks) {
+    _.forEach(_.filter(locks, { fid: fid }), function (lock) {
+      lock.connection = connection;
+    });
+  });
+};
+
+/**
+ * Releases all locks of an open and cancels its queued lock requests (e.g. when the open is closed).
+ *
+ * @param {Number} fid
+ */
+LockManager.prototype.release = function (fid) {
+  this.releaseLocks({ fid: fid }, ntstatus.STATUS_RANGE_NOT_LOCKED);
+};
+
+/**
+ * Releases the locks held on a connection which has been closed. Locks of preserved
+ * durable opens are kept.
+ *
+ * @param {SMBConnection} connection
+ */
+LockManager.prototype.releaseConnection = function (connection) {
+  this.releaseLocks({ connection: connection }, null);
+};
+
+LockManager.prototype.releaseLocks = function (predicate, status) {
+  var self = this;
+  this.cancelWaiting(predicate, status);
+  _.forEach(_.keys(this.locks), function (key) {
+    var released = _.remove(self.locks[key], predicate);
+    if (!self.locks[key].length) {
+      delete self.locks[key];
+    }
+    if (released.length) {
+      logger.debug('released %d locks on %s', released.length, key);
+      self.retry(key);
+    }
+  });
+};
+
+function isSameOwner(lock, owner) {
+  return lock.fid === owner.fid && lock.pid === owner.pid;
+}
+
+module.exports.WAIT_INFINITE = WAIT_INFINITE;
+module.exports.LockManager = LockManager;
+module.exports.isValidRange = isValidRange;
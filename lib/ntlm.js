@@ -283,12 +283,90 @@ function validateNTLMv2Response(ntlm2Response, ntlmHash, userName, domainName, c
   return utils.bufferEquals(resp, ntlm2Response);
 }
 
+/**
+ * Returns the 16-byte session base key established by a successful NTLM or NTLMv2 authentication.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/cc236700.aspx
+ *
+ * @param {Buffer} ntlmResponse NTLM or NTLMv2 response sent by the client
+ * @param {Buffer} ntlmHash
+ * @param {String} userName
+ * @param {String} domainName
+ * @return {Buffer} session base key or null if it cannot be determined
+ */
+function calculateSessionBaseKey(ntlmResponse, ntlmHash, userName, domainName) {
+  if (ntlmResponse.length === 24) {
+    // NTLM
+    return crypto.createHash('md4').update(ntlmHash).digest();
+  }
+  if (ntlmResponse.length >= 16 + MIN_BLOB_SIZE) {
+    // NTLMv2: HMAC_MD5(NTOWFv2, NTProofStr)
+    var hash = createNTLM2Hash(ntlmHash, userName, domainName);
+    return crypto.createHmac('md5', hash).update(ntlmResponse.slice(0, 16)).digest();
+  }
+  return null;
+}
+
+/**
+ * RC4 stream cipher (used for NTLMSSP key exchange).
+ * Implemented here since RC4 is not necessarily provided by the crypto module
+ * (e.g. OpenSSL 3.x moved it to the 'legacy' provider).
+ *
+ * @param {Buffer} key
+ * @param {Buffer} data
+ * @return {Buffer} encrypted/decrypted data
+ */
+function rc4(key, data) {
+  var s = [];
+  var i, j, t;
+  for (i = 0; i < 256; i++) {
+    s[i] = i;
+  }
+  for (i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+  }
+  var result = new Buffer(data.length);
+  i = 0;
+  j = 0;
+  for (var n = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+    result[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return result;
+}
+
+/**
+ * Returns the exported session key, i.e. the key used for signing/sealing.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/cc236676.aspx
+ *
+ * @param {Buffer} keyExchangeKey key exchange key (session base key)
+ * @param {Buffer} encryptedRandomSessionKey encrypted random session key sent by the client (NTLMSSP_NEGOTIATE_KEY_EXCH only)
+ * @return {Buffer} exported session key
+ */
+function calculateExportedSessionKey(keyExchangeKey, encryptedRandomSessionKey) {
+  if (!encryptedRandomSessionKey || !encryptedRandomSessionKey.length) {
+    return keyExchangeKey;
+  }
+  return rc4(keyExchangeKey, encryptedRandomSessionKey);
+}
+
 module.exports.createChallenge = createChallenge;
 // helpers
 module.exports.validateLMResponse = validateLMResponse;
 module.exports.validateLMv2Response = validateLMv2Response;
 module.exports.validateNTLMResponse = validateNTLMResponse;
 module.exports.validateNTLMv2Response = validateNTLMv2Response;
+module.exports.calculateSessionBaseKey = calculateSessionBaseKey;
+module.exports.calculateExportedSessionKey = calculateExportedSessionKey;
+module.exports.rc4 = rc4;
 
 module.exports.lm = {
   createHash: createLMHash,
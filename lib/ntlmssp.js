@@ -213,6 +213,9 @@ function createChallengeMessage(negotiateFlags, challenge, targetName, domainNam
   var targetInfoOffset = targetNameOffset + targetNameLen;
 
   var supportedFlags = consts.NTLMSSP_NEGOTIATE_128
+    | consts.NTLMSSP_NEGOTIATE_KEY_EXCH
+    | consts.NTLMSSP_NEGOTIATE_SIGN
+    | consts.NTLMSSP_NEGOTIATE_ALWAYS_SIGN
     | consts.NTLMSSP_NEGOTIATE_VERSION
     | consts.NTLMSSP_NEGOTIATE_NTLM
     | consts.NTLMSSP_REQUEST_TARGET
@@ -318,6 +321,7 @@ function parseAuthenticateMessage(buf) {
   msg.user = buf.slice(userOffset, userOffset + userLength).toString('utf16le');
   msg.domain = buf.slice(domainOffset, domainOffset + domainLength).toString('utf16le');
   msg.workstation = buf.slice(workstationOffset, workstationOffset + workstationLength).toString('utf16le');
+  msg.encryptedRandomSessionKey = buf.slice(sessionKeyOffset, sessionKeyOffset + sessionKeyLength);
 
   return msg;
 }
@@ -26,31 +26,59 @@ consts.STATUS_SMB_BAD_FID = 0x00060001; // Invalid FID.
 consts.STATUS_SMB_BAD_UID = 0x005b0002; // The UID specified is not known as a valid ID on this server session.
 consts.STATUS_SMB_BAD_COMMAND = 0x00160002; // An unknown SMB command code was received by the server.
 consts.STATUS_OS2_INVALID_LEVEL = 0x007c0001; // Invalid information level.
+consts.STATUS_PENDING = 0x00000103; // The operation that was requested is pending completion.
+consts.STATUS_NOTIFY_CLEANUP = 0x0000010b; // Indicates that a notify change request has been completed due to closing the handle that made the notify change request.
+consts.STATUS_NOTIFY_ENUM_DIR = 0x0000010c; // Indicates that a notify change request is being completed and that the information is not being returned in the caller's buffer. The caller now needs to enumerate the files to find the changes.
+consts.STATUS_BUFFER_OVERFLOW = 0x80000005; // The data was too large to fit into the specified buffer.
+consts.STATUS_NO_MORE_FILES = 0x80000006; // No more files were found which match the file specification.
+consts.STATUS_STOPPED_ON_SYMLINK = 0x8000002d; // The create operation stopped after reaching a symbolic link.
 consts.STATUS_UNSUCCESSFUL = 0xc0000001;  // General error.
 consts.STATUS_NOT_IMPLEMENTED = 0xc0000002; // Unrecognized SMB command code.
+consts.STATUS_INVALID_INFO_CLASS = 0xc0000003; // The specified information class is not a valid information class for the specified object.
+consts.STATUS_INFO_LENGTH_MISMATCH = 0xc0000004; // The specified information record length does not match the length that is required for the specified information class.
 consts.STATUS_INVALID_HANDLE = 0xc0000008;  // Invalid FID.
+consts.STATUS_INVALID_DEVICE_REQUEST = 0xc0000010; // The specified request is not a valid operation for the target device.
 consts.STATUS_END_OF_FILE = 0xc0000011;  // Attempted to read beyond the end of the file..
 consts.STATUS_INVALID_PARAMETER = 0xc000000d; // A parameter supplied with the message is invalid.
 consts.STATUS_NO_SUCH_FILE = 0xc000000f;  // File not found.
 consts.STATUS_MORE_PROCESSING_REQUIRED = 0xc0000016;  // There is more data available to read on the designated named pipe.
 consts.STATUS_ACCESS_DENIED = 0xc0000022; // Access denied.
+consts.STATUS_BUFFER_TOO_SMALL = 0xc0000023; // The buffer is too small to contain the entry. No information has been written to the buffer.
+consts.STATUS_OBJECT_NAME_INVALID = 0xc0000033; // The object name is invalid.
 consts.STATUS_OBJECT_NAME_NOT_FOUND = 0xc0000034; // File not found.
 consts.STATUS_OBJECT_NAME_COLLISION = 0xc0000035; // An attempt to create a file or directory failed because an object with the same pathname already exists.
 consts.STATUS_OBJECT_PATH_NOT_FOUND = 0xc000003a; // File not found.
 consts.STATUS_EAS_NOT_SUPPORTED = 0xc000004f; // The server file system does not support Extended Attributes.
 consts.STATUS_EA_TOO_LARGE = 0xc0000050;  // Either there are no extended attributes, or the available extended attributes did not fit into the response.
+consts.STATUS_FILE_LOCK_CONFLICT = 0xc0000054; // A requested read/write cannot be granted due to a conflicting file lock.
+consts.STATUS_LOCK_NOT_GRANTED = 0xc0000055; // A requested file lock cannot be granted due to other existing locks.
 consts.STATUS_WRONG_PASSWORD = 0xc000006a;  // Invalid password.
 consts.STATUS_LOGON_FAILURE = 0xc000006d;
+consts.STATUS_RANGE_NOT_LOCKED = 0xc000007e; // The range specified in an unlock request was not locked.
+consts.STATUS_MEDIA_WRITE_PROTECTED = 0xc00000a2; // The media is write protected.
 consts.STATUS_IO_TIMEOUT = 0xc00000b5;  // Operation timed out.
 consts.STATUS_FILE_IS_A_DIRECTORY = 0xc00000ba;
 consts.STATUS_NOT_SUPPORTED = 0xc00000bb;
 consts.STATUS_UNEXPECTED_NETWORK_ERROR = 0xc00000c4;  // Operation timed out.
+consts.STATUS_NETWORK_NAME_DELETED = 0xc00000c9; // The network name was deleted, i.e. the TreeId is not valid.
 consts.STATUS_NETWORK_ACCESS_DENIED = 0xc00000ca; // Access denied. The specified UID does not have permission to execute the requested command within the current context (TID).
 consts.STATUS_BAD_DEVICE_TYPE = 0xc00000cb; // Resource type invalid. Value of Service field in the request was invalid.
 consts.STATUS_BAD_NETWORK_NAME = 0xc00000cc;  // Invalid server name in Tree Connect.
 consts.STATUS_TOO_MANY_SESSIONS = 0xc00000ce; // Too many UIDs active for this SMB connection.
 consts.STATUS_REQUEST_NOT_ACCEPTED = 0xc00000d0;  // No resources currently available for this SMB request.
+consts.STATUS_INVALID_OPLOCK_PROTOCOL = 0xc00000e3; // An error status returned when an invalid oplock acknowledgment is received by the server.
 consts.STATUS_NOT_A_DIRECTORY = 0xc0000103;
+consts.STATUS_CANCELLED = 0xc0000120; // The I/O request was canceled.
+consts.STATUS_FILE_CLOSED = 0xc0000128; // An I/O request other than close was performed on a file after it was closed, i.e. the FileId is not valid.
+consts.STATUS_INVALID_LOCK_RANGE = 0xc00001a1; // A requested file lock operation cannot be processed due to an invalid byte range.
+consts.STATUS_USER_SESSION_DELETED = 0xc0000203;  // The remote user session has been deleted.
+consts.STATUS_NOT_FOUND = 0xc0000225; // The object was not found.
+consts.STATUS_PATH_NOT_COVERED = 0xc0000257; // The path refers to a DFS link; the client has to ask for a referral.
+consts.STATUS_NOT_A_REPARSE_POINT = 0xc0000275; // The NTFS file or directory is not a reparse point.
+consts.STATUS_IO_REPARSE_DATA_INVALID = 0xc0000278; // The data present in the reparse point buffer is invalid.
+consts.STATUS_IO_REPARSE_TAG_NOT_HANDLED = 0xc0000279; // The tag present in the reparse point buffer is not supported.
+consts.STATUS_REPARSE_POINT_NOT_RESOLVED = 0xc0000280; // The reparse point could not be resolved (e.g. too many levels of symbolic links).
+consts.STATUS_SMB_NO_PREAUTH_INTEGRITY_HASH_OVERLAP = 0xc05d0000; // The client and server have no common pre-authentication integrity hash algorithm.
 consts.STATUS_SMB_NO_SUPPORT = 0xffff0002;  // Function not supported by the server.
 
 consts.STATUS_TO_STRING = _.reduce(
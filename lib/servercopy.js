@@ -0,0 +1,331 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var async = require('async');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('./ntstatus');
+var SMBError = require('./smberror');
+var utils = require('./utils');
+
+/**
+ * Server-side copy (FSCTL_SRV_REQUEST_RESUME_KEY, FSCTL_SRV_COPYCHUNK and FSCTL_SRV_COPYCHUNK_WRITE)
+ * shared by the SMB1 and SMB2 handlers (see MS-SMB 2.2.7.2 and MS-SMB2 3.3.5.15.6).
+ */
+
+// server-side copy limits (see MS-SMB2 3.3.3)
+var MAX_CHUNK_COUNT = 256;
+var MAX_CHUNK_SIZE = 1048576;
+var MAX_TOTAL_SIZE = 16777216;
+
+var RESUME_KEY_LENGTH = 24;
+// size of the fixed part of a SRV_COPYCHUNK_COPY request
+var COPYCHUNK_HEADER_LENGTH = 32;
+// size of a SRV_COPYCHUNK entry
+var CHUNK_LENGTH = 24;
+
+/**
+ * Decodes a SRV_COPYCHUNK_COPY request.
+ *
+ * @param {Buffer} buf - FSCTL input data
+ * @return {Object} an object with the sourceKey and the chunks (<code>{sourceOffset, targetOffset, length}</code>)
+ *                  or null if the request is malformed
+ */
+function decodeCopyChunkRequest(buf) {
+  if (buf.length < COPYCHUNK_HEADER_LENGTH) {
+    return null;
+  }
+  var params = binary.parse(buf)
+    .buffer('sourceKey', RESUME_KEY_LENGTH)
+    .word32le('chunkCount')
+    .skip(4)  // Reserved
+    .vars;
+  if (buf.length < COPYCHUNK_HEADER_LENGTH + params.chunkCount * CHUNK_LENGTH) {
+    return null;
+  }
+  var chunks = [];
+  for (var i = 0; i < params.chunkCount; i++) {
+    var off = COPYCHUNK_HEADER_LENGTH + i * CHUNK_LENGTH;
+    chunks.push({
+      sourceOffset: Long.fromBits(buf.readUInt32LE(off), buf.readUInt32LE(off + 4), true).toNumber(),
+      targetOffset: Long.fromBits(buf.readUInt32LE(off + 8), buf.readUInt32LE(off + 12), true).toNumber(),
+      length: buf.readUInt32LE(off + 16)
+    });
+  }
+  return {
+    sourceKey: params.sourceKey,
+    chunks: chunks
+  };
+}
+
+/**
+ * Encodes a SRV_COPYCHUNK_RESPONSE.
+ *
+ * @param {Object} result - an object with chunksWritten, chunkBytesWritten and totalBytesWritten
+ * @return {Buffer} FSCTL output data
+ */
+function encodeCopyChunkResponse(result) {
+  return put()
+    .word32le(result.chunksWritten) // ChunksWritten
+    .word32le(result.chunkBytesWritten) // ChunkBytesWritten
+    .word32le(result.totalBytesWritten) // TotalBytesWritten
+    .buffer();
+}
+
+/**
+ * Encodes a SRV_REQUEST_RESUME_KEY response.
+ *
+ * @param {Buffer} resumeKey - 24-byte resume key
+ * @return {Buffer} FSCTL output data
+ */
+function encodeResumeKeyResponse(resumeKey) {
+  return put()
+    .put(resumeKey) // ResumeKey
+    .word32le(0)  // ContextLength
+    .buffer();
+}
+
+/**
+ * Checks whether a copychunk request is within the server-side copy limits.
+ *
+ * @param {Object[]} chunks - decoded chunks
+ * @return {Object} null if the request is valid, otherwise the limits to be returned to the client
+ *                  (encoded as SRV_COPYCHUNK_RESPONSE along with STATUS_INVALID_PARAMETER)
+ */
+function checkLimits(chunks) {
+  var total = 0;
+  var valid = chunks.length <= MAX_CHUNK_COUNT && _.every(chunks, function (chunk) {
+    total += chunk.length;
+    return chunk.length > 0 && chunk.length <= MAX_CHUNK_SIZE;
+  }) && total <= MAX_TOTAL_SIZE;
+  if (valid) {
+    return null;
+  }
+  return {
+    chunksWritten: MAX_CHUNK_COUNT,
+    chunkBytesWritten: MAX_CHUNK_SIZE,
+    totalBytesWritten: MAX_TOTAL_SIZE
+  };
+}
+
+/**
+ * Returns true if the chunks copy data to the same offsets of the target.
+ */
+function isSameOffsets(chunks) {
+  return _.every(chunks, function (chunk) {
+    return chunk.sourceOffset === chunk.targetOffset;
+  });
+}
+
+/**
+ * Returns true if the chunks copy a contiguous range starting at the beginning of the source.
+ */
+function isContiguousFromStart(chunks) {
+  var expected = 0;
+  return _.every(chunks, function (chunk) {
+    var valid = chunk.sourceOffset === expected;
+    expected += chunk.length;
+    return valid;
+  });
+}
+
+/**
+ * Handles server-side copies. Resume keys are derived from the fid of the source open
+ * and authenticated with a server secret, i.e. no state needs to be kept per key.
+ *
+ * Whole file copies within a share are delegated to the backend's (optional) <code>Tree.copy</code>
+ * implementation, all other copies are performed chunk by chunk using read/write.
+ *
+ * @param {SMBServer} server - an SMBServer instance
+ * @constructor
+ */
+function ServerCopy(server) {
+  this.server = server;
+  this.secret = crypto.randomBytes(32);
+}
+
+/**
+ * Returns the resume key identifying an open as source of a server-side copy.
+ *
+ * @param {SMBFile} file - source open
+ * @return {Buffer} 24-byte resume key
+ */
+ServerCopy.prototype.getResumeKey = function (file) {
+  var fid = put().word32le(file.getId()).pad(4).buffer();
+  var mac = crypto.createHmac('sha256', this.secret).update(fid).digest().slice(0, RESUME_KEY_LENGTH - fid.length);
+  return Buffer.concat([ fid, mac ]);
+};
+
+/**
+ * Looks up the source open of a server-side copy.
+ *
+ * @param {Buffer} resumeKey - resume key returned by <code>getResumeKey</code>
+ * @return {SMBFile} the source open or null if the key is invalid or the open has been closed
+ */
+ServerCopy.prototype.getSourceFile = function (resumeKey) {
+  if (resumeKey.length !== RESUME_KEY_LENGTH) {
+    return null;
+  }
+  var fid = resumeKey.readUInt32LE(0);
+  var file = null;
+  _.find(this.server.trees, function (tree) {
+    file = tree.getFile(fid);
+    return !!file;
+  });
+  if (!file || !utils.bufferEquals(this.getResumeKey(file), resumeKey)) {
+    return null;
+  }
+  return file;
+};
+
+/**
+ * Copies chunks of data from a source to a target open.
+ *
+ * @param {SMBFile} srcFile - source open
+ * @param {SMBFile} destFile - target open
+ * @param {Object[]} chunks - decoded chunks
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Object} cb.result an object with chunksWritten, chunkBytesWritten and totalBytesWritten
+ */
+ServerCopy.prototype.copyChunks = function (srcFile, destFile, chunks, cb) {
+  var self = this;
+  var result = {
+    chunksWritten: 0,
+    chunkBytesWritten: 0,
+    totalBytesWritten: 0
+  };
+  var total = _.sumBy(chunks, 'length');
+
+  function copied() {
+    result.chunksWritten = chunks.length;
+    result.totalBytesWritten = total;
+    cb(null, result);
+  }
+
+  var sameShare = srcFile.getTree().getShare() === destFile.getTree().getShare();
+  var srcSize = srcFile.getDataSize();
+  if (sameShare && isSameOffsets(chunks)) {
+    if (destFile.copySource === srcFile.getPath() && _.every(chunks, function (chunk) {
+      return chunk.sourceOffset + chunk.length <= srcSize;
+    })) {
+      // the entire file has already been copied by the backend on the first request
+      copied();
+      return;
+    }
+    // only delegate to the backend if the client obviously copies the entire file
+    // (Windows clients extend the target to the size of the source before copying)
+    // and no locked ranges are involved
+    var locks = this.server.locks;
+    if (isContiguousFromStart(chunks) && (total === srcSize || destFile.getDataSize() === srcSize)
+      && locks.checkRead(srcFile, 0, 0, srcSize) && locks.checkWrite(destFile, 0, 0, srcSize)) {
+      this.copyFile(srcFile, destFile, function (err, handled) {
+        if (err) {
+          cb(err);
+        } else if (handled) {
+          copied();
+        } else {
+          self.copyChunksByReadWrite(srcFile, destFile, chunks, result, cb);
+        }
+      });
+      return;
+    }
+  }
+  this.copyChunksByReadWrite(srcFile, destFile, chunks, result, cb);
+};
+
+/**
+ * Copies the entire source file using the backend's <code>Tree.copy</code> implementation.
+ *
+ * @param {SMBFile} srcFile - source open
+ * @param {SMBFile} destFile - target open
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Boolean} cb.handled false if the backend doesn't support native copies
+ */
+ServerCopy.prototype.copyFile = function (srcFile, destFile, cb) {
+  var tree = destFile.getTree();
+  var srcPath = srcFile.getPath();
+  var destPath = destFile.getPath();
+  tree.copy(srcPath, destPath, function (err) {
+    if (err) {
+      if (err.status === ntstatus.STATUS_NOT_IMPLEMENTED) {
+        cb(null, false);
+      } else {
+        cb(err);
+      }
+      return;
+    }
+    logger.debug('copied %s to %s using the backend', srcPath, destPath);
+    destFile.refresh(function (err) {
+      if (err) {
+        cb(err);
+        return;
+      }
+      // remember the source in order to skip the subsequent copychunk requests of this copy
+      destFile.copySource = srcPath;
+      cb(null, true);
+    });
+  });
+};
+
+/**
+ * Copies chunks of data from a source to a target open using read and write.
+ */
+ServerCopy.prototype.copyChunksByReadWrite = function (srcFile, destFile, chunks, result, cb) {
+  var locks = this.server.locks;
+  async.eachSeries(chunks,
+    function (chunk, callback) {
+      if (!locks.checkRead(srcFile, 0, chunk.sourceOffset, chunk.length)
+        || !locks.checkWrite(destFile, 0, chunk.targetOffset, chunk.length)) {
+        callback(new SMBError(ntstatus.STATUS_FILE_LOCK_CONFLICT));
+        return;
+      }
+      var buf = new Buffer(chunk.length);
+      srcFile.read(buf, 0, chunk.length, chunk.sourceOffset, function (err, bytesRead) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        destFile.write(buf.slice(0, bytesRead), chunk.targetOffset, function (err) {
+          if (err) {
+            callback(err);
+            return;
+          }
+          result.chunksWritten++;
+          result.totalBytesWritten += bytesRead;
+          callback();
+        });
+      });
+    },
+    function (err) {
+      cb(err, result);
+    }
+  );
+};
+
+module.exports.MAX_CHUNK_COUNT = MAX_CHUNK_COUNT;
+module.exports.MAX_CHUNK_SIZE = MAX_CHUNK_SIZE;
+module.exports.MAX_TOTAL_SIZE = MAX_TOTAL_SIZE;
+module.exports.ServerCopy = ServerCopy;
+module.exports.decodeCopyChunkRequest = decodeCopyChunkRequest;
+module.exports.encodeCopyChunkResponse = encodeCopyChunkResponse;
+module.exports.encodeResumeKeyResponse = encodeResumeKeyResponse;
+module.exports.checkLimits = checkLimits;
@@ -72,6 +72,9 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     file.setLastModifiedTime(lastTimeModified * 1000);
   }
 
+  // release byte-range locks held by this open
+  server.locks.release(fid);
+
   // close file
   tree.closeFile(fid, function (err) {
     if (err) {
@@ -14,6 +14,7 @@
 
 var put = require('put');
 var binary = require('binary');
+var Long = require('long');
 var logger = require('winston').loggers.get('smb');
 var _ = require('lodash');
 
@@ -86,44 +87,113 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
-  // todo implement locking
+  var unlocks = _.map(msg.unlocks, toRange);
+  var locks = _.map(msg.locks, function (range) {
+    return _.assign(toRange(range), { exclusive: !(msg.typeOfLock & SMB.SHARED_LOCK) });
+  });
 
-  // build result
+  function buildResult(status) {
+    if (status !== ntstatus.STATUS_SUCCESS) {
+      return {
+        status: status,
+        params: utils.EMPTY_BUFFER,
+        data: utils.EMPTY_BUFFER
+      };
+    }
+    // params
+    var out = put();
+    out.word8(commandParams.readUInt8(0)) // andX next cmd id
+      .word8(0) // andX reserved
+      .word16le(commandParams.readUInt16LE(2));  // andX offset (needs to be recalculated by caller!)
+    var params = out.buffer();
 
-  // params
-  var out = put();
-  out.word8(commandParams.readUInt8(0)) // andX next cmd id
-    .word8(0) // andX reserved
-    .word16le(commandParams.readUInt16LE(2));  // andX offset (needs to be recalculated by caller!)
-  var params = out.buffer();
+    // return result
+    return {
+      status: ntstatus.STATUS_SUCCESS,
+      params: params,
+      data: utils.EMPTY_BUFFER
+    };
+  }
 
-  // return result
-  result = {
-    status: ntstatus.STATUS_SUCCESS,
-    params: params,
-    data: utils.EMPTY_BUFFER
-  };
+  if (msg.typeOfLock & SMB.CHANGE_LOCKTYPE) {
+    // atomic lock type changes are not supported
+    result = buildResult(ntstatus.STATUS_NOT_SUPPORTED);
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  if (msg.typeOfLock & SMB.CANCEL_LOCK) {
+    // cancel the pending lock requests of this fid/pid matching the specified ranges
+    _.forEach(locks, function (range) {
+      server.locks.cancelWaiting(function (request) {
+        return request.fid === msg.fid && request.pid === range.pid && _.some(request.ranges, function (r) {
+          return r.offset.equals(range.offset) && r.length.equals(range.length);
+        });
+      }, ntstatus.STATUS_CANCELLED);
+    });
+    result = buildResult(ntstatus.STATUS_SUCCESS);
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  // unlocks are processed before locks
+  var status = ntstatus.STATUS_SUCCESS;
+  _.every(unlocks, function (range) {
+    status = server.locks.unlock(file, range.pid, range.offset, range.length);
+    return status === ntstatus.STATUS_SUCCESS;
+  });
+  if (status !== ntstatus.STATUS_SUCCESS || !locks.length) {
+    result = buildResult(status);
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  // the locks of a request are owned by the same process
+  var request = server.locks.lock(file, locks[0].pid, locks, msg.timeout, connection, function (status) {
+    if (status === null) {
+      // connection has been closed: no response
+      cb(null);
+      return;
+    }
+    logger.debug('[%s] completed pending lock request on fid %d: %s', SMB.COMMAND_TO_STRING[commandId].toUpperCase(), msg.fid, ntstatus.STATUS_TO_STRING[status]);
+    cb(buildResult(status));
+  });
+  if (request.status === ntstatus.STATUS_PENDING) {
+    // identifies the request for NT_CANCEL; the response will be sent once the request completes
+    request.mid = msg.header.mid;
+    return;
+  }
+  result = buildResult(request.status);
   process.nextTick(function () { cb(result); });
 }
 
+function toRange(range) {
+  return {
+    pid: range.pid,
+    offset: range.byteOffset !== undefined ? Long.fromNumber(range.byteOffset, true) : Long.fromBits(range.byteOffsetLow, range.byteOffsetHigh, true),
+    length: range.lengthInBytes !== undefined ? Long.fromNumber(range.lengthInBytes, true) : Long.fromBits(range.lengthInBytesLow, range.lengthInBytesHigh, true)
+  };
+}
+
 function parseRanges(parser, count, largeFiles) {
+  // note: the parser's vars are reused, i.e. every range needs to be copied
   var result = [];
   while (count-- > 0) {
     if (largeFiles) {
       // 64bit offset & length
-      result.push(parser.word16le('pid')
+      result.push(_.pick(parser.word16le('pid')
         .skip(2)
         .word32le('byteOffsetHigh')
         .word32le('byteOffsetLow')
         .word32le('lengthInBytesHigh')
         .word32le('lengthInBytesLow')
-        .vars);
+        .vars, [ 'pid', 'byteOffsetHigh', 'byteOffsetLow', 'lengthInBytesHigh', 'lengthInBytesLow' ]));
     } else {
       // 32bit offset & length
-      result.push(parser.word16le('pid')
+      result.push(_.pick(parser.word16le('pid')
         .word32le('byteOffset')
         .word32le('lengthInBytes')
-        .vars);
+        .vars, [ 'pid', 'byteOffset', 'lengthInBytes' ]));
     }
   }
   return result;
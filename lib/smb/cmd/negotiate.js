@@ -12,7 +12,6 @@
 
 'use strict';
 
-var put = require('put');
 var binary = require('binary');
 var Long = require('long');
 var logger = require('winston').loggers.get('smb');
@@ -23,6 +22,7 @@ var utils = require('../../utils');
 var smb2 = require('../../smb2/handler');
 var smb2Message = require('../../smb2/message');
 var SMB2 = require('../../smb2/constants');
+var negotiate = require('../../smb2/negotiate');
 
 var ZERO = new Buffer([ 0 ]);
 
@@ -79,40 +79,23 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
 
   var result;
 
-  // SMB2 handshake?
-  if (!!server.config['smb2Support'] && msg.dialects.indexOf(SMB.DIALECT_SMB_2_X) > -1) {
-    // handcraft an smb2 negotiate response
-    // todo refactor into reusable separate function
+  // multi-protocol negotiate: upgrade to SMB2 (see MS-SMB2 3.3.5.3)
+  var smb2Dialect = selectSMB2Dialect(msg.dialects, server);
+  if (smb2Dialect) {
     var buf = new Buffer(SMB2.HEADER_LENGTH);
     buf.fill(0);
     var smb2Msg = smb2Message.decode(buf);
     smb2Msg.protocolId = SMB2.PROTOCOL_ID;
     smb2Msg.header.flags.reply = true;
     smb2Msg.header.commandId = SMB2.STRING_TO_COMMAND['negotiate'];
-    smb2Msg.header.creditReqRes = 1;
-
-    var systemTime = utils.systemToSMBTime(Date.now());
-    var startTime = utils.systemToSMBTime(server.getStartTime());
-    var securityBuffer = utils.EMPTY_BUFFER;
-    var out = put();
-    out.word16le(0x0041)  // StructureSize (fixed according to spec)
-      .word16le(0) // SecurityMode
-      .word16le(SMB2.SMB_2_X_X) // DialectRevision
-      .word16le(0)  // NegotiateContextCount/Reserved
-      .put(server.getGuid())  // ServerGuid
-      .word32le(0) // Capabilities
-      .word32le(0x00100000) // MaxTransactSize
-      .word32le(0x00100000) // MaxReadSize
-      .word32le(0x00100000) // MaxWriteSize
-      .word32le(systemTime.getLowBitsUnsigned())  // SystemTime
-      .word32le(systemTime.getHighBitsUnsigned())
-      .word32le(startTime.getLowBitsUnsigned())  // ServerStartTime
-      .word32le(startTime.getHighBitsUnsigned())
-      .word16le(SMB2.HEADER_LENGTH + 64)  // SecurityBufferOffset
-      .word16le(securityBuffer.length)  // SecurityBufferLength
-      .word32le(0)  // NegotiateContextOffset/Reserved2
-      .put(securityBuffer); // SecurityBuffer
-    smb2Msg.body = out.buffer();
+    // the response consumes MessageId 0 and grants a single credit
+    connection.credits.consume(smb2Msg.header.messageId, 1);
+    smb2Msg.header.creditReqRes = connection.credits.grant(1, 1);
+    if (smb2Dialect === SMB2.SMB_2_0_2) {
+      // no subsequent SMB2 NEGOTIATE, the dialect has been negotiated
+      connection.dialect = smb2Dialect;
+    }
+    smb2Msg.body = negotiate.buildResponse(smb2Dialect, 0, [], connection, server);
     smb2.sendResponse(smb2Msg, ntstatus.STATUS_SUCCESS, connection, server, function (err) {
       if (err) {
         logger.error('failed to send SMB2 negotiate response', err);
@@ -123,16 +106,19 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
-  var idx = msg.dialects.indexOf(SMB.DIALECT_NT_LM_0_12);
+  var idx = server.isSMB1Enabled() ? msg.dialects.indexOf(SMB.DIALECT_NT_LM_0_12) : -1;
 
   // send response
 
   if (idx === -1) {
     // couldn't agree on a dialect
+    logger.debug('[%s] no common dialect (SMB1 %s)', SMB.COMMAND_TO_STRING[commandId].toUpperCase(), server.isSMB1Enabled() ? 'enabled' : 'disabled');
+    var noDialect = new Buffer(2);
+    noDialect.writeUInt16LE(0xffff, 0);
     result = {
       status: ntstatus.STATUS_SUCCESS,
-      params: new Buffer(2).writeUint16LE(0xffff),
-      data: commandData
+      params: noDialect,
+      data: utils.EMPTY_BUFFER
     };
     process.nextTick(function () { cb(result); });
     return;
@@ -145,6 +131,9 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     SMB.CAP_LARGE_READX | SMB.CAP_LARGE_WRITEX |
     //SMB.CAP_LWIO |
     SMB.CAP_LOCK_AND_READ;
+  if (server.isDfsEnabled()) {
+    capabilities |= SMB.CAP_DFS;
+  }
 
   var extendedSecurity = false;
   if (server.config.extendedSecurity) {
@@ -235,4 +224,27 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   process.nextTick(function () { cb(result); });
 }
 
+/**
+ * Selects the SMB2 dialect to be returned in response to a SMB1 NEGOTIATE request offering SMB2 dialects
+ * (see MS-SMB2 3.3.5.3.1). Unless the enabled protocols are configured explicitly, the upgrade to SMB2
+ * requires the legacy <code>smb2Support</code> configuration.
+ *
+ * @param {String[]} dialects - dialect strings offered by the client
+ * @param {Object} server - an SMBServer instance
+ * @return {Number} <code>SMB_2_X_X</code> (the client continues with a SMB2 NEGOTIATE), <code>SMB_2_0_2</code>
+ *                  or null if the client should not be upgraded
+ */
+function selectSMB2Dialect(dialects, server) {
+  if (!server.config.protocols && !server.config.smb2Support) {
+    return null;
+  }
+  if (dialects.indexOf(SMB.DIALECT_SMB_2_X) > -1 && server.protocols.max >= SMB2.SMB_2_1_0) {
+    return SMB2.SMB_2_X_X;
+  }
+  if (dialects.indexOf(SMB.DIALECT_SMB_2_002) > -1 && negotiate.isEnabled(SMB2.SMB_2_0_2, server)) {
+    return SMB2.SMB_2_0_2;
+  }
+  return null;
+}
+
 module.exports = handle;
\ No newline at end of file
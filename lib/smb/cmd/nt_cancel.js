@@ -15,6 +15,7 @@
 var put = require('put');
 var logger = require('winston').loggers.get('smb');
 
+var ntstatus = require('../../ntstatus');
 var SMB = require('../constants');
 
 /**
@@ -44,6 +45,8 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   if (tree) {
     tree.cancelChangeListener(msg.header.mid);
   }
+  // pending lock requests are completed with STATUS_CANCELLED
+  server.locks.cancelWaiting({ connection: connection, mid: msg.header.mid }, ntstatus.STATUS_CANCELLED);
 
   // "The server MUST NOT send a corresponding response for this request."
   // no further processing required by the caller
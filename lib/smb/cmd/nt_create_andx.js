@@ -103,7 +103,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       var parent = tree.getFile(msg.rootDirectoryFID);
       // todo evaluate/handle rootDirectoryFID, i.e. resolve filename relative to specified parent directory
     }
-    tree.openOrCreate(msg.fileName, msg.createDisposition, !!(msg.createOptions & common.FILE_DIRECTORY_FILE), callback);
+    tree.openOrCreate(msg.fileName, msg.createDisposition, !!(msg.createOptions & common.FILE_DIRECTORY_FILE), !!(msg.createOptions & common.FILE_OPEN_REPARSE_POINT), callback);
   }
 
   function buildResult(file, callback) {
@@ -135,7 +135,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       .word16le(file.getTree().getShare().isNamedPipe() ? SMB.FILE_TYPE_MESSAGEMODEPIPE : SMB.FILE_TYPE_DISK);  // ResourceType
     if (msg.flags & NT_CREATE_REQUEST_EXTENDED_RESPONSE) {
       // MS-SMB v1.0
-      out.word16le(NO_EAS | NO_SUBSTREAMS | NO_REPARSETAG)  // FileStatusFlags
+      out.word16le(NO_EAS | NO_SUBSTREAMS | (file.isSymbolicLink() ? 0 : NO_REPARSETAG))  // FileStatusFlags
         .word8(file.isDirectory() ? 1 : 0)  // Directory
         .put(utils.ZERO_GUID)  // VolumeGUID
         .word64le(0)  // FileId
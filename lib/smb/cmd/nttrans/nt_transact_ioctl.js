@@ -0,0 +1,206 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+var binary = require('binary');
+var put = require('put');
+
+var ntstatus = require('../../../ntstatus');
+var SMB = require('../../constants');
+var utils = require('../../../utils');
+var servercopy = require('../../../servercopy');
+var snapshots = require('../../../snapshots');
+var symlinks = require('../../../symlinks');
+
+/**
+ * NT_TRANSACT_IOCTL (0x0002): This command allows device and file system control functions to be transferred
+ * transparently from client to server. Only the server-side copy and the snapshot enumeration FSCTLs
+ * are supported (see MS-SMB 2.2.7.2).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} commandParams - the command parameters
+ * @param {Buffer} commandData - the command data
+ * @param {Number} commandParamsOffset - the command parameters offset within the SMB
+ * @param {Number} commandDataOffset - the command data offset within the SMB
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result params and data
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.params
+ * @param {Buffer} cb.result.data
+ */
+function handle(msg, commandId, commandParams, commandData, commandParamsOffset, commandDataOffset, connection, server, cb) {
+  // decode setup
+  var parser = binary.parse(msg.setup);
+  var setup = parser.word32le('functionCode')
+    .word16le('fid')
+    .word8le('isFsctl')
+    .word8le('isFlags')
+    .vars;
+
+  var tree = server.getTree(msg.header.tid);
+  var fileName = tree && tree.getFile(setup.fid) && tree.getFile(setup.fid).getName() || '';
+
+  logger.debug('[%s] functionCode: 0x%s, fid: %d [fileName: %s], isFsctl: %d', SMB.NTTRANS_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), setup.functionCode.toString(16), setup.fid, fileName, setup.isFsctl);
+
+  var result;
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_SMB_BAD_TID,
+      params: utils.EMPTY_BUFFER,
+      data: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var file = tree.getFile(setup.fid);
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_SMB_BAD_FID,
+      params: utils.EMPTY_BUFFER,
+      data: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  if (!setup.isFsctl) {
+    result = {
+      status: ntstatus.STATUS_NOT_SUPPORTED,
+      params: utils.EMPTY_BUFFER,
+      data: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  function done(status, data) {
+    if (status !== ntstatus.STATUS_SUCCESS) {
+      cb({
+        status: status,
+        params: utils.EMPTY_BUFFER,
+        data: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+    cb({
+      status: status,
+      params: utils.EMPTY_BUFFER,
+      data: data,
+      setup: put().word16le(data.length).buffer()
+    });
+  }
+
+  switch (setup.functionCode) {
+    case SMB.FSCTL_SRV_REQUEST_RESUME_KEY:
+      process.nextTick(function () {
+        done(ntstatus.STATUS_SUCCESS, servercopy.encodeResumeKeyResponse(server.serverCopy.getResumeKey(file)));
+      });
+      break;
+    case SMB.FSCTL_SRV_COPYCHUNK:
+    case SMB.FSCTL_SRV_COPYCHUNK_WRITE:
+      copyChunks(commandData, file, tree, server, done);
+      break;
+    case SMB.FSCTL_SRV_ENUMERATE_SNAPSHOTS:
+      enumerateSnapshots(tree, msg.maxDataCount, done);
+      break;
+    case SMB.FSCTL_GET_REPARSE_POINT:
+      symlinks.getReparsePoint(file, function (err, data) {
+        if (err) {
+          done(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+        } else if (data.length > msg.maxDataCount) {
+          done(ntstatus.STATUS_BUFFER_TOO_SMALL);
+        } else {
+          done(ntstatus.STATUS_SUCCESS, data);
+        }
+      });
+      break;
+    case SMB.FSCTL_SET_REPARSE_POINT:
+      symlinks.setReparsePoint(file, commandData, function (err) {
+        done(err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS, utils.EMPTY_BUFFER);
+      });
+      break;
+    default:
+      logger.debug('[%s] unsupported function code 0x%s', SMB.NTTRANS_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), setup.functionCode.toString(16));
+      process.nextTick(function () { done(ntstatus.STATUS_INVALID_DEVICE_REQUEST); });
+  }
+}
+
+/**
+ * Performs a server-side copy to the specified target file.
+ *
+ * @param {Buffer} data - NT_Trans_Data of the request (SRV_COPYCHUNK_COPY)
+ * @param {SMBFile} destFile - target file
+ * @param {SMBTree} tree - tree of the target file
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the status and the response data
+ */
+function copyChunks(data, destFile, tree, server, cb) {
+  var request = servercopy.decodeCopyChunkRequest(data);
+  if (!request || servercopy.checkLimits(request.chunks)) {
+    process.nextTick(function () { cb(ntstatus.STATUS_INVALID_PARAMETER); });
+    return;
+  }
+  var srcFile = server.serverCopy.getSourceFile(request.sourceKey);
+  if (!srcFile) {
+    process.nextTick(function () { cb(ntstatus.STATUS_OBJECT_NAME_NOT_FOUND); });
+    return;
+  }
+  if (tree.getShare().isReadOnly()) {
+    process.nextTick(function () { cb(ntstatus.STATUS_ACCESS_DENIED); });
+    return;
+  }
+  if (srcFile.isDirectory() || destFile.isDirectory()) {
+    process.nextTick(function () { cb(ntstatus.STATUS_INVALID_DEVICE_REQUEST); });
+    return;
+  }
+  server.serverCopy.copyChunks(srcFile, destFile, request.chunks, function (err, copied) {
+    if (err) {
+      logger.error('[NT_TRANSACT_IOCTL] failed to copy %s to %s', srcFile.getPath(), destFile.getPath(), err);
+      cb(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+      return;
+    }
+    cb(ntstatus.STATUS_SUCCESS, servercopy.encodeCopyChunkResponse(copied));
+  });
+}
+
+/**
+ * Enumerates the snapshots (previous versions) of a share.
+ *
+ * @param {SMBTree} tree - tree of the share
+ * @param {Number} maxDataCount - maximum size of the response data
+ * @param {Function} cb callback called with the status and the response data (SRV_SNAPSHOT_ARRAY)
+ */
+function enumerateSnapshots(tree, maxDataCount, cb) {
+  tree.listSnapshots(function (err, tokens) {
+    if (err) {
+      logger.error('[NT_TRANSACT_IOCTL] failed to list snapshots', err);
+      cb(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+      return;
+    }
+    var data = snapshots.encodeSnapshotArray(tokens, maxDataCount);
+    if (!data) {
+      cb(ntstatus.STATUS_INVALID_PARAMETER);
+      return;
+    }
+    cb(ntstatus.STATUS_SUCCESS, data);
+  });
+}
+
+module.exports = handle;
@@ -12,7 +12,6 @@
 
 'use strict';
 
-var put = require('put');
 var logger = require('winston').loggers.get('smb');
 var binary = require('binary');
 
@@ -20,10 +19,7 @@ var ntstatus = require('../../../ntstatus');
 var common = require('../../../common');
 var SMB = require('../../constants');
 var utils = require('../../../utils');
-
-// Size of <code>FILE_NOTIFY_INFORMATION_SIZE</code> (without file name).
-// (see https://msdn.microsoft.com/en-us/library/dn392331.aspx?f=255&MSPPError=-2147217396)
-var FILE_NOTIFY_INFORMATION_SIZE = 12;
+var notifyInfo = require('../../fileNotifyInformation');
 
 /**
  * NT_TRANSACT_NOTIFY_CHANGE (0x0004): This command notifies the client when the directory, specified by FID, is modified.
@@ -101,59 +97,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
  * @param {Function} cb callback called with the command's result
  */
 function onChange(action, name, newName, cb) {
-  var paramsOut, fileNameBytes, nextEntryOffset, pad;
-  switch (action) {
-    case common.FILE_ACTION_ADDED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_REMOVED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_MODIFIED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_RENAMED_OLD_NAME:
-    case common.FILE_ACTION_RENAMED_NEW_NAME:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_RENAMED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      nextEntryOffset = FILE_NOTIFY_INFORMATION_SIZE + fileNameBytes.length;
-      pad = utils.calculatePadLength(nextEntryOffset, 4);
-      nextEntryOffset += pad;
-      paramsOut = put()
-        .word32le(nextEntryOffset) // NextEntryOffset
-        .word32le(common.FILE_ACTION_RENAMED_OLD_NAME) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes) // FileName
-        .pad(pad);
-      fileNameBytes = new Buffer(newName, 'utf16le');
-      paramsOut.word32le(0) // NextEntryOffset
-        .word32le(common.FILE_ACTION_RENAMED_NEW_NAME) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-  }
+  var paramsOut = notifyInfo.serialize(action, name, newName);
   if (paramsOut) {
     if (action === common.FILE_ACTION_RENAMED) {
       logger.debug('[NT_TRANSACT_NOTIFY_CHANGE][%s] name: %s, newName: %s', common.FILE_ACTION_TO_STRING[action].toUpperCase(), name, newName);
@@ -162,7 +106,7 @@ function onChange(action, name, newName, cb) {
     }
     var result = {
       status: ntstatus.STATUS_SUCCESS,
-      params: paramsOut.buffer(),
+      params: paramsOut,
       data: utils.EMPTY_BUFFER
     };
     cb(result);
@@ -105,6 +105,16 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
+  if (!server.locks.checkRead(file, msg.header.pid, msg.offset, msg.maxCountOfBytesToReturn)) {
+    result = {
+      status: ntstatus.STATUS_FILE_LOCK_CONFLICT,
+      params: utils.EMPTY_BUFFER,
+      data: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
   var buf = new Buffer(msg.maxCountOfBytesToReturn);
   file.read(buf, 0, buf.length, msg.offset, function (err, bytesRead, buffer) {
     if (err) {
@@ -0,0 +1,67 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB = require('../../constants');
+var utils = require('../../../utils');
+var dfs = require('../../../dfs');
+
+/**
+ * TRANS2_GET_DFS_REFERRAL (0x0010): This transaction is used to request a referral for a path
+ * within a DFS namespace (see MS-CIFS 2.2.6.16 and MS-DFSC 3.2.5.5).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} commandParams - the command parameters
+ * @param {Buffer} commandData - the command data
+ * @param {Number} commandParamsOffset - the command parameters offset within the SMB
+ * @param {Number} commandDataOffset - the command data offset within the SMB
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result params and data
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.params
+ * @param {Buffer} cb.result.data
+ */
+function handle(msg, commandId, commandParams, commandData, commandParamsOffset, commandDataOffset, connection, server, cb) {
+  var request = dfs.decodeReferralRequest(commandParams);
+
+  logger.debug('[%s] maxReferralLevel: %d, requestFileName: %s', SMB.TRANS2_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), request ? request.maxReferralLevel : -1, request ? request.requestFileName : null);
+
+  var result;
+  if (!request) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      params: utils.EMPTY_BUFFER,
+      data: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var referral = dfs.getReferral(server, request);
+  result = {
+    status: referral.status,
+    params: utils.EMPTY_BUFFER,
+    data: referral.data || utils.EMPTY_BUFFER
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
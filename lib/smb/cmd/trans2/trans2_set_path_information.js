@@ -19,6 +19,7 @@ var async = require('async');
 var ntstatus = require('../../../ntstatus');
 var SMB = require('../../constants');
 var utils = require('../../../utils');
+var setInfoLevel = require('../../setInformationLevel');
 
 /**
  * TRANS2_SET_PATH_INFORMATION (0x0006): This transaction is used to set the standard and
@@ -78,107 +79,26 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   }
 
   function processFile(file, callback) {
-    var eaErrorOffset = new Buffer([ 0x00, 0x00 ]);
-    var msLastAccess, msCreation, msLastWrite, msChange;
-
-    switch (informationLevel) {
-      case SMB.SET_INFO_STANDARD:
-        off = 0;
-        var smbDate = commandData.readUInt16LE(off);
-        off += 2;
-        var smbTime = commandData.readUInt16LE(off);
-        off += 2;
-        msCreation = utils.legacySMBToSystemDateTime(smbDate, smbTime);
-        smbDate = commandData.readUInt16LE(off);
-        off += 2;
-        smbTime = commandData.readUInt16LE(off);
-        off += 2;
-        msLastAccess = utils.legacySMBToSystemDateTime(smbDate, smbTime);
-        smbDate = commandData.readUInt16LE(off);
-        off += 2;
-        smbTime = commandData.readUInt16LE(off);
-        off += 2;
-        msLastWrite = utils.legacySMBToSystemDateTime(smbDate, smbTime);
-        // set lastModified
-        file.setLastModifiedTime(msLastWrite);
-        // todo implement according to https://msdn.microsoft.com/en-us/library/ff469956.aspx
-        // set created
-        // set lastAccessed
-
-        logger.debug('[%s] informationLevel: %s, fileName: %s, creationTime: %d, lastAccessTime: %d, lastWriteTime: %d', SMB.TRANS2_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16), fileName, msCreation, msLastAccess, msLastWrite);
-
-        result = {
-          status: ntstatus.STATUS_SUCCESS,
-          params: eaErrorOffset,  // EaErrorOffset
-          data: utils.EMPTY_BUFFER
-        };
-        callback(null, file, result);
-        return;
-
-      case SMB.SET_INFO_EAS:
-        var eaList = utils.parseFEAList(commandData, 0);
-        if (eaList && eaList.length) {
-          // we're currently not supporting EAs
-          eaErrorOffset.writeUInt16LE(eaList[0].offset, 0);
-        }
-        result = {
-          status: ntstatus.STATUS_SUCCESS,
-          params: eaErrorOffset, // EaErrorOffset
-          data: utils.EMPTY_BUFFER
-        };
-        callback(null, file, result);
-        return;
-
-      case SMB.SET_FILE_BASIC_INFO:
-      case SMB.FILE_BASIC_INFORMATION:
-        // CIFS spec: SET_FILE_BASIC_INFO is not supported for TRANS2_SET_PATH_INFORMATION...
-        // on OS-X the timestamp value is sometimes -2082844800000 (1904-01-01T00:00:00.000Z) which is the epoch used by GetDateTime() ... ?!
-        off = 0;
-        msCreation = utils.readTimestamp(commandData, off);
-        off += 8;
-        msLastAccess = utils.readTimestamp(commandData, off);
-        off += 8;
-        msLastWrite = utils.readTimestamp(commandData, off);
-        off += 8;
-        msChange = utils.readTimestamp(commandData, off);
-        off += 8;
-        var extFileAttributes = commandData.readUInt32LE(off);
-        off += 4;
-        // todo implement according to https://msdn.microsoft.com/en-us/library/ff469851.aspx
-        if (msCreation && msCreation !== -1) {
-          // set created
-        }
-        if (msLastAccess && msLastAccess !== -1) {
-          // set lastAccessed
-        }
-        if (msLastWrite && msLastWrite !== -1) {
-          // set lastModified
-          file.setLastModifiedTime(msLastWrite);
-        }
-        if (msChange && msChange !== -1) {
-          // set changed
-        }
-
-        logger.debug('[%s] informationLevel: %s, fileName: %s, creationTime: %d, lastAccessTime: %d, lastWriteTime: %d, changeTime: %d, extFileAttributes: %s', SMB.TRANS2_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16), fileName, msCreation, msLastAccess, msLastWrite, msChange, extFileAttributes.toString(2));
-
-        result = {
-          status: ntstatus.STATUS_SUCCESS,
-          params: eaErrorOffset,  // EaErrorOffset
-          data: utils.EMPTY_BUFFER
-        };
-        callback(null, file, result);
-        return;
-
-      default:
-        logger.error('[%s] encountered unsupported or unknown informationLevel %s, fileName: %s', SMB.TRANS2_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16), fileName);
-        result = {
-          status: ntstatus.STATUS_OS2_INVALID_LEVEL,
-          params: utils.EMPTY_BUFFER,
-          data: utils.EMPTY_BUFFER
-        };
-        callback(null, file, result);
-        return;
+    if (informationLevel !== SMB.SET_INFO_STANDARD && informationLevel !== SMB.SET_INFO_EAS
+      && informationLevel !== SMB.SET_FILE_BASIC_INFO && informationLevel !== SMB.FILE_BASIC_INFORMATION) {
+      // CIFS spec: the other levels are not supported for TRANS2_SET_PATH_INFORMATION
+      logger.error('[%s] encountered unsupported or unknown informationLevel %s, fileName: %s', SMB.TRANS2_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16), fileName);
+      callback(null, file, {
+        status: ntstatus.STATUS_OS2_INVALID_LEVEL,
+        params: utils.EMPTY_BUFFER,
+        data: utils.EMPTY_BUFFER
+      });
+      return;
     }
+    setInfoLevel.apply(file, informationLevel, commandData, commandDataOffset, function (result) {
+      var eaErrorOffset = new Buffer(2);
+      eaErrorOffset.writeUInt16LE(result.eaErrorOffset, 0);
+      callback(null, file, {
+        status: result.status,
+        params: result.status === ntstatus.STATUS_SUCCESS ? eaErrorOffset : utils.EMPTY_BUFFER,  // EaErrorOffset
+        data: utils.EMPTY_BUFFER
+      });
+    });
   }
 
   function closeFile(file, result, callback) {
@@ -22,6 +22,16 @@ var _ = require('lodash');
 var ntstatus = require('../../ntstatus');
 var SMB = require('../constants');
 var utils = require('../../utils');
+var dfs = require('../../dfs');
+
+// number of fixed bytes preceding the path name in the parameters of subcommands
+// accepting DFS path names (see dfs.resolvePathNames)
+var DFS_PATH_NAMES = {
+  trans2_create_directory: [ 4 ],
+  trans2_find_first2: [ 12 ],
+  trans2_query_path_information: [ 6 ],
+  trans2_set_path_information: [ 6 ]
+};
 
 var subCmdHandlers = {};
 
@@ -120,6 +130,22 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
+  var tree = server.getTree(msg.header.tid);
+  if (msg.header.flags.pathnames.dfs && DFS_PATH_NAMES[subCommand] && tree && tree.getShare().isDfsRoot()) {
+    // DFS path names are prefixed with the server and share names
+    var dfsParams = dfs.resolvePathNames(tree.getShare(), subParams, msg.parameterOffset, DFS_PATH_NAMES[subCommand]);
+    if (dfsParams.status !== ntstatus.STATUS_SUCCESS) {
+      result = {
+        status: dfsParams.status,
+        params: commandParams,
+        data: commandData
+      };
+      process.nextTick(function () { cb(result); });
+      return;
+    }
+    subParams = dfsParams.buf;
+  }
+
   // invoke subcommand handler
   var handler = subCmdHandlers[subCommand];
   if (handler) {
@@ -126,10 +126,10 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     out.word8(commandParams.readUInt8(0)) // andX next cmd id
       .word8(0) // andX reserved
       .word16le(commandParams.readUInt16LE(2))  // andX offset (needs to be recalculated by caller!)
-      .word16le(SMB_SUPPORT_SEARCH_BITS);  // optionalSupport
+      .word16le(SMB_SUPPORT_SEARCH_BITS | (tree.getShare().isDfsRoot() ? SMB_SHARE_IS_IN_DFS : 0));  // optionalSupport
     if (msg.flags & TREE_CONNECT_ANDX_EXTENDED_RESPONSE) {
       // MS-SMB v1.0
-      out.word32le(SMB.TREE_ACCESS_ALL)  // MaximalShareAccessRights
+      out.word32le(tree.getShare().isReadOnly() ? SMB.TREE_ACCESS_READONLY : SMB.TREE_ACCESS_ALL)  // MaximalShareAccessRights
         .word32le(SMB.TREE_ACCESS_READONLY);  // GuestMaximalShareAccessRights
     }
     var params = out.buffer();
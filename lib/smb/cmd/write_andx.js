@@ -101,6 +101,16 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
+  if (!server.locks.checkWrite(file, msg.header.pid, msg.offset, data.length)) {
+    result = {
+      status: ntstatus.STATUS_FILE_LOCK_CONFLICT,
+      params: utils.EMPTY_BUFFER,
+      data: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
   file.write(data, msg.offset, function (err) {
     if (err) {
       cb({
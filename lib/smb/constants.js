@@ -315,6 +315,9 @@ consts.QUERY_FS_VOLUME_INFO = 0x0102;  // Query the creation timestamp, serial n
 consts.QUERY_FS_SIZE_INFO = 0x0103;  // Query 64-bit file system allocation unit information.
 consts.QUERY_FS_DEVICE_INFO = 0x0104;  // Query a file system's underlying device type and characteristics.
 consts.QUERY_FS_ATTRIBUTE_INFO = 0x0105;  // Query file system attributes.
+// NT passthrough levels: INFO_PASSTHROUGH + native level
+consts.QUERY_FS_FULL_SIZE_INFORMATION = 1007;  // Query 64-bit file system allocation unit information including the units available to the caller.
+consts.QUERY_FS_SECTOR_SIZE_INFORMATION = 1011;  // Query physical and logical sector size information.
 
 consts.QUERY_FS_INFORMATION_LEVEL_TO_STRING = _.reduce(
   consts,
@@ -441,6 +444,16 @@ consts.FILE_DEVICE_FILE_SYSTEM = 0x0009;
 consts.FILE_DEVICE_NETWORK_FILE_SYSTEM = 0x0014;
 consts.FILE_DEVICE_VIRTUAL_DISK = 0x0024;
 
+/**
+ * NT_TRANSACT_IOCTL function codes (FSCTLs)
+ */
+consts.FSCTL_SET_REPARSE_POINT = 0x000900a4;
+consts.FSCTL_GET_REPARSE_POINT = 0x000900a8;
+consts.FSCTL_SRV_REQUEST_RESUME_KEY = 0x00140078;
+consts.FSCTL_SRV_ENUMERATE_SNAPSHOTS = 0x00144064;
+consts.FSCTL_SRV_COPYCHUNK = 0x001440f2;
+consts.FSCTL_SRV_COPYCHUNK_WRITE = 0x001480f2;
+
 /**
  * Device characteristics
  */
@@ -536,6 +549,21 @@ consts.TREE_ACCESS_READONLY = consts.FILE_LIST_DIRECTORY | consts.FILE_READ_EA |
 consts.DIRECTORY_ACCESS_ALL = consts.TREE_ACCESS_ALL | consts.DELETE;
 consts.DIRECTORY_ACCESS_READONLY = consts.TREE_ACCESS_READONLY;
 
+// maximal access rights (including standard rights) as reported to SMB2 clients
+consts.MAXIMAL_ACCESS_ALL = consts.DIRECTORY_ACCESS_ALL | consts.FILE_ACCESS_ALL |
+  consts.READ_CONTROL | consts.WRITE_DAC | consts.WRITE_OWNER | consts.SYNCHRONIZE;
+consts.MAXIMAL_ACCESS_READONLY = consts.DIRECTORY_ACCESS_READONLY | consts.FILE_ACCESS_READONLY |
+  consts.READ_CONTROL | consts.SYNCHRONIZE;
+
+// specific access rights the generic access rights map to (file generic mapping)
+consts.FILE_GENERIC_READ = consts.FILE_READ_DATA | consts.FILE_READ_ATTRIBUTES | consts.FILE_READ_EA |
+  consts.READ_CONTROL | consts.SYNCHRONIZE;
+consts.FILE_GENERIC_WRITE = consts.FILE_WRITE_DATA | consts.FILE_APPEND_DATA | consts.FILE_WRITE_ATTRIBUTES |
+  consts.FILE_WRITE_EA | consts.READ_CONTROL | consts.SYNCHRONIZE;
+consts.FILE_GENERIC_EXECUTE = consts.FILE_EXECUTE | consts.FILE_READ_ATTRIBUTES | consts.READ_CONTROL |
+  consts.SYNCHRONIZE;
+consts.FILE_ALL_ACCESS = consts.MAXIMAL_ACCESS_ALL;
+
 /**
  * Share Access
  */
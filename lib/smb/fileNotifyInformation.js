@@ -0,0 +1,70 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+
+var common = require('../common');
+var utils = require('../utils');
+
+// Size of <code>FILE_NOTIFY_INFORMATION_SIZE</code> (without file name).
+// (see https://msdn.microsoft.com/en-us/library/dn392331.aspx?f=255&MSPPError=-2147217396)
+var FILE_NOTIFY_INFORMATION_SIZE = 12;
+
+/**
+ * Serializes a change as a list of <code>FILE_NOTIFY_INFORMATION</code> entries.
+ *
+ * @param {Number} action - file action
+ * @param {String} name - name of file that changed
+ * @param {String} [newName] - optional, new name if this was a rename
+ * @return {Buffer} serialized entries or null if the action is not supported
+ */
+function serialize(action, name, newName) {
+  var out, fileNameBytes, nextEntryOffset, pad;
+  switch (action) {
+    case common.FILE_ACTION_ADDED:
+    case common.FILE_ACTION_REMOVED:
+    case common.FILE_ACTION_MODIFIED:
+    case common.FILE_ACTION_RENAMED_OLD_NAME:
+    case common.FILE_ACTION_RENAMED_NEW_NAME:
+      fileNameBytes = new Buffer(name, 'utf16le');
+      out = put()
+        .word32le(0) // NextEntryOffset
+        .word32le(action) // Action
+        .word32le(fileNameBytes.length) // FileNameLength
+        .put(fileNameBytes); // FileName
+      break;
+    case common.FILE_ACTION_RENAMED:
+      fileNameBytes = new Buffer(name, 'utf16le');
+      nextEntryOffset = FILE_NOTIFY_INFORMATION_SIZE + fileNameBytes.length;
+      pad = utils.calculatePadLength(nextEntryOffset, 4);
+      nextEntryOffset += pad;
+      out = put()
+        .word32le(nextEntryOffset) // NextEntryOffset
+        .word32le(common.FILE_ACTION_RENAMED_OLD_NAME) // Action
+        .word32le(fileNameBytes.length) // FileNameLength
+        .put(fileNameBytes) // FileName
+        .pad(pad);
+      fileNameBytes = new Buffer(newName, 'utf16le');
+      out.word32le(0) // NextEntryOffset
+        .word32le(common.FILE_ACTION_RENAMED_NEW_NAME) // Action
+        .word32le(fileNameBytes.length) // FileNameLength
+        .put(fileNameBytes); // FileName
+      break;
+    default:
+      return null;
+  }
+  return out.buffer();
+}
+
+module.exports.serialize = serialize;
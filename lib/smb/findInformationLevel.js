@@ -32,27 +32,45 @@ var FIND_FILE_FULL_DIRECTORY_INFO_SIZE = 68;
 var FIND_FILE_BOTH_DIRECTORY_INFO_SIZE = 94;
 
 // Size of <code>FIND_FILE_ID_FULL_DIRECTORY_INFO_SIZE</code> (without file name).
-var FIND_FILE_ID_FULL_DIRECTORY_INFO_SIZE = FIND_FILE_FULL_DIRECTORY_INFO_SIZE + 8;
+var FIND_FILE_ID_FULL_DIRECTORY_INFO_SIZE = FIND_FILE_FULL_DIRECTORY_INFO_SIZE + 4 + 8;
 
 // Size of <code>FIND_FILE_ID_BOTH_DIRECTORY_INFO_SIZE</code> (without file name).
 var FIND_FILE_ID_BOTH_DIRECTORY_INFO_SIZE = FIND_FILE_BOTH_DIRECTORY_INFO_SIZE + 2 + 8;
 
+// Entry sizes (without file name) of the information levels that chain entries via NextEntryOffset.
+var ENTRY_SIZES = {};
+ENTRY_SIZES[SMB.FIND_FILE_DIRECTORY_INFO] = FIND_FILE_DIRECTORY_INFO_SIZE;
+ENTRY_SIZES[SMB.FIND_FILE_FULL_DIRECTORY_INFO] = FIND_FILE_FULL_DIRECTORY_INFO_SIZE;
+ENTRY_SIZES[SMB.FIND_FILE_NAMES_INFO] = FIND_FILE_NAMES_INFO_SIZE;
+ENTRY_SIZES[SMB.FIND_FILE_BOTH_DIRECTORY_INFO] = FIND_FILE_BOTH_DIRECTORY_INFO_SIZE;
+ENTRY_SIZES[SMB.FIND_FILE_ID_FULL_DIRECTORY_INFO] = FIND_FILE_ID_FULL_DIRECTORY_INFO_SIZE;
+ENTRY_SIZES[SMB.FIND_FILE_ID_BOTH_DIRECTORY_INFO] = FIND_FILE_ID_BOTH_DIRECTORY_INFO_SIZE;
+
 var emptyShortNameBytes = new Buffer(2 * 12); // 8.3 unicode
 emptyShortNameBytes.fill(0);
 
 /**
  *
- * @param {File[]} files files to be serialized according to the specified information level
+ * @param {SMBFile[]} files files to be serialized according to the specified information level
  * @param {Number} start
  * @param {Number} end
  * @param {Number} informationLevel
  * @param {Boolean} inclResumeKey
- * @return {Object} result object with status, buffer and lastNameOffset
+ * @param {Object} [opts]
+ * @param {Number} [opts.alignment=1] alignment of chained (i.e. NextEntryOffset) entries, e.g. 8 for SMB2
+ * @param {Number} [opts.maxLength] maximum size of the serialized entries; serialization stops with the first entry that doesn't fit
+ * @return {Object} result object with status, buffer, lastNameOffset and count (number of serialized entries)
  */
-function serialize(files, start, end, informationLevel, inclResumeKey) {
+function serialize(files, start, end, informationLevel, inclResumeKey, opts) {
+  opts = opts || {};
+  var alignment = opts.alignment || 1;
+  var maxLength = opts.maxLength === undefined ? Infinity : opts.maxLength;
+  var entrySize = ENTRY_SIZES[informationLevel];
+
   var out = put();
   var status = ntstatus.STATUS_SUCCESS;
   var lastNameOffset = 0;
+  var entryOffsets = [];
 
   function process(file, index) {
     var smbCreated = utils.systemToSMBTime(file.getCreatedTime());
@@ -62,6 +80,18 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
 
     var fileNameBytes = new Buffer(file.getName(), 'utf16le');
 
+    var entryOffset = out.length();
+    if (entrySize !== undefined) {
+      // chained entries are aligned
+      entryOffset += utils.calculatePadLength(entryOffset, alignment);
+      if (entryOffset + entrySize + fileNameBytes.length > maxLength) {
+        // doesn't fit, stop here
+        return false;
+      }
+      out.pad(entryOffset - out.length());
+    }
+    entryOffsets.push(entryOffset);
+
     switch (informationLevel) {
       case SMB.FIND_INFO_STANDARD:
         if (inclResumeKey) {
@@ -120,7 +150,7 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
         break;
 
       case SMB.FIND_FILE_DIRECTORY_INFO:
-        out.word32le(index === files.length - 1 ? 0 : FIND_FILE_DIRECTORY_INFO_SIZE + fileNameBytes.length); // NextEntryOffset
+        out.word32le(0); // NextEntryOffset (see below)
         out.word32le(index + start); // FileIndex
         lastNameOffset = out.length();
         out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
@@ -139,7 +169,7 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
         break;
 
       case SMB.FIND_FILE_FULL_DIRECTORY_INFO:
-        out.word32le(index === files.length - 1 ? 0 : FIND_FILE_FULL_DIRECTORY_INFO_SIZE + fileNameBytes.length); // NextEntryOffset
+        out.word32le(0); // NextEntryOffset (see below)
         out.word32le(index + start); // FileIndex
         lastNameOffset = out.length();
         out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
@@ -154,12 +184,12 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
           .word64le(file.getAllocationSize()) // AllocationSize
           .word32le(file.getAttributes()) // ExtFileAttributes
           .word32le(fileNameBytes.length) // FileNameLength
-          .word32le(0)  // EaSize
+          .word32le(file.getReparseTag())  // EaSize (reparse tag of reparse points)
           .put(fileNameBytes); // FileName
         break;
 
       case SMB.FIND_FILE_NAMES_INFO:
-        out.word32le(index === files.length - 1 ? 0 : FIND_FILE_NAMES_INFO_SIZE + fileNameBytes.length); // NextEntryOffset
+        out.word32le(0); // NextEntryOffset (see below)
         out.word32le(index + start); // FileIndex
         lastNameOffset = out.length();
         out.word32le(fileNameBytes.length) // FileNameLength
@@ -167,7 +197,7 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
         break;
 
       case SMB.FIND_FILE_BOTH_DIRECTORY_INFO:
-        out.word32le(index === files.length - 1 ? 0 : FIND_FILE_BOTH_DIRECTORY_INFO_SIZE + fileNameBytes.length); // NextEntryOffset
+        out.word32le(0); // NextEntryOffset (see below)
         out.word32le(index + start); // FileIndex
         lastNameOffset = out.length();
         out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
@@ -182,7 +212,7 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
           .word64le(0)// AllocationSize (MS-SMB: This field MUST be set to zero)
           .word32le(file.getAttributes()) // ExtFileAttributes
           .word32le(fileNameBytes.length) // FileNameLength
-          .word32le(0)  // EaSize
+          .word32le(file.getReparseTag())  // EaSize (reparse tag of reparse points)
           .word8(0) // ShortNameLength
           .word8(0) // Reserved
           .put(emptyShortNameBytes)  // ShortName
@@ -190,7 +220,7 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
         break;
 
       case SMB.FIND_FILE_ID_FULL_DIRECTORY_INFO:
-        out.word32le(index === files.length - 1 ? 0 : FIND_FILE_ID_FULL_DIRECTORY_INFO_SIZE + fileNameBytes.length); // NextEntryOffset
+        out.word32le(0); // NextEntryOffset (see below)
         out.word32le(index + start); // FileIndex
         lastNameOffset = out.length();
         out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
@@ -205,14 +235,14 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
           .word64le(file.getAllocationSize()) // AllocationSize
           .word32le(file.getAttributes()) // ExtFileAttributes
           .word32le(fileNameBytes.length) // FileNameLength
-          .word32le(0)  // EaSize
+          .word32le(file.getReparseTag())  // EaSize (reparse tag of reparse points)
           .word32le(0)  // Reserved
-          .word64le(0)  // FileID
+          .put(file.getUniqueId())  // FileID
           .put(fileNameBytes); // FileName
         break;
 
       case SMB.FIND_FILE_ID_BOTH_DIRECTORY_INFO:
-        out.word32le(index === files.length - 1 ? 0 : FIND_FILE_ID_BOTH_DIRECTORY_INFO_SIZE + fileNameBytes.length); // NextEntryOffset
+        out.word32le(0); // NextEntryOffset (see below)
         out.word32le(index + start); // FileIndex
         lastNameOffset = out.length();
         out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
@@ -226,17 +256,28 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
           .word64le(file.getDataSize()) // EndOfFile
           .word64le(0)// AllocationSize (MS-SMB: This field MUST be set to zero)
           .word32le(file.getAttributes()) // ExtFileAttributes
-          .word32le(fileNameBytes.length) // FileNameLength
-          .word32le(0)  // EaSize
-          .word8(0) // ShortNameLength
-          .word8(0) // Reserved
-          .put(emptyShortNameBytes)  // ShortName
-          .word16le(0)  // Reserved2
-          .word64le(0)  // FileID
+          .word32le(fileNameBytes.length); // FileNameLength
+        if (file.aaplAttributes) {
+          // enriched entry for macOS clients (see smb2/aapl)
+          out.word32le(file.aaplAttributes.maxAccess)  // EaSize: maximal access
+            .word8(24) // ShortNameLength
+            .word8(0) // Reserved
+            .word64le(file.aaplAttributes.resourceForkSize) // ShortName: resource fork size
+            .put(file.aaplAttributes.finderInfo) // and compressed FinderInfo
+            .word16le(0); // Reserved2: UNIX mode (not supported)
+        } else {
+          out.word32le(file.getReparseTag())  // EaSize (reparse tag of reparse points)
+            .word8(0) // ShortNameLength
+            .word8(0) // Reserved
+            .put(emptyShortNameBytes)  // ShortName
+            .word16le(0); // Reserved2
+        }
+        out.put(file.getUniqueId())  // FileID
           .put(fileNameBytes); // FileName
         break;
 
       default:
+        entryOffsets.pop();
         status = ntstatus.STATUS_OS2_INVALID_LEVEL;
         return false;
     }
@@ -244,7 +285,15 @@ function serialize(files, start, end, informationLevel, inclResumeKey) {
 
   _.forEach(files.slice(start, end), process);
 
-  return { status: status, buffer: out.buffer(), lastNameOffset: lastNameOffset };
+  var buf = out.buffer();
+  if (entrySize !== undefined) {
+    // link chained entries
+    entryOffsets.forEach(function (offset, n) {
+      buf.writeUInt32LE(n < entryOffsets.length - 1 ? entryOffsets[n + 1] - offset : 0, offset);
+    });
+  }
+
+  return { status: status, buffer: buf, lastNameOffset: lastNameOffset, count: entryOffsets.length };
 }
 
 module.exports.serialize = serialize;
\ No newline at end of file
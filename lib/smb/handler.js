@@ -22,6 +22,19 @@ var domain = require('domain');
 var ntstatus = require('../ntstatus');
 var message = require('./message');
 var SMB = require('./constants');
+var dfs = require('../dfs');
+
+// number of fixed bytes (BufferFormat) preceding each path name in the SMB_Data of commands
+// accepting DFS path names (see dfs.resolvePathNames)
+var DFS_PATH_NAMES = {
+  check_directory: [ 1 ],
+  delete: [ 1 ],
+  delete_directory: [ 1 ],
+  query_information: [ 1 ],
+  set_information: [ 1 ],
+  rename: [ 1, 1 ],
+  nt_create_andx: [ 0 ]
+};
 
 var cmdHandlers = {};
 
@@ -58,7 +71,16 @@ function handleRequest(msgBuf, connection, server, cb) {
     return;
   }
 
-  _handleRequest(message.decode(msgBuf), connection, server, cb);
+  var msg = message.decode(msgBuf);
+  if (!server.isSMB1Enabled() && SMB.COMMAND_TO_STRING[msg.commands[0].commandId] !== 'negotiate') {
+    // SMB1 is disabled: only a multi-protocol NEGOTIATE (upgrading to SMB2) is accepted
+    logger.error('SMB1 is disabled, closing connection (command 0x%s)', msg.commands[0].commandId.toString(16));
+    connection.socket.destroy();
+    cb();
+    return;
+  }
+
+  _handleRequest(msg, connection, server, cb);
 }
 
 /**
@@ -90,8 +112,22 @@ function _handleRequest(msg, connection, server, cb) {
           process.exit(1);
         });
         d.run(function () {
+          var data = cmd.data;
+          var tree = server.getTree(msg.header.tid);
+          if (msg.header.flags.pathnames.dfs && DFS_PATH_NAMES[command] && tree && tree.getShare().isDfsRoot()) {
+            // DFS path names are prefixed with the server and share names
+            var dfsData = dfs.resolvePathNames(tree.getShare(), data, cmd.dataOffset, DFS_PATH_NAMES[command]);
+            if (dfsData.status !== ntstatus.STATUS_SUCCESS) {
+              callback({
+                status: dfsData.status,
+                message: '\'' + command.toUpperCase() + '\' returned error status ' + ntstatus.STATUS_TO_STRING[dfsData.status] + ' (0x' + dfsData.status.toString(16) + ')'
+              });
+              return;
+            }
+            data = dfsData.buf;
+          }
           // process command
-          handler(msg, cmd.commandId, cmd.params, cmd.data, cmd.paramsOffset, cmd.dataOffset, connection, server, function (result) {
+          handler(msg, cmd.commandId, cmd.params, data, cmd.paramsOffset, cmd.dataOffset, connection, server, function (result) {
             if (!result) {
               // special case (see e.g. 'echo' handler): no further processing required
               msg.processed = true;
@@ -0,0 +1,121 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+
+var SMB = require('./constants');
+var ntstatus = require('../ntstatus.js');
+var utils = require('../utils');
+
+var DEFAULT_SERIAL_NUMBER = 0xdabbad00;
+// Maximum length of each file name component, in number of bytes.
+var MAX_FILE_NAME_LENGTH = 255;
+// File system. Returning values other than this may lead to problems.
+var FILE_SYSTEM = 'NTFS';
+
+// fake values for disk total/free size
+var SECTORS_PER_UNIT = 8;
+var BYTES_PER_SECTOR = 512;
+var TOTAL_ALLOCATION_UNITS = 0x08000000;  // * SECTORS_PER_UNIT * BYTES_PER_SECTOR = 512gb
+
+/**
+ *
+ * @param {SMBShare} share share to be serialized according to the specified information level
+ * @param {Number} informationLevel
+ * @param {Object} [diskSize] optional, actual volume size (fake values are reported otherwise)
+ * @param {Number} diskSize.totalBytes total size, in bytes
+ * @param {Number} diskSize.freeBytes free space, in bytes
+ * @return {Object} result object with status and buffer
+ */
+function serialize(share, informationLevel, diskSize) {
+  var out = put();
+  var status = ntstatus.STATUS_SUCCESS;
+
+  var volumeLabel = share.getDescription();
+
+  var totalUnits = TOTAL_ALLOCATION_UNITS;
+  var freeUnits = TOTAL_ALLOCATION_UNITS;
+  if (diskSize) {
+    totalUnits = Math.floor(diskSize.totalBytes / (SECTORS_PER_UNIT * BYTES_PER_SECTOR));
+    freeUnits = Math.floor(diskSize.freeBytes / (SECTORS_PER_UNIT * BYTES_PER_SECTOR));
+  }
+
+  // todo expose/retrieve these values through Share abstraction
+  switch (informationLevel) {
+    case SMB.QUERY_FS_INFO_ALLOCATION:
+      out.word32le(0) // idFileSystem
+        .word32le(SECTORS_PER_UNIT) // cSectorUnit
+        .word32le(Math.min(totalUnits, 0xffffffff)) // cUnit
+        .word32le(Math.min(freeUnits, 0xffffffff)) // cUnitAvailable
+        .word16le(BYTES_PER_SECTOR); // cbSector
+      break;
+    case SMB.QUERY_FS_INFO_VOLUME:
+      out.word32le(DEFAULT_SERIAL_NUMBER) // ulVolSerialNbr
+        .word8(volumeLabel.length) // cCharCount
+        .put(new Buffer(volumeLabel, 'utf16le'));  // VolumeLabel
+      break;
+    case SMB.QUERY_FS_VOLUME_INFO:
+      var long = utils.systemToSMBTime(Date.now());
+      out.word32le(long.getLowBitsUnsigned()) // VolumeCreationTime
+        .word32le(long.getHighBitsUnsigned())
+        .word32le(DEFAULT_SERIAL_NUMBER) // SerialNumber
+        .word32le(volumeLabel.length * 2)  // VolumeLabelSize
+        .word16le(0)  // reserved
+        .put(new Buffer(volumeLabel, 'utf16le'));  // VolumeLabel
+      break;
+    case SMB.QUERY_FS_SIZE_INFO:
+      out.word64le(totalUnits) // TotalAllocationUnits
+        .word64le(freeUnits) // TotalFreeAllocationUnits
+        .word32le(SECTORS_PER_UNIT) // SectorsPerAllocationUnit
+        .word32le(BYTES_PER_SECTOR); // BytesPerSector
+      break;
+    case SMB.QUERY_FS_FULL_SIZE_INFORMATION:
+      out.word64le(totalUnits) // TotalAllocationUnits
+        .word64le(freeUnits) // CallerAvailableAllocationUnits
+        .word64le(freeUnits) // ActualAvailableAllocationUnits
+        .word32le(SECTORS_PER_UNIT) // SectorsPerAllocationUnit
+        .word32le(BYTES_PER_SECTOR); // BytesPerSector
+      break;
+    case SMB.QUERY_FS_DEVICE_INFO:
+      out.word32le(SMB.FILE_DEVICE_DISK) // DeviceType
+        .word32le(SMB.FILE_VIRTUAL_VOLUME); // DeviceCharacteristics
+      break;
+    case SMB.QUERY_FS_ATTRIBUTE_INFO:
+      out.word32le(SMB.FILE_CASE_SENSITIVE_SEARCH |
+          SMB.FILE_CASE_PRESERVED_NAMES |
+          (share.supportsNamedStreams() ? SMB.FILE_NAMED_STREAMS : 0) |
+          (share.supportsSymbolicLinks() ? SMB.FILE_SUPPORTS_REPARSE_POINTS : 0) |
+          SMB.FILE_UNICODE_ON_DISK |
+          (share.isReadOnly() ? SMB.FILE_READ_ONLY_VOLUME : 0)) // FileSystemAttributes
+        .word32le(MAX_FILE_NAME_LENGTH)  // MaxFileNameLengthInBytes
+        .word32le(FILE_SYSTEM.length * 2)  // LengthOfFileSystemName
+        .put(new Buffer(FILE_SYSTEM, 'utf16le'));  // FileSystemName
+      break;
+    case SMB.QUERY_FS_SECTOR_SIZE_INFORMATION:
+      out.word32le(BYTES_PER_SECTOR) // LogicalBytesPerSector
+        .word32le(BYTES_PER_SECTOR) // PhysicalBytesPerSectorForAtomicity
+        .word32le(BYTES_PER_SECTOR) // PhysicalBytesPerSectorForPerformance
+        .word32le(BYTES_PER_SECTOR) // FileSystemEffectivePhysicalBytesPerSectorForAtomicity
+        .word32le(0)  // Flags
+        .word32le(0)  // ByteOffsetForSectorAlignment
+        .word32le(0); // ByteOffsetForPartitionAlignment
+      break;
+    default:
+      status = ntstatus.STATUS_OS2_INVALID_LEVEL;
+  }
+
+  return { status: status, buffer: out.buffer() };
+}
+
+module.exports.serialize = serialize;
@@ -90,6 +90,7 @@ function serialize(file, informationLevel) {
       break;
 
     // NT passthrough levels: SMB.INFO_PASSTHROUGH + native level
+    case SMB.FILE_ALL_INFORMATION:
     case SMB.FILE_BASIC_INFORMATION:
       out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
         .word32le(smbCreated.getHighBitsUnsigned())
@@ -101,8 +102,10 @@ function serialize(file, informationLevel) {
         .word32le(smbLastChanged.getHighBitsUnsigned())
         .word32le(file.getAttributes()) // ExtFileAttributes
         .word32le(0); // Reserved
-      break;
-
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+    // fall through
     case SMB.FILE_STANDARD_INFORMATION:
       out.word64le(file.getAllocationSize()) // AllocationSize
         .word64le(file.getDataSize()) // EndOfFile
@@ -110,11 +113,54 @@ function serialize(file, informationLevel) {
         .word8(0)  // DeletePending
         .word8(file.isDirectory() ? 1 : 0)  // Directory
         .word16le(0); // Reserved
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+    // fall through
+    case SMB.FILE_INTERNAL_INFORMATION:
+      out.put(file.getUniqueId()); // IndexNumber
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+    // fall through
+    case SMB.FILE_EA_INFORMATION:
+      out.word32le(0);  // EaSize
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+    // fall through
+    case SMB.FILE_ACCESS_INFORMATION:
+      out.word32le(file.getGrantedAccess());  // AccessFlags
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+    // fall through
+    case SMB.FILE_POSITION_INFORMATION:
+      out.word64le(file.getPosition()); // CurrentByteOffset
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+    // fall through
+    case SMB.FILE_MODE_INFORMATION:
+      out.word32le(0);  // Mode
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+    // fall through
+    case SMB.FILE_ALIGNMENT_INFORMATION:
+      out.word32le(0);  // AlignmentRequirement (FILE_BYTE_ALIGNMENT)
+      if (informationLevel !== SMB.FILE_ALL_INFORMATION) {
+        break;
+      }
+      // FileNameInformation: full path name relative to the share root
+      var pathNameBytes = new Buffer(file.getPath().replace(/\//g, '\\'), 'utf16le');
+      out.word32le(pathNameBytes.length)  // FileNameLength
+        .put(pathNameBytes);  // FileName
       break;
 
-    case SMB.FILE_INTERNAL_INFORMATION:
-      // not supported
-      out.word64le(0); // IndexNumber
+    case SMB.FILE_ATTRIBUTE_TAG_INFORMATION:
+      out.word32le(file.getAttributes()) // FileAttributes
+        .word32le(file.getReparseTag()); // ReparseTag
       break;
 
     case SMB.FILE_STREAM_INFORMATION:
@@ -0,0 +1,174 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var Path = require('path');
+
+var logger = require('winston').loggers.get('smb');
+var Long = require('long');
+
+var SMB = require('./constants');
+var ntstatus = require('../ntstatus.js');
+var utils = require('../utils');
+
+/**
+ *
+ * @param {SMBFile} file file to be modified according to the specified information level
+ * @param {Number} informationLevel
+ * @param {Buffer} buf information to be set
+ * @param {Number} bufOffset offset of buf within the SMB message (required for aligning unicode strings)
+ * @param {Function} cb callback called on completion
+ * @param {Object} cb.result result object with status and eaErrorOffset
+ */
+function apply(file, informationLevel, buf, bufOffset, cb) {
+  var off;
+  var eaErrorOffset = 0;
+  var msLastAccess, msCreation, msLastWrite, msChange;
+
+  function done(status) {
+    var result = { status: status, eaErrorOffset: eaErrorOffset };
+    process.nextTick(function () { cb(result); });
+  }
+
+  function handleError(err) {
+    if (err) {
+      logger.error(err);
+    }
+    cb({
+      status: err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS,
+      eaErrorOffset: eaErrorOffset
+    });
+  }
+
+  switch (informationLevel) {
+    case SMB.SET_INFO_STANDARD:
+      off = 0;
+      var smbDate = buf.readUInt16LE(off);
+      off += 2;
+      var smbTime = buf.readUInt16LE(off);
+      off += 2;
+      msCreation = utils.legacySMBToSystemDateTime(smbDate, smbTime);
+      smbDate = buf.readUInt16LE(off);
+      off += 2;
+      smbTime = buf.readUInt16LE(off);
+      off += 2;
+      msLastAccess = utils.legacySMBToSystemDateTime(smbDate, smbTime);
+      smbDate = buf.readUInt16LE(off);
+      off += 2;
+      smbTime = buf.readUInt16LE(off);
+      off += 2;
+      msLastWrite = utils.legacySMBToSystemDateTime(smbDate, smbTime);
+      // set lastModified
+      file.setLastModifiedTime(msLastWrite);
+      // todo implement according to https://msdn.microsoft.com/en-us/library/ff469956.aspx
+      // set created
+      // set lastAccessed
+
+      logger.debug('%s, fileName: %s, creationTime: %d, lastAccessTime: %d, lastWriteTime: %d', SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel], file.getName(), msCreation, msLastAccess, msLastWrite);
+      done(ntstatus.STATUS_SUCCESS);
+      return;
+
+    case SMB.SET_INFO_EAS:
+      var eaList = utils.parseFEAList(buf, 0);
+      if (eaList && eaList.length) {
+        // we're currently not supporting EAs
+        eaErrorOffset = eaList[0].offset;
+      }
+      done(ntstatus.STATUS_SUCCESS);
+      return;
+
+    case SMB.SET_FILE_BASIC_INFO:
+    case SMB.FILE_BASIC_INFORMATION:
+      // on OS-X the timestamp value is sometimes -2082844800000 (1904-01-01T00:00:00.000Z) which is the epoch used by GetDateTime() ... ?!
+      off = 0;
+      msCreation = utils.readTimestamp(buf, off);
+      off += 8;
+      msLastAccess = utils.readTimestamp(buf, off);
+      off += 8;
+      msLastWrite = utils.readTimestamp(buf, off);
+      off += 8;
+      msChange = utils.readTimestamp(buf, off);
+      off += 8;
+      var extFileAttributes = buf.readUInt32LE(off);
+      off += 4;
+      // todo implement according to https://msdn.microsoft.com/en-us/library/ff469851.aspx
+      if (msCreation && msCreation !== -1) {
+        // set created
+      }
+      if (msLastAccess && msLastAccess !== -1) {
+        // set lastAccessed
+      }
+      if (msLastWrite && msLastWrite !== -1) {
+        // set lastModified
+        file.setLastModifiedTime(msLastWrite);
+      }
+      if (msChange && msChange !== -1) {
+        // set changed
+      }
+
+      logger.debug('%s, fileName: %s, creationTime: %d, lastAccessTime: %d, lastWriteTime: %d, changeTime: %d, extFileAttributes: %s', SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || SMB.QUERY_INFORMATION_LEVEL_TO_STRING[informationLevel], file.getName(), msCreation, msLastAccess, msLastWrite, msChange, extFileAttributes.toString(2));
+      done(ntstatus.STATUS_SUCCESS);
+      return;
+
+    case SMB.SET_FILE_DISPOSITION_INFO:
+    case SMB.FILE_DISPOSITION_INFORMATION:
+      var deletePending = !!buf.readUInt8(0);
+      if (deletePending) {
+        logger.debug('%s, fid: %d [fileName: %s], deletePending: %d', SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || SMB.QUERY_INFORMATION_LEVEL_TO_STRING[informationLevel], file.getId(), file.getName(), deletePending);
+        file.setDeleteOnClose();
+      }
+      done(ntstatus.STATUS_SUCCESS);
+      return;
+
+    case SMB.SET_FILE_END_OF_FILE_INFO:
+    case SMB.FILE_END_OF_FILE_INFORMATION:
+      var endOfFile = Long.fromBits(buf.readUInt32LE(0), buf.readUInt32LE(4), true).toNumber();
+      file.setLength(endOfFile, handleError);
+      return;
+
+    case SMB.SET_FILE_ALLOCATION_INFO:
+    case SMB.FILE_ALLOCATION_INFORMATION:
+      var allocationSize = Long.fromBits(buf.readUInt32LE(0), buf.readUInt32LE(4), true).toNumber();
+      if (!allocationSize && file.getDataSize()) {
+        file.setLength(0, handleError);
+      } else {
+        // todo support setting allocationSize > 0
+        // for now silently ignore
+        done(ntstatus.STATUS_SUCCESS);
+      }
+      return;
+
+    case SMB.FILE_RENAME_INFORMATION:
+      off = 0;
+      var replaceIfExists = buf.readUInt8(off);
+      off += 1;
+      off += 3; // Reserved (padding)
+      var rootDirectory = buf.readUInt32LE(off);
+      off += 4;
+      var fileNameLength = buf.readUInt32LE(off);
+      off += 4;
+      off += utils.calculatePadLength(bufOffset + off, 2);   // pad to align subsequent unicode strings (utf16le) on word boundary
+      var targetName = utils.extractUnicodeBytes(buf, off).toString('utf16le');
+      var targetPath = Path.join(utils.getParentPath(file.getPath()), targetName);
+      logger.debug('%s, fid: %d [fileName: %s], replaceIfExists: %d, rootDirectoryHandle: %d, fileNameLength: %d, targetName: %s', SMB.QUERY_INFORMATION_LEVEL_TO_STRING[informationLevel], file.getId(), file.getName(), replaceIfExists, rootDirectory, fileNameLength, targetName);
+      file.getTree().rename(file, targetPath, handleError);
+      return;
+
+    default:
+      logger.error('encountered unsupported or unknown informationLevel %s, fid: %d [fileName: %s]', SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16), file.getId(), file.getName());
+      done(ntstatus.STATUS_NOT_IMPLEMENTED);
+      return;
+  }
+}
+
+module.exports.apply = apply;
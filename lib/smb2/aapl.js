@@ -0,0 +1,178 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var put = require('put');
+var async = require('async');
+var logger = require('winston').loggers.get('smb');
+
+var SMB2 = require('./constants');
+var SMB = require('../smb/constants');
+var streams = require('../streams');
+
+/**
+ * Apple SMB2 extensions negotiated by macOS clients through the AAPL create context
+ * (there's no public specification; see Apple's smbfs client and Samba's vfs_fruit).
+ */
+
+// size of an AAPL server query request
+var REQUEST_LENGTH = 24;
+
+// command codes
+var AAPL_SERVER_QUERY = 1;
+
+// request/reply bitmap
+var AAPL_SERVER_CAPS = 0x01;
+var AAPL_VOLUME_CAPS = 0x02;
+var AAPL_MODEL_INFO = 0x04;
+
+// server capabilities
+var AAPL_SUPPORTS_READ_DIR_ATTR = 0x01;
+
+// volume capabilities
+var AAPL_CASE_SENSITIVE = 0x02;
+// F_FULLFSYNC support, advertised for Time Machine destinations (kAAPL_SUPPORTS_TM)
+var AAPL_SUPPORTS_FULL_SYNC = 0x04;
+
+// model string reported to clients (determines the icon Finder displays for the server)
+var DEFAULT_MODEL = 'MacSamba';
+
+// number of entries whose streams are read concurrently when enriching directory entries
+var READ_DIR_ATTR_CONCURRENCY = 8;
+
+/**
+ * Decodes an AAPL create context.
+ *
+ * @param {Buffer} buf create context data
+ * @return {Object} an object with the commandCode, requestBitmap and clientCaps
+ *                  or null if the context is malformed
+ */
+function decodeRequest(buf) {
+  if (buf.length < REQUEST_LENGTH) {
+    return null;
+  }
+  return {
+    commandCode: buf.readUInt32LE(0),
+    // the defined bits of the 64-bit RequestBitmap and ClientCapabilities fit into the low words
+    requestBitmap: buf.readUInt32LE(8),
+    clientCaps: buf.readUInt32LE(16)
+  };
+}
+
+/**
+ * Answers an AAPL server query and records the negotiated extensions on the tree.
+ * Only the first query on a tree connection is answered.
+ *
+ * @param {Object} request decoded AAPL create context
+ * @param {SMBTree} tree tree connection the query has been sent on
+ * @param {SMBServer} server
+ * @return {Object} the AAPL response create context or null if the query is not answered
+ */
+function negotiate(request, tree, server) {
+  if (request.commandCode !== AAPL_SERVER_QUERY || tree.aapl) {
+    return null;
+  }
+  var config = server.config.aapl || {};
+  var share = tree.getShare();
+  var replyBitmap = request.requestBitmap & (AAPL_SERVER_CAPS | AAPL_VOLUME_CAPS | AAPL_MODEL_INFO);
+
+  tree.aapl = {
+    clientCaps: request.clientCaps,
+    readDirAttr: !!(request.clientCaps & AAPL_SUPPORTS_READ_DIR_ATTR) && config.readDirAttr !== false
+  };
+
+  var out = put();
+  out.word32le(AAPL_SERVER_QUERY) // CommandCode
+    .word32le(0)  // Reserved
+    .word64le(replyBitmap); // ReplyBitmap
+  if (replyBitmap & AAPL_SERVER_CAPS) {
+    out.word64le(tree.aapl.readDirAttr ? AAPL_SUPPORTS_READ_DIR_ATTR : 0); // ServerCapabilities
+  }
+  if (replyBitmap & AAPL_VOLUME_CAPS) {
+    out.word64le((share.isCaseSensitive() ? AAPL_CASE_SENSITIVE : 0)
+      | (share.isTimeMachine() ? AAPL_SUPPORTS_FULL_SYNC : 0)); // VolumeCapabilities
+  }
+  if (replyBitmap & AAPL_MODEL_INFO) {
+    var model = new Buffer(config.model || DEFAULT_MODEL, 'utf16le');
+    out.word32le(0) // Reserved
+      .word32le(model.length) // ModelStringLength
+      .put(model);  // ModelString
+  }
+
+  logger.debug('[aapl] share: %s, clientCaps: %s, replyBitmap: %s, readDirAttr: %s', share.getName(), request.clientCaps.toString(2), replyBitmap.toString(2), tree.aapl.readDirAttr);
+
+  return {
+    name: SMB2.CREATE_AAPL,
+    data: out.buffer()
+  };
+}
+
+/**
+ * Compresses the 32-byte FinderInfo of an entry into the 16 bytes returned with directory entries:
+ * type and creator (files only), Finder flags and extended Finder flags.
+ */
+function compressFinderInfo(finderInfo, isFile) {
+  var buf = new Buffer(16);
+  buf.fill(0);
+  if (finderInfo) {
+    if (isFile) {
+      finderInfo.copy(buf, 0, 0, 8);  // fdType, fdCreator
+    }
+    finderInfo.copy(buf, 8, 8, 10); // fdFlags
+    finderInfo.copy(buf, 10, 24, 26); // fdXFlags
+  }
+  return buf;
+}
+
+/**
+ * Collects the attributes returned with the enriched directory entries of a tree with negotiated
+ * ReadDirAttr support (maximal access, resource fork size and compressed FinderInfo) and attaches
+ * them to the entries as <code>aaplAttributes</code>.
+ *
+ * @param {SMBTree} tree
+ * @param {SMBFile[]} files directory entries
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+function readDirAttributes(tree, files, cb) {
+  var readOnly = tree.getShare().isReadOnly();
+  async.eachLimit(files, READ_DIR_ATTR_CONCURRENCY,
+    function (file, callback) {
+      async.series([
+        function (done) {
+          tree.readStream(file.getPath(), streams.AFP_AFPINFO, done);
+        },
+        function (done) {
+          tree.readStream(file.getPath(), streams.AFP_RESOURCE, done);
+        }
+      ], function (err, results) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        file.aaplAttributes = {
+          maxAccess: readOnly || file.isReadOnly() ? SMB.MAXIMAL_ACCESS_READONLY : SMB.MAXIMAL_ACCESS_ALL,
+          resourceForkSize: results[1] ? results[1].length : 0,
+          finderInfo: compressFinderInfo(streams.getFinderInfo(results[0]), file.isFile())
+        };
+        callback();
+      });
+    },
+    cb
+  );
+}
+
+module.exports.decodeRequest = decodeRequest;
+module.exports.negotiate = negotiate;
+module.exports.readDirAttributes = readDirAttributes;
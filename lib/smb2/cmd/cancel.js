@@ -0,0 +1,54 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var pending = require('../pending');
+
+/**
+ * SMB2_CANCEL (0x000C): Cancel a previously sent message on the same connection.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  logger.debug('[%s] messageId: %s, asyncId: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), msg.header.messageId.toString(), msg.header.asyncId ? msg.header.asyncId.toString() : null);
+
+  var entry = pending.find(msg, connection);
+  if (entry) {
+    // the cancelled request is completed with STATUS_CANCELLED
+    entry.cancel(ntstatus.STATUS_CANCELLED);
+  }
+
+  // "The server MUST NOT send a response to the CANCEL request."
+  // no further processing required by the caller
+  process.nextTick(function () { cb(null); });
+}
+
+module.exports = handle;
@@ -0,0 +1,156 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var common = require('../../common');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var pending = require('../pending');
+var notifyInfo = require('../../smb/fileNotifyInformation');
+var smb2 = require('../handler');
+
+/**
+ * SMB2_CHANGE_NOTIFY (0x000F): Request change notifications on a directory.
+ *
+ * An interim STATUS_PENDING response carrying an AsyncId is sent immediately; the final
+ * response is sent asynchronously once a matching change occurs or the request is cancelled.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0020 (fixed according to spec)
+    .word16le('flags')
+    .word32le('outputBufferLength')
+    .buffer('fileId', 16)
+    .word32le('completionFilter')
+    .word32le('reserved')
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] flags: %s, outputBufferLength: %d, fileId: %d [fileName: %s], completionFilter: %s',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags.toString(2), params.outputBufferLength,
+    fileId.volatile, file ? file.getName() : null, params.completionFilter.toString(2));
+
+  var result;
+  if (params.outputBufferLength > SMB2.MAX_TRANSACT_SIZE) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file.isDirectory()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var asyncId;
+
+  // sends the final response (status null: discard the request without responding)
+  function complete(status, buf) {
+    if (!pending.remove(asyncId, connection)) {
+      // already completed
+      return;
+    }
+    tree.cancelChangeListener(asyncId);
+    if (status === null) {
+      return;
+    }
+    logger.debug('[%s] asyncId: %d, status: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), asyncId, ntstatus.STATUS_TO_STRING[status]);
+    msg.header.flags.relatedOp = false;
+    // credits have already been granted with the interim response
+    msg.header.creditReqRes = 0;
+    msg.body = buf ? put()
+      .word16le(0x0009) // StructureSize (fixed according to spec)
+      .word16le(SMB2.HEADER_LENGTH + 8) // OutputBufferOffset
+      .word32le(buf.length) // OutputBufferLength
+      .put(buf) // Buffer
+      .buffer() : utils.EMPTY_BUFFER;
+    smb2.sendResponse(msg, status, connection, server, function (err) {
+      if (err) {
+        logger.error('failed to send change notification', err);
+      }
+    });
+  }
+
+  asyncId = pending.register(msg, connection, file, complete);
+
+  tree.registerChangeListener(asyncId, file, !!(params.flags & SMB2.WATCH_TREE), params.completionFilter, function (action, name, newName) {
+    if (action === common.FILE_ACTION_RENAMED) {
+      logger.debug('[%s][%s] name: %s, newName: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), common.FILE_ACTION_TO_STRING[action].toUpperCase(), name, newName);
+    } else {
+      logger.debug('[%s][%s] name: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), common.FILE_ACTION_TO_STRING[action].toUpperCase(), name);
+    }
+    var buf = name ? notifyInfo.serialize(action, name, newName) : null;
+    if (!buf || buf.length > params.outputBufferLength) {
+      // no details available (e.g. dummy notification) or details don't fit: force client to enumerate the directory
+      complete(ntstatus.STATUS_NOTIFY_ENUM_DIR);
+      return;
+    }
+    complete(ntstatus.STATUS_SUCCESS, buf);
+  });
+
+  // interim response; the final response will be sent at some later point in time
+  result = {
+    status: ntstatus.STATUS_PENDING,
+    body: utils.EMPTY_BUFFER
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,118 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var pending = require('../pending');
+
+/**
+ * SMB2_CLOSE (0x0006): Close an open file.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0018 (fixed according to spec)
+    .word16le('flags')
+    .skip(4)  // Reserved
+    .buffer('fileId', 16)
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] flags: %d, fileId: %d [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags, fileId.volatile, file ? file.getName() : null);
+
+  var result;
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var out = put();
+  out.word16le(0x003c)  // StructureSize (fixed according to spec)
+    .word16le(params.flags & SMB2.CLOSE_FLAG_POSTQUERY_ATTRIB);  // Flags
+  if (params.flags & SMB2.CLOSE_FLAG_POSTQUERY_ATTRIB) {
+    var smbCreated = utils.systemToSMBTime(file.getCreatedTime());
+    var smbLastModified = utils.systemToSMBTime(file.getLastModifiedTime());
+    var smbLastAccessed = utils.systemToSMBTime(file.getLastAccessedTime());
+    var smbLastChanged = utils.systemToSMBTime(file.getLastChangedTime());
+    out.word32le(0) // Reserved
+      .word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
+      .word32le(smbCreated.getHighBitsUnsigned())
+      .word32le(smbLastAccessed.getLowBitsUnsigned()) // LastAccessTime
+      .word32le(smbLastAccessed.getHighBitsUnsigned())
+      .word32le(smbLastModified.getLowBitsUnsigned()) // LastWriteTime
+      .word32le(smbLastModified.getHighBitsUnsigned())
+      .word32le(smbLastChanged.getLowBitsUnsigned()) // ChangeTime
+      .word32le(smbLastChanged.getHighBitsUnsigned())
+      .word64le(file.getAllocationSize()) // AllocationSize
+      .word64le(file.getDataSize()) // EndofFile
+      .word32le(file.getAttributes()); // FileAttributes
+  } else {
+    out.pad(4 + 6 * 8 + 4);
+  }
+  var respBody = out.buffer();
+
+  // complete pending requests (e.g. CHANGE_NOTIFY) on this open
+  pending.cancelAll(connection, ntstatus.STATUS_NOTIFY_CLEANUP, file);
+  // release oplock/lease held by this open
+  server.oplocks.release(fileId.volatile);
+  server.durableHandles.release(fileId.volatile);
+  // release byte-range locks held by this open
+  server.locks.release(fileId.volatile);
+
+  // close file
+  tree.closeFile(fileId.volatile, function (err) {
+    cb({
+      status: err ? ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS,
+      body: err ? utils.EMPTY_BUFFER : respBody
+    });
+  });
+}
+
+module.exports = handle;
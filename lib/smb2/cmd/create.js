@@ -0,0 +1,383 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var async = require('async');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var common = require('../../common');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var createcontext = require('../createcontext');
+var oplocks = require('../oplocks');
+var durable = require('../durable');
+var aapl = require('../aapl');
+var snapshots = require('../../snapshots');
+var symlinks = require('../../symlinks');
+
+// access rights which require a writable share
+var WRITE_ACCESS = SMB.FILE_WRITE_DATA | SMB.FILE_APPEND_DATA | SMB.FILE_WRITE_EA | SMB.FILE_WRITE_ATTRIBUTES |
+  SMB.FILE_DELETE_CHILD | SMB.DELETE | SMB.WRITE_DAC | SMB.WRITE_OWNER;
+
+// ErrorId of an SMB 3.1.1 error context
+var SMB2_ERROR_ID_DEFAULT = 0x00000000;
+
+/**
+ * Maps the generic access rights of an access mask to the specific file access rights they denote.
+ *
+ * @param {Number} accessMask - requested access mask
+ * @return {Number} access mask without generic access rights
+ */
+function mapGenericAccess(accessMask) {
+  var mapped = accessMask & ~(SMB.GENERIC_READ | SMB.GENERIC_WRITE | SMB.GENERIC_EXECUTE | SMB.GENERIC_ALL);
+  if (accessMask & SMB.GENERIC_READ) {
+    mapped |= SMB.FILE_GENERIC_READ;
+  }
+  if (accessMask & SMB.GENERIC_WRITE) {
+    mapped |= SMB.FILE_GENERIC_WRITE;
+  }
+  if (accessMask & SMB.GENERIC_EXECUTE) {
+    mapped |= SMB.FILE_GENERIC_EXECUTE;
+  }
+  if (accessMask & SMB.GENERIC_ALL) {
+    mapped |= SMB.FILE_ALL_ACCESS;
+  }
+  // keep the mask unsigned
+  return mapped >>> 0;
+}
+
+/**
+ * SMB2_CREATE (0x0005): Create or open a file, named pipe or directory.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0039 (fixed according to spec)
+    .word8('securityFlags')
+    .word8('requestedOplockLevel')
+    .word32le('impersonationLevel')
+    .skip(8)  // SmbCreateFlags
+    .skip(8)  // Reserved
+    .word32le('desiredAccess')
+    .word32le('fileAttributes')
+    .word32le('shareAccess')
+    .word32le('createDisposition')
+    .word32le('createOptions')
+    .word16le('nameOffset')
+    .word16le('nameLength')
+    .word32le('createContextsOffset')
+    .word32le('createContextsLength')
+    .vars;
+
+  // offsets are relative to the beginning of the SMB2 header
+  params.fileName = msg.buf.slice(params.nameOffset, params.nameOffset + params.nameLength).toString('utf16le');
+  var contexts = createcontext.decode(msg.buf.slice(params.createContextsOffset, params.createContextsOffset + params.createContextsLength));
+
+  logger.debug('[%s] requestedOplockLevel: %d, desiredAccess: %s, fileAttributes: %s, shareAccess: %s, createDisposition: 0x%s, createOptions: %s, fileName: %s, createContexts: %s',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.requestedOplockLevel, params.desiredAccess.toString(2), params.fileAttributes.toString(2),
+    params.shareAccess.toString(2), params.createDisposition.toString(16), params.createOptions.toString(16), params.fileName,
+    contexts ? Object.keys(contexts).join(', ') : null);
+
+  var result;
+
+  if (!contexts) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var session = server.getSession(msg.header.sessionId.toNumber());
+  if (!session) {
+    result = {
+      status: ntstatus.STATUS_USER_SESSION_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var tree = server.getTree(msg.header.treeId);
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  // files of snapshots (previous versions) are addressed by an @GMT token in the name or by a timewarp context
+  var snapshot = snapshots.parsePath(utils.normalizeSMBFileName(params.fileName)).token;
+  var timewarp = contexts[SMB2.CREATE_TIMEWARP_TOKEN];
+  if (timewarp) {
+    if (timewarp.length < 8) {
+      result = {
+        status: ntstatus.STATUS_INVALID_PARAMETER,
+        body: utils.EMPTY_BUFFER
+      };
+      process.nextTick(function () { cb(result); });
+      return;
+    }
+    logger.debug('[%s] timewarp token: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), utils.readTimestamp(timewarp, 0));
+    if (!snapshot) {
+      snapshot = snapshots.formatToken(utils.readTimestamp(timewarp, 0));
+      params.fileName = snapshot + (params.fileName ? '\\' + params.fileName : '');
+    }
+  }
+
+  // generic access rights are granted as the specific rights they map to
+  var desiredAccess = mapGenericAccess(params.desiredAccess);
+
+  var readOnly = tree.getShare().isReadOnly() || !!snapshot;
+  if (readOnly && ((desiredAccess & WRITE_ACCESS)
+    || (params.createDisposition !== common.FILE_OPEN && params.createDisposition !== common.FILE_OPEN_IF))) {
+    result = {
+      status: snapshot ? ntstatus.STATUS_MEDIA_WRITE_PROTECTED : ntstatus.STATUS_ACCESS_DENIED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var leaseRequest = null;
+  if (params.requestedOplockLevel === SMB2.OPLOCK_LEVEL_LEASE && contexts[SMB2.CREATE_REQUEST_LEASE]) {
+    leaseRequest = oplocks.decodeLeaseRequest(contexts[SMB2.CREATE_REQUEST_LEASE]);
+    if (!leaseRequest) {
+      result = {
+        status: ntstatus.STATUS_INVALID_PARAMETER,
+        body: utils.EMPTY_BUFFER
+      };
+      process.nextTick(function () { cb(result); });
+      return;
+    }
+  }
+
+  var durableContexts = durable.decodeContexts(contexts);
+  if (!durableContexts) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var aaplRequest = null;
+  if (contexts[SMB2.CREATE_AAPL]) {
+    aaplRequest = aapl.decodeRequest(contexts[SMB2.CREATE_AAPL]);
+    if (!aaplRequest) {
+      result = {
+        status: ntstatus.STATUS_INVALID_PARAMETER,
+        body: utils.EMPTY_BUFFER
+      };
+      process.nextTick(function () { cb(result); });
+      return;
+    }
+  }
+
+  function breakOplocks(callback) {
+    // conflicting oplocks/leases of other opens have to be broken first
+    server.oplocks.breakForOpen(tree, params.fileName, connection, leaseRequest, params.createDisposition, callback);
+  }
+
+  function getFile(callback) {
+    tree.openOrCreate(params.fileName, params.createDisposition, !!(params.createOptions & common.FILE_DIRECTORY_FILE), !!(params.createOptions & common.FILE_OPEN_REPARSE_POINT), callback);
+  }
+
+  function validate(file, callback) {
+    var status = ntstatus.STATUS_SUCCESS;
+    if ((params.createOptions & common.FILE_DIRECTORY_FILE) && !file.isDirectory()) {
+      status = ntstatus.STATUS_NOT_A_DIRECTORY;
+    } else if ((params.createOptions & common.FILE_NON_DIRECTORY_FILE) && file.isDirectory()) {
+      status = ntstatus.STATUS_FILE_IS_A_DIRECTORY;
+    }
+    if (status !== ntstatus.STATUS_SUCCESS) {
+      tree.closeFile(file.getId(), function () {
+        callback({ status: status });
+      });
+      return;
+    }
+    if (params.createOptions & common.FILE_DELETE_ON_CLOSE) {
+      file.setDeleteOnClose();
+    }
+    var maximalAccess = readOnly || file.isReadOnly() ? SMB.MAXIMAL_ACCESS_READONLY : SMB.MAXIMAL_ACCESS_ALL;
+    file.setGrantedAccess(desiredAccess & SMB.MAXIMUM_ALLOWED ? maximalAccess : desiredAccess);
+    var grant = server.oplocks.grant(file, connection, msg.header.sessionId.toNumber(), params.requestedOplockLevel, leaseRequest);
+    if (grant.status !== ntstatus.STATUS_SUCCESS) {
+      tree.closeFile(file.getId(), function () {
+        callback({ status: grant.status });
+      });
+      return;
+    }
+    callback(null, file, grant);
+  }
+
+  function buildResult(file, grant, callback) {
+    var smbCreated = utils.systemToSMBTime(file.getCreatedTime());
+    var smbLastModified = utils.systemToSMBTime(file.getLastModifiedTime());
+    var smbLastAccessed = utils.systemToSMBTime(file.getLastAccessedTime());
+    var smbLastChanged = utils.systemToSMBTime(file.getLastChangedTime());
+
+    // response create contexts
+    var respContexts = [];
+    if (contexts[SMB2.CREATE_QUERY_MAXIMAL_ACCESS_REQUEST]) {
+      respContexts.push({
+        name: SMB2.CREATE_QUERY_MAXIMAL_ACCESS_REQUEST,
+        data: put()
+          .word32le(ntstatus.STATUS_SUCCESS)  // QueryStatus
+          .word32le(readOnly || file.isReadOnly() ? SMB.MAXIMAL_ACCESS_READONLY : SMB.MAXIMAL_ACCESS_ALL)  // MaximalAccess
+          .buffer()
+      });
+    }
+    if (contexts[SMB2.CREATE_QUERY_ON_DISK_ID]) {
+      respContexts.push({
+        name: SMB2.CREATE_QUERY_ON_DISK_ID,
+        data: put()
+          .put(file.getUniqueId())  // DiskFileId
+          .word64le(0)  // VolumeId
+          .pad(16)  // Reserved
+          .buffer()
+      });
+    }
+    if (grant.lease) {
+      respContexts.push({
+        name: SMB2.CREATE_REQUEST_LEASE,
+        data: oplocks.encodeLeaseResponse(grant.lease, leaseRequest.version)
+      });
+    }
+    if (durableContexts.request) {
+      var durableContext = server.durableHandles.grant(file, connection, session, durableContexts.request, grant);
+      if (durableContext) {
+        respContexts.push(durableContext);
+      }
+    }
+    if (aaplRequest) {
+      var aaplContext = aapl.negotiate(aaplRequest, tree, server);
+      if (aaplContext) {
+        respContexts.push(aaplContext);
+      }
+    }
+    var contextsBuf = createcontext.encode(respContexts);
+
+    var out = put();
+    out.word16le(0x0059)  // StructureSize (fixed according to spec)
+      .word8(grant.oplockLevel)  // OplockLevel
+      .word8(0) // Flags
+      .word32le(file.getCreateAction()) // CreateAction
+      .word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
+      .word32le(smbCreated.getHighBitsUnsigned())
+      .word32le(smbLastAccessed.getLowBitsUnsigned()) // LastAccessTime
+      .word32le(smbLastAccessed.getHighBitsUnsigned())
+      .word32le(smbLastModified.getLowBitsUnsigned()) // LastWriteTime
+      .word32le(smbLastModified.getHighBitsUnsigned())
+      .word32le(smbLastChanged.getLowBitsUnsigned()) // ChangeTime
+      .word32le(smbLastChanged.getHighBitsUnsigned())
+      .word64le(file.getAllocationSize()) // AllocationSize
+      .word64le(file.getDataSize()) // EndofFile
+      .word32le(file.getAttributes()) // FileAttributes
+      .word32le(0)  // Reserved2
+      .put(fileid.encode(fileid.fromFile(file)))  // FileId
+      .word32le(contextsBuf.length ? SMB2.HEADER_LENGTH + 88 : 0) // CreateContextsOffset
+      .word32le(contextsBuf.length) // CreateContextsLength
+      .put(contextsBuf);  // Buffer
+    if (!contextsBuf.length) {
+      // StructureSize includes 1 byte of the variable-length buffer
+      out.word8(0);
+    }
+
+    callback(null, {
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    });
+  }
+
+  if (durableContexts.reconnect) {
+    // reclaim a durable open after a lost connection; the other request fields are ignored
+    var reclaimed = server.durableHandles.reconnect(durableContexts.reconnect, tree, connection, session, leaseRequest);
+    if (reclaimed.status !== ntstatus.STATUS_SUCCESS) {
+      result = {
+        status: reclaimed.status,
+        body: utils.EMPTY_BUFFER
+      };
+      process.nextTick(function () { cb(result); });
+      return;
+    }
+    buildResult(reclaimed.file, reclaimed, function (err, result) {
+      cb(result);
+    });
+    return;
+  }
+
+  async.waterfall([ breakOplocks, getFile, validate, buildResult ], function (err, result) {
+    if (err) {
+      logger.debug('[%s] %s: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.fileName, err.message ? err.message : err);
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: err.symlink ? buildSymlinkErrorBody(err.symlink, connection.dialect) : utils.EMPTY_BUFFER
+      });
+    } else {
+      cb(result);
+    }
+  });
+}
+
+/**
+ * Builds the error response returned along with <code>STATUS_STOPPED_ON_SYMLINK</code> (see MS-SMB2 2.2.2).
+ * SMB 3.1.1 clients expect the symbolic link error response to be wrapped in an error context.
+ *
+ * @param {Object} symlink the link the open stopped on (path, target and unparsed remainder of the path)
+ * @param {Number} dialect negotiated dialect
+ * @return {Buffer}
+ */
+function buildSymlinkErrorBody(symlink, dialect) {
+  var errorData = symlinks.encodeSymlinkError(symlink.path, symlink.target, symlink.unparsedPath);
+  var errorContextCount = 0;
+  if (dialect === SMB2.SMB_3_1_1) {
+    errorData = put().word32le(errorData.length)  // ErrorDataLength
+      .word32le(SMB2_ERROR_ID_DEFAULT)  // ErrorId
+      .put(errorData) // ErrorContextData
+      .buffer();
+    errorContextCount = 1;
+  }
+  return put().word16le(0x0009) // StructureSize
+    .word8(errorContextCount) // ErrorContextCount
+    .pad(1) // Reserved
+    .word32le(errorData.length) // ByteCount
+    .put(errorData) // ErrorData
+    .buffer();
+}
+
+module.exports = handle;
@@ -0,0 +1,57 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+
+/**
+ * SMB2_ECHO (0x000D): Echo request (ping), e.g. used by clients as keep-alive.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+
+  logger.debug('[%s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+
+  var out = put();
+  out.word16le(0x0004)  // StructureSize (fixed according to spec)
+    .word16le(0); // Reserved
+
+  // return result
+  var result = {
+    status: ntstatus.STATUS_SUCCESS,
+    body: out.buffer()
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
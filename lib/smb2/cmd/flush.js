@@ -0,0 +1,129 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var async = require('async');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB = require('../../smb/constants');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+
+// access rights implying the right to flush an open
+var FLUSH_ACCESS = SMB.FILE_WRITE_DATA | SMB.FILE_APPEND_DATA;
+
+// Reserved1 value of a FLUSH request sent by macOS clients for F_FULLFSYNC
+var FULL_SYNC = 0xffff;
+
+/**
+ * SMB2_FLUSH (0x0007): Flush cached data of an open to the backend.
+ *
+ * On Time Machine destinations macOS clients request full syncs (F_FULLFSYNC) which flush
+ * all open files of the tree connection, e.g. the bands of a sparse bundle.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0018 (fixed according to spec)
+    .word16le('reserved1')
+    .skip(4)  // Reserved2
+    .buffer('fileId', 16)
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  var fullSync = params.reserved1 === FULL_SYNC && !!tree && !!tree.aapl && tree.getShare().isTimeMachine();
+
+  logger.debug('[%s] fileId: %d [fileName: %s], fullSync: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), fileId.volatile, file ? file.getName() : null, fullSync);
+
+  var result;
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  // the open must have been granted write access (see MS-SMB2 3.3.5.11)
+  if (!(file.getGrantedAccess() & FLUSH_ACCESS)) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  function flush(callback) {
+    if (!fullSync) {
+      file.flush(callback);
+      return;
+    }
+    var files = tree.getFiles().filter(function (f) {
+      return !f.isDirectory() && (f.getGrantedAccess() & FLUSH_ACCESS);
+    });
+    async.eachSeries(files, function (f, next) {
+      f.flush(next);
+    }, callback);
+  }
+
+  flush(function (err) {
+    if (err) {
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+    var out = put();
+    out.word16le(0x0004)  // StructureSize (fixed according to spec)
+      .word16le(0); // Reserved
+    cb({
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,62 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+var dfs = require('../../../dfs');
+
+/**
+ * FSCTL_DFS_GET_REFERRALS (0x00060194): Requests a referral for a path within a DFS namespace
+ * (see MS-SMB2 3.3.5.15.2 and MS-DFSC 3.2.5.5). The request is not bound to an open.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var request = dfs.decodeReferralRequest(input);
+
+  logger.debug('[%s] maxReferralLevel: %d, requestFileName: %s', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), request ? request.maxReferralLevel : -1, request ? request.requestFileName : null);
+
+  var result;
+  if (!request) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var referral = dfs.getReferral(server, request);
+  result = {
+    status: referral.status,
+    output: referral.data
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,74 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+
+/**
+ * FSCTL_GET_OBJECT_ID (0x0009009C): Returns the object identifier of a file (see MS-FSCC 2.3.21).
+ *
+ * The backends don't support object ids; stable ids are derived from the share name and the file path.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] fileId: %d [fileName: %s]', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), fileId.volatile, file ? file.getName() : null);
+
+  var result;
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var shareName = tree.getShare().getName();
+  var objectId = crypto.createHash('md5').update(shareName + ':' + file.getPath(), 'utf8').digest();
+  var volumeId = crypto.createHash('md5').update(shareName, 'utf8').digest();
+
+  var out = put();
+  out.put(objectId) // ObjectId
+    .put(volumeId)  // BirthVolumeId
+    .put(objectId)  // BirthObjectId
+    .pad(16); // DomainId
+  result = {
+    status: ntstatus.STATUS_SUCCESS,
+    output: out.buffer()
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,84 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+
+// size of a NETWORK_RESILIENCY_REQUEST
+var REQUEST_LENGTH = 8;
+
+/**
+ * FSCTL_LMR_REQUEST_RESILIENCY (0x001401D4): Requests resiliency for an open, i.e. the open
+ * is preserved for the requested timeout if the connection is lost (see MS-SMB2 3.3.5.15.9).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var result;
+
+  if (connection.dialect === SMB2.SMB_2_0_2) {
+    result = {
+      status: ntstatus.STATUS_INVALID_DEVICE_REQUEST,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (input.length < REQUEST_LENGTH) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var timeout = input.readUInt32LE(0);
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] timeout: %d, fileId: %d [fileName: %s]', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), timeout, fileId.volatile, file ? file.getName() : null);
+
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var session = server.getSession(msg.header.sessionId.toNumber());
+  result = {
+    status: server.durableHandles.makeResilient(file, connection, session, timeout),
+    output: null
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
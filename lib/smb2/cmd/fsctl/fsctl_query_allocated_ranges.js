@@ -0,0 +1,114 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var put = require('put');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB = require('../../../smb/constants');
+var SMB2 = require('../../constants');
+
+// size of a FILE_ALLOCATED_RANGE_BUFFER
+var RANGE_LENGTH = 16;
+
+// access rights required for querying allocated ranges
+var READ_ACCESS = SMB.FILE_READ_DATA;
+
+/**
+ * FSCTL_QUERY_ALLOCATED_RANGES (0x000940CF): Scans a file for ranges that contain nonzero data
+ * (see MS-FSCC 2.3.45).
+ *
+ * Sparse files are not supported (see fsctl_set_sparse), i.e. the requested range is reported
+ * as a single allocated range up to the end of the file, as for any non-sparse file.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var result;
+  if (input.length < RANGE_LENGTH) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var offset = Long.fromBits(input.readUInt32LE(0), input.readUInt32LE(4), true);
+  var length = Long.fromBits(input.readUInt32LE(8), input.readUInt32LE(12), true);
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] offset: %s, length: %s, fileId: %d [fileName: %s]', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), offset.toString(), length.toString(), fileId.volatile, file ? file.getName() : null);
+
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (file.isDirectory() || offset.add(length).lessThan(offset)) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!(file.getGrantedAccess() & READ_ACCESS)) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var out = put();
+  var size = Long.fromNumber(file.getDataSize(), true);
+  var end = offset.add(length);
+  if (end.greaterThan(size)) {
+    end = size;
+  }
+  if (offset.lessThan(end)) {
+    var rangeLength = end.subtract(offset);
+    out.word32le(offset.getLowBitsUnsigned()) // FileOffset
+      .word32le(offset.getHighBitsUnsigned())
+      .word32le(rangeLength.getLowBitsUnsigned()) // Length
+      .word32le(rangeLength.getHighBitsUnsigned());
+  }
+  result = {
+    status: ntstatus.STATUS_SUCCESS,
+    output: out.buffer()
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,132 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var os = require('os');
+
+var put = require('put');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+
+// size of a NETWORK_INTERFACE_INFO entry
+var ENTRY_LENGTH = 152;
+// size of the SOCKADDR_STORAGE field
+var SOCKADDR_STORAGE_LENGTH = 128;
+
+var AF_INET = 0x0002;
+var AF_INET6 = 0x0017;
+
+// link speed (bits per second) reported if not configured
+var DEFAULT_LINK_SPEED = 1000000000;
+
+// FileId required for this FSCTL (not associated with an open)
+var NO_FILE = 0xffffffff;
+
+/**
+ * Converts an IPv6 address string to its 16-byte binary representation.
+ *
+ * @param {String} address - IPv6 address, e.g. 'fe80::1'
+ * @return {Buffer} 16-byte address
+ */
+function encodeIPv6(address) {
+  var halves = address.split('::');
+  var head = halves[0] ? halves[0].split(':') : [];
+  var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+  var groups = head.concat(_.fill(new Array(8 - head.length - tail.length), '0'), tail);
+  var buf = new Buffer(16);
+  for (var i = 0; i < 8; i++) {
+    buf.writeUInt16BE(parseInt(groups[i], 16), 2 * i);
+  }
+  return buf;
+}
+
+/**
+ * FSCTL_QUERY_NETWORK_INTERFACE_INFO (0x001401FC): Returns the network interfaces of the server
+ * (see MS-SMB2 3.3.5.15.11). Loopback interfaces are not reported.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var result;
+
+  if (fileId.persistent !== NO_FILE || fileId.volatile !== NO_FILE) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var linkSpeed = server.config.networkLinkSpeed || DEFAULT_LINK_SPEED;
+  var entries = [];
+  var ifIndex = 0;
+  _.forEach(os.networkInterfaces(), function (addresses, name) {
+    ifIndex++;
+    _.forEach(addresses, function (addr) {
+      if (addr.internal) {
+        return;
+      }
+      var sockAddr = put();
+      if (addr.family === 'IPv4' || addr.family === 4) {
+        sockAddr.word16le(AF_INET) // Family
+          .word16be(0)  // Port
+          .put(new Buffer(addr.address.split('.').map(Number))); // IPv4Address
+      } else {
+        sockAddr.word16le(AF_INET6)  // Family
+          .word16be(0)  // Port
+          .word32le(0)  // FlowInfo
+          .put(encodeIPv6(addr.address))  // IPv6Address
+          .word32le(addr.scopeid || 0); // ScopeId
+      }
+      var sockAddrBuf = sockAddr.buffer();
+      logger.debug('[%s] interface: %s (%d), address: %s', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), name, ifIndex, addr.address);
+      entries.push(put()
+        .word32le(0)  // Next (set below)
+        .word32le(ifIndex)  // IfIndex
+        .word32le(0)  // Capability
+        .word32le(0)  // Reserved
+        .word64le(linkSpeed)  // LinkSpeed
+        .put(sockAddrBuf) // SockAddr_Storage
+        .pad(SOCKADDR_STORAGE_LENGTH - sockAddrBuf.length)
+        .buffer());
+    });
+  });
+
+  for (var i = 0; i < entries.length - 1; i++) {
+    entries[i].writeUInt32LE(ENTRY_LENGTH, 0);
+  }
+
+  result = {
+    status: ntstatus.STATUS_SUCCESS,
+    output: Buffer.concat(entries)
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
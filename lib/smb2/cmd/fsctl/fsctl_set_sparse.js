@@ -0,0 +1,89 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB = require('../../../smb/constants');
+var SMB2 = require('../../constants');
+
+// access rights required for changing the sparse flag
+var SET_SPARSE_ACCESS = SMB.FILE_WRITE_DATA | SMB.FILE_APPEND_DATA | SMB.FILE_WRITE_ATTRIBUTES;
+
+/**
+ * FSCTL_SET_SPARSE (0x000900C4): Marks a file as sparse or not sparse (see MS-FSCC 2.3.64).
+ *
+ * Sparse files are not supported: the backends don't keep a sparse flag, the volume doesn't
+ * advertise FILE_SUPPORTS_SPARSE_FILES and FILE_ATTRIBUTE_SPARSE_FILE is never reported.
+ * The request is acknowledged without further action since clients creating sparse bundles
+ * (e.g. Time Machine) mark the band files sparse regardless and treat them as regular files
+ * if the flag is not reported back.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree.getFile(fileId.volatile);
+  // the input buffer is optional (default: set the sparse flag)
+  var setSparse = input.length ? !!input.readUInt8(0) : true;
+
+  logger.debug('[%s] setSparse: %s, fileId: %d [fileName: %s]', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), setSparse, fileId.volatile, file ? file.getName() : null);
+
+  var result;
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (file.isDirectory()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!(file.getGrantedAccess() & SET_SPARSE_ACCESS)) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  result = {
+    status: ntstatus.STATUS_SUCCESS,
+    output: null
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,128 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var Long = require('long');
+var async = require('async');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB = require('../../../smb/constants');
+var SMB2 = require('../../constants');
+
+// size of a FILE_ZERO_DATA_INFORMATION
+var REQUEST_LENGTH = 16;
+// maximum number of zero bytes written at once
+var MAX_WRITE_LENGTH = 1048576;
+
+// access rights required for zeroing data
+var WRITE_ACCESS = SMB.FILE_WRITE_DATA;
+
+/**
+ * FSCTL_SET_ZERO_DATA (0x000980C8): Sets a range of a file to zeros (see MS-FSCC 2.3.67).
+ *
+ * Sparse files are not supported (see fsctl_set_sparse), i.e. no range is deallocated and
+ * zeros are written to the part of the range within the end of the file, as for any
+ * non-sparse file.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var result;
+  if (input.length < REQUEST_LENGTH) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var offset = Long.fromBits(input.readUInt32LE(0), input.readUInt32LE(4), true).toNumber();
+  var beyondFinalZero = Long.fromBits(input.readUInt32LE(8), input.readUInt32LE(12), true).toNumber();
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] offset: %d, beyondFinalZero: %d, fileId: %d [fileName: %s]', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), offset, beyondFinalZero, fileId.volatile, file ? file.getName() : null);
+
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (file.isDirectory() || offset > beyondFinalZero) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!(file.getGrantedAccess() & WRITE_ACCESS)) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var end = Math.min(beyondFinalZero, file.getDataSize());
+  if (offset < end && !server.locks.checkWrite(file, 0, offset, end - offset)) {
+    result = {
+      status: ntstatus.STATUS_FILE_LOCK_CONFLICT,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var position = offset;
+  async.whilst(
+    function () {
+      return position < end;
+    },
+    function (callback) {
+      var zeros = new Buffer(Math.min(end - position, MAX_WRITE_LENGTH));
+      zeros.fill(0);
+      file.write(zeros, position, function (err) {
+        position += zeros.length;
+        callback(err);
+      });
+    },
+    function (err) {
+      cb({
+        status: err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS,
+        output: null
+      });
+    }
+  );
+}
+
+module.exports = handle;
@@ -0,0 +1,128 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB = require('../../../smb/constants');
+var SMB2 = require('../../constants');
+var servercopy = require('../../../servercopy');
+
+// size of a SRV_COPYCHUNK_RESPONSE
+var RESPONSE_LENGTH = 12;
+
+/**
+ * FSCTL_SRV_COPYCHUNK (0x001440F2): Copies chunks of data from a source open (identified by
+ * its resume key) to the target open (see MS-SMB2 3.3.5.15.6).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var request = servercopy.decodeCopyChunkRequest(input);
+  var tree = server.getTree(msg.header.treeId);
+  var destFile = tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] fileId: %d [fileName: %s], chunkCount: %d', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), fileId.volatile, destFile ? destFile.getName() : null, request ? request.chunks.length : 0);
+
+  var result;
+  if (!request || maxOutputResponse < RESPONSE_LENGTH) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!destFile) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  var limits = servercopy.checkLimits(request.chunks);
+  if (limits) {
+    // the server-side copy limits are returned to the client
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      output: servercopy.encodeCopyChunkResponse(limits)
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  var srcFile = server.serverCopy.getSourceFile(request.sourceKey);
+  if (!srcFile) {
+    result = {
+      status: ntstatus.STATUS_OBJECT_NAME_NOT_FOUND,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  // FSCTL_SRV_COPYCHUNK additionally requires read access to the target
+  var destAccess = SMB.FILE_WRITE_DATA;
+  if (ctlCode === SMB2.FSCTL_SRV_COPYCHUNK) {
+    destAccess |= SMB.FILE_READ_DATA;
+  }
+  if (!(srcFile.getGrantedAccess() & SMB.FILE_READ_DATA)
+    || (destFile.getGrantedAccess() & destAccess) !== destAccess
+    || tree.getShare().isReadOnly()) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (srcFile.isDirectory() || destFile.isDirectory()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_DEVICE_REQUEST,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  // other opens must not continue to cache the target's data
+  server.oplocks.breakForWrite(destFile, function () {
+    server.serverCopy.copyChunks(srcFile, destFile, request.chunks, function (err, copied) {
+      if (err) {
+        logger.error('[%s] failed to copy %s to %s', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), srcFile.getPath(), destFile.getPath(), err);
+        cb({
+          status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+          output: null
+        });
+        return;
+      }
+      cb({
+        status: ntstatus.STATUS_SUCCESS,
+        output: servercopy.encodeCopyChunkResponse(copied)
+      });
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,18 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+'use strict';
+
+/**
+ * FSCTL_SRV_COPYCHUNK_WRITE (0x001480F2): Server-side copy to an open without read access
+ * (see <code>fsctl_srv_copychunk</code>).
+ */
+module.exports = require('./fsctl_srv_copychunk');
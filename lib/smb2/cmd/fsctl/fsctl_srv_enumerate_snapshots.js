@@ -0,0 +1,72 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+var snapshots = require('../../../snapshots');
+
+/**
+ * FSCTL_SRV_ENUMERATE_SNAPSHOTS (0x00144064): Enumerates the snapshots (previous versions) of the share
+ * (see MS-SMB2 3.3.5.15.1).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] fileId: %d [fileName: %s], maxOutputResponse: %d', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), fileId.volatile, file ? file.getName() : null, maxOutputResponse);
+
+  var result;
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      output: null
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  tree.listSnapshots(function (err, tokens) {
+    if (err) {
+      logger.error('[%s] failed to list snapshots', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), err);
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        output: null
+      });
+      return;
+    }
+    var output = snapshots.encodeSnapshotArray(tokens, maxOutputResponse);
+    cb({
+      status: output ? ntstatus.STATUS_SUCCESS : ntstatus.STATUS_INVALID_PARAMETER,
+      output: output
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,102 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+var utils = require('../../../utils');
+var negotiate = require('../../negotiate');
+
+// size of the fixed part of a VALIDATE_NEGOTIATE_INFO request
+var REQUEST_LENGTH = 24;
+// size of a VALIDATE_NEGOTIATE_INFO response
+var RESPONSE_LENGTH = 24;
+
+/**
+ * FSCTL_VALIDATE_NEGOTIATE_INFO (0x00140204): Validates the previous negotiation in order to detect
+ * downgrade attacks (see MS-SMB2 3.3.5.15.12).
+ *
+ * If the validation fails the connection is terminated without a response.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Object} fileId - fileId
+ * @param {Buffer} input - the input data
+ * @param {Number} maxOutputResponse - maximum number of bytes the client accepts as output
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, fileId, input, maxOutputResponse, connection, server, cb) {
+  function terminate(reason) {
+    logger.error('[%s] %s, closing connection', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), reason);
+    connection.socket.destroy();
+    process.nextTick(function () { cb(null); });
+  }
+
+  if (input.length < REQUEST_LENGTH || maxOutputResponse < RESPONSE_LENGTH) {
+    terminate('invalid request');
+    return;
+  }
+  var parser = binary.parse(input);
+  var params = parser.word32le('capabilities')
+    .buffer('guid', 16)
+    .word16le('securityMode')
+    .word16le('dialectCount')
+    .vars;
+  if (input.length < REQUEST_LENGTH + 2 * params.dialectCount) {
+    terminate('invalid request');
+    return;
+  }
+  var dialects = [];
+  for (var i = 0; i < params.dialectCount; i++) {
+    dialects.push(input.readUInt16LE(REQUEST_LENGTH + 2 * i));
+  }
+
+  logger.debug('[%s] capabilities: 0x%s, securityMode: %d, dialects: [ %s ]', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), params.capabilities.toString(16), params.securityMode, dialects.map(function (dialect) { return '0x' + dialect.toString(16); }).join(', '));
+
+  if (params.capabilities !== connection.clientCapabilities
+    || !connection.clientGuid || !utils.bufferEquals(params.guid, connection.clientGuid)
+    || params.securityMode !== connection.clientSecurityMode) {
+    terminate('negotiate parameters do not match');
+    return;
+  }
+  // the dialect selected from the validated dialects must match the negotiated dialect
+  if (negotiate.selectDialect(dialects, server) !== connection.dialect || _.xor(dialects, connection.clientDialects).length) {
+    terminate('negotiated dialect does not match');
+    return;
+  }
+
+  var out = put();
+  out.word32le(connection.serverCapabilities) // Capabilities
+    .put(server.getGuid())  // Guid
+    .word16le(connection.serverSecurityMode) // SecurityMode
+    .word16le(connection.dialect);  // Dialect
+  var result = {
+    status: ntstatus.STATUS_SUCCESS,
+    output: out.buffer()
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,181 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var path = require('path');
+var fs = require('fs');
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+
+var fsctlHandlers = {};
+
+function loadFsctlHandlers() {
+  var p = path.join(__dirname, 'fsctl');
+  var files = fs.readdirSync(p);
+  for (var i = 0; i < files.length; i++) {
+    var f = files[i];
+    var stat = fs.statSync(path.resolve(p, f));
+    if (stat.isDirectory()) {
+      continue;
+    }
+    if (f.substr(-3) === '.js') {
+      f = f.slice(0, -3);
+      fsctlHandlers[f] = require(path.resolve(p, f));
+    }
+  }
+}
+loadFsctlHandlers();
+
+/**
+ * SMB2_IOCTL (0x000B): Issue a file system or device control command.
+ *
+ * The control commands are dispatched to the handlers in the <code>fsctl</code> directory
+ * (see <code>SMB2.FSCTL_TO_STRING</code> for the handler names).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0039 (fixed according to spec)
+    .skip(2)  // Reserved
+    .word32le('ctlCode')
+    .buffer('fileId', 16)
+    .word32le('inputOffset')
+    .word32le('inputCount')
+    .word32le('maxInputResponse')
+    .word32le('outputOffset')
+    .word32le('outputCount')
+    .word32le('maxOutputResponse')
+    .word32le('flags')
+    .skip(4)  // Reserved2
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  var ctlName = SMB2.FSCTL_TO_STRING[params.ctlCode];
+
+  logger.debug('[%s] ctlCode: 0x%s (%s), fileId: %d, inputCount: %d, maxOutputResponse: %d, flags: %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.ctlCode.toString(16), ctlName ? ctlName.toUpperCase() : 'unknown', fileId.volatile, params.inputCount, params.maxOutputResponse, params.flags);
+
+  var result;
+
+  if (!server.getSession(msg.header.sessionId.toNumber())) {
+    result = {
+      status: ntstatus.STATUS_USER_SESSION_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  if (!server.getTree(msg.header.treeId)) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  if (!(params.flags & SMB2.IOCTL_IS_FSCTL)) {
+    // device (non-FSCTL) IOCTLs are not supported
+    result = {
+      status: ntstatus.STATUS_NOT_SUPPORTED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var handler = ctlName && fsctlHandlers[ctlName];
+  if (!handler) {
+    logger.debug('encountered unsupported FSCTL 0x%s', params.ctlCode.toString(16));
+    result = {
+      status: ntstatus.STATUS_INVALID_DEVICE_REQUEST,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  // InputOffset is relative to the beginning of the SMB2 header
+  var input = msg.buf.slice(params.inputOffset, params.inputOffset + params.inputCount);
+
+  handler(msg, params.ctlCode, fileId, input, params.maxOutputResponse, connection, server, function (result) {
+    if (!result) {
+      // special case: no further processing required
+      cb(null);
+      return;
+    }
+    var output = result.output || utils.EMPTY_BUFFER;
+    if (result.status !== ntstatus.STATUS_SUCCESS && !output.length) {
+      cb({
+        status: result.status,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+    if (output.length > params.maxOutputResponse) {
+      // the error response specifies the required buffer size
+      cb({
+        status: ntstatus.STATUS_BUFFER_TOO_SMALL,
+        body: put()
+          .word16le(0x0009) // StructureSize (fixed according to spec)
+          .word8(0)  // ErrorContextCount
+          .pad(1) // Reserved
+          .word32le(4)  // ByteCount
+          .word32le(output.length)  // ErrorData
+          .buffer()
+      });
+      return;
+    }
+
+    // build response (some FSCTLs return output along with an error status)
+    var out = put();
+    out.word16le(0x0031)  // StructureSize (fixed according to spec)
+      .word16le(0)  // Reserved
+      .word32le(params.ctlCode) // CtlCode
+      .put(params.fileId) // FileId
+      .word32le(SMB2.HEADER_LENGTH + 48)  // InputOffset
+      .word32le(0)  // InputCount
+      .word32le(SMB2.HEADER_LENGTH + 48)  // OutputOffset
+      .word32le(output.length)  // OutputCount
+      .word32le(0)  // Flags
+      .word32le(0)  // Reserved2
+      .put(output); // Buffer
+    cb({
+      status: result.status,
+      body: out.buffer()
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,219 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var pending = require('../pending');
+var locks = require('../../locks');
+var smb2 = require('../handler');
+
+// size of the fixed part of a LOCK request
+var REQUEST_LENGTH = 24;
+// size of a SMB2_LOCK_ELEMENT
+var LOCK_ELEMENT_LENGTH = 24;
+
+// valid flags of a lock (as opposed to unlock) element
+var LOCK_FLAGS = [
+  SMB2.LOCKFLAG_SHARED_LOCK,
+  SMB2.LOCKFLAG_EXCLUSIVE_LOCK,
+  SMB2.LOCKFLAG_SHARED_LOCK | SMB2.LOCKFLAG_FAIL_IMMEDIATELY,
+  SMB2.LOCKFLAG_EXCLUSIVE_LOCK | SMB2.LOCKFLAG_FAIL_IMMEDIATELY
+];
+
+/**
+ * SMB2_LOCK (0x000A): Lock or unlock portions of a file.
+ *
+ * A lock request that can't be granted immediately and doesn't specify SMB2_LOCKFLAG_FAIL_IMMEDIATELY
+ * is answered with an interim STATUS_PENDING response; the final response is sent asynchronously
+ * once the lock has been granted or the request has been cancelled.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0030 (fixed according to spec)
+    .word16le('lockCount')
+    .word32le('lockSequence')
+    .buffer('fileId', 16)
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  var elements = [];
+  for (var i = 0; i < params.lockCount && REQUEST_LENGTH + (i + 1) * LOCK_ELEMENT_LENGTH <= body.length; i++) {
+    var off = REQUEST_LENGTH + i * LOCK_ELEMENT_LENGTH;
+    elements.push({
+      offset: Long.fromBits(body.readUInt32LE(off), body.readUInt32LE(off + 4), true),
+      length: Long.fromBits(body.readUInt32LE(off + 8), body.readUInt32LE(off + 12), true),
+      flags: body.readUInt32LE(off + 16)
+    });
+  }
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] lockCount: %d, lockSequence: %d, fileId: %d [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.lockCount, params.lockSequence, fileId.volatile, file ? file.getName() : null);
+
+  var result;
+  if (!params.lockCount || elements.length !== params.lockCount) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (file.isDirectory()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_DEVICE_REQUEST,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  _.forEach(elements, function (element) {
+    logger.debug('[%s] offset: %s, length: %s, flags: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), element.offset.toString(), element.length.toString(), element.flags.toString(2));
+  });
+
+  var status;
+  if (elements[0].flags === SMB2.LOCKFLAG_UNLOCK) {
+    // unlock request: all elements have to be unlocks
+    status = ntstatus.STATUS_SUCCESS;
+    _.every(elements, function (element) {
+      if (element.flags !== SMB2.LOCKFLAG_UNLOCK) {
+        status = ntstatus.STATUS_INVALID_PARAMETER;
+      } else {
+        status = server.locks.unlock(file, 0, element.offset, element.length);
+      }
+      return status === ntstatus.STATUS_SUCCESS;
+    });
+    result = {
+      status: status,
+      body: status === ntstatus.STATUS_SUCCESS ? buildResponse() : utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  // lock request: only a single lock may wait for conflicting locks to be released
+  var valid = _.every(elements, function (element) {
+    return _.includes(LOCK_FLAGS, element.flags)
+      && (elements.length === 1 || (element.flags & SMB2.LOCKFLAG_FAIL_IMMEDIATELY));
+  });
+  if (!valid) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var ranges = _.map(elements, function (element) {
+    return {
+      offset: element.offset,
+      length: element.length,
+      exclusive: !!(element.flags & SMB2.LOCKFLAG_EXCLUSIVE_LOCK)
+    };
+  });
+  var timeout = elements[0].flags & SMB2.LOCKFLAG_FAIL_IMMEDIATELY ? 0 : locks.WAIT_INFINITE;
+
+  var asyncId;
+
+  // sends the final response of a pending lock request (status null: discard the request without responding)
+  function complete(status) {
+    if (!pending.remove(asyncId, connection) || status === null) {
+      return;
+    }
+    logger.debug('[%s] asyncId: %d, status: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), asyncId, ntstatus.STATUS_TO_STRING[status]);
+    msg.header.flags.relatedOp = false;
+    // credits have already been granted with the interim response
+    msg.header.creditReqRes = 0;
+    msg.body = status === ntstatus.STATUS_SUCCESS ? buildResponse() : utils.EMPTY_BUFFER;
+    smb2.sendResponse(msg, status, connection, server, function (err) {
+      if (err) {
+        logger.error('failed to send lock response', err);
+      }
+    });
+  }
+
+  var request = server.locks.lock(file, 0, ranges, timeout, connection, complete);
+  if (request.status !== ntstatus.STATUS_PENDING) {
+    result = {
+      status: request.status,
+      body: request.status === ntstatus.STATUS_SUCCESS ? buildResponse() : utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  asyncId = pending.register(msg, connection, file, function (status) {
+    // pending lock requests on a closed open are completed with STATUS_RANGE_NOT_LOCKED
+    server.locks.cancel(request, status === ntstatus.STATUS_NOTIFY_CLEANUP ? ntstatus.STATUS_RANGE_NOT_LOCKED : status);
+  });
+
+  // interim response; the final response will be sent at some later point in time
+  result = {
+    status: ntstatus.STATUS_PENDING,
+    body: utils.EMPTY_BUFFER
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+function buildResponse() {
+  return put()
+    .word16le(0x0004) // StructureSize (fixed according to spec)
+    .word16le(0)  // Reserved
+    .buffer();
+}
+
+module.exports = handle;
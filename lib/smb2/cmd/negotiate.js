@@ -12,6 +12,8 @@
 
 'use strict';
 
+var crypto = require('crypto');
+
 var put = require('put');
 var binary = require('binary');
 var logger = require('winston').loggers.get('smb');
@@ -19,6 +21,11 @@ var logger = require('winston').loggers.get('smb');
 var ntstatus = require('../../ntstatus');
 var SMB2 = require('../constants');
 var utils = require('../../utils');
+var negotiatecontext = require('../negotiatecontext');
+var negotiate = require('../negotiate');
+var preauth = require('../preauth');
+var encryption = require('../encryption');
+var signing = require('../signing');
 
 /**
  * SMB2_NEGOTIATE (0x0000): Negotiate protocol dialect.
@@ -71,48 +78,149 @@ function handle(msg, commandId, body, related, connection, server, cb) {
 
   var result;
 
-  // target SMB 2.1 for now
-  var targetDialect;
-  if (params.dialects.indexOf(SMB2.SMB_2_1_0) > -1) {
-    targetDialect = SMB2.SMB_2_1_0;
-  } else if (params.dialects.indexOf(SMB2.SMB_2_0_2) > -1) {
-    targetDialect = SMB2.SMB_2_0_2;
-  } else {
+  // select the highest dialect supported by both client and server
+  var targetDialect = negotiate.selectDialect(params.dialects, server);
+  if (!targetDialect) {
+    logger.debug('[%s] no common dialect (enabled protocols: 0x%s - 0x%s)', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), server.protocols.min.toString(16), server.protocols.max.toString(16));
     result = {
-      status: ntstatus.STATUS_NOT_IMPLEMENTED,
+      status: ntstatus.STATUS_NOT_SUPPORTED,
       body: utils.EMPTY_BUFFER
     };
     process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var contexts = [];
+  if (targetDialect === SMB2.SMB_3_1_1) {
+    // NegotiateContextOffset is relative to the beginning of the SMB2 header
+    var ctxResult = processNegotiateContexts(negotiatecontext.decode(msg.buf.slice(params.negotiateContextOffset), params.negotiateContextCount), connection, server.isEncryptionEnabled());
+    if (ctxResult.status !== ntstatus.STATUS_SUCCESS) {
+      result = {
+        status: ctxResult.status,
+        body: utils.EMPTY_BUFFER
+      };
+      process.nextTick(function () { cb(result); });
+      return;
+    }
+    contexts = ctxResult.contexts;
+    // the pre-authentication integrity hash covers the NEGOTIATE request and response
+    // (the response is added once it has been encoded)
+    connection.preauthIntegrityHashValue = preauth.update(preauth.initialHashValue(), msg.buf);
   }
 
-  var systemTime = utils.systemToSMBTime(Date.now());
-  var startTime = utils.systemToSMBTime(server.getStartTime());
-  var securityBuffer = utils.EMPTY_BUFFER;
-  var out = put();
-  out.word16le(0x0041)  // StructureSize (fixed according to spec)
-    .word16le(0) // SecurityMode
-    .word16le(targetDialect) // DialectRevision
-    .word16le(0)  // NegotiateContextCount/Reserved
-    .put(server.getGuid())  // ServerGuid
-    .word32le(SMB2.GLOBAL_CAP_DFS | SMB2.GLOBAL_CAP_LARGE_MTU) // Capabilities
-    .word32le(0x00100000) // MaxTransactSize
-    .word32le(0x00100000) // MaxReadSize
-    .word32le(0x00100000) // MaxWriteSize
-    .word32le(systemTime.getLowBitsUnsigned())  // SystemTime
-    .word32le(systemTime.getHighBitsUnsigned())
-    .word32le(startTime.getLowBitsUnsigned())  // ServerStartTime
-    .word32le(startTime.getHighBitsUnsigned())
-    .word16le(SMB2.HEADER_LENGTH + 64)  // SecurityBufferOffset
-    .word16le(securityBuffer.length)  // SecurityBufferLength
-    .word32le(0)  // NegotiateContextOffset/Reserved2
-    .put(securityBuffer); // SecurityBuffer
+  // remember the negotiated dialect (required e.g. for multi-credit support and signing)
+  connection.dialect = targetDialect;
+  connection.clientGuid = params.clientGuid;
+  connection.clientCapabilities = params.capabilities;
+  connection.clientSecurityMode = params.securityMode;
+  connection.clientDialects = params.dialects;
 
   // return result
   result = {
     status: ntstatus.STATUS_SUCCESS,
-    body: out.buffer()
+    body: negotiate.buildResponse(targetDialect, params.capabilities, contexts, connection, server)
   };
   process.nextTick(function () { cb(result); });
 }
 
+/**
+ * Processes the negotiate contexts of a SMB 3.1.1 NEGOTIATE request (see MS-SMB2 3.3.5.4)
+ * and builds the negotiate contexts of the response.
+ *
+ * @param {Object[]} contexts - decoded negotiate contexts or null if they are malformed
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {Boolean} encryptionEnabled - whether the server supports encryption
+ * @return {Object} an object with status and the response contexts
+ */
+function processNegotiateContexts(contexts, connection, encryptionEnabled) {
+  if (!contexts) {
+    return { status: ntstatus.STATUS_INVALID_PARAMETER };
+  }
+
+  var preauthCtx = null;
+  var responseContexts = [];
+  var i, count, out;
+  for (var n = 0; n < contexts.length; n++) {
+    var ctx = contexts[n];
+    logger.debug('negotiate context: %s, dataLength: %d', SMB2.NEGOTIATE_CONTEXT_TYPE_TO_STRING[ctx.type] || '0x' + ctx.type.toString(16), ctx.data.length);
+    switch (ctx.type) {
+      case SMB2.PREAUTH_INTEGRITY_CAPABILITIES:
+        if (preauthCtx || ctx.data.length < 4) {
+          return { status: ntstatus.STATUS_INVALID_PARAMETER };
+        }
+        preauthCtx = ctx;
+        count = ctx.data.readUInt16LE(0);
+        var hashAlgorithms = [];
+        for (i = 0; i < count && 4 + 2 * i + 2 <= ctx.data.length; i++) {
+          hashAlgorithms.push(ctx.data.readUInt16LE(4 + 2 * i));
+        }
+        if (hashAlgorithms.indexOf(SMB2.HASH_ALGORITHM_SHA_512) === -1) {
+          return { status: ntstatus.STATUS_SMB_NO_PREAUTH_INTEGRITY_HASH_OVERLAP };
+        }
+        connection.preauthIntegrityHashId = SMB2.HASH_ALGORITHM_SHA_512;
+        out = put();
+        out.word16le(1) // HashAlgorithmCount
+          .word16le(32) // SaltLength
+          .word16le(SMB2.HASH_ALGORITHM_SHA_512)  // HashAlgorithms
+          .put(crypto.randomBytes(32)); // Salt
+        responseContexts.push({ type: ctx.type, data: out.buffer() });
+        break;
+
+      case SMB2.ENCRYPTION_CAPABILITIES:
+        if (ctx.data.length < 2) {
+          return { status: ntstatus.STATUS_INVALID_PARAMETER };
+        }
+        count = ctx.data.readUInt16LE(0);
+        var ciphers = [];
+        for (i = 0; i < count && 2 + 2 * i + 2 <= ctx.data.length; i++) {
+          ciphers.push(ctx.data.readUInt16LE(2 + 2 * i));
+        }
+        connection.cipherId = encryptionEnabled ? encryption.selectCipher(ciphers) : SMB2.CIPHER_NONE;
+        out = put();
+        out.word16le(1) // CipherCount
+          .word16le(connection.cipherId); // Ciphers
+        responseContexts.push({ type: ctx.type, data: out.buffer() });
+        break;
+
+      case SMB2.SIGNING_CAPABILITIES:
+        if (ctx.data.length < 2) {
+          return { status: ntstatus.STATUS_INVALID_PARAMETER };
+        }
+        count = ctx.data.readUInt16LE(0);
+        var signingAlgorithms = [];
+        for (i = 0; i < count && 2 + 2 * i + 2 <= ctx.data.length; i++) {
+          signingAlgorithms.push(ctx.data.readUInt16LE(2 + 2 * i));
+        }
+        var signingAlgorithmId = signing.selectSigningAlgorithm(signingAlgorithms);
+        if (signingAlgorithmId === -1) {
+          // no common signing algorithm: the context is omitted and AES-CMAC is used
+          break;
+        }
+        connection.signingAlgorithmId = signingAlgorithmId;
+        out = put();
+        out.word16le(1) // SigningAlgorithmCount
+          .word16le(connection.signingAlgorithmId); // SigningAlgorithms
+        responseContexts.push({ type: ctx.type, data: out.buffer() });
+        break;
+
+      case SMB2.NETNAME_NEGOTIATE_CONTEXT_ID:
+        logger.debug('negotiate context: netName: %s', ctx.data.toString('utf16le'));
+        break;
+
+      default:
+        // ignore unsupported/unknown contexts
+        break;
+    }
+  }
+
+  if (!preauthCtx) {
+    // SMB2_PREAUTH_INTEGRITY_CAPABILITIES is mandatory
+    return { status: ntstatus.STATUS_INVALID_PARAMETER };
+  }
+  return {
+    status: ntstatus.STATUS_SUCCESS,
+    contexts: responseContexts
+  };
+}
+
 module.exports = handle;
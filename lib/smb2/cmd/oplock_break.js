@@ -0,0 +1,144 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+
+// StructureSize of an oplock break acknowledgment
+var OPLOCK_BREAK_ACK_SIZE = 0x0018;
+// StructureSize of a lease break acknowledgment
+var LEASE_BREAK_ACK_SIZE = 0x0024;
+
+/**
+ * SMB2_OPLOCK_BREAK (0x0012): Acknowledge an oplock or lease break.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var structureSize = body.length >= 2 ? body.readUInt16LE(0) : 0;
+
+  var result;
+  if (structureSize === OPLOCK_BREAK_ACK_SIZE && body.length >= OPLOCK_BREAK_ACK_SIZE) {
+    result = acknowledgeOplock(msg, commandId, body, related, server);
+  } else if (structureSize === LEASE_BREAK_ACK_SIZE && body.length >= LEASE_BREAK_ACK_SIZE) {
+    result = acknowledgeLease(msg, commandId, body, connection, server);
+  } else {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+  }
+  process.nextTick(function () { cb(result); });
+}
+
+function acknowledgeOplock(msg, commandId, body, related, server) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0018 (fixed according to spec)
+    .word8('oplockLevel')
+    .skip(1)  // Reserved
+    .skip(4)  // Reserved2
+    .buffer('fileId', 16)
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] oplockLevel: %d, fileId: %d [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.oplockLevel, fileId.volatile, file ? file.getName() : null);
+
+  if (!tree) {
+    return {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+  }
+  if (!file) {
+    return {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+  }
+
+  var status = server.oplocks.acknowledgeOplock(fileId.volatile, params.oplockLevel);
+  if (status !== ntstatus.STATUS_SUCCESS) {
+    return {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+  }
+  return {
+    status: ntstatus.STATUS_SUCCESS,
+    body: put()
+      .word16le(0x0018) // StructureSize (fixed according to spec)
+      .word8(params.oplockLevel)  // OplockLevel
+      .word8(0) // Reserved
+      .word32le(0)  // Reserved2
+      .put(params.fileId) // FileId
+      .buffer()
+  };
+}
+
+function acknowledgeLease(msg, commandId, body, connection, server) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0024 (fixed according to spec)
+    .skip(2)  // Reserved
+    .word32le('flags')
+    .buffer('leaseKey', 16)
+    .word32le('leaseState')
+    .skip(8)  // LeaseDuration
+    .vars;
+
+  logger.debug('[%s] leaseKey: %s, leaseState: 0x%s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.leaseKey.toString('hex'), params.leaseState.toString(16));
+
+  var status = server.oplocks.acknowledgeLease(connection, params.leaseKey, params.leaseState);
+  if (status !== ntstatus.STATUS_SUCCESS) {
+    return {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+  }
+  return {
+    status: ntstatus.STATUS_SUCCESS,
+    body: put()
+      .word16le(0x0024) // StructureSize (fixed according to spec)
+      .word16le(0)  // Reserved
+      .word32le(0)  // Flags
+      .put(params.leaseKey) // LeaseKey
+      .word32le(params.leaseState)  // LeaseState
+      .word64le(0)  // LeaseDuration
+      .buffer()
+  };
+}
+
+module.exports = handle;
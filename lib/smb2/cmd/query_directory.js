@@ -0,0 +1,216 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var credits = require('../credits');
+var aapl = require('../aapl');
+var infoLevel = require('../../smb/findInformationLevel');
+
+// maps SMB2 file information classes to the corresponding SMB find information levels
+var INFO_LEVELS = {};
+INFO_LEVELS[SMB2.FILE_DIRECTORY_INFORMATION] = SMB.FIND_FILE_DIRECTORY_INFO;
+INFO_LEVELS[SMB2.FILE_FULL_DIRECTORY_INFORMATION] = SMB.FIND_FILE_FULL_DIRECTORY_INFO;
+INFO_LEVELS[SMB2.FILE_BOTH_DIRECTORY_INFORMATION] = SMB.FIND_FILE_BOTH_DIRECTORY_INFO;
+INFO_LEVELS[SMB2.FILE_NAMES_INFORMATION] = SMB.FIND_FILE_NAMES_INFO;
+INFO_LEVELS[SMB2.FILE_ID_BOTH_DIRECTORY_INFORMATION] = SMB.FIND_FILE_ID_BOTH_DIRECTORY_INFO;
+INFO_LEVELS[SMB2.FILE_ID_FULL_DIRECTORY_INFORMATION] = SMB.FIND_FILE_ID_FULL_DIRECTORY_INFO;
+
+/**
+ * SMB2_QUERY_DIRECTORY (0x000E): Enumerate the entries of a directory.
+ *
+ * The enumeration state (search pattern, matching entries and current index) is kept
+ * on the open directory and is reset by the RESTART_SCANS and REOPEN flags.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0021 (fixed according to spec)
+    .word8('fileInformationClass')
+    .word8('flags')
+    .word32le('fileIndex')
+    .buffer('fileId', 16)
+    .word16le('fileNameOffset')
+    .word16le('fileNameLength')
+    .word32le('outputBufferLength')
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  // FileNameOffset is relative to the beginning of the SMB2 header
+  var pattern = msg.buf.slice(params.fileNameOffset, params.fileNameOffset + params.fileNameLength).toString('utf16le');
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] fileInformationClass: %s, flags: %s, fileIndex: %d, fileId: %d [fileName: %s], pattern: %s, outputBufferLength: %d',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), SMB2.FILE_INFORMATION_CLASS_TO_STRING[params.fileInformationClass],
+    params.flags.toString(2), params.fileIndex, fileId.volatile, file ? file.getName() : null, pattern, params.outputBufferLength);
+
+  var result;
+  if (params.outputBufferLength > SMB2.MAX_TRANSACT_SIZE || !credits.verifyCreditCharge(msg, connection, params.outputBufferLength)) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file.isDirectory()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  var informationLevel = INFO_LEVELS[params.fileInformationClass];
+  if (!informationLevel) {
+    result = {
+      status: ntstatus.STATUS_INVALID_INFO_CLASS,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  function buildResult(search) {
+    if (search.index >= search.results.length) {
+      return {
+        status: search.results.length || search.index ? ntstatus.STATUS_NO_MORE_FILES : ntstatus.STATUS_NO_SUCH_FILE,
+        body: utils.EMPTY_BUFFER
+      };
+    }
+
+    var end = params.flags & SMB2.RETURN_SINGLE_ENTRY ? search.index + 1 : search.results.length;
+    var serializeResult = infoLevel.serialize(search.results, search.index, end, informationLevel, false, {
+      alignment: 8,
+      maxLength: params.outputBufferLength
+    });
+    if (serializeResult.status !== ntstatus.STATUS_SUCCESS) {
+      return {
+        status: serializeResult.status,
+        body: utils.EMPTY_BUFFER
+      };
+    }
+    if (!serializeResult.count) {
+      // output buffer too small for a single entry
+      return {
+        status: ntstatus.STATUS_INFO_LENGTH_MISMATCH,
+        body: utils.EMPTY_BUFFER
+      };
+    }
+    search.index += serializeResult.count;
+
+    var out = put();
+    out.word16le(0x0009)  // StructureSize (fixed according to spec)
+      .word16le(SMB2.HEADER_LENGTH + 8) // OutputBufferOffset
+      .word32le(serializeResult.buffer.length)  // OutputBufferLength
+      .put(serializeResult.buffer); // Buffer
+    return {
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    };
+  }
+
+  var search = file.search;
+  if (search && !(params.flags & (SMB2.RESTART_SCANS | SMB2.REOPEN))) {
+    // continue enumeration (the pattern is ignored)
+    if (params.flags & SMB2.INDEX_SPECIFIED) {
+      // FileIndex denotes the entry to resume after
+      search.index = params.fileIndex + 1;
+    }
+    process.nextTick(function () { cb(buildResult(search)); });
+    return;
+  }
+
+  if (search && !(params.flags & SMB2.REOPEN)) {
+    // restart enumeration, keeping the pattern
+    pattern = search.pattern;
+  }
+
+  var dirPath = utils.normalizeSMBFileName(file.getPath());
+  tree.list((dirPath === '/' ? '' : dirPath) + '/*', function (err, files) {
+    if (err) {
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+    var search = {
+      pattern: pattern,
+      results: files.filter(function (f) {
+        return utils.matchPattern(f.getName(), pattern);
+      }),
+      index: 0
+    };
+    if (!tree.aapl || !tree.aapl.readDirAttr || params.fileInformationClass !== SMB2.FILE_ID_BOTH_DIRECTORY_INFORMATION) {
+      file.search = search;
+      cb(buildResult(search));
+      return;
+    }
+    // macOS clients expect enriched entries once ReadDirAttr support has been negotiated
+    aapl.readDirAttributes(tree, search.results, function (err) {
+      if (err) {
+        cb({
+          status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+          body: utils.EMPTY_BUFFER
+        });
+        return;
+      }
+      file.search = search;
+      cb(buildResult(search));
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,225 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var credits = require('../credits');
+var securityDescriptor = require('../securitydescriptor');
+var infoLevel = require('../../smb/queryInformationLevel');
+var fsInfoLevel = require('../../smb/queryFSInformationLevel');
+
+// supported file information classes (mapped to SMB NT passthrough levels)
+var FILE_INFO_CLASSES = [
+  SMB2.FILE_BASIC_INFORMATION,
+  SMB2.FILE_STANDARD_INFORMATION,
+  SMB2.FILE_INTERNAL_INFORMATION,
+  SMB2.FILE_EA_INFORMATION,
+  SMB2.FILE_ACCESS_INFORMATION,
+  SMB2.FILE_POSITION_INFORMATION,
+  SMB2.FILE_MODE_INFORMATION,
+  SMB2.FILE_ALIGNMENT_INFORMATION,
+  SMB2.FILE_ALL_INFORMATION,
+  SMB2.FILE_NETWORK_OPEN_INFORMATION,
+  SMB2.FILE_STREAM_INFORMATION,
+  SMB2.FILE_ATTRIBUTE_TAG_INFORMATION
+];
+
+// maps SMB2 file system information classes to the corresponding SMB query fs information levels
+var FS_INFO_LEVELS = {};
+FS_INFO_LEVELS[SMB2.FILE_FS_VOLUME_INFORMATION] = SMB.QUERY_FS_VOLUME_INFO;
+FS_INFO_LEVELS[SMB2.FILE_FS_SIZE_INFORMATION] = SMB.QUERY_FS_SIZE_INFO;
+FS_INFO_LEVELS[SMB2.FILE_FS_DEVICE_INFORMATION] = SMB.QUERY_FS_DEVICE_INFO;
+FS_INFO_LEVELS[SMB2.FILE_FS_ATTRIBUTE_INFORMATION] = SMB.QUERY_FS_ATTRIBUTE_INFO;
+FS_INFO_LEVELS[SMB2.FILE_FS_FULL_SIZE_INFORMATION] = SMB.QUERY_FS_FULL_SIZE_INFORMATION;
+FS_INFO_LEVELS[SMB2.FILE_FS_SECTOR_SIZE_INFORMATION] = SMB.QUERY_FS_SECTOR_SIZE_INFORMATION;
+
+// variable-length information classes which may be truncated (STATUS_BUFFER_OVERFLOW),
+// mapped to the size of their fixed-length part
+var FILE_TRUNCATABLE = {};
+FILE_TRUNCATABLE[SMB2.FILE_ALL_INFORMATION] = 104;
+FILE_TRUNCATABLE[SMB2.FILE_STREAM_INFORMATION] = 24;
+var FS_TRUNCATABLE = {};
+FS_TRUNCATABLE[SMB2.FILE_FS_VOLUME_INFORMATION] = 18;
+FS_TRUNCATABLE[SMB2.FILE_FS_ATTRIBUTE_INFORMATION] = 12;
+
+/**
+ * SMB2_QUERY_INFO (0x0010): Query information from the server about a file or the
+ * underlying object store.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0029 (fixed according to spec)
+    .word8('infoType')
+    .word8('fileInfoClass')
+    .word32le('outputBufferLength')
+    .word16le('inputBufferOffset')
+    .word16le('reserved')
+    .word32le('inputBufferLength')
+    .word32le('additionalInformation')
+    .word32le('flags')
+    .buffer('fileId', 16)
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] infoType: %s, fileInfoClass: %s, outputBufferLength: %d, additionalInformation: 0x%s, flags: %s, fileId: %d [fileName: %s]',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), SMB2.INFO_TYPE_TO_STRING[params.infoType],
+    params.infoType === SMB2.SMB2_0_INFO_FILESYSTEM ? SMB2.FS_INFORMATION_CLASS_TO_STRING[params.fileInfoClass] : SMB2.FILE_INFORMATION_CLASS_TO_STRING[params.fileInfoClass],
+    params.outputBufferLength, params.additionalInformation.toString(16), params.flags.toString(2), fileId.volatile, file ? file.getName() : null);
+
+  var result;
+  if (params.outputBufferLength > SMB2.MAX_TRANSACT_SIZE || !credits.verifyCreditCharge(msg, connection, params.outputBufferLength)) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var serializeResult = null;
+  var truncatable = {};
+  switch (params.infoType) {
+    case SMB2.SMB2_0_INFO_FILE:
+      if (FILE_INFO_CLASSES.indexOf(params.fileInfoClass) !== -1) {
+        serializeResult = infoLevel.serialize(file, SMB.INFO_PASSTHROUGH + params.fileInfoClass);
+        truncatable = FILE_TRUNCATABLE;
+      }
+      break;
+    case SMB2.SMB2_0_INFO_FILESYSTEM:
+      if (FS_INFO_LEVELS[params.fileInfoClass]) {
+        // the volume size may depend on the space used on the share (see SMBTree.getDiskSize)
+        tree.getDiskSize(function (err, diskSize) {
+          if (err) {
+            cb({
+              status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+              body: utils.EMPTY_BUFFER
+            });
+            return;
+          }
+          cb(buildResult(fsInfoLevel.serialize(tree.getShare(), FS_INFO_LEVELS[params.fileInfoClass], diskSize), FS_TRUNCATABLE));
+        });
+        return;
+      }
+      break;
+    case SMB2.SMB2_0_INFO_SECURITY:
+      var maximalAccess = tree.getShare().isReadOnly() || file.isReadOnly() ? SMB.MAXIMAL_ACCESS_READONLY : SMB.MAXIMAL_ACCESS_ALL;
+      var sd = securityDescriptor.encode(maximalAccess, params.additionalInformation);
+      if (sd.length > params.outputBufferLength) {
+        // the error response specifies the required buffer size
+        result = {
+          status: ntstatus.STATUS_BUFFER_TOO_SMALL,
+          body: put()
+            .word16le(0x0009) // StructureSize (fixed according to spec)
+            .word8(0)  // ErrorContextCount
+            .pad(1) // Reserved
+            .word32le(4)  // ByteCount
+            .word32le(sd.length)  // ErrorData
+            .buffer()
+        };
+        process.nextTick(function () { cb(result); });
+        return;
+      }
+      serializeResult = { status: ntstatus.STATUS_SUCCESS, buffer: sd };
+      break;
+  }
+
+  if (!serializeResult) {
+    result = {
+      status: ntstatus.STATUS_INVALID_INFO_CLASS,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  result = buildResult(serializeResult, truncatable);
+  process.nextTick(function () { cb(result); });
+
+  function buildResult(serializeResult, truncatable) {
+    if (serializeResult.status !== ntstatus.STATUS_SUCCESS) {
+      return {
+        status: serializeResult.status,
+        body: utils.EMPTY_BUFFER
+      };
+    }
+
+    var status = ntstatus.STATUS_SUCCESS;
+    var buf = serializeResult.buffer;
+    if (buf.length > params.outputBufferLength) {
+      var minLength = truncatable[params.fileInfoClass];
+      if (minLength === undefined || params.outputBufferLength < minLength) {
+        return {
+          status: ntstatus.STATUS_INFO_LENGTH_MISMATCH,
+          body: utils.EMPTY_BUFFER
+        };
+      }
+      // return as much as fits
+      status = ntstatus.STATUS_BUFFER_OVERFLOW;
+      buf = buf.slice(0, params.outputBufferLength);
+    }
+
+    var out = put();
+    out.word16le(0x0009)  // StructureSize (fixed according to spec)
+      .word16le(SMB2.HEADER_LENGTH + 8) // OutputBufferOffset
+      .word32le(buf.length)  // OutputBufferLength
+      .put(buf); // Buffer
+    return {
+      status: status,
+      body: out.buffer()
+    };
+  }
+}
+
+module.exports = handle;
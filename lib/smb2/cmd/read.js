@@ -0,0 +1,239 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB = require('../../smb/constants');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var credits = require('../credits');
+var pending = require('../pending');
+var smb2 = require('../handler');
+
+// data offset in response (from header start)
+var DATA_OFFSET = SMB2.HEADER_LENGTH + 16;
+// time (in ms) after which a pending read is answered with an interim response
+var ASYNC_READ_DELAY = 1000;
+// access rights required for reading data
+var READ_ACCESS = SMB.FILE_READ_DATA;
+
+/**
+ * SMB2_READ (0x0008): Read data from a file or named pipe.
+ *
+ * A read that doesn't complete within <code>asyncReadDelay</code> ms is answered with an interim
+ * STATUS_PENDING response; the final response is sent asynchronously once the read has completed
+ * or the request has been cancelled.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0031 (fixed according to spec)
+    .word8('padding')
+    .word8('flags')
+    .word32le('length')
+    .word32le('offsetLow')
+    .word32le('offsetHigh')
+    .buffer('fileId', 16)
+    .word32le('minimumCount')
+    .word32le('channel')
+    .word32le('remainingBytes')
+    .word16le('readChannelInfoOffset')
+    .word16le('readChannelInfoLength')
+    .vars;
+  var offset = Long.fromBits(params.offsetLow, params.offsetHigh, true).toNumber();
+  var fileId = fileid.decode(params.fileId, related);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] fileId: %d [fileName: %s], offset: %d, length: %d, minimumCount: %d, remainingBytes: %d, creditCharge: %d',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), fileId.volatile, file ? file.getName() : null, offset, params.length,
+    params.minimumCount, params.remainingBytes, msg.header.creditCharge);
+
+  var result;
+  if (params.length > SMB2.MAX_READ_SIZE || !credits.verifyCreditCharge(msg, connection, params.length)) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (file.isDirectory()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_DEVICE_REQUEST,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!(file.getGrantedAccess() & READ_ACCESS)) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var isPipe = tree.getShare().isNamedPipe();
+  if (!isPipe && !server.locks.checkRead(file, 0, offset, params.length)) {
+    result = {
+      status: ntstatus.STATUS_FILE_LOCK_CONFLICT,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!isPipe && params.length && offset >= file.getDataSize()) {
+    result = {
+      status: ntstatus.STATUS_END_OF_FILE,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var length = params.length;
+  if (!isPipe) {
+    // don't read beyond end of file (a zero-length read may start past the end of file)
+    length = Math.max(0, Math.min(length, file.getDataSize() - offset));
+  }
+  var asyncId = null;
+  var completed = false;
+  var timer = null;
+
+  function done(result) {
+    completed = true;
+    if (timer) {
+      clearTimeout(timer);
+    }
+    if (asyncId === null) {
+      cb(result);
+      return;
+    }
+    // the read has gone async: send the final response unless the request has been cancelled
+    if (!pending.remove(asyncId, connection)) {
+      return;
+    }
+    sendAsyncResponse(result.status, result.body);
+  }
+
+  function sendAsyncResponse(status, respBody) {
+    logger.debug('[%s] asyncId: %d, status: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), asyncId, ntstatus.STATUS_TO_STRING[status]);
+    msg.header.flags.relatedOp = false;
+    // credits have already been granted with the interim response
+    msg.header.creditReqRes = 0;
+    msg.body = respBody;
+    smb2.sendResponse(msg, status, connection, server, function (err) {
+      if (err) {
+        logger.error('failed to send read response', err);
+      }
+    });
+  }
+
+  var buf = new Buffer(length);
+  file.read(buf, 0, length, offset, function (err, bytesRead) {
+    if (err) {
+      done({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+    if ((params.length && !bytesRead) || bytesRead < params.minimumCount) {
+      done({
+        status: ntstatus.STATUS_END_OF_FILE,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+
+    var out = put();
+    out.word16le(0x0011)  // StructureSize (fixed according to spec)
+      .word8(DATA_OFFSET) // DataOffset
+      .word8(0) // Reserved
+      .word32le(bytesRead)  // DataLength
+      .word32le(0)  // DataRemaining
+      .word32le(0)  // Reserved2
+      .put(buf.slice(0, bytesRead));  // Buffer
+
+    done({
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    });
+  });
+
+  if (msg.header.flags.relatedOp) {
+    // related operations of a compound are processed synchronously
+    return;
+  }
+  // a read that takes long (e.g. a named pipe read waiting for data or a slow backend)
+  // is converted to an async operation in order to allow the client to cancel it
+  timer = setTimeout(function () {
+    timer = null;
+    if (completed) {
+      return;
+    }
+    asyncId = pending.register(msg, connection, file, function (status) {
+      if (!pending.remove(asyncId, connection) || status === null) {
+        return;
+      }
+      sendAsyncResponse(status, utils.EMPTY_BUFFER);
+    });
+    // interim response; the final response will be sent at some later point in time
+    cb({
+      status: ntstatus.STATUS_PENDING,
+      body: utils.EMPTY_BUFFER
+    });
+  }, server.config.asyncReadDelay || ASYNC_READ_DELAY);
+}
+
+module.exports = handle;
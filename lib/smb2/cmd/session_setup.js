@@ -0,0 +1,335 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var ntlm = require('../../ntlm');
+var ntlmssp = require('../../ntlmssp');
+var spnego = require('../../spnego');
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var signing = require('../signing');
+var preauth = require('../preauth');
+var encryption = require('../encryption');
+
+/**
+ * SMB2_SESSION_SETUP (0x0001): Session Setup.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0019 (fixed according to spec)
+    .word8('flags')
+    .word8('securityMode')
+    .word32le('capabilities')
+    .word32le('channel')
+    .word16le('securityBufferOffset')
+    .word16le('securityBufferLength')
+    .buffer('previousSessionId', 8)
+    .vars;
+
+  // SecurityBufferOffset is relative to the beginning of the SMB2 header
+  var securityBlob = msg.buf.slice(params.securityBufferOffset, params.securityBufferOffset + params.securityBufferLength);
+
+  logger.debug('[%s] flags: 0x%s, securityMode: %d, capabilities: %s, sessionId: %s, securityBufferLength: %d',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags.toString(16), params.securityMode, params.capabilities.toString(2),
+    msg.header.sessionId.toString(), params.securityBufferLength);
+
+  function buildResult(status, sessionFlags, secBlob) {
+    if (status !== ntstatus.STATUS_SUCCESS
+      && status !== ntstatus.STATUS_MORE_PROCESSING_REQUIRED) {
+      return {
+        status: status,
+        body: utils.EMPTY_BUFFER
+      };
+    }
+    var out = put();
+    out.word16le(0x0009)  // StructureSize (fixed according to spec)
+      .word16le(sessionFlags) // SessionFlags
+      .word16le(SMB2.HEADER_LENGTH + 8)  // SecurityBufferOffset
+      .word16le(secBlob.length) // SecurityBufferLength
+      .put(secBlob);  // Buffer
+    return {
+      status: status,
+      body: out.buffer()
+    };
+  }
+
+  // the client either sends raw NTLMSSP messages or wraps them in SPNEGO tokens
+  var negToken = null;
+  var ntlmsspBlob = securityBlob;
+  if (spnego.isSpnegoToken(securityBlob)) {
+    negToken = spnego.parseToken(securityBlob);
+    if (!negToken) {
+      cb(buildResult(ntstatus.STATUS_LOGON_FAILURE));
+      return;
+    }
+    if (negToken.init && !spnego.supportsNTLMSSP(negToken.mechTypes)) {
+      logger.debug('[%s] client does not support NTLMSSP', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+      cb(buildResult(ntstatus.STATUS_LOGON_FAILURE));
+      return;
+    }
+    // an optimistic mechToken is only of interest if NTLMSSP is the client's preferred mechanism
+    ntlmsspBlob = negToken.init && !utils.bufferEquals(negToken.mechTypes[0], spnego.OID_NTLMSSP) ? null : negToken.mechToken;
+  }
+
+  function wrapToken(negState, token) {
+    if (!negToken) {
+      return token;
+    }
+    return spnego.createNegTokenResp(negState, negToken.init ? spnego.OID_NTLMSSP : null, token);
+  }
+
+  function releaseLogin(login) {
+    delete connection.logins[login.uid];
+    server.destroyLogin(login.key);
+  }
+
+  var uid = msg.header.sessionId.toNumber();
+  var login = uid ? connection.logins[uid] : null;
+  var status;
+  if (!login) {
+    if (params.flags & SMB2.SESSION_FLAG_BINDING) {
+      status = checkBinding(msg, server.getSession(uid), connection);
+      if (status !== ntstatus.STATUS_SUCCESS) {
+        logger.debug('[%s] failed to bind sessionId %d: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), uid, ntstatus.STATUS_TO_STRING[status]);
+        cb(buildResult(status));
+        return;
+      }
+    } else if (uid && !(server.getSession(uid) && server.getSession(uid).getChannel(connection))) {
+      // only a channel of a session may re-authenticate it
+      logger.debug('[%s] unknown sessionId: %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), uid);
+      cb(buildResult(ntstatus.STATUS_USER_SESSION_DELETED));
+      return;
+    }
+    // start new login (or re-authentication or binding of an existing session)
+    login = server.createLogin();
+    server.reserveSessionId(login, uid);
+    login.binding = !!(params.flags & SMB2.SESSION_FLAG_BINDING);
+    connection.logins[login.uid] = login;
+    if (preauth.isRequired(connection.dialect)) {
+      // the session's pre-authentication integrity hash is based on the connection's hash
+      login.preauthIntegrityHashValue = connection.preauthIntegrityHashValue;
+    }
+  }
+  if (login.preauthIntegrityHashValue) {
+    // SESSION_SETUP requests are included in the hash; responses are added once they have been encoded
+    login.preauthIntegrityHashValue = preauth.update(login.preauthIntegrityHashValue, msg.buf.slice(0, msg.header.nextCommand || msg.buf.length));
+  }
+  // SessionId is assigned with the first response and stays the same for the rest of the exchange
+  msg.header.sessionId = Long.fromNumber(login.uid, true);
+
+  if (login.binding && !verifyBindingSignature(msg, server.getSession(login.uid), connection)) {
+    releaseLogin(login);
+    cb(buildResult(ntstatus.STATUS_ACCESS_DENIED));
+    return;
+  }
+
+  if (!ntlmsspBlob) {
+    // ask the client to continue with NTLMSSP
+    cb(buildResult(ntstatus.STATUS_MORE_PROCESSING_REQUIRED, 0, wrapToken(spnego.ACCEPT_INCOMPLETE, null)));
+    return;
+  }
+
+  var msgType = ntlmssp.parseMessageType(ntlmsspBlob);
+  if (msgType === ntlmssp.NTLMSSP_NEGOTIATE_MESSAGE) {
+    // parse NTLMSSP_NEGOTIATE msg
+    var negMsg = ntlmssp.parseNegotiateMessage(ntlmsspBlob);
+    if (!negMsg) {
+      releaseLogin(login);
+      cb(buildResult(ntstatus.STATUS_LOGON_FAILURE));
+      return;
+    }
+    // create NTLMSSP_CHALLENGE msg
+    var challengeMsg = ntlmssp.createChallengeMessage(negMsg.flags, login.challenge, server.hostName, server.domainName);
+    cb(buildResult(ntstatus.STATUS_MORE_PROCESSING_REQUIRED, 0, wrapToken(spnego.ACCEPT_INCOMPLETE, challengeMsg)));
+    return;
+  } else if (msgType !== ntlmssp.NTLMSSP_AUTHENTICATE_MESSAGE) {
+    logger.debug('[%s] illegal NTLMSSP message type %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), msgType);
+    releaseLogin(login);
+    cb(buildResult(ntstatus.STATUS_LOGON_FAILURE));
+    return;
+  }
+
+  // parse NTLMSSP_AUTHENTICATE msg
+  var authMsg = ntlmssp.parseAuthenticateMessage(ntlmsspBlob);
+  if (!authMsg) {
+    releaseLogin(login);
+    cb(buildResult(ntstatus.STATUS_LOGON_FAILURE));
+    return;
+  }
+
+  logger.debug('[%s] accountName: %s, primaryDomain: %s, workstation: %s',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), authMsg.user, authMsg.domain, authMsg.workstation);
+
+  if (login.binding) {
+    bindSession(login, authMsg);
+    return;
+  }
+
+  server.setupSession(login, authMsg.user, authMsg.domain, authMsg.lmResponse, authMsg.ntResponse, function (err, session) {
+    releaseLogin(login);
+    if (err) {
+      logger.debug('[%s] setupSession failed', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), err);
+      // authentication failure (or re-authentication by a different user)
+      cb(buildResult(err.status || ntstatus.STATUS_LOGON_FAILURE));
+      return;
+    }
+
+    session.client = {
+      workstation: authMsg.workstation
+    };
+
+    // derive the signing key from the session key established by the authentication
+    var sessionKey = typeof session.spiSession.getSessionKey === 'function' ? session.spiSession.getSessionKey() : null;
+    if (sessionKey) {
+      if (authMsg.flags & ntlmssp.NTLMSSP_NEGOTIATE_KEY_EXCH) {
+        sessionKey = ntlm.calculateExportedSessionKey(sessionKey, authMsg.encryptedRandomSessionKey);
+      }
+      session.sessionKey = sessionKey;
+      session.signingKey = signing.generateSigningKey(sessionKey, connection.dialect, login.preauthIntegrityHashValue);
+      session.applicationKey = signing.generateApplicationKey(sessionKey, connection.dialect, login.preauthIntegrityHashValue);
+      if (connection.cipherId !== SMB2.CIPHER_NONE) {
+        var keys = encryption.generateKeys(sessionKey, connection.dialect, connection.cipherId, login.preauthIntegrityHashValue);
+        session.encryptionKey = keys.encryptionKey;
+        session.decryptionKey = keys.decryptionKey;
+      }
+    }
+    // encryption is required server-wide
+    session.encryptData = !!server.config.encrypt;
+    if (session.encryptData && !session.encryptionKey) {
+      logger.debug('[%s] encryption required but not supported by client', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+      session.logoff();
+      cb(buildResult(ntstatus.STATUS_ACCESS_DENIED));
+      return;
+    }
+    // signing is required if either server or client require it
+    session.signingRequired = !!(server.config.requireSigning || params.securityMode & SMB2.NEGOTIATE_SIGNING_REQUIRED);
+    if (session.signingRequired && !session.signingKey) {
+      logger.debug('[%s] signing required but no session key available', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+      session.logoff();
+      cb(buildResult(ntstatus.STATUS_ACCESS_DENIED));
+      return;
+    }
+    if (session.signingKey && signing.isSMB3(connection.dialect)) {
+      // SMB 3.x: the final SESSION_SETUP response is always signed
+      msg.header.flags.signed = true;
+    }
+
+    // the connection is the session's first channel (required for multichannel binding)
+    session.dialect = connection.dialect;
+    session.clientGuid = connection.clientGuid;
+    session.addChannel(connection);
+
+    // build response
+    cb(buildResult(ntstatus.STATUS_SUCCESS, session.encryptData ? SMB2.SESSION_FLAG_ENCRYPT_DATA : 0, wrapToken(spnego.ACCEPT_COMPLETED, null) || utils.EMPTY_BUFFER));
+  });
+
+  function bindSession(login, authMsg) {
+    server.bindSession(login, authMsg.user, authMsg.domain, authMsg.lmResponse, authMsg.ntResponse, function (err, session, spiSession) {
+      releaseLogin(login);
+      if (err) {
+        logger.debug('[%s] bindSession failed', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), err);
+        cb(buildResult(err.status));
+        return;
+      }
+      // SMB 3.1.1: the channel's signing key is derived from the session key of the binding
+      // authentication and the pre-authentication integrity hash of the binding exchange
+      var signingKey = null;
+      if (preauth.isRequired(connection.dialect)) {
+        var sessionKey = typeof spiSession.getSessionKey === 'function' ? spiSession.getSessionKey() : null;
+        if (sessionKey && authMsg.flags & ntlmssp.NTLMSSP_NEGOTIATE_KEY_EXCH) {
+          sessionKey = ntlm.calculateExportedSessionKey(sessionKey, authMsg.encryptedRandomSessionKey);
+        }
+        if (!sessionKey) {
+          cb(buildResult(ntstatus.STATUS_ACCESS_DENIED));
+          return;
+        }
+        signingKey = signing.generateSigningKey(sessionKey, connection.dialect, login.preauthIntegrityHashValue);
+      }
+      session.addChannel(connection, signingKey);
+      logger.debug('[%s] bound sessionId %d to new channel (%d channels)', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), session.uid, session.channels.length);
+
+      // the final SESSION_SETUP response of a binding is signed with the channel's signing key
+      msg.header.flags.signed = true;
+      cb(buildResult(ntstatus.STATUS_SUCCESS, session.encryptData ? SMB2.SESSION_FLAG_ENCRYPT_DATA : 0, wrapToken(spnego.ACCEPT_COMPLETED, null) || utils.EMPTY_BUFFER));
+    });
+  }
+}
+
+/**
+ * Validates an SMB 3.x session binding request, i.e. a request to bind an existing session
+ * to a new connection (see MS-SMB2 3.3.5.5).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBSession} session - the session to be bound (may be undefined)
+ * @param {Object} connection - an SMBConnection instance
+ * @return {Number} STATUS_SUCCESS if the session may be bound to the connection, otherwise an error status
+ */
+function checkBinding(msg, session, connection) {
+  if (!signing.isSMB3(connection.dialect)) {
+    return ntstatus.STATUS_REQUEST_NOT_ACCEPTED;
+  }
+  if (!session) {
+    return ntstatus.STATUS_USER_SESSION_DELETED;
+  }
+  if (session.getChannel(connection)) {
+    return ntstatus.STATUS_REQUEST_NOT_ACCEPTED;
+  }
+  if (session.dialect !== connection.dialect || !msg.header.flags.signed) {
+    return ntstatus.STATUS_INVALID_PARAMETER;
+  }
+  if (!session.clientGuid || !utils.bufferEquals(session.clientGuid, connection.clientGuid)) {
+    return ntstatus.STATUS_USER_SESSION_DELETED;
+  }
+  return ntstatus.STATUS_SUCCESS;
+}
+
+/**
+ * Verifies the signature of a session binding request which is signed using the
+ * signing key of the session to be bound (see MS-SMB2 3.3.5.2.4).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBSession} session - the session to be bound
+ * @param {Object} connection - an SMBConnection instance
+ * @return {Boolean} <code>false</code> if the signature is invalid
+ */
+function verifyBindingSignature(msg, session, connection) {
+  if (!session || !session.signingKey || !msg.header.flags.signed) {
+    return false;
+  }
+  var buf = msg.header.nextCommand ? msg.buf.slice(0, msg.header.nextCommand) : msg.buf;
+  return signing.verify(buf, session.signingKey, connection.dialect);
+}
+
+module.exports = handle;
@@ -0,0 +1,193 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var setInfoLevel = require('../../smb/setInformationLevel');
+
+// file information classes handled by the shared set information logic (mapped to SMB NT passthrough levels)
+var FILE_INFO_CLASSES = [
+  SMB2.FILE_BASIC_INFORMATION,
+  SMB2.FILE_DISPOSITION_INFORMATION,
+  SMB2.FILE_END_OF_FILE_INFORMATION,
+  SMB2.FILE_ALLOCATION_INFORMATION
+];
+
+// access rights required for setting file information
+var REQUIRED_ACCESS = {};
+REQUIRED_ACCESS[SMB2.FILE_BASIC_INFORMATION] = SMB.FILE_WRITE_ATTRIBUTES;
+REQUIRED_ACCESS[SMB2.FILE_RENAME_INFORMATION] = SMB.DELETE;
+REQUIRED_ACCESS[SMB2.FILE_DISPOSITION_INFORMATION] = SMB.DELETE;
+REQUIRED_ACCESS[SMB2.FILE_END_OF_FILE_INFORMATION] = SMB.FILE_WRITE_DATA;
+REQUIRED_ACCESS[SMB2.FILE_ALLOCATION_INFORMATION] = SMB.FILE_WRITE_DATA;
+
+/**
+ * SMB2_SET_INFO (0x0011): Set information on a file or the underlying object store.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0021 (fixed according to spec)
+    .word8('infoType')
+    .word8('fileInfoClass')
+    .word32le('bufferLength')
+    .word16le('bufferOffset')
+    .word16le('reserved')
+    .word32le('additionalInformation')
+    .buffer('fileId', 16)
+    .vars;
+  var fileId = fileid.decode(params.fileId, related);
+
+  // BufferOffset is relative to the beginning of the SMB2 header
+  var buf = msg.buf.slice(params.bufferOffset, params.bufferOffset + params.bufferLength);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] infoType: %s, fileInfoClass: %s, bufferLength: %d, additionalInformation: 0x%s, fileId: %d [fileName: %s]',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), SMB2.INFO_TYPE_TO_STRING[params.infoType],
+    params.infoType === SMB2.SMB2_0_INFO_FILESYSTEM ? SMB2.FS_INFORMATION_CLASS_TO_STRING[params.fileInfoClass] : SMB2.FILE_INFORMATION_CLASS_TO_STRING[params.fileInfoClass],
+    params.bufferLength, params.additionalInformation.toString(16), fileId.volatile, file ? file.getName() : null);
+
+  var result;
+  if (buf.length !== params.bufferLength) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (tree.getShare().isReadOnly()) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  function done(status) {
+    cb({
+      status: status,
+      body: status === ntstatus.STATUS_SUCCESS ? put().word16le(0x0002).buffer() : utils.EMPTY_BUFFER // StructureSize (fixed according to spec)
+    });
+  }
+
+  if (params.infoType === SMB2.SMB2_0_INFO_SECURITY) {
+    // security descriptors are not supported by the SPI
+    process.nextTick(function () { done(ntstatus.STATUS_NOT_SUPPORTED); });
+    return;
+  }
+  if (params.infoType !== SMB2.SMB2_0_INFO_FILE) {
+    process.nextTick(function () { done(ntstatus.STATUS_INVALID_INFO_CLASS); });
+    return;
+  }
+  var requiredAccess = REQUIRED_ACCESS[params.fileInfoClass];
+  if (requiredAccess && !(file.getGrantedAccess() & requiredAccess)) {
+    process.nextTick(function () { done(ntstatus.STATUS_ACCESS_DENIED); });
+    return;
+  }
+
+  if (params.fileInfoClass === SMB2.FILE_RENAME_INFORMATION) {
+    // FILE_RENAME_INFORMATION_TYPE_2 (MS-FSCC 2.4.34.2)
+    if (buf.length < 20) {
+      process.nextTick(function () { done(ntstatus.STATUS_INFO_LENGTH_MISMATCH); });
+      return;
+    }
+    var replaceIfExists = buf.readUInt8(0);
+    // Reserved (7 bytes), RootDirectory (8 bytes)
+    var fileNameLength = buf.readUInt32LE(16);
+    // the target name is relative to the share root
+    var targetPath = utils.normalizeSMBFileName(buf.slice(20, 20 + fileNameLength).toString('utf16le'));
+    logger.debug('%s, fileId: %d [fileName: %s], replaceIfExists: %d, targetPath: %s', SMB2.FILE_INFORMATION_CLASS_TO_STRING[params.fileInfoClass], fileId.volatile, file.getName(), replaceIfExists, targetPath);
+    tree.exists(targetPath, function (err, exists) {
+      if (err) {
+        done(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+        return;
+      }
+      if (exists && !replaceIfExists) {
+        done(ntstatus.STATUS_OBJECT_NAME_COLLISION);
+        return;
+      }
+      var oldPath = file.getPath();
+      tree.rename(file, targetPath, function (err) {
+        if (err) {
+          logger.error(err);
+        } else {
+          server.oplocks.rename(tree, oldPath, targetPath);
+        }
+        done(err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS);
+      });
+    });
+    return;
+  }
+
+  if (FILE_INFO_CLASSES.indexOf(params.fileInfoClass) === -1) {
+    process.nextTick(function () { done(ntstatus.STATUS_INVALID_INFO_CLASS); });
+    return;
+  }
+  function apply() {
+    setInfoLevel.apply(file, SMB.INFO_PASSTHROUGH + params.fileInfoClass, buf, params.bufferOffset, function (result) {
+      done(result.status);
+    });
+  }
+
+  if (params.fileInfoClass === SMB2.FILE_END_OF_FILE_INFORMATION || params.fileInfoClass === SMB2.FILE_ALLOCATION_INFORMATION) {
+    // changing the file size invalidates data cached by other opens
+    server.oplocks.breakForWrite(file, apply);
+  } else {
+    apply();
+  }
+}
+
+module.exports = handle;
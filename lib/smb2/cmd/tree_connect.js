@@ -0,0 +1,136 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+
+/**
+ * SMB2_TREE_CONNECT (0x0003): Tree Connect.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0009 (fixed according to spec)
+    .word16le('flags')  // Reserved/Flags (SMB 3.1.1 only)
+    .word16le('pathOffset')
+    .word16le('pathLength')
+    .vars;
+
+  // PathOffset is relative to the beginning of the SMB2 header
+  var path = msg.buf.slice(params.pathOffset, params.pathOffset + params.pathLength).toString('utf16le');
+
+  logger.debug('[%s] flags: %s, path: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags.toString(2), path);
+
+  var result;
+
+  // path has the form \\server\share
+  var shareName = path.substring(path.lastIndexOf('\\') + 1).toUpperCase();
+  if (_.indexOf(server.getShareNames(), shareName) === -1) {
+    result = {
+      status: ntstatus.STATUS_BAD_NETWORK_NAME,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  var session = server.getSession(msg.header.sessionId.toNumber());
+  if (!session) {
+    result = {
+      status: ntstatus.STATUS_USER_SESSION_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (server.getShare(shareName).isEncrypted() && !session.encryptionKey) {
+    // the client doesn't support encryption
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  server.connectTree(session, shareName, null, function (err, tree) {
+    if (err) {
+      result = {
+        status: ntstatus.STATUS_ACCESS_DENIED,
+        body: utils.EMPTY_BUFFER
+      };
+      cb(result);
+      return;
+    }
+
+    var share = tree.getShare();
+    var shareType, shareFlags, maximalAccess;
+    var capabilities = 0;
+    if (share.isNamedPipe()) {
+      shareType = SMB2.SHARE_TYPE_PIPE;
+      shareFlags = SMB2.SHAREFLAG_NO_CACHING;
+      maximalAccess = SMB.MAXIMAL_ACCESS_ALL;
+    } else {
+      shareType = SMB2.SHARE_TYPE_DISK;
+      shareFlags = SMB2.SHAREFLAG_MANUAL_CACHING;
+      maximalAccess = share.isReadOnly() ? SMB.MAXIMAL_ACCESS_READONLY : SMB.MAXIMAL_ACCESS_ALL;
+    }
+    if (share.isEncrypted()) {
+      shareFlags |= SMB2.SHAREFLAG_ENCRYPT_DATA;
+    }
+    if (share.isDfsRoot()) {
+      shareFlags |= SMB2.SHAREFLAG_DFS | SMB2.SHAREFLAG_DFS_ROOT;
+      capabilities |= SMB2.SHARE_CAP_DFS;
+    }
+
+    // build response
+    msg.header.treeId = tree.tid;
+    var out = put();
+    out.word16le(0x0010)  // StructureSize (fixed according to spec)
+      .word8(shareType) // ShareType
+      .word8(0) // Reserved
+      .word32le(shareFlags) // ShareFlags
+      .word32le(capabilities) // Capabilities
+      .word32le(maximalAccess); // MaximalAccess
+
+    // return result
+    result = {
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    };
+    cb(result);
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,84 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var opens = require('../opens');
+
+/**
+ * SMB2_TREE_DISCONNECT (0x0004): Tree Disconnect.
+ *
+ * Closes all opens established within the tree connect before it is removed (see MS-SMB2 3.3.5.8).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+
+  logger.debug('[%s] treeId: %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), msg.header.treeId);
+
+  var result;
+
+  if (!server.getSession(msg.header.sessionId.toNumber())) {
+    result = {
+      status: ntstatus.STATUS_USER_SESSION_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var tree = server.getTree(msg.header.treeId);
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  opens.closeAll(tree, connection, server, function () {
+    server.disconnectTree(msg.header.treeId);
+
+    var out = put();
+    out.word16le(0x0004)  // StructureSize (fixed according to spec)
+      .word16le(0); // Reserved
+
+    // return result
+    cb({
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,169 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB = require('../../smb/constants');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var fileid = require('../fileid');
+var credits = require('../credits');
+
+// access rights required for writing data (FILE_APPEND_DATA only permits writes at the end of file)
+var WRITE_ACCESS = SMB.FILE_WRITE_DATA;
+var APPEND_ACCESS = SMB.FILE_WRITE_DATA | SMB.FILE_APPEND_DATA;
+
+/**
+ * SMB2_WRITE (0x0009): Write data to a file or named pipe.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize') // 0x0031 (fixed according to spec)
+    .word16le('dataOffset')
+    .word32le('length')
+    .word32le('offsetLow')
+    .word32le('offsetHigh')
+    .buffer('fileId', 16)
+    .word32le('channel')
+    .word32le('remainingBytes')
+    .word16le('writeChannelInfoOffset')
+    .word16le('writeChannelInfoLength')
+    .word32le('flags')
+    .vars;
+  // offset 0xffffffffffffffff: append to end of file
+  var append = params.offsetLow === 0xffffffff && params.offsetHigh === 0xffffffff;
+  var offset = append ? -1 : Long.fromBits(params.offsetLow, params.offsetHigh, true).toNumber();
+  var fileId = fileid.decode(params.fileId, related);
+
+  // DataOffset is relative to the beginning of the SMB2 header
+  var data = msg.buf.slice(params.dataOffset, params.dataOffset + params.length);
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFile(fileId.volatile);
+
+  logger.debug('[%s] fileId: %d [fileName: %s], offset: %d, length: %d, remainingBytes: %d, flags: %s, creditCharge: %d',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), fileId.volatile, file ? file.getName() : null, offset, params.length,
+    params.remainingBytes, params.flags.toString(2), msg.header.creditCharge);
+
+  var result;
+  if (params.length > SMB2.MAX_WRITE_SIZE || data.length !== params.length
+    || !credits.verifyCreditCharge(msg, connection, params.length)) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!tree) {
+    result = {
+      status: ntstatus.STATUS_NETWORK_NAME_DELETED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (file.isDirectory()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_DEVICE_REQUEST,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (tree.getShare().isReadOnly()) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!(file.getGrantedAccess() & (append || offset >= file.getDataSize() ? APPEND_ACCESS : WRITE_ACCESS))) {
+    result = {
+      status: ntstatus.STATUS_ACCESS_DENIED,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  // other opens must not continue to cache reads
+  server.oplocks.breakForWrite(file, function () {
+    if (append) {
+      offset = file.getDataSize();
+    }
+    if (!server.locks.checkWrite(file, 0, offset, data.length)) {
+      cb({
+        status: ntstatus.STATUS_FILE_LOCK_CONFLICT,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+    file.write(data, offset, onWritten);
+  });
+
+  function onWritten(err) {
+    if (err) {
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+
+    var out = put();
+    out.word16le(0x0011)  // StructureSize (fixed according to spec)
+      .word16le(0)  // Reserved
+      .word32le(data.length)  // Count
+      .word32le(0)  // Remaining
+      .word16le(0)  // WriteChannelInfoOffset
+      .word16le(0); // WriteChannelInfoLength
+
+    cb({
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    });
+  }
+}
+
+module.exports = handle;
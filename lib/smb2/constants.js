@@ -53,6 +53,15 @@ consts.PROTOCOL_ID = new Buffer([ 0xfe, 0x53, 0x4d, 0x42 ]);  // 0xfe, 'S', 'M',
 // fixed header length
 consts.HEADER_LENGTH = 64;
 
+// protocol id of the SMB2 TRANSFORM_HEADER (SMB 3.x encrypted messages)
+consts.TRANSFORM_PROTOCOL_ID = new Buffer([ 0xfd, 0x53, 0x4d, 0x42 ]);  // 0xfd, 'S', 'M', 'B'
+
+// fixed TRANSFORM_HEADER length
+consts.TRANSFORM_HEADER_LENGTH = 52;
+
+// TRANSFORM_HEADER Flags (EncryptionAlgorithm in SMB 3.0/3.0.2)
+consts.TRANSFORM_FLAG_ENCRYPTED = 0x0001;
+
 /**
  * flags
  */
@@ -81,6 +90,307 @@ consts.GLOBAL_CAP_ENCRYPTION = 0x00000040;  // When set, indicates that the clie
 consts.NEGOTIATE_SIGNING_ENABLED = 0x0001; // When set, indicates that security signatures are enabled on the server.
 consts.NEGOTIATE_SIGNING_REQUIRED = 0x0002;  // When set, indicates that security signatures are required by the server
 
+/**
+ * NEGOTIATE context types (SMB 3.1.1 only)
+ */
+consts.PREAUTH_INTEGRITY_CAPABILITIES = 0x0001;
+consts.ENCRYPTION_CAPABILITIES = 0x0002;
+consts.COMPRESSION_CAPABILITIES = 0x0003;
+consts.NETNAME_NEGOTIATE_CONTEXT_ID = 0x0005;
+consts.TRANSPORT_CAPABILITIES = 0x0006;
+consts.RDMA_TRANSFORM_CAPABILITIES = 0x0007;
+consts.SIGNING_CAPABILITIES = 0x0008;
+
+consts.NEGOTIATE_CONTEXT_TYPE_TO_STRING = {
+  0x0001: 'PREAUTH_INTEGRITY_CAPABILITIES',
+  0x0002: 'ENCRYPTION_CAPABILITIES',
+  0x0003: 'COMPRESSION_CAPABILITIES',
+  0x0005: 'NETNAME_NEGOTIATE_CONTEXT_ID',
+  0x0006: 'TRANSPORT_CAPABILITIES',
+  0x0007: 'RDMA_TRANSFORM_CAPABILITIES',
+  0x0008: 'SIGNING_CAPABILITIES'
+};
+
+/**
+ * pre-authentication integrity hash algorithms
+ */
+consts.HASH_ALGORITHM_SHA_512 = 0x0001;
+
+/**
+ * encryption cipher ids
+ */
+consts.CIPHER_NONE = 0x0000;  // No common cipher.
+consts.AES_128_CCM = 0x0001;
+consts.AES_128_GCM = 0x0002;
+consts.AES_256_CCM = 0x0003;
+consts.AES_256_GCM = 0x0004;
+
+/**
+ * signing algorithm ids
+ */
+consts.SIGNING_HMAC_SHA256 = 0x0000;
+consts.SIGNING_AES_CMAC = 0x0001;
+consts.SIGNING_AES_GMAC = 0x0002;
+
+/**
+ * SESSION_SETUP request flags
+ */
+consts.SESSION_FLAG_BINDING = 0x01; // When set, indicates that the request is to bind an existing session to a new connection.
+
+/**
+ * SESSION_SETUP response SessionFlags
+ */
+consts.SESSION_FLAG_IS_GUEST = 0x0001; // If set, the client has been authenticated as a guest user.
+consts.SESSION_FLAG_IS_NULL = 0x0002; // If set, the client has been authenticated as an anonymous user.
+consts.SESSION_FLAG_ENCRYPT_DATA = 0x0004; // If set, the server requires encryption of messages on this session (SMB 3.x only).
+
+/**
+ * TREE_CONNECT response ShareType
+ */
+consts.SHARE_TYPE_DISK = 0x01;  // Physical disk share.
+consts.SHARE_TYPE_PIPE = 0x02;  // Named pipe share.
+consts.SHARE_TYPE_PRINT = 0x03; // Printer share.
+
+/**
+ * TREE_CONNECT response ShareFlags
+ */
+consts.SHAREFLAG_MANUAL_CACHING = 0x00000000; // The client can cache files that are explicitly selected by the user for offline use.
+consts.SHAREFLAG_AUTO_CACHING = 0x00000010; // The client can automatically cache files that are used by the user for offline access.
+consts.SHAREFLAG_VDO_CACHING = 0x00000020;  // The client can automatically cache files that are used by the user for offline access and can use those files in an offline mode even if the share is available.
+consts.SHAREFLAG_NO_CACHING = 0x00000030; // Offline caching MUST NOT occur.
+consts.SHAREFLAG_DFS = 0x00000001;  // The specified share is present in a DFS tree structure.
+consts.SHAREFLAG_DFS_ROOT = 0x00000002; // The specified share is present in a DFS tree structure (root).
+consts.SHAREFLAG_RESTRICT_EXCLUSIVE_OPENS = 0x00000100; // The specified share disallows exclusive file opens that deny reads to an open file.
+consts.SHAREFLAG_FORCE_SHARED_DELETE = 0x00000200;  // The specified share disallows clients from opening files on the share in an exclusive mode that prevents the file from being deleted until the client closes the file.
+consts.SHAREFLAG_ALLOW_NAMESPACE_CACHING = 0x00000400;  // The client MUST ignore this flag.
+consts.SHAREFLAG_ACCESS_BASED_DIRECTORY_ENUM = 0x00000800;  // The server will filter directory entries based on the access permissions of the client.
+consts.SHAREFLAG_FORCE_LEVELII_OPLOCK = 0x00001000; // The server will not issue exclusive caching rights on this share.
+consts.SHAREFLAG_ENABLE_HASH_V1 = 0x00002000; // The share supports hash generation for branch cache retrieval of data.
+consts.SHAREFLAG_ENABLE_HASH_V2 = 0x00004000; // The share supports v2 hash generation for branch cache retrieval of data.
+consts.SHAREFLAG_ENCRYPT_DATA = 0x00008000; // The server requires encryption of remote file access messages on this share (SMB 3.x only).
+
+/**
+ * TREE_CONNECT response Capabilities
+ */
+consts.SHARE_CAP_DFS = 0x00000008;  // The specified share is present in a DFS tree structure.
+consts.SHARE_CAP_CONTINUOUS_AVAILABILITY = 0x00000010;  // The specified share is continuously available.
+consts.SHARE_CAP_SCALEOUT = 0x00000020; // The specified share is present on a server configuration which facilitates faster recovery of durable handles.
+consts.SHARE_CAP_CLUSTER = 0x00000040;  // The specified share is present on a server configuration which provides monitoring of the availability of share through the Witness service.
+consts.SHARE_CAP_ASYMMETRIC = 0x00000080; // The specified share is present on a server configuration that allows dynamic changes in the ownership of the share.
+
+/**
+ * Oplock levels
+ */
+consts.OPLOCK_LEVEL_NONE = 0x00;  // No oplock is requested.
+consts.OPLOCK_LEVEL_II = 0x01;  // A level II oplock is requested.
+consts.OPLOCK_LEVEL_EXCLUSIVE = 0x08; // An exclusive oplock is requested.
+consts.OPLOCK_LEVEL_BATCH = 0x09; // A batch oplock is requested.
+consts.OPLOCK_LEVEL_LEASE = 0xff; // A lease is requested.
+
+/**
+ * Lease states
+ */
+consts.LEASE_NONE = 0x00; // No lease is granted.
+consts.LEASE_READ_CACHING = 0x01; // A read caching lease is granted.
+consts.LEASE_HANDLE_CACHING = 0x02; // A handle caching lease is granted.
+consts.LEASE_WRITE_CACHING = 0x04;  // A write caching lease is granted.
+
+/**
+ * CREATE lease context flags
+ */
+consts.LEASE_FLAG_BREAK_IN_PROGRESS = 0x00000002; // A break for the lease identified by the lease key is in progress.
+consts.LEASE_FLAG_PARENT_LEASE_KEY_SET = 0x00000004;  // The ParentLeaseKey is set (SMB 3.x only).
+
+/**
+ * Lease break notification flags
+ */
+consts.NOTIFY_BREAK_LEASE_FLAG_ACK_REQUIRED = 0x01; // A lease break acknowledgment is required.
+
+/**
+ * CREATE context names
+ */
+consts.CREATE_EA_BUFFER = 'ExtA'; // The data contains the extended attributes that MUST be stored on the created file.
+consts.CREATE_SD_BUFFER = 'SecD'; // The data contains a security descriptor that MUST be stored on the created file.
+consts.CREATE_DURABLE_HANDLE_REQUEST = 'DHnQ'; // The client is requesting the open to be durable.
+consts.CREATE_DURABLE_HANDLE_RECONNECT = 'DHnC'; // The client is requesting to reconnect to a durable open after being disconnected.
+consts.CREATE_ALLOCATION_SIZE = 'AlSi'; // The data contains the required allocation size of the newly created file.
+consts.CREATE_QUERY_MAXIMAL_ACCESS_REQUEST = 'MxAc'; // The client is requesting that the server return maximal access information.
+consts.CREATE_TIMEWARP_TOKEN = 'TWrp'; // The client is requesting that the server open an earlier version of the file identified by the provided time stamp.
+consts.CREATE_QUERY_ON_DISK_ID = 'QFid'; // The client is requesting that the server return a 32-byte opaque BLOB that uniquely identifies the file being opened on disk.
+consts.CREATE_REQUEST_LEASE = 'RqLs'; // The client is requesting that the server return a lease.
+consts.CREATE_DURABLE_HANDLE_REQUEST_V2 = 'DH2Q'; // The client is requesting the open to be durable (SMB 3.x only).
+consts.CREATE_DURABLE_HANDLE_RECONNECT_V2 = 'DH2C'; // The client is requesting to reconnect to a durable open after being disconnected (SMB 3.x only).
+consts.CREATE_AAPL = 'AAPL'; // Apple extensions requested by macOS clients (see smb2/aapl).
+
+/**
+ * CLOSE flags
+ */
+consts.CLOSE_FLAG_POSTQUERY_ATTRIB = 0x0001; // If set, the server MUST set the attribute fields in the response to valid values.
+
+/**
+ * READ flags
+ */
+consts.READFLAG_READ_UNBUFFERED = 0x01; // The server or underlying object store SHOULD NOT cache the read data at intermediate layers.
+
+/**
+ * WRITE flags
+ */
+consts.WRITEFLAG_WRITE_THROUGH = 0x00000001; // The write data should be written to persistent storage before the response is sent regardless of how the file was opened.
+consts.WRITEFLAG_WRITE_UNBUFFERED = 0x00000002; // The server or underlying object store SHOULD NOT cache the write data at intermediate layers.
+
+/**
+ * LOCK element flags
+ */
+consts.LOCKFLAG_SHARED_LOCK = 0x00000001; // A shared lock is requested.
+consts.LOCKFLAG_EXCLUSIVE_LOCK = 0x00000002;  // An exclusive lock is requested.
+consts.LOCKFLAG_UNLOCK = 0x00000004;  // A range is to be unlocked.
+consts.LOCKFLAG_FAIL_IMMEDIATELY = 0x00000010;  // The lock request is to fail immediately if it conflicts with an existing lock.
+
+/**
+ * QUERY_DIRECTORY flags
+ */
+consts.RESTART_SCANS = 0x01;  // The server MUST restart the enumeration from the beginning, but the search pattern is not changed.
+consts.RETURN_SINGLE_ENTRY = 0x02;  // The server MUST only return the first entry of the search results.
+consts.INDEX_SPECIFIED = 0x04;  // The server SHOULD return entries beginning at the byte number specified by FileIndex.
+consts.REOPEN = 0x10; // The server MUST restart the enumeration from the beginning, and the search pattern MUST be changed to the provided value.
+
+/**
+ * CHANGE_NOTIFY request flags
+ */
+consts.WATCH_TREE = 0x0001; // The request MUST monitor changes on any file or directory contained beneath the directory specified by FileId.
+
+/**
+ * IOCTL flags
+ */
+consts.IOCTL_IS_FSCTL = 0x00000001; // The request is a file system control (FSCTL) request.
+
+/**
+ * FSCTL/IOCTL control codes (MS-SMB2 2.2.31, MS-FSCC 2.3)
+ */
+consts.FSCTL_DFS_GET_REFERRALS = 0x00060194;
+consts.FSCTL_GET_OBJECT_ID = 0x0009009c;
+consts.FSCTL_SET_REPARSE_POINT = 0x000900a4;
+consts.FSCTL_GET_REPARSE_POINT = 0x000900a8;
+consts.FSCTL_SET_SPARSE = 0x000900c4;
+consts.FSCTL_QUERY_ALLOCATED_RANGES = 0x000940cf;
+consts.FSCTL_SET_ZERO_DATA = 0x000980c8;
+consts.FSCTL_SRV_REQUEST_RESUME_KEY = 0x00140078;
+consts.FSCTL_LMR_REQUEST_RESILIENCY = 0x001401d4;
+consts.FSCTL_QUERY_NETWORK_INTERFACE_INFO = 0x001401fc;
+consts.FSCTL_VALIDATE_NEGOTIATE_INFO = 0x00140204;
+consts.FSCTL_SRV_ENUMERATE_SNAPSHOTS = 0x00144064;
+consts.FSCTL_SRV_COPYCHUNK = 0x001440f2;
+consts.FSCTL_SRV_COPYCHUNK_WRITE = 0x001480f2;
+
+consts.FSCTL_TO_STRING = _.reduce(
+  consts,
+  function (result, val, nm) {
+    if (nm.indexOf('FSCTL_') === 0) {
+      result[val] = nm.toLowerCase();
+    }
+    return result;
+  },
+  {}
+);
+
+/**
+ * NETWORK_INTERFACE_INFO capabilities
+ */
+consts.NETWORK_INTERFACE_RSS_CAPABLE = 0x00000001;  // The interface supports receive side scaling.
+consts.NETWORK_INTERFACE_RDMA_CAPABLE = 0x00000002; // The interface supports RDMA.
+
+/**
+ * file information classes (MS-FSCC 2.4)
+ */
+consts.FILE_DIRECTORY_INFORMATION = 0x01;
+consts.FILE_FULL_DIRECTORY_INFORMATION = 0x02;
+consts.FILE_BOTH_DIRECTORY_INFORMATION = 0x03;
+consts.FILE_BASIC_INFORMATION = 0x04;
+consts.FILE_STANDARD_INFORMATION = 0x05;
+consts.FILE_INTERNAL_INFORMATION = 0x06;
+consts.FILE_EA_INFORMATION = 0x07;
+consts.FILE_ACCESS_INFORMATION = 0x08;
+consts.FILE_RENAME_INFORMATION = 0x0a;
+consts.FILE_NAMES_INFORMATION = 0x0c;
+consts.FILE_DISPOSITION_INFORMATION = 0x0d;
+consts.FILE_POSITION_INFORMATION = 0x0e;
+consts.FILE_MODE_INFORMATION = 0x10;
+consts.FILE_ALIGNMENT_INFORMATION = 0x11;
+consts.FILE_ALL_INFORMATION = 0x12;
+consts.FILE_ALLOCATION_INFORMATION = 0x13;
+consts.FILE_END_OF_FILE_INFORMATION = 0x14;
+consts.FILE_STREAM_INFORMATION = 0x16;
+consts.FILE_NETWORK_OPEN_INFORMATION = 0x22;
+consts.FILE_ATTRIBUTE_TAG_INFORMATION = 0x23;
+consts.FILE_ID_BOTH_DIRECTORY_INFORMATION = 0x25;
+consts.FILE_ID_FULL_DIRECTORY_INFORMATION = 0x26;
+
+consts.FILE_INFORMATION_CLASS_TO_STRING = _.reduce(
+  consts,
+  function (result, val, nm) {
+    if (nm.indexOf('FILE_') === 0 && nm.indexOf('FILE_FS_') !== 0 && nm.substr(-12) === '_INFORMATION') {
+      result[val] = nm;
+    }
+    return result;
+  },
+  {}
+);
+
+/**
+ * file system information classes (MS-FSCC 2.5)
+ */
+consts.FILE_FS_VOLUME_INFORMATION = 0x01;
+consts.FILE_FS_SIZE_INFORMATION = 0x03;
+consts.FILE_FS_DEVICE_INFORMATION = 0x04;
+consts.FILE_FS_ATTRIBUTE_INFORMATION = 0x05;
+consts.FILE_FS_FULL_SIZE_INFORMATION = 0x07;
+consts.FILE_FS_SECTOR_SIZE_INFORMATION = 0x0b;
+
+consts.FS_INFORMATION_CLASS_TO_STRING = _.reduce(
+  consts,
+  function (result, val, nm) {
+    if (nm.indexOf('FILE_FS_') === 0) {
+      result[val] = nm;
+    }
+    return result;
+  },
+  {}
+);
+
+/**
+ * QUERY_INFO/SET_INFO info types
+ */
+consts.SMB2_0_INFO_FILE = 0x01;
+consts.SMB2_0_INFO_FILESYSTEM = 0x02;
+consts.SMB2_0_INFO_SECURITY = 0x03;
+consts.SMB2_0_INFO_QUOTA = 0x04;
+
+consts.INFO_TYPE_TO_STRING = _.reduce(
+  consts,
+  function (result, val, nm) {
+    if (nm.indexOf('SMB2_0_INFO_') === 0) {
+      result[val] = nm;
+    }
+    return result;
+  },
+  {}
+);
+
+/**
+ * security information flags (AdditionalInformation for SMB2_0_INFO_SECURITY)
+ */
+consts.OWNER_SECURITY_INFORMATION = 0x00000001;
+consts.GROUP_SECURITY_INFORMATION = 0x00000002;
+consts.DACL_SECURITY_INFORMATION = 0x00000004;
+consts.SACL_SECURITY_INFORMATION = 0x00000008;
+
+/**
+ * maximum transaction/read/write sizes advertised in the NEGOTIATE response
+ */
+consts.MAX_TRANSACT_SIZE = 0x00100000;
+consts.MAX_READ_SIZE = 0x00100000;
+consts.MAX_WRITE_SIZE = 0x00100000;
+
 /**
  * dialects
  */
@@ -0,0 +1,95 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var utils = require('../utils');
+
+// size of the fixed part of a SMB2_CREATE_CONTEXT structure
+var HEADER_LENGTH = 16;
+
+/**
+ * Decodes the chained SMB2_CREATE_CONTEXT structures of a CREATE request.
+ *
+ * Context names are returned as ascii strings (e.g. 'MxAc'), names which are not
+ * 4 characters long (i.e. GUIDs) as hex strings.
+ *
+ * @param {Buffer} buf create contexts
+ * @return {Object} hash of context data (Buffer) by name or null if the contexts are malformed
+ */
+function decode(buf) {
+  var contexts = {};
+  var off = 0;
+  while (off < buf.length) {
+    if (off + HEADER_LENGTH > buf.length) {
+      logger.warn('invalid create context: offset: %d, length: %d', off, buf.length);
+      return null;
+    }
+    var next = buf.readUInt32LE(off);
+    var nameOffset = buf.readUInt16LE(off + 4);
+    var nameLength = buf.readUInt16LE(off + 6);
+    var dataOffset = buf.readUInt16LE(off + 10);
+    var dataLength = buf.readUInt32LE(off + 12);
+    var end = next ? off + next : buf.length;
+    if (end > buf.length || off + nameOffset + nameLength > end || (dataLength && off + dataOffset + dataLength > end)) {
+      logger.warn('invalid create context: offset: %d, nameOffset: %d, nameLength: %d, dataOffset: %d, dataLength: %d', off, nameOffset, nameLength, dataOffset, dataLength);
+      return null;
+    }
+    var name = buf.slice(off + nameOffset, off + nameOffset + nameLength);
+    name = nameLength === 4 ? name.toString('ascii') : name.toString('hex');
+    contexts[name] = dataLength ? buf.slice(off + dataOffset, off + dataOffset + dataLength) : utils.EMPTY_BUFFER;
+    if (!next) {
+      break;
+    }
+    off = end;
+  }
+  return contexts;
+}
+
+/**
+ * Encodes chained SMB2_CREATE_CONTEXT structures (e.g. for a CREATE response).
+ *
+ * @param {Object[]} contexts array of <code>{name, data}</code> objects
+ * @param {String} contexts.name context name
+ * @param {Buffer} contexts.data context data
+ * @return {Buffer}
+ */
+function encode(contexts) {
+  var out = put();
+  contexts.forEach(function (ctx, n) {
+    var name = new Buffer(ctx.name, 'ascii');
+    // data is aligned on a 8-byte boundary
+    var dataOffset = HEADER_LENGTH + name.length + utils.calculatePadLength(HEADER_LENGTH + name.length, 8);
+    var length = dataOffset + ctx.data.length;
+    // next context is aligned on a 8-byte boundary
+    var padLength = n < contexts.length - 1 ? utils.calculatePadLength(length, 8) : 0;
+    out.word32le(n < contexts.length - 1 ? length + padLength : 0) // Next
+      .word16le(HEADER_LENGTH) // NameOffset
+      .word16le(name.length) // NameLength
+      .word16le(0)  // Reserved
+      .word16le(ctx.data.length ? dataOffset : 0) // DataOffset
+      .word32le(ctx.data.length)  // DataLength
+      .put(name)  // Name
+      .pad(dataOffset - HEADER_LENGTH - name.length)
+      .put(ctx.data); // Data
+    if (padLength) {
+      out.pad(padLength);
+    }
+  });
+  return out.buffer();
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
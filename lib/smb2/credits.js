@@ -0,0 +1,157 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var SMB2 = require('./constants');
+
+// payload size covered by a single credit
+var CREDIT_PAYLOAD_SIZE = 65536;
+// default ceiling for the number of credits outstanding per connection
+var DEFAULT_MAX_CREDITS = 512;
+
+/**
+ * Returns the number of credits required for a request/response payload of the given size
+ * (see MS-SMB2 3.1.5.2).
+ *
+ * @param {Number} payloadSize - payload size, in bytes
+ * @return {Number} credit charge
+ */
+function calculateCreditCharge(payloadSize) {
+  return Math.max(1, Math.ceil(payloadSize / CREDIT_PAYLOAD_SIZE));
+}
+
+/**
+ * Verifies that the CreditCharge of a request covers its payload (see MS-SMB2 3.3.5.2.5).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {Number} payloadSize - the larger of the request and the expected response payload size, in bytes
+ * @return {Boolean} <code>true</code> if the CreditCharge is sufficient; <code>false</code> otherwise
+ */
+function verifyCreditCharge(msg, connection, payloadSize) {
+  if (connection.dialect === undefined || connection.dialect === SMB2.SMB_2_0_2) {
+    // SMB 2.0.2 doesn't support multi-credit requests; payloads are limited to 64k
+    return payloadSize <= CREDIT_PAYLOAD_SIZE;
+  }
+  var charge = msg.header.creditCharge;
+  if (!charge) {
+    // CreditCharge 0 is treated as 1
+    charge = 1;
+  }
+  return charge >= calculateCreditCharge(payloadSize);
+}
+
+/**
+ * Returns the number of MessageIds consumed by a request, i.e. its effective CreditCharge.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @return {Number} effective credit charge
+ */
+function getCreditCharge(msg, connection) {
+  if (connection.dialect === SMB2.SMB_2_0_2) {
+    // CreditCharge is reserved in SMB 2.0.2
+    return 1;
+  }
+  // CreditCharge 0 is treated as 1
+  return msg.header.creditCharge || 1;
+}
+
+/**
+ * Keeps track of the credits granted on a connection, i.e. the command sequence window
+ * of MessageIds the client is allowed to use (see MS-SMB2 3.3.1.1).
+ *
+ * @param {Number} [maxCredits = DEFAULT_MAX_CREDITS] - maximum number of credits outstanding
+ * @constructor
+ */
+function CreditManager(maxCredits) {
+  this.maxCredits = maxCredits || DEFAULT_MAX_CREDITS;
+  // the window initially consists of MessageId 0 only
+  this.low = 0;
+  this.high = 1;
+  // MessageIds in [low, high) consumed out of order
+  this.consumed = {};
+  this.consumedCount = 0;
+}
+
+/**
+ * Returns the number of credits granted but not yet consumed.
+ *
+ * @return {Number} number of available credits
+ */
+CreditManager.prototype.getAvailable = function () {
+  return this.high - this.low - this.consumedCount;
+};
+
+/**
+ * Consumes the MessageIds used by a request. All of them must be inside the
+ * sequence window and must not have been used before.
+ *
+ * @param {Long} messageId - MessageId of the request
+ * @param {Number} creditCharge - effective CreditCharge of the request
+ * @return {Boolean} <code>true</code> if the MessageIds were valid; <code>false</code> otherwise
+ */
+CreditManager.prototype.consume = function (messageId, creditCharge) {
+  var first = messageId.toNumber();
+  var last = first + creditCharge;
+  if (messageId.high || first < this.low || last > this.high) {
+    return false;
+  }
+  var i;
+  for (i = first; i < last; i++) {
+    if (this.consumed[i]) {
+      // replay
+      return false;
+    }
+  }
+  for (i = first; i < last; i++) {
+    this.consumed[i] = true;
+    this.consumedCount++;
+  }
+  // shrink the window
+  while (this.consumed[this.low]) {
+    delete this.consumed[this.low];
+    this.consumedCount--;
+    this.low++;
+  }
+  return true;
+};
+
+/**
+ * Grants credits with a response, extending the sequence window accordingly.
+ *
+ * The client is granted the number of credits it requested but at least the number of credits
+ * consumed by the request, so that clients issuing multi-credit requests can keep their
+ * pipeline full. The number of available credits is capped by the configured ceiling; a client
+ * is never left without any credits.
+ *
+ * @param {Number} creditRequest - number of credits requested by the client
+ * @param {Number} creditCharge - number of credits consumed by the request
+ * @return {Number} number of credits granted
+ */
+CreditManager.prototype.grant = function (creditRequest, creditCharge) {
+  var available = this.getAvailable();
+  var granted = Math.min(Math.max(creditRequest, creditCharge), this.maxCredits - available);
+  if (granted <= 0) {
+    granted = available ? 0 : 1;
+  }
+  this.high += granted;
+  return granted;
+};
+
+module.exports.CREDIT_PAYLOAD_SIZE = CREDIT_PAYLOAD_SIZE;
+module.exports.DEFAULT_MAX_CREDITS = DEFAULT_MAX_CREDITS;
+module.exports.CreditManager = CreditManager;
+module.exports.getCreditCharge = getCreditCharge;
+module.exports.calculateCreditCharge = calculateCreditCharge;
+module.exports.verifyCreditCharge = verifyCreditCharge;
@@ -0,0 +1,362 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../ntstatus');
+var utils = require('../utils');
+var SMB2 = require('./constants');
+
+// default time in ms a durable open is preserved after its connection has been lost
+var DEFAULT_TIMEOUT = 60000;
+// maximum time in ms a resilient open can be preserved (see MS-SMB2 3.3.5.15.9)
+var MAX_RESILIENCY_TIMEOUT = 300000;
+
+// sizes of the durable handle create context data
+var DURABLE_REQUEST_LENGTH = 16;
+var DURABLE_RECONNECT_LENGTH = 16;
+var DURABLE_REQUEST_V2_LENGTH = 32;
+var DURABLE_RECONNECT_V2_LENGTH = 36;
+
+/**
+ * Decodes the durable handle create contexts of a CREATE request (see MS-SMB2 2.2.13.2.3 - 2.2.13.2.12).
+ *
+ * @param {Object} contexts - hash of create context data by name
+ * @return {Object} an object with the request (<code>{version, timeout, createGuid}</code>)
+ *                  and reconnect (<code>{version, fid, createGuid}</code>) contexts (null if not present)
+ *                  or null if the contexts are malformed or inconsistent
+ */
+function decodeContexts(contexts) {
+  var result = { request: null, reconnect: null };
+  var buf;
+  if ((buf = contexts[SMB2.CREATE_DURABLE_HANDLE_RECONNECT_V2])) {
+    if (buf.length !== DURABLE_RECONNECT_V2_LENGTH || contexts[SMB2.CREATE_DURABLE_HANDLE_RECONNECT]
+      || contexts[SMB2.CREATE_DURABLE_HANDLE_REQUEST] || contexts[SMB2.CREATE_DURABLE_HANDLE_REQUEST_V2]) {
+      return null;
+    }
+    result.reconnect = {
+      version: 2,
+      // the persistent part of the FileId is the fid
+      fid: buf.readUInt32LE(0),
+      createGuid: buf.slice(16, 32)
+    };
+  } else if ((buf = contexts[SMB2.CREATE_DURABLE_HANDLE_RECONNECT])) {
+    // a DHnQ context is ignored (see MS-SMB2 3.3.5.9.7) whereas a DH2Q context is invalid
+    if (buf.length !== DURABLE_RECONNECT_LENGTH || contexts[SMB2.CREATE_DURABLE_HANDLE_REQUEST_V2]) {
+      return null;
+    }
+    result.reconnect = {
+      version: 1,
+      fid: buf.readUInt32LE(0),
+      createGuid: null
+    };
+  } else if ((buf = contexts[SMB2.CREATE_DURABLE_HANDLE_REQUEST_V2])) {
+    if (buf.length !== DURABLE_REQUEST_V2_LENGTH || contexts[SMB2.CREATE_DURABLE_HANDLE_REQUEST]) {
+      return null;
+    }
+    result.request = {
+      version: 2,
+      timeout: buf.readUInt32LE(0),
+      flags: buf.readUInt32LE(4),
+      createGuid: buf.slice(16, 32)
+    };
+  } else if ((buf = contexts[SMB2.CREATE_DURABLE_HANDLE_REQUEST])) {
+    if (buf.length !== DURABLE_REQUEST_LENGTH) {
+      return null;
+    }
+    result.request = {
+      version: 1,
+      timeout: 0,
+      flags: 0,
+      createGuid: null
+    };
+  }
+  return result;
+}
+
+/**
+ * Checks whether the oplock/lease of a durable open still permits a reconnect.
+ *
+ * @param {Object} open - durable open
+ * @param {Object} oplock - oplock entry of the open
+ * @param {SMBConnection} connection - the new connection
+ * @param {Object} [leaseRequest] - optional, decoded lease create context of the reconnect request
+ * @return {Boolean}
+ */
+function isOplockPreserved(open, oplock, connection, leaseRequest) {
+  if (!oplock) {
+    return false;
+  }
+  if (oplock.lease) {
+    // the lease must be reclaimed by the same client using the same LeaseKey
+    if (!leaseRequest || !utils.bufferEquals(oplock.lease.leaseKey, leaseRequest.leaseKey)
+      || !utils.bufferEquals(open.clientGuid, connection.clientGuid)) {
+      return false;
+    }
+    // handle caching might have been broken in the meantime
+    return !!(oplock.lease.state & SMB2.LEASE_HANDLE_CACHING);
+  }
+  // the batch oplock might have been broken in the meantime
+  return oplock.oplockLevel === SMB2.OPLOCK_LEVEL_BATCH;
+}
+
+/**
+ * Keeps track of durable opens, i.e. opens which are preserved for a while after their
+ * connection has been lost, allowing the client to reclaim them on a new connection
+ * (see MS-SMB2 3.3.1.10).
+ *
+ * A preserved open is kept with all its state (e.g. the backend's read-ahead stream)
+ * until it is reclaimed or its timeout expires.
+ *
+ * @param {SMBServer} server - an SMBServer instance
+ * @constructor
+ */
+function DurableHandleManager(server) {
+  this.server = server;
+  this.timeout = server.config.durableHandleTimeout || DEFAULT_TIMEOUT;
+  // durable opens, keyed by fid
+  this.opens = {};
+}
+
+/**
+ * Makes a newly created open durable if requested by the client and permitted
+ * by the granted oplock/lease (see MS-SMB2 3.3.5.9.6 and 3.3.5.9.10).
+ *
+ * @param {SMBFile} file - the new open
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBSession} session - the session of the new open
+ * @param {Object} request - decoded durable handle request
+ * @param {Object} grant - granted oplock/lease
+ * @return {Object} the durable handle response create context or null if the open has not been made durable
+ */
+DurableHandleManager.prototype.grant = function (file, connection, session, request, grant) {
+  var batch = grant.oplockLevel === SMB2.OPLOCK_LEVEL_BATCH;
+  var handleCaching = grant.lease && (grant.lease.state & SMB2.LEASE_HANDLE_CACHING);
+  if (!batch && !handleCaching) {
+    // only opens whose handle may be cached by the client can be made durable
+    return null;
+  }
+  var timeout = this.timeout;
+  if (request.version === 2 && request.timeout && request.timeout < timeout) {
+    timeout = request.timeout;
+  }
+  this.opens[file.getId()] = {
+    fid: file.getId(),
+    // the SMBFile instance might be replaced (e.g. on rename), the fid is stable
+    tree: file.getTree(),
+    connection: connection,
+    version: request.version,
+    createGuid: request.createGuid,
+    clientGuid: connection.clientGuid,
+    accountName: session.accountName,
+    primaryDomain: session.primaryDomain,
+    resilient: false,
+    timeout: timeout,
+    timer: null
+  };
+  logger.debug('granted durable handle (v%d) on fid %d [fileName: %s], timeout: %d', request.version, file.getId(), file.getName(), timeout);
+
+  if (request.version === 2) {
+    return {
+      name: SMB2.CREATE_DURABLE_HANDLE_REQUEST_V2,
+      data: put()
+        .word32le(timeout)  // Timeout
+        .word32le(0)  // Flags (persistent handles are not supported)
+        .buffer()
+    };
+  }
+  return {
+    name: SMB2.CREATE_DURABLE_HANDLE_REQUEST,
+    data: put().pad(8).buffer() // Reserved
+  };
+};
+
+/**
+ * Makes an open resilient, i.e. it is preserved after a lost connection regardless of
+ * its oplock/lease (see MS-SMB2 3.3.5.15.9). Resilient opens which are not durable
+ * are reclaimed using a (v1) durable handle reconnect create context.
+ *
+ * @param {SMBFile} file - the open
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBSession} session - the session of the open
+ * @param {Number} timeout - requested timeout in ms (0 for the server's default)
+ * @return {Number} status
+ */
+DurableHandleManager.prototype.makeResilient = function (file, connection, session, timeout) {
+  if (timeout > MAX_RESILIENCY_TIMEOUT) {
+    return ntstatus.STATUS_INVALID_PARAMETER;
+  }
+  timeout = timeout || this.timeout;
+  logger.debug('making fid %d resilient [fileName: %s], timeout: %d', file.getId(), file.getName(), timeout);
+  var open = this.opens[file.getId()];
+  if (open) {
+    // already durable
+    open.resilient = true;
+    open.timeout = timeout;
+    return ntstatus.STATUS_SUCCESS;
+  }
+  this.opens[file.getId()] = {
+    fid: file.getId(),
+    tree: file.getTree(),
+    connection: connection,
+    version: 1,
+    createGuid: null,
+    clientGuid: connection.clientGuid,
+    accountName: session.accountName,
+    primaryDomain: session.primaryDomain,
+    resilient: true,
+    timeout: timeout,
+    timer: null
+  };
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Reclaims a preserved durable open on a new connection (see MS-SMB2 3.3.5.9.7 and 3.3.5.9.12).
+ *
+ * @param {Object} reconnect - decoded durable handle reconnect context
+ * @param {SMBTree} tree - the tree connect the open is reclaimed on
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBSession} session - the session the open is reclaimed on
+ * @param {Object} [leaseRequest] - optional, decoded lease create context
+ * @return {Object} an object with the status, the reclaimed file (or null) and its oplock level and lease
+ */
+DurableHandleManager.prototype.reconnect = function (reconnect, tree, connection, session, leaseRequest) {
+  var result = {
+    status: ntstatus.STATUS_OBJECT_NAME_NOT_FOUND,
+    file: null,
+    oplockLevel: SMB2.OPLOCK_LEVEL_NONE,
+    lease: null
+  };
+  var open = this.opens[reconnect.fid];
+  if (!open || open.version !== reconnect.version) {
+    return result;
+  }
+  if (open.connection) {
+    // the open has not been disconnected (yet)
+    logger.debug('durable handle on fid %d is still connected', open.fid);
+    return result;
+  }
+  if (open.version === 2 && !utils.bufferEquals(open.createGuid, reconnect.createGuid)) {
+    return result;
+  }
+  if (open.accountName !== session.accountName || open.primaryDomain !== session.primaryDomain) {
+    logger.debug('durable handle on fid %d belongs to a different user', open.fid);
+    result.status = ntstatus.STATUS_ACCESS_DENIED;
+    return result;
+  }
+  var file = open.tree.getFile(open.fid);
+  if (!file || open.tree.getShare() !== tree.getShare()) {
+    return result;
+  }
+  var oplock = this.server.oplocks.getOpen(open.fid);
+  // resilient opens don't depend on their oplock/lease
+  if (!open.resilient && !isOplockPreserved(open, oplock, connection, leaseRequest)) {
+    return result;
+  }
+
+  clearTimeout(open.timer);
+  open.timer = null;
+  open.connection = connection;
+  open.clientGuid = connection.clientGuid;
+  tree.adoptFile(file);
+  open.tree = tree;
+  this.server.oplocks.reassign(open.fid, connection, tree.tid, session.uid);
+  this.server.locks.reassign(open.fid, connection);
+  logger.debug('reconnected durable handle on fid %d [fileName: %s]', open.fid, file.getName());
+
+  result.status = ntstatus.STATUS_SUCCESS;
+  result.file = file;
+  if (oplock) {
+    result.oplockLevel = oplock.lease ? SMB2.OPLOCK_LEVEL_LEASE : oplock.oplockLevel;
+    result.lease = oplock.lease;
+  }
+  return result;
+};
+
+/**
+ * Moves a durable open to a different channel of its session (SMB 3.x multichannel),
+ * i.e. the open isn't preserved when the channel it has been established on is lost.
+ *
+ * @param {Number} fid
+ * @param {SMBConnection} connection - the lost connection
+ * @param {SMBConnection} channel - the remaining connection
+ */
+DurableHandleManager.prototype.reassign = function (fid, connection, channel) {
+  var open = this.opens[fid];
+  if (open && open.connection === connection) {
+    open.connection = channel;
+  }
+};
+
+/**
+ * Preserves the durable opens of a lost connection. Opens which are not reclaimed within
+ * their timeout are closed.
+ *
+ * @param {SMBConnection} connection - an SMBConnection instance
+ */
+DurableHandleManager.prototype.disconnect = function (connection) {
+  var self = this;
+  _.forEach(_.filter(this.opens, { connection: connection }), function (open) {
+    logger.debug('preserving durable handle on fid %d for %d ms', open.fid, open.timeout);
+    open.connection = null;
+    self.server.oplocks.reassign(open.fid, null);
+    // byte-range locks are preserved along with the open
+    self.server.locks.reassign(open.fid, null);
+    open.timer = setTimeout(function () {
+      self.expire(open.fid);
+    }, open.timeout);
+  });
+};
+
+/**
+ * Closes a preserved durable open which has not been reclaimed in time.
+ *
+ * @param {Number} fid
+ */
+DurableHandleManager.prototype.expire = function (fid) {
+  var open = this.opens[fid];
+  if (!open) {
+    return;
+  }
+  logger.debug('durable handle on fid %d expired', fid);
+  this.release(fid);
+  this.server.oplocks.release(fid);
+  this.server.locks.release(fid);
+  open.tree.closeFile(fid, function (err) {
+    if (err) {
+      logger.error('failed to close expired durable handle', err);
+    }
+  });
+};
+
+/**
+ * Removes an open from the table of durable opens (e.g. when it's closed by the client).
+ *
+ * @param {Number} fid
+ */
+DurableHandleManager.prototype.release = function (fid) {
+  var open = this.opens[fid];
+  if (open) {
+    clearTimeout(open.timer);
+    delete this.opens[fid];
+  }
+};
+
+module.exports.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+module.exports.MAX_RESILIENCY_TIMEOUT = MAX_RESILIENCY_TIMEOUT;
+module.exports.DurableHandleManager = DurableHandleManager;
+module.exports.decodeContexts = decodeContexts;
@@ -0,0 +1,170 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var SMB2 = require('./constants');
+var signing = require('./signing');
+
+// offset of the part of the TRANSFORM_HEADER which is authenticated (Nonce through SessionId)
+var AAD_OFFSET = 20;
+var AUTH_TAG_LENGTH = 16;
+// size of the Nonce field (the actual nonce is shorter and zero-padded)
+var NONCE_FIELD_LENGTH = 16;
+
+var CIPHERS = {};
+CIPHERS[SMB2.AES_128_CCM] = { algorithm: 'aes-128-ccm', keyLength: 16, nonceLength: 11 };
+CIPHERS[SMB2.AES_128_GCM] = { algorithm: 'aes-128-gcm', keyLength: 16, nonceLength: 12 };
+CIPHERS[SMB2.AES_256_CCM] = { algorithm: 'aes-256-ccm', keyLength: 32, nonceLength: 11 };
+CIPHERS[SMB2.AES_256_GCM] = { algorithm: 'aes-256-gcm', keyLength: 32, nonceLength: 12 };
+
+// supported ciphers in order of preference
+var CIPHER_PREFERENCE = [ SMB2.AES_128_GCM, SMB2.AES_128_CCM, SMB2.AES_256_GCM, SMB2.AES_256_CCM ];
+
+/**
+ * Selects the cipher to be used on a SMB 3.1.1 connection.
+ *
+ * @param {Number[]} clientCiphers - cipher ids offered by the client
+ * @return {Number} selected cipher id or <code>CIPHER_NONE</code> if there's no common cipher
+ */
+function selectCipher(clientCiphers) {
+  for (var i = 0; i < CIPHER_PREFERENCE.length; i++) {
+    if (clientCiphers.indexOf(CIPHER_PREFERENCE[i]) > -1) {
+      return CIPHER_PREFERENCE[i];
+    }
+  }
+  return SMB2.CIPHER_NONE;
+}
+
+/**
+ * Derives the encryption (server to client) and decryption (client to server) keys
+ * for a session (see MS-SMB2 3.3.5.5.3).
+ *
+ * @param {Buffer} sessionKey - session key established by the authentication
+ * @param {Number} dialect - negotiated dialect
+ * @param {Number} cipherId - negotiated cipher
+ * @param {Buffer} [preauthIntegrityHashValue] - pre-authentication integrity hash of the session (SMB 3.1.1 only)
+ * @return {Object} an object with encryptionKey and decryptionKey
+ */
+function generateKeys(sessionKey, dialect, cipherId, preauthIntegrityHashValue) {
+  var keyLength = CIPHERS[cipherId].keyLength;
+  if (dialect === SMB2.SMB_3_1_1) {
+    return {
+      encryptionKey: signing.deriveKey(sessionKey, new Buffer('SMBS2CCipherKey\0', 'ascii'), preauthIntegrityHashValue, keyLength),
+      decryptionKey: signing.deriveKey(sessionKey, new Buffer('SMBC2SCipherKey\0', 'ascii'), preauthIntegrityHashValue, keyLength)
+    };
+  }
+  return {
+    encryptionKey: signing.deriveKey(sessionKey, new Buffer('SMB2AESCCM\0', 'ascii'), new Buffer('ServerOut\0', 'ascii'), keyLength),
+    decryptionKey: signing.deriveKey(sessionKey, new Buffer('SMB2AESCCM\0', 'ascii'), new Buffer('ServerIn \0', 'ascii'), keyLength)
+  };
+}
+
+/**
+ * Decodes the TRANSFORM_HEADER of an encrypted message.
+ *
+ * @param {Buffer} buf - raw encrypted message
+ * @return {Object} decoded header or null if the message is malformed
+ */
+function decodeTransformHeader(buf) {
+  if (buf.length < SMB2.TRANSFORM_HEADER_LENGTH) {
+    logger.warn('invalid TRANSFORM_HEADER: length: %d', buf.length);
+    return null;
+  }
+  var raw = binary.parse(buf)
+    .buffer('protocolId', 4)  // 0xfd, 'S', 'M', 'B'
+    .buffer('signature', AUTH_TAG_LENGTH)
+    .buffer('nonce', NONCE_FIELD_LENGTH)
+    .word32le('originalMessageSize')
+    .skip(2)  // Reserved
+    .word16le('flags')
+    .buffer('sessionIdRaw', 8)
+    .vars;
+  if (raw.originalMessageSize !== buf.length - SMB2.TRANSFORM_HEADER_LENGTH || raw.flags !== SMB2.TRANSFORM_FLAG_ENCRYPTED) {
+    logger.warn('invalid TRANSFORM_HEADER: originalMessageSize: %d, length: %d, flags: %d', raw.originalMessageSize, buf.length, raw.flags);
+    return null;
+  }
+  return {
+    signature: raw.signature,
+    nonce: raw.nonce,
+    originalMessageSize: raw.originalMessageSize,
+    sessionId: Long.fromBits(raw.sessionIdRaw.readUInt32LE(0), raw.sessionIdRaw.readUInt32LE(4), true)
+  };
+}
+
+/**
+ * Decrypts an encrypted message.
+ *
+ * @param {Buffer} buf - raw encrypted message (starting with the TRANSFORM_HEADER)
+ * @param {Object} header - decoded TRANSFORM_HEADER
+ * @param {Buffer} key - decryption key
+ * @param {Number} cipherId - negotiated cipher
+ * @return {Buffer} decrypted message or null if the message could not be authenticated
+ */
+function decrypt(buf, header, key, cipherId) {
+  var cipher = CIPHERS[cipherId];
+  var nonce = header.nonce.slice(0, cipher.nonceLength);
+  var aad = buf.slice(AAD_OFFSET, SMB2.TRANSFORM_HEADER_LENGTH);
+  var encrypted = buf.slice(SMB2.TRANSFORM_HEADER_LENGTH);
+  try {
+    var decipher = crypto.createDecipheriv(cipher.algorithm, key, nonce, { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAuthTag(header.signature);
+    decipher.setAAD(aad, { plaintextLength: encrypted.length });
+    return Buffer.concat([ decipher.update(encrypted), decipher.final() ]);
+  } catch (e) {
+    logger.warn('failed to decrypt message: %s', e.message);
+    return null;
+  }
+}
+
+/**
+ * Encrypts a (possibly compounded) message.
+ *
+ * @param {Buffer} buf - raw message
+ * @param {Long} sessionId - SessionId of the session the message belongs to
+ * @param {Buffer} key - encryption key
+ * @param {Number} cipherId - negotiated cipher
+ * @return {Buffer} encrypted message (starting with the TRANSFORM_HEADER)
+ */
+function encrypt(buf, sessionId, key, cipherId) {
+  var cipher = CIPHERS[cipherId];
+  var nonce = crypto.randomBytes(cipher.nonceLength);
+
+  var out = put();
+  out.put(nonce)  // Nonce
+    .pad(NONCE_FIELD_LENGTH - nonce.length)
+    .word32le(buf.length) // OriginalMessageSize
+    .pad(2) // Reserved
+    .word16le(SMB2.TRANSFORM_FLAG_ENCRYPTED)  // Flags/EncryptionAlgorithm
+    .word32le(sessionId.getLowBitsUnsigned()) // SessionId
+    .word32le(sessionId.getHighBitsUnsigned());
+  var aad = out.buffer();
+
+  var c = crypto.createCipheriv(cipher.algorithm, key, nonce, { authTagLength: AUTH_TAG_LENGTH });
+  c.setAAD(aad, { plaintextLength: buf.length });
+  var encrypted = Buffer.concat([ c.update(buf), c.final() ]);
+
+  return Buffer.concat([ SMB2.TRANSFORM_PROTOCOL_ID, c.getAuthTag(), aad, encrypted ]);
+}
+
+module.exports.selectCipher = selectCipher;
+module.exports.generateKeys = generateKeys;
+module.exports.decodeTransformHeader = decodeTransformHeader;
+module.exports.decrypt = decrypt;
+module.exports.encrypt = encrypt;
@@ -0,0 +1,74 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+
+var utils = require('../utils');
+
+/**
+ * SMB2 FileId: 8-byte Persistent and 8-byte Volatile part.
+ *
+ * The volatile part is the fid of the <code>SMBFile</code> within its tree.
+ */
+
+// FileId used by related compound operations, refers to the FileId of the previous operation
+var RELATED_FILEID = new Buffer(16);
+RELATED_FILEID.fill(0xff);
+
+/**
+ * Decodes a FileId.
+ *
+ * @param {Buffer} buf 16-byte FileId
+ * @param {Object} [related] context for related operations
+ * @return {{persistent: Number, volatile: Number}}
+ */
+function decode(buf, related) {
+  if (related && related.fileId && utils.bufferEquals(buf, RELATED_FILEID)) {
+    return related.fileId;
+  }
+  return {
+    persistent: buf.readUInt32LE(0),
+    volatile: buf.readUInt32LE(8)
+  };
+}
+
+/**
+ * Encodes a FileId.
+ *
+ * @param {{persistent: Number, volatile: Number}} fileId
+ * @return {Buffer} 16-byte FileId
+ */
+function encode(fileId) {
+  return put()
+    .word64le(fileId.persistent)
+    .word64le(fileId.volatile)
+    .buffer();
+}
+
+/**
+ * Returns the FileId of an open file.
+ *
+ * @param {SMBFile} file
+ * @return {{persistent: Number, volatile: Number}}
+ */
+function fromFile(file) {
+  return {
+    persistent: file.getId(),
+    volatile: file.getId()
+  };
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
+module.exports.fromFile = fromFile;
@@ -18,11 +18,19 @@ var path = require('path');
 var logger = require('winston').loggers.get('smb');
 var put = require('put');
 var async = require('async');
+var _ = require('lodash');
+var Long = require('long');
 
 var utils = require('../utils');
 var ntstatus = require('../ntstatus');
 var message = require('./message');
 var SMB2 = require('./constants');
+var credits = require('./credits');
+var fileid = require('./fileid');
+var signing = require('./signing');
+var preauth = require('./preauth');
+var encryption = require('./encryption');
+var dfs = require('../dfs');
 
 var cmdHandlers = {};
 
@@ -51,6 +59,16 @@ out.word16le(0x0009)  // StructureSize (fixed according to spec)
   .word8(0);  // ErrorData
 var SMBERROR_BODY = out.buffer();
 
+// offset of the FileId within a CREATE response body
+var CREATE_RESPONSE_FILEID_OFFSET = 64;
+// offset of the NameOffset and NameLength fields within a CREATE request body
+var CREATE_REQUEST_NAME_OFFSET = 44;
+
+// commands which may be sent outside of an established session (CANCEL must never be answered)
+var SESSIONLESS_COMMANDS = [ 'negotiate', 'session_setup', 'echo', 'cancel' ];
+// commands which don't refer to a tree connect
+var TREELESS_COMMANDS = [ 'logoff', 'tree_connect' ];
+
 /**
  * Handles binary SMB 2.x/3.x messages
  *
@@ -60,6 +78,32 @@ var SMBERROR_BODY = out.buffer();
  * @param {Function} cb callback called on completion
  */
 function handleRequest(msgBuf, connection, server, cb) {
+  processRequest(msgBuf, null, connection, server, cb);
+}
+
+/**
+ * Handles encrypted SMB 3.x messages (see MS-SMB2 3.3.5.2.1.1)
+ *
+ * @param {Buffer} msgBuf - raw message buffer (starting with the TRANSFORM_HEADER)
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @param {Function} cb callback called on completion
+ */
+function handleEncryptedRequest(msgBuf, connection, server, cb) {
+  var header = encryption.decodeTransformHeader(msgBuf);
+  var session = header && server.getSession(header.sessionId.toNumber());
+  var decrypted = session && session.decryptionKey && encryption.decrypt(msgBuf, header, session.decryptionKey, connection.cipherId);
+  if (!decrypted) {
+    // the connection must be disconnected if a message cannot be decrypted
+    logger.error('failed to decrypt message, closing connection');
+    connection.socket.destroy();
+    cb();
+    return;
+  }
+  processRequest(decrypted, session, connection, server, cb);
+}
+
+function processRequest(msgBuf, encryptionSession, connection, server, cb) {
   var buf = msgBuf;
   // dissect compounded requests
   var compMsgs = [];
@@ -68,36 +112,100 @@ function handleRequest(msgBuf, connection, server, cb) {
   while (msg.header.nextCommand) {
     buf = buf.slice(msg.header.nextCommand);
     msg = message.decode(buf);
-    compMsgs.put(msg);
-  }
-
-  if (compMsgs[0].header.relatedOp) {
-    sendResponse(compMsgs[0], ntstatus.STATUS_INVALID_PARAMETER, cb);
-    return;
+    compMsgs.push(msg);
   }
+  compMsgs.forEach(function (msg) {
+    // responses to encrypted requests are encrypted using the same session
+    msg.encryptionSession = encryptionSession;
+  });
 
-  var relatedOps = compMsgs.length > 1 && compMsgs[1].header.relatedOp;
+  var relatedOps = _.some(compMsgs, function (msg) {
+    return msg.header.flags.relatedOp;
+  });
 
-  // context for related operations
-  var relatedCtx = relatedOps ? {
-    sessionId: compMsgs[0].sessionId,
-    treeId: compMsgs[0].treeId,
-    fileId: null
-  } : null;
+  // context for related operations: SessionId, TreeId and FileId of the previous operation
+  var relatedCtx = null;
+  var prevMsg = null;
 
   function processMsg(msg, callback) {
+    if (msg.header.command !== 'cancel') {
+      // CANCEL requests don't consume a MessageId
+      msg.creditCharge = credits.getCreditCharge(msg, connection);
+      if (!connection.credits.consume(msg.header.messageId, msg.creditCharge)) {
+        // MessageId outside of the sequence window or replayed
+        logger.error('encountered invalid MessageId %s (creditCharge: %d, window: [%d, %d))', msg.header.messageId.toString(), msg.creditCharge, connection.credits.low, connection.credits.high);
+        msg.creditCharge = 0;
+        msg.header.creditReqRes = 0;
+        msg.header.status = ntstatus.STATUS_INVALID_PARAMETER;
+        msg.body = SMBERROR_BODY;
+        callback();
+        return;
+      }
+    }
+
+    var related = null;
+    if (msg.header.flags.relatedOp) {
+      if (!relatedCtx) {
+        // the first operation of a compound cannot be a related operation
+        msg.header.status = ntstatus.STATUS_INVALID_PARAMETER;
+        msg.body = SMBERROR_BODY;
+        callback();
+        return;
+      }
+      // inherit SessionId and TreeId from the previous operation
+      msg.header.sessionId = relatedCtx.sessionId;
+      msg.header.treeId = relatedCtx.treeId;
+      if (prevMsg && (isError(prevMsg.header.status) || prevMsg.header.status === ntstatus.STATUS_STOPPED_ON_SYMLINK)) {
+        // cascade error of previous operation (a CREATE stopped on a symbolic link didn't open a file either)
+        msg.header.status = prevMsg.header.status;
+        msg.body = SMBERROR_BODY;
+        callback();
+        return;
+      }
+      related = relatedCtx;
+    }
+
+    if (!verifySession(msg, connection, server)) {
+      msg.header.status = ntstatus.STATUS_USER_SESSION_DELETED;
+      msg.body = SMBERROR_BODY;
+      callback();
+      return;
+    }
+    if (!verifyTree(msg, server)) {
+      msg.header.status = ntstatus.STATUS_NETWORK_NAME_DELETED;
+      msg.body = SMBERROR_BODY;
+      callback();
+      return;
+    }
+    if (!verifySignature(msg, connection, server) || !verifyEncryption(msg, server)) {
+      msg.header.status = ntstatus.STATUS_ACCESS_DENIED;
+      msg.body = SMBERROR_BODY;
+      callback();
+      return;
+    }
+
+    var status = resolveDfsPathName(msg, server);
+    if (status !== ntstatus.STATUS_SUCCESS) {
+      logger.debug('\'' + msg.header.command.toUpperCase() + '\' returned error status ' + ntstatus.STATUS_TO_STRING[status] + ' (0x' + status.toString(16) + ')');
+      msg.header.status = status;
+      msg.body = SMBERROR_BODY;
+      callback();
+      return;
+    }
+
     var command = SMB2.COMMAND_TO_STRING[msg.header.commandId];
     if (!command) {
       // unknown command
-      callback({
-        status: ntstatus.STATUS_SMB_BAD_COMMAND,
-        message: 'encountered invalid command 0x' + msg.header.ommandId.toString(16)
-      });
+      logger.error('encountered invalid command 0x' + msg.header.commandId.toString(16));
+      msg.header.status = ntstatus.STATUS_INVALID_PARAMETER;
+      msg.body = SMBERROR_BODY;
+      callback();
+      return;
     }
     var handler = cmdHandlers[command];
     if (handler) {
       // process command
-      handler(msg, msg.header.commandId, msg.body, relatedCtx, connection, server, function (result) {
+      handler(msg, msg.header.commandId, msg.body, related, connection, server, function (result) {
         if (!result) {
           // special case (see e.g. 'echo' handler): no further processing required
           msg.processed = true;
@@ -121,14 +229,33 @@ function handleRequest(msgBuf, connection, server, cb) {
     }
   }
 
+  function processRelatedMsg(msg, callback) {
+    processMsg(msg, function () {
+      // update context for subsequent related operations
+      relatedCtx = {
+        sessionId: msg.header.sessionId,
+        treeId: msg.header.treeId,
+        // an unrelated operation starts a new chain
+        fileId: msg.header.flags.relatedOp && relatedCtx ? relatedCtx.fileId : null
+      };
+      if (msg.header.command === 'create' && msg.header.status === ntstatus.STATUS_SUCCESS) {
+        // subsequent related operations refer to the newly opened file
+        relatedCtx.fileId = fileid.decode(msg.body.slice(CREATE_RESPONSE_FILEID_OFFSET, CREATE_RESPONSE_FILEID_OFFSET + 16));
+      }
+      prevMsg = msg;
+      callback();
+    });
+  }
+
   function processResults(err) {
     sendCompoundedResponses(compMsgs, connection, server, cb);
   }
 
   // invoke async command handlers
   if (relatedOps) {
+    // related operations depend on the outcome of the previous operation
     async.eachSeries(compMsgs,
-      processMsg,
+      processRelatedMsg,
       processResults
     );
   } else {
@@ -139,11 +266,236 @@ function handleRequest(msgBuf, connection, server, cb) {
   }
 }
 
+/**
+ * Returns true if the specified status denotes a failure (as opposed to success, warning or interim statuses).
+ *
+ * @param {Number} status
+ * @return {Boolean}
+ */
+function isError(status) {
+  // severity 'error' (0b11)
+  return (status >>> 30) === 3;
+}
+
+/**
+ * Verifies that the session of a request exists and is bound to the connection the request has been
+ * received on (see MS-SMB2 3.3.5.2.9). With SMB 3.x multichannel a session may be bound to
+ * several connections.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Boolean} <code>false</code> if the session is unknown or not bound to the connection
+ */
+function verifySession(msg, connection, server) {
+  if (SESSIONLESS_COMMANDS.indexOf(msg.header.command) !== -1) {
+    return true;
+  }
+  var session = server.getSession(msg.header.sessionId.toNumber());
+  if (!session) {
+    logger.error('encountered request on unknown session %s', msg.header.sessionId.toString());
+    return false;
+  }
+  if (!session.getChannel(connection)) {
+    logger.error('encountered request on session %d which is not bound to the connection', session.uid);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Verifies that the tree connect of a request belongs to the session of the request (see MS-SMB2 3.3.5.2.11).
+ * Unknown trees are left to the command handlers.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Boolean} <code>false</code> if the tree connect has been established by another session
+ */
+function verifyTree(msg, server) {
+  if (SESSIONLESS_COMMANDS.indexOf(msg.header.command) !== -1 || TREELESS_COMMANDS.indexOf(msg.header.command) !== -1) {
+    return true;
+  }
+  var tree = server.getTree(msg.header.treeId);
+  if (!tree || tree.getSession() === server.getSession(msg.header.sessionId.toNumber())) {
+    return true;
+  }
+  logger.error('encountered request on tree %d which does not belong to session %s', msg.header.treeId, msg.header.sessionId.toString());
+  return false;
+}
+
+/**
+ * Verifies the signature of a request (see MS-SMB2 3.3.5.2.4).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Boolean} <code>false</code> if the request is not signed as required or if the signature is invalid
+ */
+function verifySignature(msg, connection, server) {
+  if (msg.encryptionSession) {
+    // encrypted messages are not signed
+    return true;
+  }
+  if (msg.header.command === 'negotiate' || msg.header.command === 'session_setup') {
+    // the session (if any) is not yet established
+    return true;
+  }
+  var session = server.getSession(msg.header.sessionId.toNumber());
+  var signingKey = session && session.getSigningKey(connection);
+  if (!signingKey) {
+    return true;
+  }
+  if (!msg.header.flags.signed) {
+    if (session.signingRequired) {
+      logger.error('encountered unsigned request on session %d requiring signing', session.uid);
+      return false;
+    }
+    return true;
+  }
+  // the signature of a compounded request covers the padding up to the next request
+  var buf = msg.header.nextCommand ? msg.buf.slice(0, msg.header.nextCommand) : msg.buf;
+  if (!signing.verify(buf, signingKey, connection.dialect)) {
+    logger.error('encountered invalid signature on session %d', session.uid);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Verifies that a request has been encrypted if required by its session or tree connect
+ * (see MS-SMB2 3.3.5.2.9 and 3.3.5.2.11).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Boolean} <code>false</code> if the request is not encrypted as required
+ */
+function verifyEncryption(msg, server) {
+  if (msg.encryptionSession) {
+    // the request must belong to the session it has been encrypted for
+    return msg.header.sessionId.equals(msg.encryptionSession.uid);
+  }
+  if (msg.header.command === 'negotiate' || msg.header.command === 'session_setup') {
+    return true;
+  }
+  var session = server.getSession(msg.header.sessionId.toNumber());
+  if (session && session.encryptData) {
+    logger.error('encountered unencrypted request on session %d requiring encryption', session.uid);
+    return false;
+  }
+  var tree = msg.header.treeId && server.getTree(msg.header.treeId);
+  if (tree && tree.getShare().isEncrypted()) {
+    logger.error('encountered unencrypted request on share %s requiring encryption', tree.getShare().getName());
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Strips the server and share names from the path name of a CREATE request flagged as DFS operation
+ * (SMB2_FLAGS_DFS_OPERATIONS, see dfs.resolvePath). The path name is replaced in a copy of the request.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Number} <code>STATUS_PATH_NOT_COVERED</code> if the client has to ask for a referral;
+ *         <code>STATUS_SUCCESS</code> otherwise
+ */
+function resolveDfsPathName(msg, server) {
+  if (msg.header.command !== 'create' || !msg.header.flags.dfsOp) {
+    return ntstatus.STATUS_SUCCESS;
+  }
+  var tree = server.getTree(msg.header.treeId);
+  if (!tree || !tree.getShare().isDfsRoot() || msg.body.length < CREATE_REQUEST_NAME_OFFSET + 4) {
+    return ntstatus.STATUS_SUCCESS;
+  }
+  // offsets are relative to the beginning of the SMB2 header
+  var nameOffset = msg.body.readUInt16LE(CREATE_REQUEST_NAME_OFFSET);
+  var nameLength = msg.body.readUInt16LE(CREATE_REQUEST_NAME_OFFSET + 2);
+  var name = msg.buf.slice(nameOffset, nameOffset + nameLength).toString('utf16le');
+  var dfsPath = dfs.resolvePath(tree.getShare(), name, true);
+  if (dfsPath.status !== ntstatus.STATUS_SUCCESS || dfsPath.path === name) {
+    return dfsPath.status;
+  }
+  // the resolved path name is never longer than the original one
+  var buf = new Buffer(msg.buf.length);
+  msg.buf.copy(buf);
+  var nameBytes = new Buffer(dfsPath.path, 'utf16le');
+  nameBytes.copy(buf, nameOffset);
+  buf.writeUInt16LE(nameBytes.length, SMB2.HEADER_LENGTH + CREATE_REQUEST_NAME_OFFSET + 2);
+  msg.buf = buf;
+  msg.body = buf.slice(SMB2.HEADER_LENGTH, SMB2.HEADER_LENGTH + msg.body.length);
+  return ntstatus.STATUS_SUCCESS;
+}
+
+/**
+ * Encodes a response and signs it if required (see MS-SMB2 3.3.4.1.1).
+ *
+ * A response is signed if the request was signed or if the session requires signing.
+ * Interim responses and encrypted responses are never signed.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} padLength - number of padding bytes to be appended (compounded responses)
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Buffer} encoded response
+ */
+function encodeResponse(msg, padLength, connection, server) {
+  var signingKey = null;
+  if (msg.header.status !== ntstatus.STATUS_PENDING && !msg.encryptionSession) {
+    // the session of a LOGOFF request is already gone when its response is sent
+    var session = msg.signingSession || server.getSession(msg.header.sessionId.toNumber());
+    if (session && session.getSigningKey(connection) && (msg.header.flags.signed || session.signingRequired)) {
+      signingKey = session.getSigningKey(connection);
+    }
+  }
+
+  // the request's flags are retained (e.g. for the final response of an async operation)
+  var flags = msg.header.flags;
+  msg.header.flags = _.assign({}, flags, { signed: !!signingKey });
+  var buf = message.encode(msg);
+  msg.header.flags = flags;
+
+  if (padLength) {
+    var padding = new Buffer(padLength);
+    padding.fill(0);
+    buf = Buffer.concat([ buf, padding ]);
+  }
+  if (signingKey) {
+    signing.sign(buf, signingKey, connection.dialect);
+  }
+  return buf;
+}
+
+/**
+ * Updates the SMB 3.1.1 pre-authentication integrity hash with an encoded NEGOTIATE or
+ * SESSION_SETUP response (see MS-SMB2 3.3.5.4 and 3.3.5.5).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Buffer} buf - encoded response
+ * @param {SMBConnection} connection - an SMBConnection instance
+ */
+function updatePreauthIntegrityHash(msg, buf, connection) {
+  if (!preauth.isRequired(connection.dialect)) {
+    return;
+  }
+  if (msg.header.command === 'negotiate' && msg.header.status === ntstatus.STATUS_SUCCESS) {
+    connection.preauthIntegrityHashValue = preauth.update(connection.preauthIntegrityHashValue, buf);
+  } else if (msg.header.command === 'session_setup' && msg.header.status === ntstatus.STATUS_MORE_PROCESSING_REQUIRED) {
+    // the final SESSION_SETUP response is not included
+    var login = connection.logins[msg.header.sessionId.toNumber()];
+    if (login) {
+      login.preauthIntegrityHashValue = preauth.update(login.preauthIntegrityHashValue, buf);
+    }
+  }
+}
+
 function sendCompoundedResponses(msgs, connection, server, cb) {
   var out = put();
 
-  if (msgs.length === 1 && msgs[0].processed) {
-    // special case (see e.g. 'echo' handler): no further processing required
+  // special case (see e.g. 'cancel' handler): no further processing required
+  msgs = msgs.filter(function (msg) {
+    return !msg.processed;
+  });
+  if (!msgs.length) {
     cb();
     return;
   }
@@ -152,7 +504,16 @@ function sendCompoundedResponses(msgs, connection, server, cb) {
   msgs.forEach(function (msg, n, arr) {
     // make sure the 'reply' flag is set
     msg.header.flags.reply = true;
-    if (msg.header.status !== ntstatus.STATUS_SUCCESS) {
+    // grant credits
+    msg.header.creditReqRes = connection.credits.grant(msg.header.creditReqRes, msg.creditCharge || 0);
+    if (msg.header.status !== ntstatus.STATUS_SUCCESS
+      && msg.header.status !== ntstatus.STATUS_MORE_PROCESSING_REQUIRED
+      && msg.header.status !== ntstatus.STATUS_BUFFER_OVERFLOW
+      && msg.header.status !== ntstatus.STATUS_BUFFER_TOO_SMALL
+      // CREATE returns the symbolic link the open stopped on along with STATUS_STOPPED_ON_SYMLINK
+      && msg.header.status !== ntstatus.STATUS_STOPPED_ON_SYMLINK
+      // FSCTL_SRV_COPYCHUNK returns the server-side copy limits along with STATUS_INVALID_PARAMETER
+      && !(msg.header.command === 'ioctl' && msg.header.status === ntstatus.STATUS_INVALID_PARAMETER && msg.body.length)) {
       msg.body = SMBERROR_BODY;
     }
     // calculate nextCommand offset
@@ -165,13 +526,29 @@ function sendCompoundedResponses(msgs, connection, server, cb) {
       nextCommandOff += padLength;
     }
     msg.header.nextCommand = nextCommandOff;
-    out.put(message.encode(msg));
-    if (padLength) {
-      out.pad(padLength);
-    }
+    var buf = encodeResponse(msg, padLength, connection, server);
+    updatePreauthIntegrityHash(msg, buf, connection);
+    out.put(buf);
   });
 
-  connection.sendRawMessage(out.buffer(), cb);
+  connection.sendRawMessage(encryptResponse(out.buffer(), msgs[0], connection), cb);
+}
+
+/**
+ * Encrypts an encoded (possibly compounded) response if the request was encrypted
+ * (see MS-SMB2 3.3.4.1.4).
+ *
+ * @param {Buffer} buf - encoded response
+ * @param {Object} msg - an SMB message object
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @return {Buffer} encrypted or unmodified response
+ */
+function encryptResponse(buf, msg, connection) {
+  var session = msg.encryptionSession;
+  if (!session) {
+    return buf;
+  }
+  return encryption.encrypt(buf, Long.fromNumber(session.uid, true), session.encryptionKey, connection.cipherId);
 }
 
 function sendResponse(msg, status, connection, server, cb) {
@@ -184,8 +561,9 @@ function sendResponse(msg, status, connection, server, cb) {
     msg.body = SMBERROR_BODY;
   }
 
-  connection.sendRawMessage(message.encode(msg), cb);
+  connection.sendRawMessage(encryptResponse(encodeResponse(msg, 0, connection, server), msg, connection), cb);
 }
 
 module.exports.handleRequest = handleRequest;
+module.exports.handleEncryptedRequest = handleEncryptedRequest;
 module.exports.sendResponse = sendResponse;
@@ -0,0 +1,180 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var put = require('put');
+var _ = require('lodash');
+
+var SMB2 = require('./constants');
+var utils = require('../utils');
+var spnego = require('../spnego');
+var negotiatecontext = require('./negotiatecontext');
+
+/**
+ * Dialect negotiation shared by the SMB2 NEGOTIATE handler and the SMB1 NEGOTIATE handler
+ * (multi-protocol negotiate, i.e. upgrade from SMB1 to SMB2, see MS-SMB2 3.3.5.3).
+ */
+
+// SMB1 (CIFS), ordered below all SMB2 dialect revisions
+var SMB_1 = 0x0100;
+
+// SMB2 dialects supported by the server, in order of preference
+var DIALECTS = [ SMB2.SMB_3_1_1, SMB2.SMB_3_0_2, SMB2.SMB_3_0_0, SMB2.SMB_2_1_0, SMB2.SMB_2_0_2 ];
+
+// protocol names accepted by the 'protocols' configuration, mapped to the lowest and highest dialect they denote
+var PROTOCOLS = {
+  NT1: [ SMB_1, SMB_1 ],
+  SMB1: [ SMB_1, SMB_1 ],
+  SMB2: [ SMB2.SMB_2_0_2, SMB2.SMB_2_1_0 ],
+  SMB2_02: [ SMB2.SMB_2_0_2, SMB2.SMB_2_0_2 ],
+  SMB2_10: [ SMB2.SMB_2_1_0, SMB2.SMB_2_1_0 ],
+  SMB3: [ SMB2.SMB_3_0_0, SMB2.SMB_3_1_1 ],
+  SMB3_00: [ SMB2.SMB_3_0_0, SMB2.SMB_3_0_0 ],
+  SMB3_02: [ SMB2.SMB_3_0_2, SMB2.SMB_3_0_2 ],
+  SMB3_11: [ SMB2.SMB_3_1_1, SMB2.SMB_3_1_1 ]
+};
+
+/**
+ * Parses the 'protocols' configuration, e.g. <code>{ min: 'SMB2', max: 'SMB3' }</code>.
+ * A protocol family denotes its lowest dialect as minimum and its highest dialect as maximum.
+ *
+ * @param {Object} [config] - protocols configuration
+ * @param {String} [config.min] - lowest protocol accepted (default: 'NT1', i.e. SMB1)
+ * @param {String} [config.max] - highest protocol accepted (default: 'SMB3')
+ * @return {Object} an object with the lowest (min) and highest (max) dialect enabled
+ * @throws {Error} if the configuration is invalid
+ */
+function parseProtocols(config) {
+  config = config || {};
+
+  function lookup(name, i, defaultValue) {
+    if (!name) {
+      return defaultValue;
+    }
+    var range = PROTOCOLS[String(name).toUpperCase()];
+    if (!range) {
+      throw new Error('invalid protocol: ' + name + ' (expected one of ' + _.keys(PROTOCOLS).join(', ') + ')');
+    }
+    return range[i];
+  }
+
+  var protocols = {
+    min: lookup(config.min, 0, SMB_1),
+    max: lookup(config.max, 1, SMB2.SMB_3_1_1)
+  };
+  if (protocols.min > protocols.max) {
+    throw new Error('invalid protocols: min ' + config.min + ' is higher than max ' + config.max);
+  }
+  return protocols;
+}
+
+/**
+ * Returns true if the specified dialect is enabled by the server's 'protocols' configuration.
+ *
+ * @param {Number} dialect - SMB2 dialect revision or <code>SMB_1</code>
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Boolean}
+ */
+function isEnabled(dialect, server) {
+  return dialect >= server.protocols.min && dialect <= server.protocols.max;
+}
+
+/**
+ * Selects the highest dialect supported by both client and server.
+ *
+ * @param {Number[]} dialects - dialects offered by the client
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Number} the selected dialect or null if there is no common dialect
+ */
+function selectDialect(dialects, server) {
+  var dialect = _.find(DIALECTS, function (d) {
+    return dialects.indexOf(d) > -1 && isEnabled(d, server);
+  });
+  return dialect || null;
+}
+
+/**
+ * Builds the body of a NEGOTIATE response. The server's capabilities and security mode
+ * are stored with the connection (required for FSCTL_VALIDATE_NEGOTIATE_INFO).
+ *
+ * @param {Number} dialect - selected dialect (<code>SMB_2_X_X</code> when upgrading from SMB1)
+ * @param {Number} clientCapabilities - capabilities of the client (0 when upgrading from SMB1)
+ * @param {Object[]} contexts - SMB 3.1.1 negotiate contexts of the response (empty for other dialects)
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Buffer} response body
+ */
+function buildResponse(dialect, clientCapabilities, contexts, connection, server) {
+  var capabilities = SMB2.GLOBAL_CAP_DFS | SMB2.GLOBAL_CAP_LARGE_MTU;
+  if (dialect !== SMB2.SMB_2_0_2) {
+    capabilities |= SMB2.GLOBAL_CAP_LEASING;
+  }
+  if (dialect >= SMB2.SMB_3_0_0) {
+    // sessions may be bound to multiple connections (see SESSION_SETUP)
+    capabilities |= SMB2.GLOBAL_CAP_MULTI_CHANNEL;
+  }
+  if (dialect === SMB2.SMB_3_0_0 || dialect === SMB2.SMB_3_0_2) {
+    // SMB 3.0/3.0.2 only support AES-128-CCM (SMB 3.1.1 negotiates the cipher using a negotiate context)
+    connection.cipherId = SMB2.CIPHER_NONE;
+    if (server.isEncryptionEnabled() && (clientCapabilities & SMB2.GLOBAL_CAP_ENCRYPTION)) {
+      capabilities |= SMB2.GLOBAL_CAP_ENCRYPTION;
+      connection.cipherId = SMB2.AES_128_CCM;
+    }
+  }
+
+  var securityMode = SMB2.NEGOTIATE_SIGNING_ENABLED;
+  if (server.config.requireSigning) {
+    securityMode |= SMB2.NEGOTIATE_SIGNING_REQUIRED;
+  }
+  // required for validating the negotiation (FSCTL_VALIDATE_NEGOTIATE_INFO)
+  connection.serverCapabilities = capabilities;
+  connection.serverSecurityMode = securityMode;
+
+  var systemTime = utils.systemToSMBTime(Date.now());
+  var startTime = utils.systemToSMBTime(server.getStartTime());
+  // advertise the supported authentication mechanism (GSS-API/SPNEGO, see MS-SMB2 3.3.5.4)
+  var securityBuffer = spnego.createNegTokenInit([ spnego.OID_NTLMSSP ]);
+  var contextsOffset = SMB2.HEADER_LENGTH + 64 + securityBuffer.length;
+  contextsOffset += utils.calculatePadLength(contextsOffset, 8);
+  var out = put();
+  out.word16le(0x0041)  // StructureSize (fixed according to spec)
+    .word16le(securityMode) // SecurityMode
+    .word16le(dialect) // DialectRevision
+    .word16le(contexts.length)  // NegotiateContextCount/Reserved
+    .put(server.getGuid())  // ServerGuid
+    .word32le(capabilities) // Capabilities
+    .word32le(SMB2.MAX_TRANSACT_SIZE) // MaxTransactSize
+    .word32le(SMB2.MAX_READ_SIZE) // MaxReadSize
+    .word32le(SMB2.MAX_WRITE_SIZE) // MaxWriteSize
+    .word32le(systemTime.getLowBitsUnsigned())  // SystemTime
+    .word32le(systemTime.getHighBitsUnsigned())
+    .word32le(startTime.getLowBitsUnsigned())  // ServerStartTime
+    .word32le(startTime.getHighBitsUnsigned())
+    .word16le(SMB2.HEADER_LENGTH + 64)  // SecurityBufferOffset
+    .word16le(securityBuffer.length)  // SecurityBufferLength
+    .word32le(contexts.length ? contextsOffset : 0)  // NegotiateContextOffset/Reserved2
+    .put(securityBuffer); // SecurityBuffer
+  if (contexts.length) {
+    // negotiate contexts are aligned on a 8-byte boundary
+    out.pad(contextsOffset - SMB2.HEADER_LENGTH - 64 - securityBuffer.length)
+      .put(negotiatecontext.encode(contexts));
+  }
+  return out.buffer();
+}
+
+module.exports.SMB_1 = SMB_1;
+module.exports.parseProtocols = parseProtocols;
+module.exports.isEnabled = isEnabled;
+module.exports.selectDialect = selectDialect;
+module.exports.buildResponse = buildResponse;
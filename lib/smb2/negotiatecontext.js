@@ -0,0 +1,82 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var utils = require('../utils');
+
+// size of the fixed part of a SMB2_NEGOTIATE_CONTEXT structure
+var HEADER_LENGTH = 8;
+
+/**
+ * Decodes the SMB2_NEGOTIATE_CONTEXT structures of a SMB 3.1.1 NEGOTIATE request.
+ *
+ * @param {Buffer} buf negotiate contexts (starting with the first context)
+ * @param {Number} count number of negotiate contexts
+ * @return {Object[]} array of <code>{type, data}</code> objects or null if the contexts are malformed
+ */
+function decode(buf, count) {
+  var contexts = [];
+  var off = 0;
+  while (contexts.length < count) {
+    if (off + HEADER_LENGTH > buf.length) {
+      logger.warn('invalid negotiate context: offset: %d, length: %d', off, buf.length);
+      return null;
+    }
+    var type = buf.readUInt16LE(off);
+    var dataLength = buf.readUInt16LE(off + 2);
+    if (off + HEADER_LENGTH + dataLength > buf.length) {
+      logger.warn('invalid negotiate context: offset: %d, type: 0x%s, dataLength: %d', off, type.toString(16), dataLength);
+      return null;
+    }
+    contexts.push({
+      type: type,
+      data: buf.slice(off + HEADER_LENGTH, off + HEADER_LENGTH + dataLength)
+    });
+    // next context is aligned on a 8-byte boundary
+    off += HEADER_LENGTH + dataLength;
+    off += utils.calculatePadLength(off, 8);
+  }
+  return contexts;
+}
+
+/**
+ * Encodes SMB2_NEGOTIATE_CONTEXT structures (e.g. for a NEGOTIATE response).
+ *
+ * @param {Object[]} contexts array of <code>{type, data}</code> objects
+ * @param {Number} contexts.type context type
+ * @param {Buffer} contexts.data context data
+ * @return {Buffer}
+ */
+function encode(contexts) {
+  var out = put();
+  contexts.forEach(function (ctx, n) {
+    out.word16le(ctx.type) // ContextType
+      .word16le(ctx.data.length)  // DataLength
+      .pad(4) // Reserved
+      .put(ctx.data); // Data
+    if (n < contexts.length - 1) {
+      // next context is aligned on a 8-byte boundary
+      var padLength = utils.calculatePadLength(HEADER_LENGTH + ctx.data.length, 8);
+      if (padLength) {
+        out.pad(padLength);
+      }
+    }
+  });
+  return out.buffer();
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
@@ -0,0 +1,50 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var async = require('async');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../ntstatus');
+var pending = require('./pending');
+
+/**
+ * Closes all opens of a tree which are implicitly closed by TREE_DISCONNECT or LOGOFF
+ * (see MS-SMB2 3.3.5.7 and 3.3.5.6), releasing their pending requests, oplocks/leases,
+ * durable handles and byte-range locks.
+ *
+ * @param {SMBTree} tree - an SMBTree instance
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called on completion
+ */
+function closeAll(tree, connection, server, cb) {
+  async.each(tree.getFiles(),
+    function (file, callback) {
+      var fid = file.getId();
+      pending.cancelAll(connection, ntstatus.STATUS_NOTIFY_CLEANUP, file);
+      server.oplocks.release(fid);
+      server.durableHandles.release(fid);
+      server.locks.release(fid);
+      tree.closeFile(fid, function (err) {
+        if (err) {
+          logger.error('failed to close %s', file.getPath(), err);
+        }
+        callback();
+      });
+    },
+    cb
+  );
+}
+
+module.exports.closeAll = closeAll;
@@ -0,0 +1,637 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var Long = require('long');
+var async = require('async');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../ntstatus');
+var common = require('../common');
+var utils = require('../utils');
+var SMB2 = require('./constants');
+var fileid = require('./fileid');
+var smb2 = require('./handler');
+
+// default time in ms to wait for an oplock/lease break acknowledgment (see MS-SMB2 3.3.2.1 and 3.3.2.5)
+var DEFAULT_BREAK_TIMEOUT = 35000;
+
+// sizes of the SMB2_CREATE_REQUEST_LEASE and SMB2_CREATE_REQUEST_LEASE_V2 create context data
+var LEASE_CONTEXT_V1_LENGTH = 32;
+var LEASE_CONTEXT_V2_LENGTH = 52;
+
+// MessageId of unsolicited OPLOCK_BREAK notifications
+var NOTIFICATION_MESSAGE_ID = Long.fromBits(0xffffffff, 0xffffffff, true);
+
+var EMPTY_SIGNATURE = new Buffer(16);
+EMPTY_SIGNATURE.fill(0);
+
+/**
+ * Decodes the data of a SMB2_CREATE_REQUEST_LEASE or SMB2_CREATE_REQUEST_LEASE_V2 create context.
+ *
+ * @param {Buffer} buf - create context data
+ * @return {Object} lease request or null if the context is malformed
+ */
+function decodeLeaseRequest(buf) {
+  if (buf.length !== LEASE_CONTEXT_V1_LENGTH && buf.length !== LEASE_CONTEXT_V2_LENGTH) {
+    logger.warn('invalid lease create context: length: %d', buf.length);
+    return null;
+  }
+  var req = {
+    version: buf.length === LEASE_CONTEXT_V2_LENGTH ? 2 : 1,
+    leaseKey: buf.slice(0, 16),
+    leaseState: buf.readUInt32LE(16),
+    leaseFlags: buf.readUInt32LE(20),
+    // LeaseDuration (8 bytes): reserved
+    parentLeaseKey: null,
+    epoch: 0
+  };
+  if (req.version === 2) {
+    if (req.leaseFlags & SMB2.LEASE_FLAG_PARENT_LEASE_KEY_SET) {
+      req.parentLeaseKey = buf.slice(32, 48);
+    }
+    req.epoch = buf.readUInt16LE(48);
+  }
+  return req;
+}
+
+/**
+ * Encodes the data of a SMB2_CREATE_RESPONSE_LEASE or SMB2_CREATE_RESPONSE_LEASE_V2 create context.
+ *
+ * @param {Object} lease - granted lease
+ * @param {Number} version - version of the lease request (1 or 2)
+ * @return {Buffer} create context data
+ */
+function encodeLeaseResponse(lease, version) {
+  var flags = lease.breaking ? SMB2.LEASE_FLAG_BREAK_IN_PROGRESS : 0;
+  if (version === 2 && lease.parentLeaseKey) {
+    flags |= SMB2.LEASE_FLAG_PARENT_LEASE_KEY_SET;
+  }
+  var out = put();
+  out.put(lease.leaseKey) // LeaseKey
+    .word32le(lease.state)  // LeaseState
+    .word32le(flags)  // LeaseFlags
+    .word64le(0); // LeaseDuration
+  if (version === 2) {
+    if (lease.parentLeaseKey) {
+      out.put(lease.parentLeaseKey); // ParentLeaseKey
+    } else {
+      out.pad(16);
+    }
+    out.word16le(lease.epoch) // Epoch
+      .word16le(0); // Reserved
+  }
+  return out.buffer();
+}
+
+/**
+ * Returns the key identifying a file across opens, trees and connections.
+ *
+ * @param {SMBTree} tree
+ * @param {String} name - file path
+ * @return {String}
+ */
+function getFileKey(tree, name) {
+  // the backend might be case-insensitive: rather break too often than too seldom
+  return tree.getShare().getName() + ':' + utils.normalizeSMBFileName(name).toLowerCase();
+}
+
+/**
+ * Returns the key identifying a lease, i.e. ClientGuid and LeaseKey (see MS-SMB2 3.3.1.4).
+ *
+ * @param {Buffer} clientGuid
+ * @param {Buffer} leaseKey
+ * @return {String}
+ */
+function getLeaseId(clientGuid, leaseKey) {
+  return clientGuid.toString('hex') + ':' + leaseKey.toString('hex');
+}
+
+/**
+ * Returns true if the specified lease state is a valid combination of caching flags
+ * (i.e. R, RH, RW or RWH).
+ *
+ * @param {Number} state
+ * @return {Boolean}
+ */
+function isValidLeaseState(state) {
+  if (state & ~(SMB2.LEASE_READ_CACHING | SMB2.LEASE_HANDLE_CACHING | SMB2.LEASE_WRITE_CACHING)) {
+    return false;
+  }
+  return !state || !!(state & SMB2.LEASE_READ_CACHING);
+}
+
+/**
+ * Keeps track of the oplocks and leases granted on opens, across all connections
+ * (see MS-SMB2 3.3.1.4 and 3.3.1.10).
+ *
+ * Every open of a regular file is registered, whether it holds an oplock/lease or not,
+ * in order to detect conflicting opens. An open holds either an oplock
+ * (level II, exclusive or batch) or refers to a lease (keyed by ClientGuid and LeaseKey)
+ * which may be shared by multiple opens of the same client.
+ *
+ * Conflicting operations break the caching rights of other opens: the holder is sent an
+ * OPLOCK_BREAK/LEASE_BREAK notification and the operation is suspended until the break
+ * has been acknowledged or the acknowledgment timer has expired.
+ *
+ * @param {SMBServer} server - an SMBServer instance
+ * @constructor
+ */
+function OplockManager(server) {
+  this.server = server;
+  this.breakTimeout = server.config.oplockBreakTimeout || DEFAULT_BREAK_TIMEOUT;
+  // registered opens, keyed by fid
+  this.opens = {};
+  // leases, keyed by ClientGuid and LeaseKey
+  this.leases = {};
+}
+
+/**
+ * Grants an oplock or lease on a newly opened file and registers the open.
+ *
+ * @param {SMBFile} file - the new open
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {Number} sessionId - SessionId of the open
+ * @param {Number} requestedOplockLevel - RequestedOplockLevel of the CREATE request
+ * @param {Object} [leaseRequest] - optional, decoded lease create context
+ * @return {Object} an object with the status, the granted oplock level and lease (or null)
+ */
+OplockManager.prototype.grant = function (file, connection, sessionId, requestedOplockLevel, leaseRequest) {
+  var result = {
+    status: ntstatus.STATUS_SUCCESS,
+    oplockLevel: SMB2.OPLOCK_LEVEL_NONE,
+    lease: null
+  };
+  if (file.isDirectory()) {
+    // directory leasing is not supported
+    return result;
+  }
+
+  var tree = file.getTree();
+  var key = getFileKey(tree, file.getPath());
+  var others = _.filter(this.opens, { key: key });
+  var readOnly = tree.getShare().isReadOnly() || file.isReadOnly();
+
+  var entry = {
+    fid: file.getId(),
+    tid: tree.tid,
+    sessionId: sessionId,
+    key: key,
+    connection: connection,
+    oplockLevel: SMB2.OPLOCK_LEVEL_NONE,
+    lease: null,
+    breaking: null
+  };
+
+  if (requestedOplockLevel === SMB2.OPLOCK_LEVEL_LEASE && leaseRequest && connection.dialect !== SMB2.SMB_2_0_2) {
+    var leaseId = getLeaseId(connection.clientGuid, leaseRequest.leaseKey);
+    var lease = this.leases[leaseId];
+    if (lease && lease.key !== key) {
+      // a lease key must not be reused for a different file
+      logger.debug('lease %s is associated with a different file (%s)', leaseId, lease.key);
+      result.status = ntstatus.STATUS_INVALID_PARAMETER;
+      return result;
+    }
+    if (!lease) {
+      lease = {
+        id: leaseId,
+        key: key,
+        leaseKey: leaseRequest.leaseKey,
+        parentLeaseKey: leaseRequest.parentLeaseKey,
+        state: SMB2.LEASE_NONE,
+        epoch: leaseRequest.epoch,
+        breaking: null
+      };
+      this.leases[leaseId] = lease;
+    }
+    // read and handle caching can always be granted, write caching only if there are no other opens
+    var allowed = SMB2.LEASE_READ_CACHING | SMB2.LEASE_HANDLE_CACHING;
+    if (!readOnly && !_.some(others, function (other) { return other.lease !== lease; })) {
+      allowed |= SMB2.LEASE_WRITE_CACHING;
+    }
+    // caching rights are not upgraded while a break is in progress
+    if (!lease.breaking && isValidLeaseState(leaseRequest.leaseState)) {
+      var state = lease.state | (leaseRequest.leaseState & allowed);
+      if (state !== lease.state) {
+        lease.state = state;
+        lease.epoch++;
+      }
+    }
+    entry.lease = lease;
+    result.oplockLevel = SMB2.OPLOCK_LEVEL_LEASE;
+    result.lease = lease;
+  } else if (requestedOplockLevel === SMB2.OPLOCK_LEVEL_II
+    || requestedOplockLevel === SMB2.OPLOCK_LEVEL_EXCLUSIVE
+    || requestedOplockLevel === SMB2.OPLOCK_LEVEL_BATCH) {
+    if (!others.length) {
+      entry.oplockLevel = requestedOplockLevel;
+    } else if (!_.some(others, hasWriteCaching)) {
+      entry.oplockLevel = SMB2.OPLOCK_LEVEL_II;
+    }
+    result.oplockLevel = entry.oplockLevel;
+  }
+
+  this.opens[entry.fid] = entry;
+  return result;
+};
+
+/**
+ * Breaks the oplocks and leases conflicting with a new open of the specified file (see MS-SMB2 3.3.5.9).
+ *
+ * Exclusive and batch oplocks are broken to level II, write caching is removed from leases.
+ * If the file is going to be overwritten read caching is removed as well.
+ *
+ * @param {SMBTree} tree - an SMBTree instance
+ * @param {String} name - name of the file to be opened
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {Object} [leaseRequest] - optional, decoded lease create context of the new open
+ * @param {Number} createDisposition - CreateDisposition of the new open
+ * @param {Function} cb callback called once all breaks have been acknowledged (or timed out)
+ */
+OplockManager.prototype.breakForOpen = function (tree, name, connection, leaseRequest, createDisposition, cb) {
+  var leaseId = leaseRequest && connection.clientGuid ? getLeaseId(connection.clientGuid, leaseRequest.leaseKey) : null;
+  var overwrite = createDisposition === common.FILE_OVERWRITE
+    || createDisposition === common.FILE_OVERWRITE_IF
+    || createDisposition === common.FILE_SUPERSEDE;
+  this.breakOpens(getFileKey(tree, name), function (entry) {
+    if (entry.lease) {
+      if (entry.lease.id === leaseId) {
+        // opens of the same lease don't conflict
+        return null;
+      }
+      return entry.lease.state & (overwrite ? SMB2.LEASE_HANDLE_CACHING : ~SMB2.LEASE_WRITE_CACHING);
+    }
+    if (overwrite) {
+      return SMB2.OPLOCK_LEVEL_NONE;
+    }
+    return hasWriteCaching(entry) ? SMB2.OPLOCK_LEVEL_II : null;
+  }, cb);
+};
+
+/**
+ * Breaks the read caching of all other opens of a file which is about to be modified
+ * (see MS-SMB2 3.3.4.6 and 3.3.4.7).
+ *
+ * @param {SMBFile} file - the open modifying the file
+ * @param {Function} cb callback called once all breaks have been acknowledged (or timed out)
+ */
+OplockManager.prototype.breakForWrite = function (file, cb) {
+  var fid = file.getId();
+  var writer = this.opens[fid];
+  this.breakOpens(getFileKey(file.getTree(), file.getPath()), function (entry) {
+    if (entry.fid === fid || (entry.lease && writer && entry.lease === writer.lease)) {
+      return null;
+    }
+    if (entry.lease) {
+      return entry.lease.state & SMB2.LEASE_HANDLE_CACHING;
+    }
+    return SMB2.OPLOCK_LEVEL_NONE;
+  }, cb);
+};
+
+/**
+ * Breaks the oplocks/leases of the opens of a file to the level determined by the specified function.
+ * The function is re-evaluated once the breaks have completed until no further breaks are required.
+ *
+ * @param {String} key - file key
+ * @param {Function} getBreakTo - called with an open, returns the level/state the open's oplock/lease
+ *                                should be broken to or null if no break is required
+ * @param {Function} cb callback called once all breaks have been acknowledged (or timed out)
+ */
+OplockManager.prototype.breakOpens = function (key, getBreakTo, cb) {
+  var self = this;
+  var waitFor = [];
+  _.forEach(_.filter(this.opens, { key: key }), function (entry) {
+    var to = getBreakTo(entry);
+    var holder = entry.lease || entry;
+    if (to === null || waitFor.indexOf(holder) > -1) {
+      return;
+    }
+    if (holder.breaking) {
+      // wait for the break in progress, re-evaluate afterwards
+      waitFor.push(holder);
+    } else if (isDowngrade(holder, to) && self.startBreak(entry, to)) {
+      waitFor.push(holder);
+    }
+  });
+  if (!waitFor.length) {
+    process.nextTick(function () { cb(); });
+    return;
+  }
+  async.each(waitFor,
+    function (holder, callback) {
+      if (!holder.breaking) {
+        callback();
+        return;
+      }
+      holder.breaking.waiters.push(callback);
+    },
+    function () {
+      self.breakOpens(key, getBreakTo, cb);
+    }
+  );
+};
+
+/**
+ * Initiates the break of an oplock or lease by sending a break notification to the client.
+ *
+ * @param {Object} entry - the open whose oplock (or lease) is broken
+ * @param {Number} to - the new oplock level/lease state
+ * @return {Boolean} <code>true</code> if the break has to be acknowledged; <code>false</code> otherwise
+ */
+OplockManager.prototype.startBreak = function (entry, to) {
+  var holder = entry.lease || entry;
+  var ackRequired;
+  var body;
+  if (entry.lease) {
+    // breaks from read caching need not be acknowledged (see MS-SMB2 3.3.4.7)
+    ackRequired = !!(holder.state & (SMB2.LEASE_WRITE_CACHING | SMB2.LEASE_HANDLE_CACHING));
+    holder.epoch++;
+    logger.debug('breaking lease %s of fid %d: 0x%s -> 0x%s', holder.id, entry.fid, holder.state.toString(16), to.toString(16));
+    body = put()
+      .word16le(0x002c) // StructureSize (fixed according to spec)
+      .word16le(holder.epoch) // NewEpoch
+      .word32le(ackRequired ? SMB2.NOTIFY_BREAK_LEASE_FLAG_ACK_REQUIRED : 0)  // Flags
+      .put(holder.leaseKey) // LeaseKey
+      .word32le(holder.state) // CurrentLeaseState
+      .word32le(to) // NewLeaseState
+      .word32le(0)  // BreakReason
+      .word32le(0)  // AccessMaskHint
+      .word32le(0)  // ShareMaskHint
+      .buffer();
+  } else {
+    // breaks from level II need not be acknowledged (see MS-SMB2 3.3.4.6)
+    ackRequired = holder.oplockLevel !== SMB2.OPLOCK_LEVEL_II;
+    logger.debug('breaking oplock of fid %d: %d -> %d', entry.fid, holder.oplockLevel, to);
+    body = put()
+      .word16le(0x0018) // StructureSize (fixed according to spec)
+      .word8(to)  // OplockLevel
+      .word8(0) // Reserved
+      .word32le(0)  // Reserved2
+      .put(fileid.encode({ persistent: entry.fid, volatile: entry.fid }))  // FileId
+      .buffer();
+  }
+
+  if (!entry.connection || entry.connection.socket.destroyed) {
+    // the client is gone (or a durable open is waiting to be reclaimed): nobody to notify
+    ackRequired = false;
+  } else {
+    this.sendBreakNotification(entry, body);
+  }
+
+  if (!ackRequired) {
+    setLevel(holder, to);
+    return false;
+  }
+
+  var self = this;
+  holder.breaking = {
+    to: to,
+    waiters: [],
+    timer: setTimeout(function () {
+      logger.warn('oplock/lease break of fid %d has not been acknowledged within %d ms', entry.fid, self.breakTimeout);
+      completeBreak(holder, to);
+    }, this.breakTimeout)
+  };
+  return true;
+};
+
+/**
+ * Sends an unsolicited OPLOCK_BREAK notification (see MS-SMB2 3.3.4.6 and 3.3.4.7).
+ *
+ * @param {Object} entry - the open whose oplock (or lease) is broken
+ * @param {Buffer} body - notification body
+ */
+OplockManager.prototype.sendBreakNotification = function (entry, body) {
+  var msg = {
+    protocolId: SMB2.PROTOCOL_ID,
+    header: {
+      commandId: parseInt(SMB2.STRING_TO_COMMAND.oplock_break, 10),
+      command: 'oplock_break',
+      status: ntstatus.STATUS_SUCCESS,
+      creditCharge: 0,
+      creditReqRes: 0,
+      flags: { reply: true, priorityMask: 0 },
+      nextCommand: 0,
+      messageId: NOTIFICATION_MESSAGE_ID,
+      asyncId: null,
+      treeId: 0,
+      sessionId: Long.UZERO,
+      signature: EMPTY_SIGNATURE
+    },
+    body: body,
+    encryptionSession: null
+  };
+  // the notification has to be encrypted if the open's session or share requires encryption
+  var session = this.server.getSession(entry.sessionId);
+  var tree = this.server.getTree(entry.tid);
+  if (session && session.encryptionKey && (session.encryptData || (tree && tree.getShare().isEncrypted()))) {
+    msg.encryptionSession = session;
+  }
+  smb2.sendResponse(msg, ntstatus.STATUS_SUCCESS, entry.connection, this.server, function (err) {
+    if (err) {
+      logger.error('failed to send oplock break notification', err);
+    }
+  });
+};
+
+/**
+ * Processes an oplock break acknowledgment (see MS-SMB2 3.3.5.22.1).
+ *
+ * @param {Number} fid - the acknowledged open
+ * @param {Number} oplockLevel - the oplock level acknowledged by the client
+ * @return {Number} status
+ */
+OplockManager.prototype.acknowledgeOplock = function (fid, oplockLevel) {
+  var entry = this.opens[fid];
+  if (!entry || entry.lease || !entry.breaking) {
+    return ntstatus.STATUS_INVALID_OPLOCK_PROTOCOL;
+  }
+  if ((oplockLevel !== SMB2.OPLOCK_LEVEL_NONE && oplockLevel !== SMB2.OPLOCK_LEVEL_II)
+    || oplockLevel > entry.breaking.to) {
+    // the client must not acknowledge a higher level than the one it's been broken to
+    completeBreak(entry, SMB2.OPLOCK_LEVEL_NONE);
+    return ntstatus.STATUS_INVALID_OPLOCK_PROTOCOL;
+  }
+  completeBreak(entry, oplockLevel);
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Processes a lease break acknowledgment (see MS-SMB2 3.3.5.22.2).
+ *
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {Buffer} leaseKey - LeaseKey of the acknowledged lease
+ * @param {Number} leaseState - the lease state acknowledged by the client
+ * @return {Number} status
+ */
+OplockManager.prototype.acknowledgeLease = function (connection, leaseKey, leaseState) {
+  var lease = connection.clientGuid && this.leases[getLeaseId(connection.clientGuid, leaseKey)];
+  if (!lease) {
+    return ntstatus.STATUS_OBJECT_NAME_NOT_FOUND;
+  }
+  if (!lease.breaking) {
+    return ntstatus.STATUS_UNSUCCESSFUL;
+  }
+  if (leaseState & ~lease.breaking.to) {
+    return ntstatus.STATUS_REQUEST_NOT_ACCEPTED;
+  }
+  completeBreak(lease, leaseState);
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Returns the registered open with the specified fid.
+ *
+ * @param {Number} fid
+ * @return {Object} open (with its oplock level and lease) or undefined
+ */
+OplockManager.prototype.getOpen = function (fid) {
+  return this.opens[fid];
+};
+
+/**
+ * Moves an open to a different connection, e.g. when a durable open has been
+ * disconnected or reclaimed.
+ *
+ * @param {Number} fid
+ * @param {SMBConnection} connection - an SMBConnection instance or null if the open is disconnected
+ * @param {Number} [tid] - TreeId the open has been reclaimed on
+ * @param {Number} [sessionId] - SessionId the open has been reclaimed on
+ */
+OplockManager.prototype.reassign = function (fid, connection, tid, sessionId) {
+  var entry = this.opens[fid];
+  if (!entry) {
+    return;
+  }
+  entry.connection = connection;
+  if (connection) {
+    entry.tid = tid;
+    entry.sessionId = sessionId;
+  }
+};
+
+/**
+ * Updates the file key of the opens and leases of a renamed file.
+ *
+ * @param {SMBTree} tree - an SMBTree instance
+ * @param {String} oldName - old file path
+ * @param {String} newName - new file path
+ */
+OplockManager.prototype.rename = function (tree, oldName, newName) {
+  var oldKey = getFileKey(tree, oldName);
+  var newKey = getFileKey(tree, newName);
+  _.forEach(_.filter(this.opens, { key: oldKey }), function (entry) {
+    entry.key = newKey;
+  });
+  _.forEach(_.filter(this.leases, { key: oldKey }), function (lease) {
+    lease.key = newKey;
+  });
+};
+
+/**
+ * Unregisters a closed open. The open's lease is released with its last open.
+ *
+ * @param {Number} fid - the closed open
+ */
+OplockManager.prototype.release = function (fid) {
+  var entry = this.opens[fid];
+  if (!entry) {
+    return;
+  }
+  delete this.opens[fid];
+  if (entry.breaking) {
+    // closing the open implicitly acknowledges the break
+    completeBreak(entry, SMB2.OPLOCK_LEVEL_NONE);
+  }
+  var lease = entry.lease;
+  if (lease && !_.some(this.opens, { lease: lease })) {
+    if (lease.breaking) {
+      completeBreak(lease, SMB2.LEASE_NONE);
+    }
+    delete this.leases[lease.id];
+  }
+};
+
+/**
+ * Unregisters all opens of a closed connection.
+ *
+ * @param {SMBConnection} connection - an SMBConnection instance
+ */
+OplockManager.prototype.releaseConnection = function (connection) {
+  var self = this;
+  _.forEach(_.filter(this.opens, { connection: connection }), function (entry) {
+    self.release(entry.fid);
+  });
+};
+
+/**
+ * Returns true if the specified open holds an oplock or lease allowing it to cache writes.
+ *
+ * @param {Object} entry - an open
+ * @return {Boolean}
+ */
+function hasWriteCaching(entry) {
+  if (entry.lease) {
+    return !!(entry.lease.state & SMB2.LEASE_WRITE_CACHING);
+  }
+  return entry.oplockLevel === SMB2.OPLOCK_LEVEL_EXCLUSIVE || entry.oplockLevel === SMB2.OPLOCK_LEVEL_BATCH;
+}
+
+/**
+ * Returns true if breaking the specified oplock/lease to the given level/state reduces its caching rights.
+ *
+ * @param {Object} holder - an open holding an oplock or a lease
+ * @param {Number} to - new oplock level/lease state
+ * @return {Boolean}
+ */
+function isDowngrade(holder, to) {
+  if (holder.leaseKey) {
+    return to !== holder.state && !(to & ~holder.state);
+  }
+  return to < holder.oplockLevel;
+}
+
+function setLevel(holder, level) {
+  if (holder.leaseKey) {
+    holder.state = level;
+  } else {
+    holder.oplockLevel = level;
+  }
+}
+
+/**
+ * Completes a break in progress and resumes the operations waiting for it.
+ *
+ * @param {Object} holder - an open holding an oplock or a lease
+ * @param {Number} level - new oplock level/lease state
+ */
+function completeBreak(holder, level) {
+  var breaking = holder.breaking;
+  setLevel(holder, level);
+  if (!breaking) {
+    return;
+  }
+  clearTimeout(breaking.timer);
+  holder.breaking = null;
+  breaking.waiters.forEach(function (waiter) {
+    waiter();
+  });
+}
+
+module.exports.DEFAULT_BREAK_TIMEOUT = DEFAULT_BREAK_TIMEOUT;
+module.exports.OplockManager = OplockManager;
+module.exports.decodeLeaseRequest = decodeLeaseRequest;
+module.exports.encodeLeaseResponse = encodeLeaseResponse;
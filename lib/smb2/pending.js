@@ -0,0 +1,95 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var Long = require('long');
+var _ = require('lodash');
+
+// AsyncIds are unique across connections
+var asyncIdCounter = 0;
+
+/**
+ * Registers a request that is going to be processed asynchronously (i.e. an interim
+ * STATUS_PENDING response is sent and the final response is sent later).
+ * The message header is marked as async and assigned a new AsyncId.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBFile} file - the open the request refers to
+ * @param {Function} cancel - called with the completion status when the request is cancelled
+ * @param {Number} cancel.status - STATUS_CANCELLED, STATUS_NOTIFY_CLEANUP or null if no response should be sent
+ * @return {Number} the new AsyncId
+ */
+function register(msg, connection, file, cancel) {
+  var asyncId = ++asyncIdCounter;
+  msg.header.flags.async = true;
+  msg.header.asyncId = Long.fromNumber(asyncId, true);
+  connection.pendingRequests[asyncId] = {
+    msg: msg,
+    file: file,
+    cancel: cancel
+  };
+  return asyncId;
+}
+
+/**
+ * Removes a pending request.
+ *
+ * @param {Number} asyncId
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @return {Boolean} <code>true</code> if the request was still pending; <code>false</code> otherwise
+ */
+function remove(asyncId, connection) {
+  if (!connection.pendingRequests[asyncId]) {
+    return false;
+  }
+  delete connection.pendingRequests[asyncId];
+  return true;
+}
+
+/**
+ * Looks up the pending request targeted by a CANCEL request, either by AsyncId
+ * (async CANCEL) or by MessageId (sync CANCEL).
+ *
+ * @param {Object} msg - the CANCEL message
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @return {Object} pending request or undefined
+ */
+function find(msg, connection) {
+  if (msg.header.flags.async) {
+    return connection.pendingRequests[msg.header.asyncId.toNumber()];
+  }
+  return _.find(connection.pendingRequests, function (entry) {
+    return entry.msg.header.messageId.equals(msg.header.messageId);
+  });
+}
+
+/**
+ * Cancels all pending requests of a connection, optionally restricted to a specific open.
+ *
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {Number} status - completion status or null if no response should be sent
+ * @param {SMBFile} [file] - optional, open whose pending requests should be cancelled
+ */
+function cancelAll(connection, status, file) {
+  _.forEach(_.values(connection.pendingRequests), function (entry) {
+    if (!file || entry.file === file) {
+      entry.cancel(status);
+    }
+  });
+}
+
+module.exports.register = register;
+module.exports.remove = remove;
+module.exports.find = find;
+module.exports.cancelAll = cancelAll;
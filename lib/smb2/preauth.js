@@ -0,0 +1,58 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var SMB2 = require('./constants');
+
+// size of a SHA-512 hash value
+var HASH_LENGTH = 64;
+
+/**
+ * Returns the initial pre-authentication integrity hash value (all zeros).
+ *
+ * @return {Buffer}
+ */
+function initialHashValue() {
+  var buf = new Buffer(HASH_LENGTH);
+  buf.fill(0);
+  return buf;
+}
+
+/**
+ * Updates a SMB 3.1.1 pre-authentication integrity hash value with a NEGOTIATE or
+ * SESSION_SETUP request/response (see MS-SMB2 3.3.5.4 and 3.3.5.5).
+ *
+ * @param {Buffer} hashValue - current hash value
+ * @param {Buffer} buf - raw message (starting with the SMB2 header)
+ * @return {Buffer} new hash value
+ */
+function update(hashValue, buf) {
+  return crypto.createHash('sha512').update(hashValue).update(buf).digest();
+}
+
+/**
+ * Returns true if the pre-authentication integrity hash has to be maintained for the specified dialect.
+ *
+ * @param {Number} dialect
+ * @return {Boolean}
+ */
+function isRequired(dialect) {
+  return dialect === SMB2.SMB_3_1_1;
+}
+
+module.exports.HASH_LENGTH = HASH_LENGTH;
+module.exports.initialHashValue = initialHashValue;
+module.exports.update = update;
+module.exports.isRequired = isRequired;
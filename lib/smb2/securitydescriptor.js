@@ -0,0 +1,90 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+
+var SMB2 = require('./constants');
+
+// SECURITY_DESCRIPTOR control flags (MS-DTYP 2.4.6)
+var SE_DACL_PRESENT = 0x0004;
+var SE_SELF_RELATIVE = 0x8000;
+
+var SECURITY_DESCRIPTOR_LENGTH = 20;
+var ACL_REVISION = 2;
+var ACL_HEADER_LENGTH = 8;
+var ACCESS_ALLOWED_ACE_TYPE = 0x00;
+var ACE_HEADER_LENGTH = 4;
+
+// well-known SID S-1-1-0 (Everyone)
+var SID_EVERYONE = put()
+  .word8(1) // Revision
+  .word8(1) // SubAuthorityCount
+  .put(new Buffer([ 0, 0, 0, 0, 0, 1 ]))  // IdentifierAuthority (SECURITY_WORLD_SID_AUTHORITY)
+  .word32le(0)  // SubAuthority (SECURITY_WORLD_RID)
+  .buffer();
+
+/**
+ * Builds a self-relative security descriptor (MS-DTYP 2.4.6). Since the SPI doesn't
+ * expose any ownership or permission information 'Everyone' is reported as owner
+ * and group and the DACL grants 'Everyone' the specified access.
+ *
+ * @param {Number} accessMask access mask granted to 'Everyone'
+ * @param {Number} additionalInformation security information flags specifying the parts to be included
+ * @return {Buffer} self-relative security descriptor
+ */
+function encode(accessMask, additionalInformation) {
+  var control = SE_SELF_RELATIVE;
+  var off = SECURITY_DESCRIPTOR_LENGTH;
+  var ownerOffset = 0, groupOffset = 0, daclOffset = 0;
+  var parts = put();
+
+  if (additionalInformation & SMB2.OWNER_SECURITY_INFORMATION) {
+    ownerOffset = off;
+    parts.put(SID_EVERYONE);
+    off += SID_EVERYONE.length;
+  }
+  if (additionalInformation & SMB2.GROUP_SECURITY_INFORMATION) {
+    groupOffset = off;
+    parts.put(SID_EVERYONE);
+    off += SID_EVERYONE.length;
+  }
+  if (additionalInformation & SMB2.DACL_SECURITY_INFORMATION) {
+    control |= SE_DACL_PRESENT;
+    daclOffset = off;
+    var aceSize = ACE_HEADER_LENGTH + 4 + SID_EVERYONE.length;
+    parts.word8(ACL_REVISION) // AclRevision
+      .word8(0) // Sbz1
+      .word16le(ACL_HEADER_LENGTH + aceSize) // AclSize
+      .word16le(1)  // AceCount
+      .word16le(0)  // Sbz2
+      .word8(ACCESS_ALLOWED_ACE_TYPE) // AceType
+      .word8(0) // AceFlags
+      .word16le(aceSize)  // AceSize
+      .word32le(accessMask) // Mask
+      .put(SID_EVERYONE); // Sid
+  }
+
+  return put()
+    .word8(1) // Revision
+    .word8(0) // Sbz1
+    .word16le(control)  // Control
+    .word32le(ownerOffset)  // OffsetOwner
+    .word32le(groupOffset)  // OffsetGroup
+    .word32le(0)  // OffsetSacl
+    .word32le(daclOffset) // OffsetDacl
+    .put(parts.buffer())
+    .buffer();
+}
+
+module.exports.encode = encode;
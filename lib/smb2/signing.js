@@ -0,0 +1,214 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var SMB2 = require('./constants');
+var utils = require('../utils');
+
+// offset and length of the Signature field within the SMB2 header
+var SIGNATURE_OFFSET = 48;
+var SIGNATURE_LENGTH = 16;
+
+var AES_BLOCK_SIZE = 16;
+var CMAC_RB = 0x87;
+
+// signing algorithms supported for SMB 3.1.1 in order of preference (SMB 3.x signs using AES-CMAC)
+var SIGNING_ALGORITHM_PREFERENCE = [ SMB2.SIGNING_AES_CMAC ];
+
+/**
+ * SP800-108 key derivation function in counter mode with HMAC-SHA256 as PRF (see MS-SMB2 3.1.4.2).
+ *
+ * @param {Buffer} key - key derivation key (i.e. the session key)
+ * @param {Buffer} label - label (including terminating null character)
+ * @param {Buffer} context - context (a null terminated string or the SMB 3.1.1 pre-authentication integrity hash)
+ * @param {Number} [length = 16] - key length in bytes (16 or 32)
+ * @return {Buffer} derived key
+ */
+function deriveKey(key, label, context, length) {
+  length = length || 16;
+  var l = new Buffer(4);
+  l.writeUInt32BE(length * 8, 0);
+  var data = Buffer.concat([
+    new Buffer([ 0x00, 0x00, 0x00, 0x01 ]), // i
+    label,
+    new Buffer([ 0x00 ]), // separator
+    context,
+    l  // L (key length in bits)
+  ]);
+  return crypto.createHmac('sha256', key).update(data).digest().slice(0, length);
+}
+
+/**
+ * Shifts a 16-byte block left by one bit.
+ */
+function shiftLeft(block) {
+  var result = new Buffer(block.length);
+  var overflow = 0;
+  for (var i = block.length - 1; i >= 0; i--) {
+    result[i] = ((block[i] << 1) & 0xff) | overflow;
+    overflow = block[i] & 0x80 ? 1 : 0;
+  }
+  return result;
+}
+
+/**
+ * Calculates the AES-128-CMAC of the given data (see RFC 4493).
+ *
+ * @param {Buffer} key - 16-byte key
+ * @param {Buffer} data
+ * @return {Buffer} 16-byte MAC
+ */
+function aesCmac(key, data) {
+  var zero = new Buffer(AES_BLOCK_SIZE);
+  zero.fill(0);
+
+  // generate subkeys
+  var cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  var l = cipher.update(zero);
+  var k1 = shiftLeft(l);
+  if (l[0] & 0x80) {
+    k1[AES_BLOCK_SIZE - 1] ^= CMAC_RB;
+  }
+  var k2 = shiftLeft(k1);
+  if (k1[0] & 0x80) {
+    k2[AES_BLOCK_SIZE - 1] ^= CMAC_RB;
+  }
+
+  var blockCount = Math.ceil(data.length / AES_BLOCK_SIZE) || 1;
+  var lastBlockComplete = data.length && !(data.length % AES_BLOCK_SIZE);
+  var padded = new Buffer(blockCount * AES_BLOCK_SIZE);
+  padded.fill(0);
+  data.copy(padded);
+  var lastOff = (blockCount - 1) * AES_BLOCK_SIZE;
+  if (!lastBlockComplete) {
+    padded[data.length] = 0x80;
+  }
+  var subKey = lastBlockComplete ? k1 : k2;
+  for (var i = 0; i < AES_BLOCK_SIZE; i++) {
+    padded[lastOff + i] ^= subKey[i];
+  }
+
+  // CBC-MAC: the last cipher block is the MAC
+  cipher = crypto.createCipheriv('aes-128-cbc', key, zero);
+  cipher.setAutoPadding(false);
+  var encrypted = cipher.update(padded);
+  return encrypted.slice(lastOff, lastOff + AES_BLOCK_SIZE);
+}
+
+/**
+ * Returns true if the specified dialect is a SMB 3.x dialect.
+ *
+ * @param {Number} dialect
+ * @return {Boolean}
+ */
+function isSMB3(dialect) {
+  return dialect >= SMB2.SMB_3_0_0;
+}
+
+/**
+ * Selects the signing algorithm to be used on a SMB 3.1.1 connection.
+ *
+ * @param {Number[]} clientAlgorithms - signing algorithm ids offered by the client
+ * @return {Number} selected signing algorithm id or -1 if there's no common signing algorithm
+ */
+function selectSigningAlgorithm(clientAlgorithms) {
+  for (var i = 0; i < SIGNING_ALGORITHM_PREFERENCE.length; i++) {
+    if (clientAlgorithms.indexOf(SIGNING_ALGORITHM_PREFERENCE[i]) > -1) {
+      return SIGNING_ALGORITHM_PREFERENCE[i];
+    }
+  }
+  return -1;
+}
+
+/**
+ * Derives the signing key for a session (see MS-SMB2 3.3.5.5.3).
+ *
+ * @param {Buffer} sessionKey - session key established by the authentication
+ * @param {Number} dialect - negotiated dialect
+ * @param {Buffer} [preauthIntegrityHashValue] - pre-authentication integrity hash of the session (SMB 3.1.1 only)
+ * @return {Buffer} 16-byte signing key
+ */
+function generateSigningKey(sessionKey, dialect, preauthIntegrityHashValue) {
+  if (!isSMB3(dialect)) {
+    // SMB 2.x: the session key is used as signing key
+    return sessionKey.slice(0, 16);
+  }
+  if (dialect === SMB2.SMB_3_1_1) {
+    return deriveKey(sessionKey, new Buffer('SMBSigningKey\0', 'ascii'), preauthIntegrityHashValue);
+  }
+  return deriveKey(sessionKey, new Buffer('SMB2AESCMAC\0', 'ascii'), new Buffer('SmbSign\0', 'ascii'));
+}
+
+/**
+ * Derives the application key for a session (see MS-SMB2 3.3.5.5.3).
+ *
+ * @param {Buffer} sessionKey - session key established by the authentication
+ * @param {Number} dialect - negotiated dialect
+ * @param {Buffer} [preauthIntegrityHashValue] - pre-authentication integrity hash of the session (SMB 3.1.1 only)
+ * @return {Buffer} 16-byte application key
+ */
+function generateApplicationKey(sessionKey, dialect, preauthIntegrityHashValue) {
+  if (!isSMB3(dialect)) {
+    return sessionKey.slice(0, 16);
+  }
+  if (dialect === SMB2.SMB_3_1_1) {
+    return deriveKey(sessionKey, new Buffer('SMBAppKey\0', 'ascii'), preauthIntegrityHashValue);
+  }
+  return deriveKey(sessionKey, new Buffer('SMB2APP\0', 'ascii'), new Buffer('SmbRpc\0', 'ascii'));
+}
+
+function calculateSignature(buf, signingKey, dialect) {
+  var data = new Buffer(buf.length);
+  buf.copy(data);
+  data.fill(0, SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+  if (isSMB3(dialect)) {
+    return aesCmac(signingKey, data);
+  }
+  return crypto.createHmac('sha256', signingKey).update(data).digest().slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Signs an encoded SMB2 message in place. The SMB2_FLAGS_SIGNED flag must already be set.
+ *
+ * @param {Buffer} buf - encoded message (including padding if the message is part of a compound)
+ * @param {Buffer} signingKey - signing key
+ * @param {Number} dialect - negotiated dialect
+ */
+function sign(buf, signingKey, dialect) {
+  calculateSignature(buf, signingKey, dialect).copy(buf, SIGNATURE_OFFSET);
+}
+
+/**
+ * Verifies the signature of an encoded SMB2 message.
+ *
+ * @param {Buffer} buf - encoded message (including padding if the message is part of a compound)
+ * @param {Buffer} signingKey - signing key
+ * @param {Number} dialect - negotiated dialect
+ * @return {Boolean} <code>true</code> if the signature is valid; <code>false</code> otherwise
+ */
+function verify(buf, signingKey, dialect) {
+  var signature = buf.slice(SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+  return utils.bufferEquals(signature, calculateSignature(buf, signingKey, dialect));
+}
+
+module.exports.deriveKey = deriveKey;
+module.exports.aesCmac = aesCmac;
+module.exports.isSMB3 = isSMB3;
+module.exports.selectSigningAlgorithm = selectSigningAlgorithm;
+module.exports.generateSigningKey = generateSigningKey;
+module.exports.generateApplicationKey = generateApplicationKey;
+module.exports.sign = sign;
+module.exports.verify = verify;
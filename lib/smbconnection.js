@@ -20,6 +20,8 @@ var SMB2 = require('./smb2/constants');
 var utils = require('./utils');
 var smb = require('./smb/handler');
 var smb2 = require('./smb2/handler');
+var pending = require('./smb2/pending');
+var credits = require('./smb2/credits');
 
 /**
  * Creates an <code>SMBConnection</code> instance. This objects takes care of reading and writing
@@ -32,6 +34,18 @@ var smb2 = require('./smb2/handler');
 function SMBConnection(socket, server) {
   this.socket = socket;
   this.server = server;
+  // SMB2 logins in progress (keyed by reserved session uid)
+  this.logins = {};
+  // negotiated SMB2 dialect (undefined until SMB2 NEGOTIATE has been processed)
+  this.dialect = undefined;
+  // SMB 3.1.1 pre-authentication integrity hash of the NEGOTIATE exchange
+  this.preauthIntegrityHashValue = null;
+  // SMB 3.x cipher used for encryption (CIPHER_NONE if encryption is not supported)
+  this.cipherId = SMB2.CIPHER_NONE;
+  // pending SMB2 async requests (keyed by AsyncId)
+  this.pendingRequests = {};
+  // SMB2 credits granted/command sequence window
+  this.credits = new credits.CreditManager(server.config.maxCredits);
 
   this.socket.on('data', this.onData.bind(this));
   this.socket.on('close', this.onClose.bind(this));
@@ -97,6 +111,9 @@ SMBConnection.prototype.onData = function (data) {
       } else if (utils.bufferEquals(protocolId, SMB2.PROTOCOL_ID)) {
         // SMB 2.x/3.x
         smb2.handleRequest(chunk, self, self.server, callback);
+      } else if (utils.bufferEquals(protocolId, SMB2.TRANSFORM_PROTOCOL_ID)) {
+        // SMB 3.x encrypted message
+        smb2.handleEncryptedRequest(chunk, self, self.server, callback);
       } else {
         // ???
         callback('invalid SMB protocol id: ' + protocolId.toString('hex') + ', data: ' + chunk.toString('hex'));
@@ -111,6 +128,16 @@ SMBConnection.prototype.onData = function (data) {
 };
 
 SMBConnection.prototype.onClose = function (hadErrors) {
+  // discard pending async requests (no responses can be sent anymore)
+  pending.cancelAll(this, null);
+  // opens of multichannel sessions are taken over by a remaining channel
+  this.server.unbindConnection(this);
+  // durable opens are preserved to be reclaimed by the client on a new connection
+  this.server.durableHandles.disconnect(this);
+  // opens of this connection can't be notified anymore
+  this.server.oplocks.releaseConnection(this);
+  // locks of opens which haven't been preserved are released
+  this.server.locks.releaseConnection(this);
   // todo cleanup connection state
 };
 
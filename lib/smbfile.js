@@ -12,10 +12,41 @@
 
 'use strict';
 
+var crypto = require('crypto');
+
 var logger = require('winston').loggers.get('spi'),
     async = require('async');
 
 var common = require('./common');
+var ntstatus = require('./ntstatus');
+var SMBError = require('./smberror');
+var snapshots = require('./snapshots');
+var symlinks = require('./symlinks');
+
+/**
+ * Returns the attributes of a backend file.
+ *
+ * @param {File} spiFile
+ * @return {Number} attributes
+ */
+function getAttributes(spiFile) {
+  var attributes = 0;
+  if (spiFile.isDirectory()) {
+    attributes |= common.ATTR_DIRECTORY;
+  } else if (spiFile.isFile()) {
+    attributes |= common.ATTR_NORMAL;
+  }
+  if (spiFile.isHidden()) {
+    attributes |= common.ATTR_HIDDEN;
+  }
+  if (spiFile.isReadOnly()) {
+    attributes |= common.ATTR_READ_ONLY;
+  }
+  if (spiFile.isSymbolicLink()) {
+    attributes |= common.ATTR_REPARSE_POINT;
+  }
+  return attributes;
+}
 
 /**
  * Represents a file opened by an SMB command.
@@ -30,20 +61,21 @@ function SMBFile(spiFile, smbTree, createAction, fid) {
   this.spiFile = spiFile;
   this.smbTree = smbTree;
   this.createAction = createAction === undefined ? common.FILE_OPENED : createAction;
-  this.attributes = 0;
-  if (spiFile.isDirectory()) {
-    this.attributes |= common.ATTR_DIRECTORY;
-  } else if (spiFile.isFile()) {
-    this.attributes |= common.ATTR_NORMAL;
-  }
-  if (spiFile.isHidden()) {
-    this.attributes |= common.ATTR_HIDDEN;
-  }
-  if (spiFile.isReadOnly()) {
-    this.attributes |= common.ATTR_READ_ONLY;
-  }
+  this.attributes = getAttributes(spiFile);
   this.fid = fid === undefined ? 0 : fid;
   this.deleteOnClose = false;
+  // current byte offset (updated by read/write)
+  this.position = 0;
+  // directory enumeration state (SMB2 QUERY_DIRECTORY)
+  this.search = null;
+  // access mask granted on open
+  this.grantedAccess = 0;
+  // path of the source file if a server-side copy to this file has been delegated to the backend
+  this.copySource = null;
+  // attributes returned with enriched directory entries to macOS clients (see smb2/aapl)
+  this.aaplAttributes = null;
+  // token of the (read-only) snapshot this file belongs to (see snapshots) or null
+  this.snapshot = null;
 }
 
 SMBFile.prototype.getId = function () {
@@ -77,7 +109,30 @@ SMBFile.prototype.getName = function () {
  * @return {String} file path
  */
 SMBFile.prototype.getPath = function () {
-  return this.spiFile.getPath();
+  var path = this.spiFile.getPath();
+  return this.snapshot ? snapshots.joinPath(this.snapshot, path) : path;
+};
+
+/**
+ * Mark this file as belonging to a snapshot. Files of snapshots are read-only.
+ *
+ * @param {String} token snapshot token
+ */
+SMBFile.prototype.setSnapshot = function (token) {
+  this.snapshot = token;
+  this.attributes |= common.ATTR_READ_ONLY;
+};
+
+/**
+ * Return a 64-bit file id which is stable across opens. Since the SPI doesn't
+ * expose on-disk ids the id is derived from the share name and file path.
+ *
+ * @return {Buffer} 8-byte file id
+ */
+SMBFile.prototype.getUniqueId = function () {
+  var md5 = crypto.createHash('md5');
+  md5.update(this.smbTree.getShare().getName() + ':' + this.getPath(), 'utf8');
+  return md5.digest().slice(0, 8);
 };
 
 /**
@@ -107,7 +162,37 @@ SMBFile.prototype.isDirectory = function () {
  *         <code>false</code> otherwise
  */
 SMBFile.prototype.isReadOnly = function () {
-  return this.spiFile.isReadOnly();
+  return !!this.snapshot || this.spiFile.isReadOnly();
+};
+
+/**
+ * Return a flag indicating whether this file is a symbolic link.
+ *
+ * @return {Boolean} <code>true</code> if this file is a symbolic link;
+ *         <code>false</code> otherwise
+ */
+SMBFile.prototype.isSymbolicLink = function () {
+  return this.spiFile.isSymbolicLink();
+};
+
+/**
+ * Return the reparse tag of this file, reported along with <code>ATTR_REPARSE_POINT</code>.
+ *
+ * @return {Number} reparse tag or 0 if this file is no reparse point
+ */
+SMBFile.prototype.getReparseTag = function () {
+  return this.spiFile.isSymbolicLink() ? symlinks.IO_REPARSE_TAG_SYMLINK : 0;
+};
+
+/**
+ * Read the target of this symbolic link.
+ *
+ * @param {Function} cb callback called with the target of the link
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {String} cb.target target of the link
+ */
+SMBFile.prototype.readLink = function (cb) {
+  this.spiFile.readLink(cb);
 };
 
 /**
@@ -178,7 +263,44 @@ SMBFile.prototype.getLastAccessedTime = function () {
 };
 
 /**
- * Read bytes at a certain position inside the file.
+ * Return the current byte offset, i.e. the position following the last byte read or written.
+ *
+ * @return {Number} current byte offset
+ */
+SMBFile.prototype.getPosition = function () {
+  return this.position;
+};
+
+/**
+ * Sets the current byte offset.
+ *
+ * @param {Number} position new byte offset
+ */
+SMBFile.prototype.setPosition = function (position) {
+  this.position = position;
+};
+
+/**
+ * Return the access mask granted when the file was opened.
+ *
+ * @return {Number} granted access mask
+ */
+SMBFile.prototype.getGrantedAccess = function () {
+  return this.grantedAccess;
+};
+
+/**
+ * Sets the access mask granted when the file was opened.
+ *
+ * @param {Number} accessMask granted access mask
+ */
+SMBFile.prototype.setGrantedAccess = function (accessMask) {
+  this.grantedAccess = accessMask;
+};
+
+/**
+ * Read bytes at a certain position inside the file. On success the current byte
+ * offset is advanced past the bytes read.
  *
  * @param {Buffer} buffer the buffer that the data will be written to
  * @param {Number} offset the offset in the buffer to start writing at
@@ -192,11 +314,18 @@ SMBFile.prototype.getLastAccessedTime = function () {
 SMBFile.prototype.read = function (buffer, offset, length, position, cb) {
   logger.debug('[fid=%d] file.read %s offset=%d, length=%d, position=%d', this.fid, this.getPath(), offset, length, position);
 
-  this.spiFile.read(buffer, offset, length, position, cb);
+  var self = this;
+  this.spiFile.read(buffer, offset, length, position, function (err, bytesRead, buf) {
+    if (!err) {
+      self.position = position + bytesRead;
+    }
+    cb(err, bytesRead, buf);
+  });
 };
 
 /**
- * Write bytes at a certain position inside the file.
+ * Write bytes at a certain position inside the file. On success the current byte
+ * offset is advanced past the bytes written.
  *
  * @param {Buffer} data buffer to write
  * @param {Number} position position inside file
@@ -206,7 +335,17 @@ SMBFile.prototype.read = function (buffer, offset, length, position, cb) {
 SMBFile.prototype.write = function (data, position, cb) {
   logger.debug('[fid=%d] file.write %s data.length=%d, position=%d', this.fid, this.getPath(), data.length, position);
 
-  this.spiFile.write(data, position, cb);
+  if (this.snapshot) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_MEDIA_WRITE_PROTECTED)); });
+    return;
+  }
+  var self = this;
+  this.spiFile.write(data, position, function (err) {
+    if (!err) {
+      self.position = position + data.length;
+    }
+    cb(err);
+  });
 };
 
 /**
@@ -219,6 +358,10 @@ SMBFile.prototype.write = function (data, position, cb) {
 SMBFile.prototype.delete = function (cb) {
   logger.debug('[fid=%d] file.delete %s', this.fid, this.getPath());
 
+  if (this.snapshot) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_MEDIA_WRITE_PROTECTED)); });
+    return;
+  }
   this.spiFile.delete(cb);
   // notify registered change listeners
   this.smbTree.notifyChangeListeners(common.FILE_ACTION_REMOVED, this.getPath());
@@ -234,6 +377,10 @@ SMBFile.prototype.delete = function (cb) {
 SMBFile.prototype.setLength = function (length, cb) {
   logger.debug('[fid=%d] file.setLength %s length=%d', this.fid, this.getPath(), length);
 
+  if (this.snapshot) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_MEDIA_WRITE_PROTECTED)); });
+    return;
+  }
   this.spiFile.setLength(length, cb);
 };
 
@@ -260,6 +407,43 @@ SMBFile.prototype.flush = function (cb) {
   this.smbTree.notifyChangeListeners(common.FILE_ACTION_MODIFIED, this.getPath());
 };
 
+/**
+ * Refresh the stale state of the wrapped backend file (e.g. after the backend replaced the file)
+ * by reopening it. The state of this open (position, delete on close etc.) is retained.
+ *
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+SMBFile.prototype.refresh = function (cb) {
+  logger.debug('[fid=%d] file.refresh %s', this.fid, this.getPath());
+  var self = this;
+
+  this.smbTree.resolveSnapshot(this.getPath(), function (err, spiTree, path) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    spiTree.open(path, function (err, spiFile) {
+      if (err) {
+        cb(err);
+        return;
+      }
+      var staleFile = self.spiFile;
+      self.spiFile = spiFile;
+      self.attributes = getAttributes(spiFile);
+      if (self.snapshot) {
+        self.attributes |= common.ATTR_READ_ONLY;
+      }
+      staleFile.close(function (err) {
+        if (err) {
+          logger.warn('[fid=%d] failed to close stale file %s', self.fid, path, err);
+        }
+        cb();
+      });
+    });
+  });
+};
+
 /**
  * Close this file, releasing any resources.
  *
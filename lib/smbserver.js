@@ -115,6 +115,8 @@ var async = require('async');
 var logging = require('./logging');
 var common = require('./common');
 var utils = require('./utils');
+var ntstatus = require('./ntstatus');
+var SMBError = require('./smberror');
 var DefaultAuthenticator = require('./defaultauthenticator');
 var ntlm = require('./ntlm');
 var SMBConnection = require('./smbconnection');
@@ -122,6 +124,11 @@ var SMBLogin = require('./smblogin');
 var SMBSession = require('./smbsession');
 var SMBShare = require('./smbshare');
 var IPCShare = require('./backends/ipc/share');
+var OplockManager = require('./smb2/oplocks').OplockManager;
+var DurableHandleManager = require('./smb2/durable').DurableHandleManager;
+var LockManager = require('./locks').LockManager;
+var ServerCopy = require('./servercopy').ServerCopy;
+var negotiate = require('./smb2/negotiate');
 
 
 
@@ -145,6 +152,11 @@ var logger = require('winston').loggers.get('default');
  * - folderListed: shareName, path
  *
  * @param {Object} config - configuration hash
+ * @param {Object} [config.protocols] - range of enabled protocols, e.g. <code>{ min: 'SMB2', max: 'SMB3' }</code>
+ *                                      (see <code>smb2/negotiate</code> for the protocol names)
+ * @param {Object} [config.aapl] - Apple extensions for macOS clients (see <code>smb2/aapl</code>)
+ * @param {String} [config.aapl.model='MacSamba'] - model string determining the server icon shown by Finder
+ * @param {Boolean} [config.aapl.readDirAttr=true] - false disables enriched directory entries
  * @param {Authenticator} authenticator
  * @constructor
  */
@@ -166,6 +178,16 @@ function SMBServer(config, authenticator) {
   this.nativeLanMan = common.NATIVE_LANMAN;
   this.config = config && _.cloneDeep(config) || {};
   this.authenticator = authenticator || new DefaultAuthenticator(config);
+  // range of enabled protocol dialects (SMB1 up to SMB 3.1.1 unless restricted by config.protocols)
+  this.protocols = negotiate.parseProtocols(this.config.protocols);
+  // SMB2 oplocks and leases (shared across connections)
+  this.oplocks = new OplockManager(this);
+  // SMB2 durable opens (preserved across connections)
+  this.durableHandles = new DurableHandleManager(this);
+  // server-side copy (SMB1 and SMB2)
+  this.serverCopy = new ServerCopy(this);
+  // byte-range locks (SMB1 and SMB2, shared across connections)
+  this.locks = new LockManager(this);
   // init shares
   var self = this;
   _.forEach(config.shares,
@@ -278,6 +300,20 @@ SMBServer.prototype.destroyLogin = function (key) {
   delete this.logins[key];
 };
 
+/**
+ * Reserves a session uid for the given login. SMB2 assigns the SessionId
+ * with the first <code>SESSION_SETUP</code> response, i.e. before authentication
+ * is complete; the session created by {@link #setupSession} will use the reserved uid.
+ *
+ * @param {SMBLogin} login
+ * @param {Number} [uid] uid of an existing session to be re-authenticated
+ * @return {Number} reserved uid
+ */
+SMBServer.prototype.reserveSessionId = function (login, uid) {
+  login.uid = uid || SMBSession.allocateUid();
+  return login.uid;
+};
+
 /**
  *
  * @param {SMBLogin} login
@@ -287,7 +323,7 @@ SMBServer.prototype.destroyLogin = function (key) {
  * @param {Buffer} caseSensitivePassword
  * @param {Function} cb callback called with the authenticated session
  * @param {String|Error} cb.error error (non-null if an error occurred)
- * @param {SMBSession} cb.session authenticated session
+ * @param {SMBSession} cb.session authenticated session (the existing session if it has been re-authenticated)
  */
 SMBServer.prototype.setupSession = function (login, accountName, primaryDomain, caseInsensitivePassword, caseSensitivePassword, cb) {
   var self = this;
@@ -296,13 +332,63 @@ SMBServer.prototype.setupSession = function (login, accountName, primaryDomain,
       cb(err);
       return;
     }
-    var smbSession = new SMBSession(self, accountName, primaryDomain, session);
+    var prevSession = self.sessions[login.uid];
+    if (prevSession) {
+      // re-authentication: the session must be re-authenticated by the user who owns it
+      if (prevSession.accountName.toLowerCase() !== accountName.toLowerCase()
+        || prevSession.primaryDomain.toLowerCase() !== primaryDomain.toLowerCase()) {
+        session.logoff();
+        cb(new SMBError(ntstatus.STATUS_ACCESS_DENIED, 'session belongs to a different user'));
+        return;
+      }
+      // the session (and its channels and trees) is retained, only its SPI session is replaced
+      prevSession.spiSession.logoff();
+      prevSession.spiSession = session;
+      cb(null, prevSession);
+      return;
+    }
+    var smbSession = new SMBSession(self, accountName, primaryDomain, session, login.uid);
     // register session
     self.sessions[smbSession.uid] = smbSession;
     cb(null, smbSession);
   });
 };
 
+/**
+ * Authenticates an SMB 3.x session binding request, i.e. a new channel of an existing session
+ * (see MS-SMB2 3.3.5.5.3). The channel has to be established by the user who owns the session.
+ *
+ * @param {SMBLogin} login
+ * @param {String} accountName
+ * @param {String} primaryDomain
+ * @param {Buffer} caseInsensitivePassword
+ * @param {Buffer} caseSensitivePassword
+ * @param {Function} cb callback called with the session to be bound
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {SMBSession} cb.session existing session
+ * @param {Session} cb.spiSession the authenticated session of the binding request (providing the session key)
+ */
+SMBServer.prototype.bindSession = function (login, accountName, primaryDomain, caseInsensitivePassword, caseSensitivePassword, cb) {
+  var self = this;
+  this.authenticator.authenticate(login.challenge, caseInsensitivePassword, caseSensitivePassword, primaryDomain, accountName, function (err, spiSession) {
+    if (err) {
+      cb(new SMBError(ntstatus.STATUS_LOGON_FAILURE, err.message || err));
+      return;
+    }
+    var session = self.sessions[login.uid];
+    if (!session) {
+      cb(new SMBError(ntstatus.STATUS_USER_SESSION_DELETED));
+      return;
+    }
+    if (session.accountName.toLowerCase() !== accountName.toLowerCase()
+      || session.primaryDomain.toLowerCase() !== primaryDomain.toLowerCase()) {
+      cb(new SMBError(ntstatus.STATUS_ACCESS_DENIED, 'session belongs to a different user'));
+      return;
+    }
+    cb(null, session, spiSession);
+  });
+};
+
 SMBServer.prototype.getSession = function (uid) {
   return this.sessions[uid];
 };
@@ -311,10 +397,82 @@ SMBServer.prototype.destroySession = function (uid) {
   delete this.sessions[uid];
 };
 
+/**
+ * Removes a lost connection from the channels of its sessions (SMB 3.x multichannel).
+ * The opens of a session which is still bound to other channels are taken over by one
+ * of the remaining channels; a session without channels is logged off.
+ *
+ * @param {SMBConnection} connection
+ */
+SMBServer.prototype.unbindConnection = function (connection) {
+  var self = this;
+  _.forEach(_.values(this.sessions), function (session) {
+    if (!session.getChannel(connection)) {
+      return;
+    }
+    var channel = session.removeChannel(connection);
+    if (!channel) {
+      session.logoff();
+      return;
+    }
+    logger.debug('session %d lost a channel, %d channel(s) remaining', session.uid, session.channels.length);
+    _.forEach(self.trees, function (tree) {
+      if (!tree.getSession() || tree.getSession().uid !== session.uid) {
+        return;
+      }
+      _.forEach(tree.getFiles(), function (file) {
+        var fid = file.getId();
+        var oplock = self.oplocks.getOpen(fid);
+        if (oplock && oplock.connection === connection) {
+          self.oplocks.reassign(fid, channel, tree.tid, session.uid);
+        }
+        self.durableHandles.reassign(fid, connection, channel);
+        self.locks.reassign(fid, channel);
+      });
+    });
+  });
+};
+
+SMBServer.prototype.getShare = function (name) {
+  return this.shares[name];
+};
+
 SMBServer.prototype.getShareNames = function () {
   return _.keys(this.shares);
 };
 
+/**
+ * Return a flag indicating whether SMB1 (CIFS) is enabled by the <code>protocols</code> configuration.
+ *
+ * @return {Boolean}
+ */
+SMBServer.prototype.isSMB1Enabled = function () {
+  return negotiate.isEnabled(negotiate.SMB_1, this);
+};
+
+/**
+ * Return a flag indicating whether SMB 3.x encryption is enabled, i.e. whether
+ * encryption is required server-wide or by at least one share.
+ *
+ * @return {Boolean}
+ */
+SMBServer.prototype.isEncryptionEnabled = function () {
+  return !!this.config.encrypt || _.some(this.shares, function (share) {
+    return share.isEncrypted();
+  });
+};
+
+/**
+ * Return a flag indicating whether at least one share is the root of a DFS namespace.
+ *
+ * @return {Boolean}
+ */
+SMBServer.prototype.isDfsEnabled = function () {
+  return _.some(this.shares, function (share) {
+    return share.isDfsRoot();
+  });
+};
+
 SMBServer.prototype.listShares = function () {
   var result = [];
   _.forEach(this.shares, function (share, nm) {
@@ -12,20 +12,51 @@
 
 'use strict';
 
+var _ = require('lodash');
+
 /**
  * Represents an SMB session established by <code>SESSION_SETUP_ANDX</code>
+ * or SMB2 <code>SESSION_SETUP</code>
+ *
+ * @param {SMBServer} smbServer
+ * @param {String} accountName
+ * @param {String} primaryDomain
+ * @param {Session} spiSession
+ * @param {Number} [uid] uid reserved in advance (SMB2 hands out the SessionId before authentication is complete)
+ * @constructor
  */
-function SMBSession(smbServer, accountName, primaryDomain, spiSession) {
+function SMBSession(smbServer, accountName, primaryDomain, spiSession, uid) {
   this.smbServer = smbServer;
   this.spiSession = spiSession;
   this.accountName = accountName;
   this.primaryDomain = primaryDomain;
-  this.uid = ++SMBSession.uidCounter;
+  this.uid = uid || SMBSession.allocateUid();
   this.searches = {};
+  // SMB2/3 message signing and encryption (established by SESSION_SETUP)
+  this.sessionKey = null;
+  this.signingKey = null;
+  this.applicationKey = null;
+  this.signingRequired = false;
+  this.encryptionKey = null;
+  this.decryptionKey = null;
+  this.encryptData = false;
+  // SMB 3.x multichannel: connections bound to this session (see MS-SMB2 3.3.1.14)
+  this.channels = [];
+  this.dialect = null;
+  this.clientGuid = null;
 }
 
 SMBSession.uidCounter = 0;
 
+/**
+ * Allocates a new session uid.
+ *
+ * @return {Number} uid
+ */
+SMBSession.allocateUid = function () {
+  return ++SMBSession.uidCounter;
+};
+
 SMBSession.sidCounter = 0;
 
 /**
@@ -59,6 +90,54 @@ SMBSession.prototype.closeSearch = function (sid) {
   delete this.searches[sid];
 };
 
+/**
+ * Binds a connection (channel) to this session.
+ *
+ * @param {SMBConnection} connection
+ * @param {Buffer} [signingKey] channel specific signing key (SMB 3.1.1 binding), by default the session's signing key is used
+ */
+SMBSession.prototype.addChannel = function (connection, signingKey) {
+  if (this.getChannel(connection)) {
+    return;
+  }
+  this.channels.push({
+    connection: connection,
+    signingKey: signingKey || null
+  });
+};
+
+/**
+ * Returns the channel of the given connection.
+ *
+ * @param {SMBConnection} connection
+ * @return {Object} channel (<code>{connection, signingKey}</code>) or undefined if the connection is not bound to this session
+ */
+SMBSession.prototype.getChannel = function (connection) {
+  return _.find(this.channels, { connection: connection });
+};
+
+/**
+ * Removes the channel of a lost connection.
+ *
+ * @param {SMBConnection} connection
+ * @return {SMBConnection} one of the remaining channels or null if no channel remains
+ */
+SMBSession.prototype.removeChannel = function (connection) {
+  _.remove(this.channels, { connection: connection });
+  return this.channels.length ? this.channels[0].connection : null;
+};
+
+/**
+ * Returns the key used for signing messages on the given connection.
+ *
+ * @param {SMBConnection} connection
+ * @return {Buffer} signing key or null if no signing key has been established
+ */
+SMBSession.prototype.getSigningKey = function (connection) {
+  var channel = this.getChannel(connection);
+  return channel && channel.signingKey || this.signingKey;
+};
+
 SMBSession.prototype.logoff = function () {
   if (this.spiSession) {
     this.spiSession.logoff();
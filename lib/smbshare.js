@@ -13,6 +13,7 @@
 'use strict';
 
 var SMBTree = require('./smbtree');
+var dfs = require('./dfs');
 
 /**
  * Represents an active share exposed by this SMB server.
@@ -24,6 +25,8 @@ var SMBTree = require('./smbtree');
 function SMBShare(smbServer, spiShare) {
   this.smbServer = smbServer;
   this.spiShare = spiShare;
+  // links of the DFS namespace rooted at this share (see dfs)
+  this.dfsLinks = dfs.parseLinks(spiShare.getDfsLinks());
 }
 
 SMBShare.prototype.getName = function () {
@@ -52,6 +55,103 @@ SMBShare.prototype.isNamedPipe = function () {
   return this.spiShare.isNamedPipe();
 };
 
+/**
+ * Return a flag indicating whether this share is read-only.
+ *
+ * @return {Boolean} <code>true</code> if this share is read-only;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.isReadOnly = function () {
+  return this.spiShare.isReadOnly();
+};
+
+/**
+ * Return a flag indicating whether this share requires encryption.
+ *
+ * @return {Boolean} <code>true</code> if this share requires encryption;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.isEncrypted = function () {
+  return this.spiShare.isEncrypted();
+};
+
+/**
+ * Return a flag indicating whether this share supports named streams.
+ *
+ * @return {Boolean} <code>true</code> if named streams are supported;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.supportsNamedStreams = function () {
+  return this.spiShare.supportsNamedStreams();
+};
+
+/**
+ * Return a flag indicating whether file names on this share are case sensitive.
+ *
+ * @return {Boolean} <code>true</code> if file names are case sensitive;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.isCaseSensitive = function () {
+  return this.spiShare.isCaseSensitive();
+};
+
+/**
+ * Return a flag indicating whether this share is a Time Machine backup destination.
+ *
+ * @return {Boolean} <code>true</code> if this share is a Time Machine destination;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.isTimeMachine = function () {
+  return this.spiShare.isTimeMachine();
+};
+
+/**
+ * Return the maximum size of the backups stored on this Time Machine destination.
+ *
+ * @return {Number} maximum size, in bytes, or 0 if the size is not limited
+ */
+SMBShare.prototype.getTimeMachineMaxSize = function () {
+  return this.spiShare.getTimeMachineMaxSize();
+};
+
+/**
+ * Return a flag indicating whether this share supports symbolic links.
+ *
+ * @return {Boolean} <code>true</code> if symbolic links are supported;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.supportsSymbolicLinks = function () {
+  return this.spiShare.supportsSymbolicLinks();
+};
+
+/**
+ * Return which symbolic links are resolved by the server.
+ *
+ * @return {Boolean|String} <code>false</code>, <code>'within-share'</code> or <code>'all'</code>
+ */
+SMBShare.prototype.getFollowSymlinks = function () {
+  return this.spiShare.getFollowSymlinks();
+};
+
+/**
+ * Return a flag indicating whether this share is the root of a DFS namespace.
+ *
+ * @return {Boolean} <code>true</code> if this share is a DFS root;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.isDfsRoot = function () {
+  return this.dfsLinks.length > 0;
+};
+
+/**
+ * Return the links of the DFS namespace rooted at this share.
+ *
+ * @return {Object[]} links (see <code>dfs.parseLinks</code>)
+ */
+SMBShare.prototype.getDfsLinks = function () {
+  return this.dfsLinks;
+};
+
 /**
  *
  * @param {Session} session
@@ -66,7 +166,7 @@ SMBShare.prototype.connect = function (session, shareLevelPassword, cb) {
     if (err) {
       cb(err);
     } else {
-      cb(null, new SMBTree(self.smbServer, self, tree));
+      cb(null, new SMBTree(self.smbServer, self, tree, session));
     }
   });
 };
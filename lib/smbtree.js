@@ -18,30 +18,154 @@ var _ = require('lodash');
 var path = require('path');
 
 var SMBFile = require('./smbfile');
+var SMBError = require('./smberror');
 var common = require('./common');
 var utils = require('./utils');
 var ntstatus = require('./ntstatus');
+var streams = require('./streams');
+var snapshots = require('./snapshots');
+var symlinks = require('./symlinks');
 
 // timeout in ms after which a NT_TRANSACT_NOTIFY_CHANGE request will be replied with a dummy change notification.
 // after receiving such a change notification the client (i.e. Finder on os-x) will send a TRANS2_FIND_FIRST2 cmd to refresh.
 var CHANGE_LISTENER_TIMEOUT = 5000; // todo FIXME use configured refresh interval
 
+// time in ms for which the space used on a Time Machine share is cached (see getDiskSize)
+var USED_SIZE_TTL = 60000;
+
+// completion filter flags matching a file action
+var NOTIFY_CHANGE_NAME = common.FILE_NOTIFY_CHANGE_FILE_NAME | common.FILE_NOTIFY_CHANGE_DIR_NAME;
+var ACTION_TO_COMPLETION_FILTER = {};
+ACTION_TO_COMPLETION_FILTER[common.FILE_ACTION_ADDED] = NOTIFY_CHANGE_NAME;
+ACTION_TO_COMPLETION_FILTER[common.FILE_ACTION_REMOVED] = NOTIFY_CHANGE_NAME;
+ACTION_TO_COMPLETION_FILTER[common.FILE_ACTION_RENAMED] = NOTIFY_CHANGE_NAME;
+ACTION_TO_COMPLETION_FILTER[common.FILE_ACTION_MODIFIED] = common.FILE_NOTIFY_CHANGE_ATTRIBUTES
+  | common.FILE_NOTIFY_CHANGE_SIZE
+  | common.FILE_NOTIFY_CHANGE_LAST_WRITE
+  | common.FILE_NOTIFY_CHANGE_LAST_ACCESS
+  | common.FILE_NOTIFY_CHANGE_CREATION
+  | common.FILE_NOTIFY_CHANGE_EA
+  | common.FILE_NOTIFY_CHANGE_SECURITY;
+
+/**
+ * Fails a modification of a file of a (read-only) snapshot.
+ *
+ * @param {String} name normalized file name
+ * @param {Function} cb callback called with the error if the file belongs to a snapshot
+ * @return {Boolean} true if the file belongs to a snapshot
+ */
+function isSnapshotPath(name, cb) {
+  if (!snapshots.parsePath(name).token) {
+    return false;
+  }
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_MEDIA_WRITE_PROTECTED, 'snapshot is read-only: ' + name)); });
+  return true;
+}
+
+/**
+ * Opens a file of a backend tree, resolving the symbolic links on its path according to the share option
+ * <code>followSymlinks</code> (see symlinks). Links in intermediate path components are only detected if
+ * the backend reports <code>STATUS_OBJECT_PATH_NOT_FOUND</code> for paths below them.
+ *
+ * @param {SMBShare} share
+ * @param {Tree} spiTree backend tree
+ * @param {String} name normalized path within the backend tree
+ * @param {Boolean} openReparsePoint true if a link at the end of the path is to be opened rather than resolved
+ * @param {Function} cb callback called with the opened file
+ * @param {SMBError} cb.error error (non-null if an error occurred); <code>STATUS_STOPPED_ON_SYMLINK</code>
+ *                   along with the link (<code>error.symlink</code>) if the link is to be resolved by the client
+ * @param {File} cb.file opened file
+ */
+function openResolved(share, spiTree, name, openReparsePoint, cb) {
+  var follow = share.getFollowSymlinks();
+  var resolved = 0;
+
+  function open(path) {
+    spiTree.open(path, function (err, file) {
+      if (err) {
+        if (err.status === ntstatus.STATUS_OBJECT_PATH_NOT_FOUND) {
+          findLink(path, 1, err);
+        } else {
+          cb(err);
+        }
+        return;
+      }
+      if (file.isSymbolicLink() && !openReparsePoint) {
+        resolve(file, path, '');
+      } else {
+        cb(null, file);
+      }
+    });
+  }
+
+  // looks for a link among the intermediate components of a path which couldn't be opened
+  function findLink(path, depth, pathErr) {
+    var components = path.split('/');
+    if (depth >= components.length - 1) {
+      cb(pathErr);
+      return;
+    }
+    var ancestorPath = components.slice(0, depth + 1).join('/');
+    spiTree.open(ancestorPath, function (err, file) {
+      if (err) {
+        cb(pathErr);
+      } else if (file.isSymbolicLink()) {
+        resolve(file, ancestorPath, path.substr(ancestorPath.length));
+      } else {
+        file.close(function () {});
+        findLink(path, depth + 1, pathErr);
+      }
+    });
+  }
+
+  function resolve(link, linkPath, unparsedPath) {
+    link.readLink(function (err, target) {
+      link.close(function () {});
+      if (err) {
+        cb(err);
+        return;
+      }
+      var targetPath = symlinks.resolveTarget(linkPath, target, follow);
+      if (targetPath === null) {
+        err = new SMBError(ntstatus.STATUS_STOPPED_ON_SYMLINK, 'symbolic link ' + linkPath + ' -> ' + target);
+        err.symlink = { path: linkPath, target: target, unparsedPath: unparsedPath };
+        cb(err);
+      } else if (++resolved > symlinks.MAX_SYMLINKS) {
+        cb(new SMBError(ntstatus.STATUS_REPARSE_POINT_NOT_RESOLVED, 'too many levels of symbolic links: ' + name));
+      } else {
+        open(targetPath === '/' ? unparsedPath || '/' : targetPath + unparsedPath);
+      }
+    });
+  }
+
+  open(name);
+}
+
 /**
  * Represents a tree connection established by <code>TREE_CONNECT_ANDX</code> or <code>SMB2 TREE_CONNECT</code>
  *
  * @param {SMBServer} smbServer
  * @param {SMBShare} smbShare
  * @param {Tree} spiTree
+ * @param {SMBSession} [smbSession] the session which established the tree connection
  * @constructor
  */
-function SMBTree(smbServer, smbShare, spiTree) {
+function SMBTree(smbServer, smbShare, spiTree, smbSession) {
   this.smbServer = smbServer;
   this.smbShare = smbShare;
   this.spiTree = spiTree;
+  this.smbSession = smbSession;
   this.tid = ++SMBTree.tidCounter;
 
   this.files = {};
   this.listeners = {};
+  // state negotiated by the AAPL create context of a macOS client (see smb2/aapl)
+  this.aapl = null;
+  // backend trees of the snapshots accessed on this tree, by snapshot token (see snapshots)
+  this.snapshotTrees = {};
+  // space used on a Time Machine share ({ bytes, expires }) and callbacks waiting for it being determined
+  this.usedSize = null;
+  this.usedSizeCallbacks = null;
 }
 
 SMBTree.tidCounter = 0;
@@ -51,10 +175,23 @@ SMBTree.prototype.getShare = function () {
   return this.smbShare;
 };
 
+SMBTree.prototype.getSession = function () {
+  return this.smbSession;
+};
+
 SMBTree.prototype.getFile = function (fid) {
   return this.files[fid];
 };
 
+/**
+ * Returns all files currently opened on this tree.
+ *
+ * @return {SMBFile[]}
+ */
+SMBTree.prototype.getFiles = function () {
+  return _.values(this.files);
+};
+
 SMBTree.prototype.closeFile = function (fid, cb) {
   var file = this.files[fid];
   if (!file) {
@@ -65,6 +202,22 @@ SMBTree.prototype.closeFile = function (fid, cb) {
   }
 };
 
+/**
+ * Take over an open file from a different tree, e.g. when a durable open is
+ * reclaimed on a new tree connect. The file keeps its fid.
+ *
+ * @param {SMBFile} file
+ */
+SMBTree.prototype.adoptFile = function (file) {
+  var prevTree = file.getTree();
+  if (prevTree === this) {
+    return;
+  }
+  delete prevTree.files[file.getId()];
+  file.smbTree = this;
+  this.files[file.getId()] = file;
+};
+
 /**
  * Test whether or not the specified file exists.
  *
@@ -74,7 +227,63 @@ SMBTree.prototype.closeFile = function (fid, cb) {
  * @param {Boolean} cb.exists true if the file exists; false otherwise
  */
 SMBTree.prototype.exists = function (name, cb) {
-  this.spiTree.exists(utils.normalizeSMBFileName(name), cb);
+  this.resolveSnapshot(utils.normalizeSMBFileName(name), function (err, spiTree, path) {
+    if (err) {
+      cb(err);
+    } else {
+      spiTree.exists(path, cb);
+    }
+  });
+};
+
+/**
+ * Resolve a file name which may contain a snapshot token (e.g. <code>/@GMT-2020.01.31-12.00.00/dir/file.txt</code>)
+ * to the backend tree of the snapshot and the path within the snapshot. The callback is invoked synchronously
+ * unless the snapshot has to be opened first.
+ *
+ * @param {String} name normalized file name
+ * @param {Function} cb callback called with the backend tree
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Tree} cb.spiTree backend tree of the snapshot or of the current tree if the name contains no token
+ * @param {String} cb.path normalized path within the backend tree
+ * @param {String} cb.token snapshot token or null if the name contains no token
+ */
+SMBTree.prototype.resolveSnapshot = function (name, cb) {
+  var self = this;
+  var parsedName = snapshots.parsePath(name);
+  var token = parsedName.token;
+  if (!token) {
+    cb(null, this.spiTree, name, null);
+    return;
+  }
+  if (this.snapshotTrees[token]) {
+    cb(null, this.snapshotTrees[token], parsedName.path, token);
+    return;
+  }
+  snapshots.open(this.spiTree, token, function (err, spiTree) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (self.snapshotTrees[token]) {
+      // opened concurrently
+      spiTree.disconnect(function () {});
+    } else {
+      self.snapshotTrees[token] = spiTree;
+    }
+    cb(null, self.snapshotTrees[token], parsedName.path, token);
+  });
+};
+
+/**
+ * List the snapshots of this tree.
+ *
+ * @param {Function} cb callback called with the snapshot tokens
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {String[]} cb.tokens snapshot tokens, newest first
+ */
+SMBTree.prototype.listSnapshots = function (cb) {
+  snapshots.list(this.spiTree, cb);
 };
 
 /**
@@ -83,14 +292,29 @@ SMBTree.prototype.exists = function (name, cb) {
  * @param {String} name file name
  * @param {Number} createDisposition flag specifying action if file does/does not exist
  * @param {Boolean} openTargetDirectory true if target for open is a directory
+ * @param {Boolean} openReparsePoint true if a symbolic link is to be opened itself rather than resolved
  * @param {Function} cb callback called with the opened file
  * @param {SMBError} cb.error error (non-null if an error occurred)
  * @param {SMBFile} cb.file opened file
  */
-SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDirectory, cb) {
+SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDirectory, openReparsePoint, cb) {
   var self = this;
 
-  name = utils.normalizeSMBFileName(name);
+  var parsedName = streams.parseName(utils.normalizeSMBFileName(name));
+  if (!parsedName) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_INVALID, 'invalid stream name ' + name)); });
+    return;
+  }
+  if (createDisposition !== common.FILE_OPEN && createDisposition !== common.FILE_OPEN_IF
+    && snapshots.parsePath(parsedName.path).token) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_MEDIA_WRITE_PROTECTED, 'snapshot is read-only: ' + name)); });
+    return;
+  }
+  if (parsedName.stream) {
+    this.openStream(parsedName.path, parsedName.stream, createDisposition, cb);
+    return;
+  }
+  name = parsedName.path;
 
   function create(callback) {
     var createFn = openTargetDirectory ? self.createDirectory : self.createFile;
@@ -98,33 +322,46 @@ SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDi
   }
 
   function open(callback) {
-    self.spiTree.open(name, function (err, file) {
+    self.resolveSnapshot(name, function (err, spiTree, path, token) {
       if (err) {
         callback(err);
         return;
       }
-      var fid = ++SMBTree.fidCounter;
-      // todo what's the exact difference between consts.FILE_SUPERSEDE and consts.FILE_OVERWRITE_IF ?
-      var openAction;
-      if (createDisposition === common.FILE_OVERWRITE
-        || createDisposition === common.FILE_OVERWRITE_IF
-        || createDisposition === common.FILE_SUPERSEDE) {
-        openAction = common.FILE_OVERWRITTEN;
-      } else {
-        openAction = common.FILE_OPENED;
-      }
-      var result = new SMBFile(file, self, openAction, fid);
-      self.files[fid] = result;
-      if (openAction === common.FILE_OVERWRITTEN) {
-        result.setLength(0, function (err) {
-          callback(err, result);
-        });
-      } else {
-        callback(null, result);
-      }
+      openResolved(self.smbShare, spiTree, path, openReparsePoint, function (err, file) {
+        if (err) {
+          callback(err);
+        } else {
+          opened(file, token, callback);
+        }
+      });
     });
   }
 
+  function opened(file, token, callback) {
+    var fid = ++SMBTree.fidCounter;
+    // todo what's the exact difference between consts.FILE_SUPERSEDE and consts.FILE_OVERWRITE_IF ?
+    var openAction;
+    if (createDisposition === common.FILE_OVERWRITE
+      || createDisposition === common.FILE_OVERWRITE_IF
+      || createDisposition === common.FILE_SUPERSEDE) {
+      openAction = common.FILE_OVERWRITTEN;
+    } else {
+      openAction = common.FILE_OPENED;
+    }
+    var result = new SMBFile(file, self, openAction, fid);
+    if (token) {
+      result.setSnapshot(token);
+    }
+    self.files[fid] = result;
+    if (openAction === common.FILE_OVERWRITTEN) {
+      result.setLength(0, function (err) {
+        callback(err, result);
+      });
+    } else {
+      callback(null, result);
+    }
+  }
+
   if (createDisposition === common.FILE_OPEN || createDisposition === common.FILE_OVERWRITE) {
     // open existing
     open(cb);
@@ -147,6 +384,67 @@ SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDi
   }
 };
 
+/**
+ * Open or create a named stream of an existing file/directory.
+ *
+ * @param {String} name normalized file name
+ * @param {String} streamName stream name
+ * @param {Number} createDisposition flag specifying action if stream does/does not exist
+ * @param {Function} cb callback called with the opened stream
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {SMBFile} cb.file opened stream
+ */
+SMBTree.prototype.openStream = function (name, streamName, createDisposition, cb) {
+  var self = this;
+  var canonicalName = streams.getSupportedName(streamName);
+  if (!canonicalName || !this.smbShare.supportsNamedStreams()) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_INVALID, 'unsupported stream ' + name + ':' + streamName)); });
+    return;
+  }
+  this.resolveSnapshot(name, function (err, spiTree, path, token) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    streams.open(spiTree, path, canonicalName, createDisposition, function (err, file, createAction) {
+      if (err) {
+        cb(err);
+        return;
+      }
+      var fid = ++SMBTree.fidCounter;
+      var result = new SMBFile(file, self, createAction, fid);
+      if (token) {
+        result.setSnapshot(token);
+      }
+      self.files[fid] = result;
+      cb(null, result);
+    });
+  });
+};
+
+/**
+ * Read the contents of a named stream.
+ *
+ * @param {String} name file name
+ * @param {String} streamName canonical stream name (e.g. <code>AFP_AfpInfo</code>)
+ * @param {Function} cb callback called with the stream's contents
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Buffer} cb.data contents of the stream or null if the stream doesn't exist
+ */
+SMBTree.prototype.readStream = function (name, streamName, cb) {
+  if (!this.smbShare.supportsNamedStreams()) {
+    process.nextTick(function () { cb(null, null); });
+    return;
+  }
+  this.resolveSnapshot(utils.normalizeSMBFileName(name), function (err, spiTree, path) {
+    if (err) {
+      cb(err);
+    } else {
+      streams.read(spiTree, path, streamName, cb);
+    }
+  });
+};
+
 /**
  * Open an existing file/directory.
  *
@@ -157,15 +455,24 @@ SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDi
  */
 SMBTree.prototype.open = function (name, cb) {
   var self = this;
-  this.spiTree.open(utils.normalizeSMBFileName(name), function (err, file) {
+  this.resolveSnapshot(utils.normalizeSMBFileName(name), function (err, spiTree, path, token) {
     if (err) {
       cb(err);
-    } else {
-      var fid = ++SMBTree.fidCounter;
-      var result = new SMBFile(file, self, common.FILE_OPENED, fid);
-      self.files[fid] = result;
-      cb(null, result);
+      return;
     }
+    openResolved(self.smbShare, spiTree, path, false, function (err, file) {
+      if (err) {
+        cb(err);
+      } else {
+        var fid = ++SMBTree.fidCounter;
+        var result = new SMBFile(file, self, common.FILE_OPENED, fid);
+        if (token) {
+          result.setSnapshot(token);
+        }
+        self.files[fid] = result;
+        cb(null, result);
+      }
+    });
   });
 };
 
@@ -205,19 +512,29 @@ SMBTree.prototype.reopen = function (name, fid, cb) {
 SMBTree.prototype.list = function (pattern, cb) {
   var npattern = utils.normalizeSMBFileName(pattern);
   var self = this;
-  this.spiTree.list(npattern, function (err, files) {
+  this.resolveSnapshot(npattern, function (err, spiTree, path, token) {
     if (err) {
       cb(err);
-    } else {
-      var results = files.map(function (file) {
-        return new SMBFile(file, self);
-      });
-      cb(null, results);
-      if (utils.getPathName(npattern) === '*') {
-        // emit event
-        self.smbServer.emit('folderListed', self.smbShare.getName(), utils.getParentPath(npattern));
-      }
+      return;
     }
+    spiTree.list(path, function (err, files) {
+      if (err) {
+        cb(err);
+      } else {
+        var results = files.map(function (file) {
+          var result = new SMBFile(file, self);
+          if (token) {
+            result.setSnapshot(token);
+          }
+          return result;
+        });
+        cb(null, results);
+        if (!token && utils.getPathName(npattern) === '*') {
+          // emit event
+          self.smbServer.emit('folderListed', self.smbShare.getName(), utils.getParentPath(npattern));
+        }
+      }
+    });
   });
 };
 
@@ -232,6 +549,9 @@ SMBTree.prototype.list = function (pattern, cb) {
 SMBTree.prototype.createFile = function (name, cb) {
   var self = this;
   var nname = utils.normalizeSMBFileName(name);
+  if (isSnapshotPath(nname, cb)) {
+    return;
+  }
 
   this.spiTree.createFile(nname, function (err, file) {
     if (err) {
@@ -261,6 +581,9 @@ SMBTree.prototype.createFile = function (name, cb) {
 SMBTree.prototype.createDirectory = function (name, cb) {
   var self = this;
   var nname = utils.normalizeSMBFileName(name);
+  if (isSnapshotPath(nname, cb)) {
+    return;
+  }
 
   this.spiTree.createDirectory(nname, function (err, file) {
     if (err) {
@@ -279,6 +602,29 @@ SMBTree.prototype.createDirectory = function (name, cb) {
   });
 };
 
+/**
+ * Create a symbolic link, replacing an existing file of the same name.
+ *
+ * @param {String} name name of the link
+ * @param {String} target target of the link (see <code>symlinks</code>)
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+SMBTree.prototype.createSymlink = function (name, target, cb) {
+  var self = this;
+  var nname = utils.normalizeSMBFileName(name);
+  if (isSnapshotPath(nname, cb)) {
+    return;
+  }
+
+  this.spiTree.createSymlink(nname, target, function (err) {
+    cb(err);
+    if (!err) {
+      self.notifyChangeListeners(common.FILE_ACTION_MODIFIED, nname);
+    }
+  });
+};
+
 /**
  * Delete a file.
  *
@@ -290,6 +636,9 @@ SMBTree.prototype.createDirectory = function (name, cb) {
 SMBTree.prototype.delete = function (name, cb) {
   var self = this;
   var nname = utils.normalizeSMBFileName(name);
+  if (isSnapshotPath(nname, cb)) {
+    return;
+  }
 
   this.spiTree.delete(nname, function (err) {
     cb(err);
@@ -313,6 +662,9 @@ SMBTree.prototype.delete = function (name, cb) {
 SMBTree.prototype.deleteDirectory = function (name, cb) {
   var self = this;
   var nname = utils.normalizeSMBFileName(name);
+  if (isSnapshotPath(nname, cb)) {
+    return;
+  }
 
   this.spiTree.deleteDirectory(nname, function (err) {
     cb(err);
@@ -346,6 +698,9 @@ SMBTree.prototype.rename = function (nameOrFile, newName, cb) {
   }
   var nOldName = utils.normalizeSMBFileName(oldName);
   var nNewName = utils.normalizeSMBFileName(newName);
+  if (isSnapshotPath(nOldName, cb) || isSnapshotPath(nNewName, cb)) {
+    return;
+  }
 
   // todo check if source has uncommitted changes (i.e. needs flush)
   // todo check if source has deleteOnClose set
@@ -367,6 +722,121 @@ SMBTree.prototype.rename = function (nameOrFile, newName, cb) {
   });
 };
 
+/**
+ * Copy a file within this tree using the backend's native copy support.
+ *
+ * @param {String} srcName source file name
+ * @param {String} destName destination file name
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred;
+ *                   <code>STATUS_NOT_IMPLEMENTED</code> if the backend doesn't support native copies)
+ */
+SMBTree.prototype.copy = function (srcName, destName, cb) {
+  var self = this;
+  var nSrcName = utils.normalizeSMBFileName(srcName);
+  var nDestName = utils.normalizeSMBFileName(destName);
+  if (isSnapshotPath(nDestName, cb)) {
+    return;
+  }
+  if (snapshots.parsePath(nSrcName).token) {
+    // restoring from a snapshot: the backend can't copy across trees
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+    return;
+  }
+
+  this.spiTree.copy(nSrcName, nDestName, function (err) {
+    cb(err);
+    if (!err) {
+      self.notifyChangeListeners(common.FILE_ACTION_MODIFIED, nDestName);
+    }
+  });
+};
+
+/**
+ * Return the size of the volume reported to clients. Time Machine destinations with a maximum
+ * size report the maximum size as total size and the space not used by backups as free space;
+ * the space used is determined by walking the entire share and cached for USED_SIZE_TTL ms.
+ *
+ * @param {Function} cb callback called with the volume size
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Object} cb.diskSize an object with totalBytes and freeBytes or null if the size is not limited
+ */
+SMBTree.prototype.getDiskSize = function (cb) {
+  var maxSize = this.smbShare.getTimeMachineMaxSize();
+  if (!maxSize) {
+    process.nextTick(function () { cb(null, null); });
+    return;
+  }
+
+  this.getUsedSize(function (err, used) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    cb(null, { totalBytes: maxSize, freeBytes: Math.max(0, maxSize - used) });
+  });
+};
+
+/**
+ * Return the space used on this tree. The size is cached for USED_SIZE_TTL ms; concurrent
+ * requests share a single walk of the tree.
+ *
+ * @param {Function} cb callback called with the space used
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Number} cb.used number of bytes used
+ */
+SMBTree.prototype.getUsedSize = function (cb) {
+  var self = this;
+  if (this.usedSize && this.usedSize.expires > Date.now()) {
+    var used = this.usedSize.bytes;
+    process.nextTick(function () { cb(null, used); });
+    return;
+  }
+  if (this.usedSizeCallbacks) {
+    // a walk is already in progress
+    this.usedSizeCallbacks.push(cb);
+    return;
+  }
+  this.usedSizeCallbacks = [ cb ];
+
+  function walk(dirPath, callback) {
+    self.spiTree.list((dirPath === '/' ? '' : dirPath) + '/*', function (err, files) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      var used = 0;
+      async.eachLimit(files, 8,
+        function (file, next) {
+          if (!file.isDirectory()) {
+            used += file.size();
+            next();
+            return;
+          }
+          walk(file.getPath(), function (err, size) {
+            used += size || 0;
+            next(err);
+          });
+        },
+        function (err) {
+          callback(err, used);
+        }
+      );
+    });
+  }
+
+  walk('/', function (err, used) {
+    var callbacks = self.usedSizeCallbacks;
+    self.usedSizeCallbacks = null;
+    if (!err) {
+      self.usedSize = { bytes: used, expires: Date.now() + USED_SIZE_TTL };
+    }
+    callbacks.forEach(function (callback) {
+      callback(err, used);
+    });
+  });
+};
+
 /**
  * Flush the contents of all open files.
  *
@@ -396,6 +866,14 @@ SMBTree.prototype.disconnect = function () {
       logger.error('tree disconnect failed:', err);
     }
   });
+  _.forOwn(this.snapshotTrees, function (spiTree, token) {
+    spiTree.disconnect(function (err) {
+      if (err) {
+        logger.error('snapshot %s disconnect failed:', token, err);
+      }
+    });
+  });
+  this.snapshotTrees = {};
 };
 
 /**
@@ -422,11 +900,13 @@ SMBTree.prototype.refresh = function (folderPath, deep, cb) {
 };
 
 /**
- * Register a one-shot notification listener that will send a NT_TRANSACT_NOTIFY_CHANGE response.
+ * Register a one-shot notification listener that will send a NT_TRANSACT_NOTIFY_CHANGE or
+ * SMB2 CHANGE_NOTIFY response.
  *
  * see https://msdn.microsoft.com/en-us/library/ee442155.aspx
  *
  * @param {Number} mid - multiplex id (msg.header.mid, identifies an SMB request within an SMB session)
+ *                       or AsyncId of an SMB2 request
  * @param {SMBFile} file - directory to watch for changes
  * @param {Boolean} deep - watch all subdirectories too
  * @param {Number} completionFilter - completion filter bit flags
@@ -448,8 +928,9 @@ SMBTree.prototype.registerChangeListener = function (mid, file, deep, completion
   listener.autoRefreshTimer = setTimeout(
     function () {
       // dummy change notification to force client to refresh
-      var p = path.join(listener.path, '/'); // append trailing / to folder path (to make sure the proper listener is selected)
-      self.notifyChangeListeners(common.FILE_ACTION_MODIFIED, p);
+      // (delivered regardless of the completion filter)
+      self.cancelChangeListener(mid);
+      listener.cb(common.FILE_ACTION_MODIFIED, '');
     },
     CHANGE_LISTENER_TIMEOUT
   );
@@ -473,7 +954,9 @@ SMBTree.prototype.notifyChangeListeners = function (action, name, newName) {
 
   function getSearchPredicate(path) {
     return function (listener, mid) {
-      // todo evaluate listener.completionFilter WRT action
+      if (!(listener.completionFilter & ACTION_TO_COMPLETION_FILTER[action])) {
+        return false;
+      }
       return (!listener.deep && utils.getParentPath(path) === listener.path)
         || (listener.deep && path.indexOf(listener.path) === 0);
     };
@@ -0,0 +1,197 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('spi');
+
+var SMBError = require('./smberror');
+var ntstatus = require('./ntstatus');
+
+/**
+ * Snapshots of a tree, shown by Windows clients as "Previous Versions".
+ *
+ * A snapshot is identified by a token denoting its creation time (UTC), e.g. <code>@GMT-2020.01.31-12.00.00</code>.
+ * Clients address the files of a snapshot either by inserting the token as a path component
+ * (e.g. <code>\@GMT-2020.01.31-12.00.00\dir\file.txt</code>) or by passing the creation time
+ * in an SMB2 timewarp (TWrp) create context. Snapshots are read-only.
+ */
+
+var TOKEN_REGEX = /^@GMT-(\d{4})\.(\d{2})\.(\d{2})-(\d{2})\.(\d{2})\.(\d{2})$/;
+
+// size of a token in a SRV_SNAPSHOT_ARRAY (24 UTF-16 characters plus null terminator)
+var TOKEN_SIZE = 50;
+// size of the SRV_SNAPSHOT_ARRAY header fields
+var SNAPSHOT_ARRAY_HEADER_LENGTH = 12;
+// minimum size of the output buffer of FSCTL_SRV_ENUMERATE_SNAPSHOTS
+var MIN_SNAPSHOT_ARRAY_LENGTH = 16;
+
+/**
+ * Returns true if the specified string is a valid snapshot token.
+ *
+ * @param {String} str
+ * @return {Boolean}
+ */
+function isToken(str) {
+  // reject syntactically valid but non-existent dates (e.g. @GMT-2020.02.31-00.00.00)
+  return TOKEN_REGEX.test(str) && formatToken(parseToken(str)) === str;
+}
+
+/**
+ * Returns the creation time denoted by a snapshot token.
+ *
+ * @param {String} token snapshot token
+ * @return {Number} number of milliseconds since Jan 1, 1970, 00:00:00 UTC or -1 if the token is invalid
+ */
+function parseToken(token) {
+  var match = TOKEN_REGEX.exec(token);
+  if (!match) {
+    return -1;
+  }
+  return Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+}
+
+/**
+ * Returns the snapshot token denoting the specified time (fractions of seconds are dropped).
+ *
+ * @param {Number} ms number of milliseconds since Jan 1, 1970, 00:00:00 UTC
+ * @return {String} snapshot token, e.g. <code>@GMT-2020.01.31-12.00.00</code>
+ */
+function formatToken(ms) {
+  var date = new Date(ms);
+  function pad(n) {
+    return (n < 10 ? '0' : '') + n;
+  }
+  return '@GMT-' + date.getUTCFullYear() + '.' + pad(date.getUTCMonth() + 1) + '.' + pad(date.getUTCDate())
+    + '-' + pad(date.getUTCHours()) + '.' + pad(date.getUTCMinutes()) + '.' + pad(date.getUTCSeconds());
+}
+
+/**
+ * Splits a normalized file name into the snapshot token it contains and the path within the snapshot.
+ *
+ * @param {String} name normalized file name, e.g. <code>/@GMT-2020.01.31-12.00.00/dir/file.txt</code>
+ * @return {Object} an object with the path within the snapshot and the snapshot token
+ *                  (null if the name denotes a file of the current tree)
+ */
+function parsePath(name) {
+  var components = name.split('/');
+  for (var i = 0; i < components.length; i++) {
+    if (isToken(components[i])) {
+      var token = components.splice(i, 1)[0];
+      return { path: components.join('/') || '/', token: token };
+    }
+  }
+  return { path: name, token: null };
+}
+
+/**
+ * Returns the normalized name of a file within a snapshot.
+ *
+ * @param {String} token snapshot token
+ * @param {String} path normalized path within the snapshot
+ * @return {String} normalized file name
+ */
+function joinPath(token, path) {
+  return '/' + token + (path === '/' ? '' : path);
+}
+
+/**
+ * Lists the snapshots of a backend tree. Backends without snapshot support are treated as if they had no snapshots.
+ *
+ * @param {Tree} spiTree backend tree
+ * @param {Function} cb callback called with the snapshot tokens
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {String[]} cb.tokens snapshot tokens, newest first
+ */
+function list(spiTree, cb) {
+  spiTree.listSnapshots(function (err, tokens) {
+    if (err) {
+      if (err.status === ntstatus.STATUS_NOT_IMPLEMENTED) {
+        cb(null, []);
+      } else {
+        cb(err);
+      }
+      return;
+    }
+    tokens = (tokens || []).filter(function (token) {
+      if (!isToken(token)) {
+        logger.warn('ignoring invalid snapshot token %s', token);
+        return false;
+      }
+      return true;
+    });
+    // tokens sort in chronological order
+    tokens.sort().reverse();
+    cb(null, tokens);
+  });
+}
+
+/**
+ * Opens a snapshot of a backend tree.
+ *
+ * @param {Tree} spiTree backend tree
+ * @param {String} token snapshot token
+ * @param {Function} cb callback called with the backend tree of the snapshot
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Tree} cb.tree read-only backend tree of the snapshot
+ */
+function open(spiTree, token, cb) {
+  spiTree.openSnapshot(token, function (err, snapshotTree) {
+    if (err && err.status === ntstatus.STATUS_NOT_IMPLEMENTED) {
+      cb(new SMBError(ntstatus.STATUS_OBJECT_PATH_NOT_FOUND, 'snapshots not supported: ' + token));
+    } else {
+      cb(err, snapshotTree);
+    }
+  });
+}
+
+/**
+ * Encodes the output of FSCTL_SRV_ENUMERATE_SNAPSHOTS (SRV_SNAPSHOT_ARRAY, see MS-SMB2 2.2.32.2).
+ * If the tokens don't fit into the output buffer only the number of snapshots and the required
+ * array size are returned.
+ *
+ * @param {String[]} tokens snapshot tokens
+ * @param {Number} maxOutput maximum size of the output, in bytes
+ * @return {Buffer} encoded SRV_SNAPSHOT_ARRAY or null if the output buffer is too small
+ */
+function encodeSnapshotArray(tokens, maxOutput) {
+  if (maxOutput < MIN_SNAPSHOT_ARRAY_LENGTH) {
+    return null;
+  }
+  // null-terminated tokens followed by an additional null terminator
+  var arraySize = tokens.length * TOKEN_SIZE + 2;
+  var returned = SNAPSHOT_ARRAY_HEADER_LENGTH + arraySize <= maxOutput;
+
+  var out = put();
+  out.word32le(tokens.length) // NumberOfSnapShots
+    .word32le(returned ? tokens.length : 0)  // NumberOfSnapShotsReturned
+    .word32le(arraySize); // SnapShotArraySize
+  if (returned) {
+    tokens.forEach(function (token) {
+      out.put(new Buffer(token + '\u0000', 'utf16le'));
+    });
+    out.word16le(0);
+  } else {
+    out.pad(MIN_SNAPSHOT_ARRAY_LENGTH - SNAPSHOT_ARRAY_HEADER_LENGTH);
+  }
+  return out.buffer();
+}
+
+module.exports.isToken = isToken;
+module.exports.parseToken = parseToken;
+module.exports.formatToken = formatToken;
+module.exports.parsePath = parsePath;
+module.exports.joinPath = joinPath;
+module.exports.list = list;
+module.exports.open = open;
+module.exports.encodeSnapshotArray = encodeSnapshotArray;
@@ -118,6 +118,21 @@ File.prototype.isHidden = function () {
   return name.length && (name[0] === '.' || name[0] === '~');
 };
 
+/**
+ * Return a flag indicating whether this file is a symbolic link (optional).
+ *
+ * Backends containing symbolic links (or similar entries, e.g. shortcuts) should return the links themselves
+ * rather than the files they refer to from <code>Tree.open</code> and <code>Tree.list</code>, override this
+ * method and implement <code>readLink</code>. Links are resolved according to the share option
+ * <code>followSymlinks</code> (see <code>symlinks</code>).
+ *
+ * @return {Boolean} <code>true</code> if this file is a symbolic link;
+ *         <code>false</code> otherwise
+ */
+File.prototype.isSymbolicLink = function () {
+  return false;
+};
+
 /**
  * Return the file size.
  *
@@ -257,6 +272,21 @@ File.prototype.close = function (cb) {
   process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
 };
 
+/**
+ * Read the target of this symbolic link (optional, see <code>isSymbolicLink</code>).
+ *
+ * The target is a path using slashes as separators, either relative to the directory containing the link
+ * (e.g. <code>../dir/file.txt</code>), relative to the root of the tree (e.g. <code>/dir/file.txt</code>)
+ * or outside of the tree (e.g. <code>//server/share/file.txt</code>).
+ *
+ * @param {Function} cb callback called with the target of the link
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {String} cb.target target of the link
+ */
+File.prototype.readLink = function (cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+};
+
 /**
  * Recursive copy/move helper function
  *
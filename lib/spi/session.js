@@ -28,4 +28,13 @@ Session.prototype.logoff = function () {
   process.nextTick(function () { cb(new Error('abstract method')); });
 };
 
+/**
+ * Returns the session key established during authentication (required for SMB2/3 message signing).
+ *
+ * @return {Buffer} 16-byte session key or null if not available
+ */
+Session.prototype.getSessionKey = function () {
+  return this.sessionKey || null;
+};
+
 module.exports = Session;
@@ -17,6 +17,11 @@ var SMBError = require('../smberror');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
 
+var symlinks = require('../symlinks');
+
+// unit suffixes of size values (e.g. '500G')
+var SIZE_UNITS = { K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024, T: 1024 * 1024 * 1024 * 1024 };
+
 /**
  * Creates an instance of Share.
  *
@@ -35,10 +40,33 @@ var Share = function (name, config) {
   this.config = config || {};
   this.name = name;
   this.description = this.config.description || '';
+  this.timeMachineMaxSize = parseSize(this.config.timeMachineMaxSize);
+  this.followSymlinks = symlinks.parseFollowOption(this.config.followSymlinks);
 };
 
 util.inherits(Share, EventEmitter);
 
+/**
+ * Parses a size value, i.e. a number of bytes or a string with a K, M, G or T suffix (e.g. <code>'500G'</code>).
+ *
+ * @param {Number|String} [size] size value
+ * @return {Number} size, in bytes, or 0 if no size was specified
+ * @throws {Error} if the size value is invalid
+ */
+function parseSize(size) {
+  if (!size) {
+    return 0;
+  }
+  if (typeof size === 'number') {
+    return size;
+  }
+  var match = /^\s*(\d+)\s*([KMGT]?)B?\s*$/i.exec(size);
+  if (!match) {
+    throw new Error('invalid size: ' + size);
+  }
+  return parseInt(match[1], 10) * (match[2] ? SIZE_UNITS[match[2].toUpperCase()] : 1);
+}
+
 /**
  * Retrieves an array of event names that the share provides.
  *
@@ -62,6 +90,103 @@ Share.prototype.isNamedPipe = function () {
   return false;
 };
 
+/**
+ * Return a flag indicating whether this share is read-only, i.e. whether the
+ * backend does not support any modifications.
+ *
+ * @return {Boolean} <code>true</code> if this share is read-only;
+ *         <code>false</code> otherwise.
+ */
+Share.prototype.isReadOnly = function () {
+  return !!this.config.readOnly;
+};
+
+/**
+ * Return a flag indicating whether SMB 3.x clients are required to encrypt
+ * all messages accessing this share.
+ *
+ * @return {Boolean} <code>true</code> if this share requires encryption;
+ *         <code>false</code> otherwise.
+ */
+Share.prototype.isEncrypted = function () {
+  return !!this.config.encrypt;
+};
+
+/**
+ * Return a flag indicating whether the trees of this share support named streams
+ * (see <code>Tree.readStream</code> and <code>Tree.writeStream</code>).
+ *
+ * @return {Boolean} <code>true</code> if named streams are supported;
+ *         <code>false</code> otherwise.
+ */
+Share.prototype.supportsNamedStreams = function () {
+  return false;
+};
+
+/**
+ * Return a flag indicating whether file names on this share are case sensitive.
+ *
+ * @return {Boolean} <code>true</code> if file names are case sensitive;
+ *         <code>false</code> otherwise.
+ */
+Share.prototype.isCaseSensitive = function () {
+  return !!this.config.caseSensitive;
+};
+
+/**
+ * Return a flag indicating whether this share is a Time Machine backup destination
+ * for macOS clients. Note that sparse files are not supported, i.e. the band files of
+ * sparse bundles are stored as regular files.
+ *
+ * @return {Boolean} <code>true</code> if this share is a Time Machine destination;
+ *         <code>false</code> otherwise.
+ */
+Share.prototype.isTimeMachine = function () {
+  return !!this.config.timeMachine;
+};
+
+/**
+ * Return the maximum size of the backups stored on this Time Machine destination
+ * (config option <code>timeMachineMaxSize</code>: number of bytes or a string with
+ * a K, M, G or T suffix, e.g. <code>'500G'</code>).
+ *
+ * @return {Number} maximum size, in bytes, or 0 if the size is not limited
+ */
+Share.prototype.getTimeMachineMaxSize = function () {
+  return this.isTimeMachine() ? this.timeMachineMaxSize : 0;
+};
+
+/**
+ * Return a flag indicating whether the trees of this share support symbolic links
+ * (see <code>File.isSymbolicLink</code> and <code>Tree.createSymlink</code>).
+ *
+ * @return {Boolean} <code>true</code> if symbolic links are supported;
+ *         <code>false</code> otherwise.
+ */
+Share.prototype.supportsSymbolicLinks = function () {
+  return false;
+};
+
+/**
+ * Return which symbolic links are resolved by the server (config option <code>followSymlinks</code>,
+ * see <code>symlinks</code>).
+ *
+ * @return {Boolean|String} <code>false</code> (none, default), <code>'within-share'</code> or <code>'all'</code>
+ */
+Share.prototype.getFollowSymlinks = function () {
+  return this.followSymlinks;
+};
+
+/**
+ * Return the links of the DFS namespace rooted at this share (config option <code>dfsLinks</code>,
+ * see <code>dfs</code>).
+ *
+ * @return {Object} link paths mapped to a target or an array of targets or null if this share is no DFS root
+ */
+Share.prototype.getDfsLinks = function () {
+  return this.config.dfsLinks || null;
+};
+
 /**
  *
  * @param {Session} session
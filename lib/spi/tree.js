@@ -123,6 +123,100 @@ Tree.prototype.rename = function (oldName, newName, cb) {
   process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
 };
 
+/**
+ * Copy a file within this tree (optional).
+ *
+ * Backends supporting native copies should implement this method; it is used for server-side copies
+ * (e.g. FSCTL_SRV_COPYCHUNK) of entire files. The destination file exists and its contents must be replaced.
+ * The default implementation reports <code>STATUS_NOT_IMPLEMENTED</code> in which case the data is
+ * copied using read/write.
+ *
+ * @param {String} srcName source file name
+ * @param {String} destName destination file name
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+Tree.prototype.copy = function (srcName, destName, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+};
+
+/**
+ * Create a symbolic link (optional, see <code>File.isSymbolicLink</code>).
+ *
+ * If a file of the specified name exists (e.g. an empty file created by a client in order to turn it
+ * into a link) it has to be replaced.
+ *
+ * @param {String} name name of the link
+ * @param {String} target target of the link (see <code>File.readLink</code>)
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+Tree.prototype.createSymlink = function (name, target, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+};
+
+/**
+ * Read the contents of a named stream of a file or directory (optional).
+ *
+ * Backends supporting named streams (see <code>Share.supportsNamedStreams</code>) should implement
+ * this method and <code>writeStream</code>. The only streams used are the ones macOS clients store
+ * Finder metadata (<code>AFP_AfpInfo</code>) and resource forks (<code>AFP_Resource</code>) in;
+ * they should be kept e.g. in extended attributes and move along with their file on rename.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name, e.g. <code>AFP_AfpInfo</code>
+ * @param {Function} cb callback called with the stream's contents
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Buffer} cb.data contents of the stream or null if the stream doesn't exist
+ */
+Tree.prototype.readStream = function (name, streamName, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+};
+
+/**
+ * Replace the contents of a named stream of a file or directory (optional).
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name, e.g. <code>AFP_AfpInfo</code>
+ * @param {Buffer} data new contents of the stream or null if the stream is to be deleted
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+Tree.prototype.writeStream = function (name, streamName, data, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+};
+
+/**
+ * List the snapshots of this tree (optional).
+ *
+ * Backends keeping earlier versions of their contents (e.g. dated revisions) should implement this method
+ * and <code>openSnapshot</code>; Windows clients show the snapshots as "Previous Versions". A snapshot is
+ * identified by a token denoting its creation time (UTC), e.g. <code>@GMT-2020.01.31-12.00.00</code>.
+ *
+ * @param {Function} cb callback called with the snapshot tokens
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {String[]} cb.tokens snapshot tokens
+ */
+Tree.prototype.listSnapshots = function (cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+};
+
+/**
+ * Open a snapshot of this tree (optional).
+ *
+ * The returned tree provides the contents of this tree at the time of the snapshot. It is only used
+ * for reading; files should report being read-only. Clients may also ask for tokens not returned by
+ * <code>listSnapshots</code>, in which case <code>STATUS_OBJECT_PATH_NOT_FOUND</code> should be reported.
+ *
+ * @param {String} token snapshot token, e.g. <code>@GMT-2020.01.31-12.00.00</code>
+ * @param {Function} cb callback called with the tree of the snapshot
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Tree} cb.tree tree of the snapshot
+ */
+Tree.prototype.openSnapshot = function (token, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
+};
+
 /**
  * Refresh a specific folder.
  *
@@ -0,0 +1,267 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('default');
+var _ = require('lodash');
+
+var utils = require('./utils');
+
+/**
+ * Minimal SPNEGO (RFC 4178) support: just enough DER to unwrap NTLMSSP tokens
+ * from NegTokenInit/NegTokenResp and to wrap our responses.
+ */
+
+var consts = {};
+
+// DER encoded OIDs (including tag and length)
+consts.OID_SPNEGO = new Buffer([ 0x06, 0x06, 0x2b, 0x06, 0x01, 0x05, 0x05, 0x02 ]); // 1.3.6.1.5.5.2
+consts.OID_NTLMSSP = new Buffer([ 0x06, 0x0a, 0x2b, 0x06, 0x01, 0x04, 0x01, 0x82, 0x37, 0x02, 0x02, 0x0a ]); // 1.3.6.1.4.1.311.2.2.10
+
+// negState
+consts.ACCEPT_COMPLETED = 0;
+consts.ACCEPT_INCOMPLETE = 1;
+consts.REJECT = 2;
+consts.REQUEST_MIC = 3;
+
+// tags
+var TAG_APPLICATION_0 = 0x60; // GSS-API InitialContextToken
+var TAG_NEG_TOKEN_INIT = 0xa0;
+var TAG_NEG_TOKEN_RESP = 0xa1;
+var TAG_SEQUENCE = 0x30;
+var TAG_OCTET_STRING = 0x04;
+var TAG_ENUMERATED = 0x0a;
+var TAG_OID = 0x06;
+
+/**
+ * Decodes the DER TLV at the given offset.
+ *
+ * @param {Buffer} buf
+ * @param {Number} off
+ * @return {Object} <code>{tag, value, end}</code> or <code>null</code> if the data is malformed
+ */
+function decodeTLV(buf, off) {
+  if (off + 2 > buf.length) {
+    return null;
+  }
+  var tag = buf.readUInt8(off++);
+  var len = buf.readUInt8(off++);
+  if (len & 0x80) {
+    var n = len & 0x7f;
+    if (n < 1 || n > 4 || off + n > buf.length) {
+      return null;
+    }
+    len = 0;
+    while (n--) {
+      len = len * 256 + buf.readUInt8(off++);
+    }
+  }
+  if (off + len > buf.length) {
+    return null;
+  }
+  return {
+    tag: tag,
+    value: buf.slice(off, off + len),
+    end: off + len
+  };
+}
+
+/**
+ * Decodes a sequence of DER TLVs.
+ *
+ * @param {Buffer} buf
+ * @return {Object[]} decoded TLVs or <code>null</code> if the data is malformed
+ */
+function decodeTLVs(buf) {
+  var result = [];
+  var off = 0;
+  while (off < buf.length) {
+    var tlv = decodeTLV(buf, off);
+    if (!tlv) {
+      return null;
+    }
+    result.push(tlv);
+    off = tlv.end;
+  }
+  return result;
+}
+
+function encodeTLV(tag, value) {
+  var len = value.length;
+  var hdr;
+  if (len < 0x80) {
+    hdr = new Buffer([ tag, len ]);
+  } else if (len < 0x100) {
+    hdr = new Buffer([ tag, 0x81, len ]);
+  } else if (len < 0x10000) {
+    hdr = new Buffer([ tag, 0x82, len >> 8, len & 0xff ]);
+  } else {
+    hdr = new Buffer([ tag, 0x83, len >> 16, (len >> 8) & 0xff, len & 0xff ]);
+  }
+  return Buffer.concat([ hdr, value ]);
+}
+
+/**
+ * Checks whether the given security blob is an SPNEGO token (as opposed to a raw NTLMSSP message).
+ *
+ * @param {Buffer} buf security blob
+ * @return {Boolean}
+ */
+function isSpnegoToken(buf) {
+  if (!buf.length) {
+    return false;
+  }
+  var tag = buf.readUInt8(0);
+  return tag === TAG_APPLICATION_0 || tag === TAG_NEG_TOKEN_INIT || tag === TAG_NEG_TOKEN_RESP;
+}
+
+/**
+ * Parses an SPNEGO NegTokenInit (optionally wrapped in a GSS-API InitialContextToken) or NegTokenResp.
+ *
+ * @param {Buffer} buf security blob
+ * @return {Object} <code>{mechTypes, mechToken, negState, mechListMIC}</code>
+ *                  or <code>null</code> if the data is malformed
+ */
+function parseToken(buf) {
+  var tlv = decodeTLV(buf, 0);
+  if (!tlv) {
+    logger.warn('invalid SPNEGO token: data: 0x%s', buf.toString('hex'));
+    return null;
+  }
+  if (tlv.tag === TAG_APPLICATION_0) {
+    // InitialContextToken: thisMech OID followed by the NegTokenInit
+    var oid = decodeTLV(tlv.value, 0);
+    if (!oid || !utils.bufferEquals(tlv.value.slice(0, oid.end), consts.OID_SPNEGO)) {
+      logger.warn('unsupported GSS-API mechanism: data: 0x%s', buf.toString('hex'));
+      return null;
+    }
+    tlv = decodeTLV(tlv.value, oid.end);
+    if (!tlv) {
+      return null;
+    }
+  }
+  if (tlv.tag !== TAG_NEG_TOKEN_INIT && tlv.tag !== TAG_NEG_TOKEN_RESP) {
+    logger.warn('invalid SPNEGO token type: 0x%s', tlv.tag.toString(16));
+    return null;
+  }
+  var seq = decodeTLV(tlv.value, 0);
+  if (!seq || seq.tag !== TAG_SEQUENCE) {
+    return null;
+  }
+  var fields = decodeTLVs(seq.value);
+  if (!fields) {
+    return null;
+  }
+
+  var token = {
+    init: tlv.tag === TAG_NEG_TOKEN_INIT,
+    mechTypes: [],
+    mechToken: null,
+    negState: -1,
+    mechListMIC: null
+  };
+  var i, inner;
+  for (i = 0; i < fields.length; i++) {
+    var fld = fields[i];
+    var ctx = fld.tag & 0x1f;
+    inner = decodeTLV(fld.value, 0);
+    if (!inner) {
+      return null;
+    }
+    if (token.init) {
+      // NegTokenInit ::= SEQUENCE { mechTypes [0], reqFlags [1], mechToken [2], mechListMIC [3] }
+      if (ctx === 0 && inner.tag === TAG_SEQUENCE) {
+        var mechs = decodeTLVs(inner.value) || [];
+        var off = 0;
+        mechs.forEach(function (mech) {
+          if (mech.tag === TAG_OID) {
+            token.mechTypes.push(inner.value.slice(off, mech.end));
+          }
+          off = mech.end;
+        });
+      } else if (ctx === 2 && inner.tag === TAG_OCTET_STRING) {
+        token.mechToken = inner.value;
+      } else if (ctx === 3 && inner.tag === TAG_OCTET_STRING) {
+        token.mechListMIC = inner.value;
+      }
+    } else {
+      // NegTokenResp ::= SEQUENCE { negState [0], supportedMech [1], responseToken [2], mechListMIC [3] }
+      if (ctx === 0 && inner.tag === TAG_ENUMERATED && inner.value.length) {
+        token.negState = inner.value.readUInt8(0);
+      } else if (ctx === 1 && inner.tag === TAG_OID) {
+        token.mechTypes.push(fld.value.slice(0, inner.end));
+      } else if (ctx === 2 && inner.tag === TAG_OCTET_STRING) {
+        token.mechToken = inner.value;
+      } else if (ctx === 3 && inner.tag === TAG_OCTET_STRING) {
+        token.mechListMIC = inner.value;
+      }
+    }
+  }
+  return token;
+}
+
+/**
+ * Checks whether the given mechanism list includes NTLMSSP.
+ *
+ * @param {Buffer[]} mechTypes DER encoded OIDs
+ * @return {Boolean}
+ */
+function supportsNTLMSSP(mechTypes) {
+  return _.some(mechTypes, function (oid) {
+    return utils.bufferEquals(oid, consts.OID_NTLMSSP);
+  });
+}
+
+/**
+ * Creates an SPNEGO NegTokenResp.
+ *
+ * @param {Number} negState negotiation state
+ * @param {Buffer} [supportedMech] DER encoded OID of the selected mechanism
+ * @param {Buffer} [responseToken] mechanism specific token
+ * @param {Buffer} [mechListMIC]
+ * @return {Buffer}
+ */
+function createNegTokenResp(negState, supportedMech, responseToken, mechListMIC) {
+  var fields = [ encodeTLV(TAG_NEG_TOKEN_INIT, encodeTLV(TAG_ENUMERATED, new Buffer([ negState ]))) ];
+  if (supportedMech) {
+    fields.push(encodeTLV(0xa1, supportedMech));
+  }
+  if (responseToken) {
+    fields.push(encodeTLV(0xa2, encodeTLV(TAG_OCTET_STRING, responseToken)));
+  }
+  if (mechListMIC) {
+    fields.push(encodeTLV(0xa3, encodeTLV(TAG_OCTET_STRING, mechListMIC)));
+  }
+  return encodeTLV(TAG_NEG_TOKEN_RESP, encodeTLV(TAG_SEQUENCE, Buffer.concat(fields)));
+}
+
+/**
+ * Creates a GSS-API InitialContextToken wrapping an SPNEGO NegTokenInit
+ * which advertises the given mechanisms (e.g. as NEGOTIATE response security buffer).
+ *
+ * @param {Buffer[]} mechTypes DER encoded OIDs
+ * @return {Buffer}
+ */
+function createNegTokenInit(mechTypes) {
+  var mechList = encodeTLV(TAG_SEQUENCE, Buffer.concat(mechTypes));
+  var negTokenInit = encodeTLV(TAG_NEG_TOKEN_INIT, encodeTLV(TAG_SEQUENCE, encodeTLV(0xa0, mechList)));
+  return encodeTLV(TAG_APPLICATION_0, Buffer.concat([ consts.OID_SPNEGO, negTokenInit ]));
+}
+
+_.assign(module.exports, consts);
+
+module.exports.isSpnegoToken = isSpnegoToken;
+module.exports.parseToken = parseToken;
+module.exports.supportsNTLMSSP = supportsNTLMSSP;
+module.exports.createNegTokenResp = createNegTokenResp;
+module.exports.createNegTokenInit = createNegTokenInit;
@@ -0,0 +1,322 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var util = require('util');
+
+var _ = require('lodash');
+var logger = require('winston').loggers.get('spi');
+
+var File = require('./spi/file');
+var SMBError = require('./smberror');
+var ntstatus = require('./ntstatus');
+var common = require('./common');
+var utils = require('./utils');
+
+/**
+ * Named streams of files and directories (e.g. <code>file.txt:AFP_AfpInfo:$DATA</code>).
+ *
+ * Only the streams macOS clients store Finder metadata (AFP_AfpInfo) and resource forks (AFP_Resource)
+ * in are supported. Their contents are kept in memory while open and stored by the backend
+ * (see <code>Tree.readStream</code> and <code>Tree.writeStream</code>) on flush and close.
+ */
+
+var AFP_AFPINFO = 'AFP_AfpInfo';
+var AFP_RESOURCE = 'AFP_Resource';
+var SUPPORTED_STREAMS = [ AFP_AFPINFO, AFP_RESOURCE ];
+
+// AfpInfo structure (big-endian, see Samba's vfs_fruit)
+var AFPINFO_LENGTH = 60;
+var AFPINFO_SIGNATURE = 0x41465000; // 'AFP\0'
+var AFPINFO_VERSION = 0x00000100;
+var FINDERINFO_OFFSET = 16;
+var FINDERINFO_LENGTH = 32;
+
+/**
+ * Splits a normalized file name into the path of the file and the name of a named stream.
+ * The default data stream (<code>::$DATA</code>) denotes the file itself.
+ *
+ * @param {String} name normalized file name, e.g. <code>/dir/file.txt:AFP_AfpInfo:$DATA</code>
+ * @return {Object} an object with the file path and the stream name (null if the file itself is denoted)
+ *                  or null if the name is malformed
+ */
+function parseName(name) {
+  var pos = name.lastIndexOf('/');
+  var parts = name.substr(pos + 1).split(':');
+  if (parts.length === 1) {
+    return { path: name, stream: null };
+  }
+  if (parts.length > 3 || (parts.length === 3 && parts[2].toUpperCase() !== '$DATA')) {
+    return null;
+  }
+  return {
+    path: utils.normalizeSMBFileName(name.substr(0, pos + 1) + parts[0]),
+    stream: parts[1] || null
+  };
+}
+
+/**
+ * Returns the canonical name of a supported stream.
+ *
+ * @param {String} streamName stream name (case-insensitive)
+ * @return {String} canonical stream name or null if the stream is not supported
+ */
+function getSupportedName(streamName) {
+  var lowerName = streamName.toLowerCase();
+  return _.find(SUPPORTED_STREAMS, function (name) {
+    return name.toLowerCase() === lowerName;
+  }) || null;
+}
+
+/**
+ * Returns true if the specified data is a valid AfpInfo structure.
+ */
+function isValidAfpInfo(data) {
+  return data.length >= 8 && data.readUInt32BE(0) === AFPINFO_SIGNATURE && data.readUInt32BE(4) === AFPINFO_VERSION;
+}
+
+/**
+ * Returns the FinderInfo of an AfpInfo structure.
+ *
+ * @param {Buffer} data contents of an AFP_AfpInfo stream
+ * @return {Buffer} 32-byte FinderInfo or null if the data is not a valid AfpInfo structure
+ */
+function getFinderInfo(data) {
+  if (!data || data.length < AFPINFO_LENGTH || !isValidAfpInfo(data)) {
+    return null;
+  }
+  return data.slice(FINDERINFO_OFFSET, FINDERINFO_OFFSET + FINDERINFO_LENGTH);
+}
+
+/**
+ * Reads the contents of a named stream. Backends without named stream support are
+ * treated as if the stream didn't exist.
+ *
+ * @param {Tree} spiTree backend tree
+ * @param {String} path normalized file path
+ * @param {String} streamName canonical stream name
+ * @param {Function} cb callback called with the stream's contents
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Buffer} cb.data contents of the stream or null if the stream doesn't exist
+ */
+function read(spiTree, path, streamName, cb) {
+  spiTree.readStream(path, streamName, function (err, data) {
+    if (err && err.status === ntstatus.STATUS_NOT_IMPLEMENTED) {
+      cb(null, null);
+    } else {
+      cb(err, err ? null : data || null);
+    }
+  });
+}
+
+/**
+ * Represents an open named stream. The stream inherits the timestamps and the read-only
+ * flag from the file it belongs to.
+ *
+ * @param {File} baseFile the file or directory the stream belongs to
+ * @param {String} streamName canonical stream name
+ * @param {Buffer} data current contents of the stream
+ * @param {Tree} tree backend tree
+ * @constructor
+ */
+var StreamFile = function (baseFile, streamName, data, tree) {
+  File.call(this, baseFile.getPath() + ':' + streamName, tree);
+  this.baseFile = baseFile;
+  this.streamName = streamName;
+  this.data = data;
+  // true if the contents have been modified since they were last stored
+  this.dirty = false;
+};
+
+// the StreamFile prototype inherits from File
+util.inherits(StreamFile, File);
+
+StreamFile.prototype.isFile = function () {
+  return true;
+};
+
+StreamFile.prototype.isDirectory = function () {
+  return false;
+};
+
+StreamFile.prototype.isReadOnly = function () {
+  return this.baseFile.isReadOnly();
+};
+
+StreamFile.prototype.size = function () {
+  return this.data.length;
+};
+
+StreamFile.prototype.allocationSize = function () {
+  return this.data.length;
+};
+
+StreamFile.prototype.lastModified = function () {
+  return this.baseFile.lastModified();
+};
+
+StreamFile.prototype.setLastModified = function (ms) {
+  this.baseFile.setLastModified(ms);
+};
+
+StreamFile.prototype.lastChanged = function () {
+  return this.baseFile.lastChanged();
+};
+
+StreamFile.prototype.created = function () {
+  return this.baseFile.created();
+};
+
+StreamFile.prototype.lastAccessed = function () {
+  return this.baseFile.lastAccessed();
+};
+
+StreamFile.prototype.read = function (buffer, offset, length, position, cb) {
+  var bytesRead = Math.max(0, Math.min(length, this.data.length - position));
+  if (bytesRead) {
+    this.data.copy(buffer, offset, position, position + bytesRead);
+  }
+  process.nextTick(function () { cb(null, bytesRead, buffer.slice(offset, offset + bytesRead)); });
+};
+
+StreamFile.prototype.write = function (data, position, cb) {
+  if (this.streamName === AFP_AFPINFO) {
+    // the AfpInfo structure is always written as a whole
+    if (position !== 0 || !isValidAfpInfo(data)) {
+      process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_INVALID_PARAMETER)); });
+      return;
+    }
+    data = data.slice(0, AFPINFO_LENGTH);
+  }
+  var end = position + data.length;
+  if (end > this.data.length) {
+    var buf = new Buffer(end);
+    buf.fill(0);
+    this.data.copy(buf);
+    this.data = buf;
+  }
+  data.copy(this.data, position);
+  this.dirty = true;
+  process.nextTick(function () { cb(); });
+};
+
+StreamFile.prototype.setLength = function (length, cb) {
+  if (length !== this.data.length) {
+    var buf = new Buffer(length);
+    buf.fill(0);
+    this.data.copy(buf, 0, 0, Math.min(length, this.data.length));
+    this.data = buf;
+    this.dirty = true;
+  }
+  process.nextTick(function () { cb(); });
+};
+
+StreamFile.prototype.delete = function (cb) {
+  this.data = new Buffer(0);
+  this.dirty = false;
+  this.tree.writeStream(this.baseFile.getPath(), this.streamName, null, cb);
+};
+
+/**
+ * Stores the contents of the stream if they have been modified. Empty streams and
+ * AfpInfo structures with a cleared FinderInfo are deleted.
+ */
+StreamFile.prototype.flush = function (cb) {
+  if (!this.dirty) {
+    process.nextTick(function () { cb(); });
+    return;
+  }
+  var data = this.data;
+  if (!data.length || (this.streamName === AFP_AFPINFO && _.every(getFinderInfo(data), function (b) { return !b; }))) {
+    data = null;
+  }
+  logger.debug('[%s] stream.flush %s length=%d', this.streamName, this.baseFile.getPath(), data ? data.length : 0);
+  var self = this;
+  this.tree.writeStream(this.baseFile.getPath(), this.streamName, data, function (err) {
+    if (!err) {
+      self.dirty = false;
+    }
+    cb(err);
+  });
+};
+
+StreamFile.prototype.close = function (cb) {
+  var self = this;
+  this.flush(function (err) {
+    self.baseFile.close(function (closeErr) {
+      cb(err || closeErr);
+    });
+  });
+};
+
+/**
+ * Opens or creates a named stream.
+ *
+ * @param {Tree} spiTree backend tree
+ * @param {String} path normalized path of the file or directory the stream belongs to
+ * @param {String} streamName canonical stream name
+ * @param {Number} createDisposition flag specifying action if the stream does/does not exist
+ * @param {Function} cb callback called with the opened stream
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {File} cb.file opened stream
+ * @param {Number} cb.createAction FILE_OPENED, FILE_CREATED or FILE_OVERWRITTEN
+ */
+function open(spiTree, path, streamName, createDisposition, cb) {
+  spiTree.open(path, function (err, baseFile) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    read(spiTree, path, streamName, function (err, data) {
+      var status = ntstatus.STATUS_SUCCESS;
+      if (err) {
+        status = err.status || ntstatus.STATUS_UNSUCCESSFUL;
+      } else if (data && createDisposition === common.FILE_CREATE) {
+        status = ntstatus.STATUS_OBJECT_NAME_COLLISION;
+      } else if (!data && (createDisposition === common.FILE_OPEN || createDisposition === common.FILE_OVERWRITE)) {
+        status = ntstatus.STATUS_OBJECT_NAME_NOT_FOUND;
+      }
+      if (status !== ntstatus.STATUS_SUCCESS) {
+        baseFile.close(function () {
+          cb(err || new SMBError(status));
+        });
+        return;
+      }
+      var createAction = common.FILE_OPENED;
+      var file;
+      if (!data) {
+        createAction = common.FILE_CREATED;
+        file = new StreamFile(baseFile, streamName, new Buffer(0), spiTree);
+      } else if (createDisposition === common.FILE_OVERWRITE
+        || createDisposition === common.FILE_OVERWRITE_IF
+        || createDisposition === common.FILE_SUPERSEDE) {
+        createAction = common.FILE_OVERWRITTEN;
+        file = new StreamFile(baseFile, streamName, new Buffer(0), spiTree);
+        file.dirty = true;
+      } else {
+        file = new StreamFile(baseFile, streamName, data, spiTree);
+      }
+      cb(null, file, createAction);
+    });
+  });
+}
+
+module.exports.AFP_AFPINFO = AFP_AFPINFO;
+module.exports.AFP_RESOURCE = AFP_RESOURCE;
+module.exports.parseName = parseName;
+module.exports.getSupportedName = getSupportedName;
+module.exports.getFinderInfo = getFinderInfo;
+module.exports.read = read;
+module.exports.open = open;
+module.exports.StreamFile = StreamFile;
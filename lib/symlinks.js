@@ -0,0 +1,321 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+var put = require('put');
+var path = require('path');
+
+var SMBError = require('./smberror');
+var ntstatus = require('./ntstatus');
+
+/**
+ * Symbolic links (see MS-FSCC 2.1.2.4).
+ *
+ * Backends expose symbolic links through <code>File.isSymbolicLink</code> and <code>File.readLink</code>
+ * (and create them through <code>Tree.createSymlink</code>). A link target is a path using slashes as separators:
+ * <ul>
+ *   <li>relative to the directory containing the link, e.g. <code>../dir/file.txt</code></li>
+ *   <li>absolute, i.e. relative to the root of the tree, e.g. <code>/dir/file.txt</code></li>
+ *   <li>outside of the tree: a UNC path (<code>//server/share/file.txt</code>) or a path on a client's
+ *       drive (<code>C:/dir/file.txt</code>)</li>
+ * </ul>
+ * The share option <code>followSymlinks</code> controls which links are resolved by the server:
+ * <code>false</code> (default) leaves all links to the client, <code>'within-share'</code> resolves links
+ * whose target is located within the share and <code>'all'</code> resolves all links to paths of the tree
+ * (<code>..</code> of the root being the root itself). SMB2 clients are told about the remaining links
+ * by <code>STATUS_STOPPED_ON_SYMLINK</code>.
+ *
+ * None of the bundled backends expose symbolic links: the sharelist backend lists shortcut entries as the
+ * files or folders reported by sharelist.
+ */
+
+var IO_REPARSE_TAG_SYMLINK = 0xa000000c;
+
+// Flags of a symbolic link reparse data buffer
+var SYMLINK_FLAG_RELATIVE = 0x00000001;
+
+// SymLinkErrorTag of a symbolic link error response ('SYML')
+var SYMLINK_ERROR_TAG = 0x4c4d5953;
+
+// prefix of absolute NT path names
+var NT_PATH_PREFIX = '\\??\\';
+
+var UNC_REGEX = /^\/\/[^\/]/;
+var DRIVE_REGEX = /^[a-zA-Z]:(\/|$)/;
+
+// maximum number of links resolved while opening a path
+var MAX_SYMLINKS = 32;
+
+var FOLLOW_WITHIN_SHARE = 'within-share';
+var FOLLOW_ALL = 'all';
+
+/**
+ * Parses the <code>followSymlinks</code> option of a share.
+ *
+ * @param {Boolean|String} [option] <code>false</code>, <code>'within-share'</code> or <code>'all'</code>
+ * @return {Boolean|String} <code>false</code>, <code>'within-share'</code> or <code>'all'</code>
+ * @throws {Error} if the option is invalid
+ */
+function parseFollowOption(option) {
+  if (option === undefined || option === null || option === false) {
+    return false;
+  }
+  if (option !== FOLLOW_WITHIN_SHARE && option !== FOLLOW_ALL) {
+    throw new Error('invalid followSymlinks option: ' + option);
+  }
+  return option;
+}
+
+/**
+ * Splits a path into its (non-empty) components.
+ *
+ * @param {String} name path using slashes as separators
+ * @return {String[]}
+ */
+function splitPath(name) {
+  return name.split('/').filter(function (component) {
+    return component.length > 0;
+  });
+}
+
+/**
+ * Returns true if the specified link target denotes a path outside of the tree (UNC path or a path on a client's drive).
+ *
+ * @param {String} target link target using slashes as separators
+ * @return {Boolean}
+ */
+function isExternal(target) {
+  return UNC_REGEX.test(target) || DRIVE_REGEX.test(target);
+}
+
+/**
+ * Resolves the target of a link to a path of the tree, if the link is to be resolved by the server.
+ *
+ * @param {String} linkPath normalized path of the link
+ * @param {String} target link target
+ * @param {Boolean|String} follow <code>followSymlinks</code> option of the share
+ * @return {String} normalized path of the target or null if the link is to be resolved by the client
+ */
+function resolveTarget(linkPath, target, follow) {
+  target = target.replace(/\\/g, '/');
+  if (!follow || isExternal(target)) {
+    return null;
+  }
+  var components = target.charAt(0) === '/' ? [] : splitPath(path.posix.dirname(linkPath));
+  var targetComponents = splitPath(target);
+  for (var i = 0; i < targetComponents.length; i++) {
+    var component = targetComponents[i];
+    if (component === '..') {
+      if (components.length) {
+        components.pop();
+      } else if (follow !== FOLLOW_ALL) {
+        // target outside of the share
+        return null;
+      }
+    } else if (component !== '.') {
+      components.push(component);
+    }
+  }
+  return '/' + components.join('/');
+}
+
+/**
+ * Returns the names of a link target as presented to clients. Absolute targets within the tree
+ * are presented relative to the link since clients would resolve them on their own machine.
+ *
+ * @param {String} linkPath normalized path of the link
+ * @param {String} target link target
+ * @return {Object} an object with the substitute name, the print name and the flags (<code>SYMLINK_FLAG_RELATIVE</code>)
+ */
+function getNames(linkPath, target) {
+  target = target.replace(/\\/g, '/');
+  var printName;
+  if (UNC_REGEX.test(target)) {
+    printName = target.replace(/\//g, '\\');
+    return { substituteName: NT_PATH_PREFIX + 'UNC' + printName.substr(1), printName: printName, flags: 0 };
+  }
+  if (DRIVE_REGEX.test(target)) {
+    printName = target.replace(/\//g, '\\');
+    return { substituteName: NT_PATH_PREFIX + printName, printName: printName, flags: 0 };
+  }
+  if (target.charAt(0) === '/') {
+    target = path.posix.relative(path.posix.dirname(linkPath), target) || '.';
+  }
+  printName = target.replace(/\//g, '\\');
+  return { substituteName: printName, printName: printName, flags: SYMLINK_FLAG_RELATIVE };
+}
+
+/**
+ * Encodes the fields of a symbolic link shared by the reparse data buffer and the error response,
+ * i.e. the fields following ReparseDataLength and Reserved/UnparsedPathLength.
+ *
+ * @param {String} linkPath normalized path of the link
+ * @param {String} target link target
+ * @return {Buffer}
+ */
+function encodeLinkData(linkPath, target) {
+  var names = getNames(linkPath, target);
+  var substituteNameBytes = new Buffer(names.substituteName, 'utf16le');
+  var printNameBytes = new Buffer(names.printName, 'utf16le');
+  return put()
+    .word16le(0)  // SubstituteNameOffset
+    .word16le(substituteNameBytes.length) // SubstituteNameLength
+    .word16le(substituteNameBytes.length) // PrintNameOffset
+    .word16le(printNameBytes.length)  // PrintNameLength
+    .word32le(names.flags)  // Flags
+    .put(substituteNameBytes) // PathBuffer
+    .put(printNameBytes)
+    .buffer();
+}
+
+/**
+ * Encodes the reparse data buffer of a symbolic link (output of FSCTL_GET_REPARSE_POINT, see MS-FSCC 2.1.2.4).
+ *
+ * @param {String} linkPath normalized path of the link
+ * @param {String} target link target
+ * @return {Buffer}
+ */
+function encodeReparseData(linkPath, target) {
+  var data = encodeLinkData(linkPath, target);
+  return put()
+    .word32le(IO_REPARSE_TAG_SYMLINK) // ReparseTag
+    .word16le(data.length)  // ReparseDataLength
+    .word16le(0)  // Reserved
+    .put(data)
+    .buffer();
+}
+
+/**
+ * Decodes a reparse data buffer (input of FSCTL_SET_REPARSE_POINT, see MS-FSCC 2.1.2.2).
+ *
+ * @param {Buffer} buf
+ * @return {Object} an object with the reparse tag and the link target (null unless a symbolic link)
+ *                  or null if the buffer is malformed
+ */
+function decodeReparseData(buf) {
+  if (buf.length < 8) {
+    return null;
+  }
+  var tag = buf.readUInt32LE(0);
+  var dataLength = buf.readUInt16LE(4);
+  if (8 + dataLength > buf.length) {
+    return null;
+  }
+  if (tag !== IO_REPARSE_TAG_SYMLINK) {
+    return { tag: tag, target: null };
+  }
+  if (dataLength < 12) {
+    return null;
+  }
+  var substituteNameOffset = buf.readUInt16LE(8);
+  var substituteNameLength = buf.readUInt16LE(10);
+  var flags = buf.readUInt32LE(16);
+  var pathBuffer = buf.slice(20, 8 + dataLength);
+  if (!substituteNameLength || substituteNameLength % 2
+    || substituteNameOffset + substituteNameLength > pathBuffer.length) {
+    return null;
+  }
+  var name = pathBuffer.slice(substituteNameOffset, substituteNameOffset + substituteNameLength).toString('utf16le');
+  if (!(flags & SYMLINK_FLAG_RELATIVE) && name.indexOf(NT_PATH_PREFIX) === 0) {
+    name = name.substr(NT_PATH_PREFIX.length);
+    if (name.indexOf('UNC\\') === 0) {
+      name = '\\' + name.substr(3);
+    }
+  }
+  return { tag: tag, target: name.replace(/\\/g, '/') };
+}
+
+/**
+ * Encodes a symbolic link error response (see MS-SMB2 2.2.2.2.1), returned along with
+ * <code>STATUS_STOPPED_ON_SYMLINK</code>.
+ *
+ * @param {String} linkPath normalized path of the link
+ * @param {String} target link target
+ * @param {String} unparsedPath the remainder of the opened path following the link (e.g. <code>/file.txt</code>)
+ * @return {Buffer}
+ */
+function encodeSymlinkError(linkPath, target, unparsedPath) {
+  var data = encodeLinkData(linkPath, target);
+  var out = put();
+  out.word32le(12 + data.length)  // SymLinkLength
+    .word32le(SYMLINK_ERROR_TAG)  // SymLinkErrorTag
+    .word32le(IO_REPARSE_TAG_SYMLINK) // ReparseTag
+    .word16le(data.length)  // ReparseDataLength
+    .word16le(unparsedPath.length * 2)  // UnparsedPathLength
+    .put(data);
+  return out.buffer();
+}
+
+/**
+ * Returns the reparse data buffer of an open symbolic link (FSCTL_GET_REPARSE_POINT).
+ *
+ * @param {SMBFile} file
+ * @param {Function} cb callback called with the reparse data buffer
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Buffer} cb.data reparse data buffer
+ */
+function getReparsePoint(file, cb) {
+  if (!file.isSymbolicLink()) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_A_REPARSE_POINT)); });
+    return;
+  }
+  file.readLink(function (err, target) {
+    if (err) {
+      cb(err);
+    } else {
+      cb(null, encodeReparseData(file.getPath(), target));
+    }
+  });
+}
+
+/**
+ * Turns an open file into a symbolic link (FSCTL_SET_REPARSE_POINT). The open is refreshed in order
+ * to refer to the link.
+ *
+ * @param {SMBFile} file
+ * @param {Buffer} input reparse data buffer
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+function setReparsePoint(file, input, cb) {
+  var data = decodeReparseData(input);
+  if (!data) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_IO_REPARSE_DATA_INVALID)); });
+    return;
+  }
+  if (data.tag !== IO_REPARSE_TAG_SYMLINK) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_IO_REPARSE_TAG_NOT_HANDLED, 'unsupported reparse tag 0x' + data.tag.toString(16))); });
+    return;
+  }
+  var tree = file.getTree();
+  var linkPath = file.getPath();
+  tree.createSymlink(linkPath, data.target, function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    // the backend file of the open is stale
+    file.refresh(cb);
+  });
+}
+
+module.exports.IO_REPARSE_TAG_SYMLINK = IO_REPARSE_TAG_SYMLINK;
+module.exports.MAX_SYMLINKS = MAX_SYMLINKS;
+module.exports.parseFollowOption = parseFollowOption;
+module.exports.resolveTarget = resolveTarget;
+module.exports.encodeReparseData = encodeReparseData;
+module.exports.decodeReparseData = decodeReparseData;
+module.exports.encodeSymlinkError = encodeSymlinkError;
+module.exports.getReparsePoint = getReparsePoint;
+module.exports.setReparsePoint = setReparsePoint;
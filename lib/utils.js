@@ -409,6 +409,48 @@ function unicodeEquals(str1, str2) {
   return unicodeNormalize(str1) === unicodeNormalize(str2);
 }
 
+/**
+ * Matches a file name against a SMB search pattern. Supports the wildcards <code>*</code> and <code>?</code>
+ * as well as the DOS wildcards <code>&lt;</code> (DOS_STAR), <code>&gt;</code> (DOS_QM) and <code>"</code> (DOS_DOT).
+ * Matching is case-insensitive.
+ *
+ * @param {String} name file name
+ * @param {String} pattern search pattern
+ * @return {Boolean} <code>true</code> if the name matches the pattern; <code>false</code> otherwise
+ */
+function matchPattern(name, pattern) {
+  if (!pattern || pattern === '*' || pattern === '*.*' || pattern === '<.*') {
+    return true;
+  }
+  var regex = '';
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern.charAt(i);
+    switch (c) {
+      case '*':
+        regex += '.*';
+        break;
+      case '?':
+        regex += '.';
+        break;
+      case '<':
+        // matches zero or more characters until the final period
+        regex += '.*?';
+        break;
+      case '>':
+        // matches any single character or, upon encountering a period or end of name, nothing
+        regex += '[^.]?';
+        break;
+      case '"':
+        // matches a period or zero characters at the end of the name
+        regex += '\\.?';
+        break;
+      default:
+        regex += c.replace(/[\\^$.|?*+()\[\]{}]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + regex + '$', 'i').test(name);
+}
+
 module.exports.EMPTY_BUFFER = new Buffer(0);
 
 module.exports.ZERO_GUID = new Buffer(16);
@@ -436,3 +478,4 @@ module.exports.rawUUIDToString = rawUUIDToString;
 module.exports.rawUUIDFromString = rawUUIDFromString;
 module.exports.unicodeNormalize = unicodeNormalize;
 module.exports.unicodeEquals = unicodeEquals;
+module.exports.matchPattern = matchPattern;